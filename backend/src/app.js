@@ -12,11 +12,18 @@ const path = require("path");
 // ✅ Import Controllers directly
 const customerController = require("./controllers/customerController");
 const adminController = require("./controllers/adminController");
+const paymentController = require("./controllers/paymentController");
 
 const app = express();
 const port = process.env.PORT || 4000;
 
 const adminAuth = require("./middleware/adminAuth");
+const customerAuth = require("./middleware/customerAuth");
+const { ensureSchema } = require("./config/schema");
+const { startExpiryJob } = require("./utils/stampExpiry");
+const { startBirthdayJob } = require("./utils/birthdays");
+const { recomputeAllTiers } = require("./utils/tiers");
+const { getProgramSettings } = require("./utils/programSettings");
 
 
 // Trust proxy when behind a reverse proxy (Render, Railway, etc.)
@@ -35,7 +42,15 @@ app.use(
   })
 );
 app.use(compression());
-app.use(express.json({ limit: "1mb" }));
+app.use(
+  express.json({
+    limit: "1mb",
+    // Keep the exact bytes for webhook signature checks
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan(process.env.NODE_ENV === "production" ? "combined" : "dev"));
 
@@ -69,33 +84,128 @@ const asyncHandler = (fn) => (req, res, next) => {
  */
 
 // --- CUSTOMER ROUTES ---
+app.post("/api/customer/otp", customerController.requestOtp);
 app.post("/api/customer/register", customerController.registerCustomer);
 app.post("/api/customer/login-by-phone", customerController.loginByPhone);
-app.get("/api/customer/card/:memberCode", customerController.getCard);
+app.post("/api/customer/token/refresh", customerController.refreshToken);
+app.post("/api/customer/logout", customerAuth, customerController.logout);
+app.get("/api/customer/card", customerAuth, customerController.getCard);
+app.get("/api/customer/profile", customerAuth, customerController.getProfile);
+app.put("/api/customer/profile", customerAuth, customerController.updateProfile);
+app.post("/api/customer/profile/phone", customerAuth, customerController.requestPhoneChange);
+app.post("/api/customer/profile/phone/confirm", customerAuth, customerController.confirmPhoneChange);
+app.get("/api/customer/export", customerAuth, customerController.exportData);
+app.get("/api/customer/deletion-request", customerAuth, customerController.getDeletionRequest);
+app.post("/api/customer/deletion-request", customerAuth, customerController.requestDeletion);
+app.delete("/api/customer/deletion-request", customerAuth, customerController.cancelDeletion);
+app.get("/api/customer/program", customerController.getProgram);
+app.get("/api/customer/rewards", customerController.getRewards);
+app.get("/api/customer/campaigns", customerController.getActiveCampaigns);
+app.get("/api/customer/holiday", customerController.getHoliday);
+app.post("/api/customer/vouchers", customerAuth, customerController.createVoucher);
+app.get("/api/customer/vouchers/:code", customerAuth, customerController.getVoucherStatus);
 // Payment & Stamps
-app.post("/api/customer/create-order", customerController.createOrder);
-app.post("/api/customer/add-online-stamp", customerController.addOnlineStamp);
+app.post("/api/customer/create-order", customerAuth, customerController.createOrder);
+app.post("/api/customer/add-online-stamp", customerAuth, customerController.addOnlineStamp);
+app.post("/api/customer/payment-failed", customerAuth, customerController.reportPaymentFailed);
+
+// --- PAYMENT GATEWAY ROUTES ---
+app.post("/api/payments/razorpay/webhook", paymentController.razorpayWebhook);
+app.post("/api/payments/fake/checkout", paymentController.fakeCheckout);
 
 // --- ADMIN ROUTES ---
 app.post("/api/admin/login", adminController.login);
-app.get("/api/admin/search", adminController.searchCustomer);
+app.get("/api/admin/me", adminAuth(), adminController.me);
+
+// Dashboard users and roles (owner only)
+app.get("/api/admin/users", adminAuth("users.manage"), adminController.getAdminUsers);
+app.post("/api/admin/users", adminAuth("users.manage"), adminController.createAdminUser);
+app.put("/api/admin/users/:id", adminAuth("users.manage"), adminController.updateAdminUser);
+
+app.get("/api/admin/search", adminAuth("customers.view"), adminController.searchCustomer);
 // ✅ FIXED: Added this missing route that was causing the 404 error
-app.get("/api/admin/customers", adminController.getCustomers); 
-app.post("/api/admin/stamp", adminController.addStamp);
-app.post("/api/admin/reset", adminController.resetStamps);
-app.get("/api/admin/insights", adminController.getInsights);
+app.get("/api/admin/customers", adminAuth("customers.view"), adminController.getCustomers);
+app.post("/api/admin/stamp", adminAuth("stamp"), adminController.addStamp);
+app.post("/api/admin/reset", adminAuth("redeem"), adminController.resetStamps);
+app.get("/api/admin/rewards/:memberCode", adminAuth("customers.view"), adminController.getRewardHistoryFor);
+
+// Stamp velocity review queue
+app.get("/api/admin/stamp-flags", adminAuth("settings.manage"), adminController.getStampFlags);
+app.post("/api/admin/stamp-flags/:id/review", adminAuth("settings.manage"), adminController.reviewStampFlag);
+
+// Store-credit wallet
+app.get("/api/admin/wallet/:userId", adminAuth("customers.view"), adminController.getWallet);
+app.post("/api/admin/wallet/:userId/debit", adminAuth("redeem"), adminController.debitWallet);
+
+// Log a member out everywhere
+app.post("/api/admin/customers/:userId/revoke-sessions", adminAuth("settings.manage"), adminController.revokeCustomerSessions);
+
+// Data deletion requests
+app.get("/api/admin/deletion-requests", adminAuth("settings.manage"), adminController.getDeletionRequests);
+app.post("/api/admin/deletion-requests/:id/review", adminAuth("settings.manage"), adminController.reviewDeletionRequest);
+
+app.get("/api/admin/insights", adminAuth("insights.view"), adminController.getInsights);
 app.post(
   "/api/admin/delete-transactions-by-date",
-  adminAuth,
+  adminAuth("transactions.delete"),
   adminController.deleteTransactionsByDate
 );
 
 app.post(
   "/api/admin/undo-last-stamp",
-  adminAuth,
+  adminAuth("undo"),
   adminController.undoLastStamp
 );
 
+app.post(
+  "/api/admin/transactions/:id/refund",
+  adminAuth("refund"),
+  adminController.refundTransaction
+);
+
+// Program settings (owner only)
+app.get("/api/admin/settings", adminAuth("settings.manage"), adminController.getSettings);
+app.put("/api/admin/settings", adminAuth("settings.manage"), adminController.updateSettings);
+
+// Loyalty ledger (owner only)
+app.get("/api/admin/ledger/:memberCode", adminAuth("settings.manage"), adminController.getLedger);
+app.post("/api/admin/ledger/:memberCode/rebuild", adminAuth("settings.manage"), adminController.rebuildLedgerAccount);
+
+// Stamp expiry (owner only)
+app.get("/api/admin/expiry-report", adminAuth("settings.manage"), adminController.getExpiryReport);
+app.post("/api/admin/expiry/run", adminAuth("settings.manage"), adminController.runStampExpiry);
+
+// Birthdays
+app.get("/api/admin/birthdays/upcoming", adminAuth("customers.view"), adminController.getUpcomingBirthdays);
+app.post("/api/admin/birthdays/:id/redeem", adminAuth("redeem"), adminController.redeemBirthdayTreat);
+
+// Membership tiers
+app.get("/api/admin/tiers/:memberCode", adminAuth("customers.view"), adminController.getTierHistory);
+
+// Reward catalog (editing is owner only)
+app.get("/api/admin/reward-catalog", adminAuth("customers.view"), adminController.getRewardCatalog);
+app.post("/api/admin/reward-catalog", adminAuth("settings.manage"), adminController.createCatalogReward);
+app.put("/api/admin/reward-catalog/:id", adminAuth("settings.manage"), adminController.updateCatalogReward);
+app.post("/api/admin/reward-catalog/:id/retire", adminAuth("settings.manage"), adminController.retireCatalogReward);
+
+// Campaigns (owner only)
+app.get("/api/admin/campaigns", adminAuth("settings.manage"), adminController.getCampaigns);
+app.post("/api/admin/campaigns", adminAuth("settings.manage"), adminController.createCampaign);
+app.put("/api/admin/campaigns/:id", adminAuth("settings.manage"), adminController.updateCampaign);
+app.post("/api/admin/campaigns/:id/end", adminAuth("settings.manage"), adminController.endCampaign);
+
+// Referral report (owner only)
+app.get("/api/admin/referrals", adminAuth("settings.manage"), adminController.getReferralReport);
+
+// Holiday calendar (owner only)
+app.get("/api/admin/holidays", adminAuth("settings.manage"), adminController.getHolidays);
+app.post("/api/admin/holidays", adminAuth("settings.manage"), adminController.createHoliday);
+app.put("/api/admin/holidays/:id", adminAuth("settings.manage"), adminController.updateHoliday);
+app.delete("/api/admin/holidays/:id", adminAuth("settings.manage"), adminController.deleteHoliday);
+
+// Redemption vouchers
+app.post("/api/admin/vouchers/redeem", adminAuth("redeem"), adminController.redeemVoucher);
+
 
 
 /**
@@ -144,6 +254,18 @@ app.use((err, req, res, next) => {
 /**
  * Start server with graceful shutdown
  */
+ensureSchema()
+  .then(async () => {
+    startExpiryJob();
+    startBirthdayJob();
+    // Members without a tier yet (new column, or joined before tiers existed); full recomputes
+    // only run when the tier rules change
+    await recomputeAllTiers(await getProgramSettings(), "initial", { onlyMissing: true });
+  })
+  .catch((err) => {
+    console.error("Schema setup error:", err);
+  });
+
 const server = app.listen(port, () => {
   console.log(`Server listening on port ${port} (env=${process.env.NODE_ENV || "dev"})`);
 });
@@ -0,0 +1,387 @@
+// backend/src/config/schema.js
+// Idempotent DDL for tables/columns added on top of the original schema
+// (users, loyalty_accounts, stamps_history, transactions, admin_users).
+// Every statement must be safe to re-run; ensureSchema() is called on each boot.
+
+const db = require("./db");
+
+const STATEMENTS = [
+  // Razorpay orders created from the card page. status: created | paid | failed | expired | refunded
+  `CREATE TABLE IF NOT EXISTS payment_orders (
+     id SERIAL PRIMARY KEY,
+     user_id INTEGER NOT NULL REFERENCES users(id),
+     member_code TEXT NOT NULL,
+     amount NUMERIC(12, 2) NOT NULL,
+     currency TEXT NOT NULL DEFAULT 'INR',
+     razorpay_order_id TEXT NOT NULL UNIQUE,
+     razorpay_payment_id TEXT,
+     status TEXT NOT NULL DEFAULT 'created',
+     stamp_added BOOLEAN NOT NULL DEFAULT FALSE,
+     transaction_id INTEGER,
+     failure_reason TEXT,
+     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     paid_at TIMESTAMPTZ
+   )`,
+  `CREATE INDEX IF NOT EXISTS payment_orders_user_idx ON payment_orders (user_id, created_at DESC)`,
+  `ALTER TABLE payment_orders ADD COLUMN IF NOT EXISTS refunded_amount NUMERIC(12, 2) NOT NULL DEFAULT 0`,
+  `ALTER TABLE payment_orders ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMPTZ`,
+
+  // Razorpay webhook deliveries already handled (Razorpay retries, so events can repeat)
+  `CREATE TABLE IF NOT EXISTS razorpay_webhook_events (
+     event_id TEXT PRIMARY KEY,
+     event TEXT NOT NULL,
+     received_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+   )`,
+
+  // Which transaction earned a stamp (older rows stay NULL)
+  `ALTER TABLE stamps_history ADD COLUMN IF NOT EXISTS transaction_id INTEGER`,
+
+  // Refunds against online transactions. refund_flag marks refunds whose stamp could not be reversed.
+  `ALTER TABLE transactions ADD COLUMN IF NOT EXISTS refunded_amount NUMERIC(12, 2) NOT NULL DEFAULT 0`,
+  `ALTER TABLE transactions ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMPTZ`,
+  `ALTER TABLE transactions ADD COLUMN IF NOT EXISTS refund_flag TEXT`,
+  `CREATE TABLE IF NOT EXISTS refunds (
+     id SERIAL PRIMARY KEY,
+     transaction_id INTEGER NOT NULL,
+     payment_order_id INTEGER REFERENCES payment_orders(id),
+     user_id INTEGER NOT NULL REFERENCES users(id),
+     razorpay_refund_id TEXT UNIQUE,
+     amount NUMERIC(12, 2) NOT NULL,
+     stamp_reversed BOOLEAN NOT NULL DEFAULT FALSE,
+     flag TEXT,
+     reason TEXT,
+     admin_id INTEGER,
+     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+   )`,
+  `CREATE INDEX IF NOT EXISTS refunds_transaction_idx ON refunds (transaction_id)`,
+
+  // Loyalty program rules editable by the owner (see utils/programSettings.js for keys and defaults)
+  `CREATE TABLE IF NOT EXISTS program_settings (
+     key TEXT PRIMARY KEY,
+     value JSONB NOT NULL,
+     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     updated_by INTEGER
+   )`,
+
+  // Multiple stamps per bill. carried = stamp earned past the redeem target, waiting for the next card.
+  `ALTER TABLE transactions ADD COLUMN IF NOT EXISTS stamps_earned INTEGER`,
+  `ALTER TABLE stamps_history ADD COLUMN IF NOT EXISTS carried BOOLEAN NOT NULL DEFAULT FALSE`,
+  `ALTER TABLE refunds ADD COLUMN IF NOT EXISTS stamps_reversed INTEGER NOT NULL DEFAULT 0`,
+
+  // Reward redemptions. A redeemed card's stamps stay in stamps_history with its redemption_id
+  // (rows with redemption_id NULL are the live card).
+  `CREATE TABLE IF NOT EXISTS redemptions (
+     id SERIAL PRIMARY KEY,
+     user_id INTEGER NOT NULL REFERENCES users(id),
+     member_code TEXT NOT NULL,
+     admin_id INTEGER,
+     admin_username TEXT,
+     reward_value NUMERIC(12, 2) NOT NULL,
+     stamps_count INTEGER NOT NULL,
+     card_started_at TIMESTAMPTZ,
+     redeemed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+   )`,
+  `CREATE INDEX IF NOT EXISTS redemptions_user_idx ON redemptions (user_id, redeemed_at DESC)`,
+  `ALTER TABLE stamps_history ADD COLUMN IF NOT EXISTS redemption_id INTEGER REFERENCES redemptions(id)`,
+
+  // Append-only loyalty ledger (see utils/loyaltyEvents.js). Rows can never be updated or deleted.
+  `CREATE TABLE IF NOT EXISTS loyalty_events (
+     id BIGSERIAL PRIMARY KEY,
+     user_id INTEGER NOT NULL REFERENCES users(id),
+     event_type TEXT NOT NULL
+       CHECK (event_type IN ('stamp_granted', 'stamp_revoked', 'reward_redeemed', 'adjustment', 'expiry')),
+     stamps_delta INTEGER NOT NULL DEFAULT 0,
+     carried_delta INTEGER NOT NULL DEFAULT 0,
+     rewards_delta INTEGER NOT NULL DEFAULT 0,
+     transaction_id INTEGER,
+     redemption_id INTEGER,
+     admin_id INTEGER,
+     reason TEXT,
+     meta JSONB,
+     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+   )`,
+  `CREATE INDEX IF NOT EXISTS loyalty_events_user_idx ON loyalty_events (user_id, id)`,
+  `CREATE OR REPLACE FUNCTION loyalty_events_immutable() RETURNS trigger AS $$
+   BEGIN
+     RAISE EXCEPTION 'loyalty_events is append-only';
+   END;
+   $$ LANGUAGE plpgsql`,
+  `DROP TRIGGER IF EXISTS loyalty_events_no_change ON loyalty_events`,
+  `CREATE TRIGGER loyalty_events_no_change
+     BEFORE UPDATE OR DELETE ON loyalty_events
+     FOR EACH ROW EXECUTE FUNCTION loyalty_events_immutable()`,
+  // Opening balance for accounts that predate the ledger (only accounts with no events yet)
+  `INSERT INTO loyalty_events (user_id, event_type, stamps_delta, carried_delta, rewards_delta, reason)
+   SELECT la.user_id, 'adjustment', COALESCE(la.current_stamps, 0),
+          (SELECT COUNT(*) FROM stamps_history h WHERE h.user_id = la.user_id AND h.carried = TRUE),
+          COALESCE(la.total_rewards, 0), 'opening_balance'
+   FROM loyalty_accounts la
+   WHERE NOT EXISTS (SELECT 1 FROM loyalty_events e WHERE e.user_id = la.user_id)
+     AND (COALESCE(la.current_stamps, 0) <> 0 OR COALESCE(la.total_rewards, 0) <> 0
+          OR EXISTS (SELECT 1 FROM stamps_history h WHERE h.user_id = la.user_id AND h.carried = TRUE))`,
+
+  // Expired stamps (see utils/stampExpiry.js); the live card is redemption_id IS NULL AND expired_at IS NULL
+  `ALTER TABLE stamps_history ADD COLUMN IF NOT EXISTS expired_at TIMESTAMPTZ`,
+
+  // Birthday bonuses (see utils/birthdays.js); one per member per birthday year.
+  // Stamps not earned from a bill carry bonus_source ("birthday", ...) in stamps_history.
+  `ALTER TABLE stamps_history ADD COLUMN IF NOT EXISTS bonus_source TEXT`,
+  `CREATE TABLE IF NOT EXISTS birthday_bonuses (
+     id SERIAL PRIMARY KEY,
+     user_id INTEGER NOT NULL REFERENCES users(id),
+     year INTEGER NOT NULL,
+     bonus_type TEXT NOT NULL,
+     stamps_granted INTEGER NOT NULL DEFAULT 0,
+     treat TEXT,
+     valid_from DATE NOT NULL,
+     valid_until DATE NOT NULL,
+     granted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     redeemed_at TIMESTAMPTZ,
+     redeemed_by INTEGER,
+     UNIQUE (user_id, year)
+   )`,
+
+  // Membership tiers (see utils/tiers.js). loyalty_accounts.tier caches the current one.
+  `ALTER TABLE loyalty_accounts ADD COLUMN IF NOT EXISTS tier TEXT`,
+  `CREATE TABLE IF NOT EXISTS tier_changes (
+     id SERIAL PRIMARY KEY,
+     user_id INTEGER NOT NULL REFERENCES users(id),
+     from_tier TEXT,
+     to_tier TEXT NOT NULL,
+     basis TEXT NOT NULL,
+     basis_value NUMERIC(12, 2) NOT NULL,
+     reason TEXT,
+     changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+   )`,
+  `CREATE INDEX IF NOT EXISTS tier_changes_user_idx ON tier_changes (user_id, changed_at DESC)`,
+
+  // Reward catalog (see utils/rewardCatalog.js). Rewards are retired, never deleted,
+  // so redemptions keep pointing at what was given.
+  `CREATE TABLE IF NOT EXISTS rewards (
+     id SERIAL PRIMARY KEY,
+     name TEXT NOT NULL,
+     description TEXT,
+     image_url TEXT,
+     stamp_cost INTEGER NOT NULL CHECK (stamp_cost > 0),
+     value NUMERIC(12, 2) NOT NULL DEFAULT 0,
+     starts_on DATE,
+     ends_on DATE,
+     retired_at TIMESTAMPTZ,
+     created_by INTEGER,
+     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+   )`,
+  `ALTER TABLE redemptions ADD COLUMN IF NOT EXISTS reward_id INTEGER REFERENCES rewards(id)`,
+  `ALTER TABLE redemptions ADD COLUMN IF NOT EXISTS reward_name TEXT`,
+
+  // Redemption vouchers (see utils/vouchers.js). status: issued -> redeemed | cancelled | expired.
+  `CREATE TABLE IF NOT EXISTS vouchers (
+     id SERIAL PRIMARY KEY,
+     code TEXT NOT NULL UNIQUE,
+     user_id INTEGER NOT NULL REFERENCES users(id),
+     reward_id INTEGER REFERENCES rewards(id),
+     stamp_cost INTEGER NOT NULL,
+     status TEXT NOT NULL DEFAULT 'issued' CHECK (status IN ('issued', 'redeemed', 'cancelled', 'expired')),
+     issued_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     expires_at TIMESTAMPTZ NOT NULL,
+     redeemed_at TIMESTAMPTZ,
+     redeemed_by INTEGER,
+     redemption_id INTEGER REFERENCES redemptions(id),
+     closed_at TIMESTAMPTZ
+   )`,
+  `CREATE INDEX IF NOT EXISTS vouchers_user_idx ON vouchers (user_id, issued_at DESC)`,
+
+  // Promotional campaigns (see utils/campaigns.js). Times are shop time (BUSINESS_TIMEZONE).
+  `CREATE TABLE IF NOT EXISTS campaigns (
+     id SERIAL PRIMARY KEY,
+     name TEXT NOT NULL,
+     banner TEXT,
+     kind TEXT NOT NULL CHECK (kind IN ('multiplier', 'bonus')),
+     multiplier INTEGER NOT NULL DEFAULT 1,
+     bonus_stamps INTEGER NOT NULL DEFAULT 0,
+     min_amount NUMERIC(12, 2),
+     starts_on DATE,
+     ends_on DATE,
+     weekdays INTEGER[],
+     start_time TIME,
+     end_time TIME,
+     first_visit_of_month BOOLEAN NOT NULL DEFAULT FALSE,
+     retired_at TIMESTAMPTZ,
+     created_by INTEGER,
+     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+   )`,
+  `ALTER TABLE transactions ADD COLUMN IF NOT EXISTS campaign_id INTEGER REFERENCES campaigns(id)`,
+  `ALTER TABLE stamps_history ADD COLUMN IF NOT EXISTS campaign_id INTEGER REFERENCES campaigns(id)`,
+
+  // Referrals (see utils/referrals.js). One row per referred member; referee_phone stops a
+  // phone being referred twice. status: pending -> rewarded | capped (referrer over the monthly cap).
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS referral_code TEXT UNIQUE`,
+  `CREATE TABLE IF NOT EXISTS referrals (
+     id SERIAL PRIMARY KEY,
+     referrer_id INTEGER NOT NULL REFERENCES users(id),
+     referee_id INTEGER NOT NULL UNIQUE REFERENCES users(id),
+     referee_phone TEXT NOT NULL UNIQUE,
+     code TEXT NOT NULL,
+     status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'rewarded', 'capped')),
+     referrer_stamps INTEGER NOT NULL DEFAULT 0,
+     referee_stamps INTEGER NOT NULL DEFAULT 0,
+     transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     qualified_at TIMESTAMPTZ
+   )`,
+  `CREATE INDEX IF NOT EXISTS referrals_referrer_idx ON referrals (referrer_id, qualified_at)`,
+
+  // Holiday / blackout calendar (see utils/holidays.js). Created with the days the card page
+  // used to hard-code, once, so holidays the owner removes stay removed.
+  `DO $$
+   BEGIN
+     IF to_regclass('holidays') IS NULL THEN
+       CREATE TABLE holidays (
+         id SERIAL PRIMARY KEY,
+         holiday_date DATE NOT NULL UNIQUE,
+         repeats_yearly BOOLEAN NOT NULL DEFAULT FALSE,
+         title TEXT NOT NULL,
+         message TEXT,
+         block_stamps BOOLEAN NOT NULL DEFAULT TRUE,
+         block_payments BOOLEAN NOT NULL DEFAULT TRUE,
+         created_by INTEGER,
+         created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+         updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+       );
+       INSERT INTO holidays (holiday_date, repeats_yearly, title, message) VALUES
+         ('2000-12-25', TRUE, '🎄 Happy Christmas', 'Sorry for the inconvenience on Christmas day. Stamp access is temporarily unavailable.'),
+         ('2000-12-31', TRUE, '🎉 Happy New Year', 'We''re celebrating the New Year! Stamp access is temporarily unavailable.'),
+         ('2000-01-01', TRUE, '🎉 Happy New Year', 'We''re celebrating the New Year! Stamp access is temporarily unavailable.');
+     END IF;
+   END $$`,
+
+  // Store-credit wallet (see utils/wallet.js). The CHECK keeps the balance from ever going
+  // negative; wallet_transactions is its append-only history.
+  `ALTER TABLE loyalty_accounts ADD COLUMN IF NOT EXISTS wallet_balance NUMERIC(12, 2) NOT NULL DEFAULT 0`,
+  `DO $$
+   BEGIN
+     IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'loyalty_accounts_wallet_balance_check') THEN
+       ALTER TABLE loyalty_accounts ADD CONSTRAINT loyalty_accounts_wallet_balance_check CHECK (wallet_balance >= 0);
+     END IF;
+   END $$`,
+  `CREATE TABLE IF NOT EXISTS wallet_transactions (
+     id SERIAL PRIMARY KEY,
+     user_id INTEGER NOT NULL REFERENCES users(id),
+     kind TEXT NOT NULL CHECK (kind IN ('credit', 'debit')),
+     amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+     balance_after NUMERIC(12, 2) NOT NULL,
+     reason TEXT NOT NULL,
+     redemption_id INTEGER REFERENCES redemptions(id),
+     bill_amount NUMERIC(12, 2),
+     note TEXT,
+     admin_id INTEGER,
+     admin_username TEXT,
+     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+   )`,
+  `CREATE INDEX IF NOT EXISTS wallet_transactions_user_idx ON wallet_transactions (user_id, created_at DESC)`,
+  `ALTER TABLE redemptions ADD COLUMN IF NOT EXISTS wallet_credit NUMERIC(12, 2)`,
+
+  // Stamp velocity rules (see utils/stampRules.js): stamps that broke a rule, for review.
+  // action 'flagged' = the stamps went through; 'blocked' = the stamp was refused.
+  `CREATE TABLE IF NOT EXISTS stamp_flags (
+     id SERIAL PRIMARY KEY,
+     user_id INTEGER NOT NULL REFERENCES users(id),
+     transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+     amount NUMERIC(12, 2),
+     stamps INTEGER NOT NULL DEFAULT 0,
+     action TEXT NOT NULL CHECK (action IN ('flagged', 'blocked')),
+     violations JSONB NOT NULL,
+     admin_id INTEGER,
+     admin_username TEXT,
+     status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'ok', 'fraud')),
+     review_note TEXT,
+     reviewed_by TEXT,
+     reviewed_at TIMESTAMPTZ,
+     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+   )`,
+  `CREATE INDEX IF NOT EXISTS stamp_flags_status_idx ON stamp_flags (status, created_at DESC)`,
+
+  // Bill / receipt numbers on manual stamps: one use per outlet and business day (see utils/stamping.js)
+  `ALTER TABLE transactions ADD COLUMN IF NOT EXISTS bill_number TEXT`,
+  `ALTER TABLE transactions ADD COLUMN IF NOT EXISTS outlet TEXT`,
+  `ALTER TABLE transactions ADD COLUMN IF NOT EXISTS business_date DATE`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS transactions_bill_number_uniq
+     ON transactions (outlet, business_date, bill_number) WHERE bill_number IS NOT NULL`,
+
+  // SMS verification codes for customer login / registration (see utils/otp.js)
+  `CREATE TABLE IF NOT EXISTS otp_codes (
+     id SERIAL PRIMARY KEY,
+     phone TEXT NOT NULL,
+     purpose TEXT NOT NULL,
+     code_hash TEXT NOT NULL,
+     attempts INTEGER NOT NULL DEFAULT 0,
+     expires_at TIMESTAMPTZ NOT NULL,
+     consumed_at TIMESTAMPTZ,
+     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+   )`,
+  `CREATE INDEX IF NOT EXISTS otp_codes_phone_idx ON otp_codes (phone, created_at DESC)`,
+
+  // Customer login sessions behind the access / refresh tokens (see utils/customerSessions.js)
+  `CREATE TABLE IF NOT EXISTS customer_sessions (
+     id SERIAL PRIMARY KEY,
+     user_id INTEGER NOT NULL REFERENCES users(id),
+     refresh_hash TEXT NOT NULL,
+     previous_refresh_hash TEXT,
+     user_agent TEXT,
+     expires_at TIMESTAMPTZ NOT NULL,
+     revoked_at TIMESTAMPTZ,
+     revoked_reason TEXT,
+     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     last_used_at TIMESTAMPTZ
+   )`,
+  `CREATE INDEX IF NOT EXISTS customer_sessions_user_idx ON customer_sessions (user_id) WHERE revoked_at IS NULL`,
+
+  // Self-service profile: marketing preferences and every change to name, DOB or phone (see utils/profile.js)
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS marketing_sms BOOLEAN NOT NULL DEFAULT FALSE`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS marketing_whatsapp BOOLEAN NOT NULL DEFAULT FALSE`,
+  `CREATE TABLE IF NOT EXISTS profile_changes (
+     id SERIAL PRIMARY KEY,
+     user_id INTEGER NOT NULL REFERENCES users(id),
+     field TEXT NOT NULL,
+     old_value TEXT,
+     new_value TEXT,
+     changed_by TEXT NOT NULL DEFAULT 'customer',
+     changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+   )`,
+  `CREATE INDEX IF NOT EXISTS profile_changes_user_idx ON profile_changes (user_id, changed_at DESC)`,
+
+  // Data export / deletion requests (see utils/memberData.js). A completed deletion anonymises
+  // the users row (deleted_at), so its phone must be allowed to be empty.
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ`,
+  `ALTER TABLE users ALTER COLUMN phone DROP NOT NULL`,
+  `CREATE TABLE IF NOT EXISTS deletion_requests (
+     id SERIAL PRIMARY KEY,
+     user_id INTEGER NOT NULL REFERENCES users(id),
+     status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'rejected', 'cancelled')),
+     requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     reviewed_by TEXT,
+     reviewed_at TIMESTAMPTZ,
+     review_note TEXT
+   )`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS deletion_requests_pending_uniq ON deletion_requests (user_id) WHERE status = 'pending'`,
+
+  // Dashboard roles (see utils/adminRoles.js); users are disabled, never deleted
+  `ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMPTZ`,
+
+  // Admin-panel refunds are written 'pending' before the gateway call, then settle to
+  // 'processed' or 'failed' (see utils/refunds.js). Rows from before this were all processed.
+  `ALTER TABLE refunds ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'processed'`,
+  `ALTER TABLE refunds ADD COLUMN IF NOT EXISTS gateway_error TEXT`,
+];
+
+async function ensureSchema() {
+  for (const sql of STATEMENTS) {
+    await db.query(sql);
+  }
+}
+
+module.exports = {
+  ensureSchema,
+};
@@ -1,11 +1,29 @@
 const db = require("../config/db");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
+const { getPaymentProvider } = require("../utils/paymentProvider");
+const { lockTransaction, reverseStampForRefund, recordRefund, recordGatewayRefund, markRefundFailed } = require("../utils/refunds");
+const { getProgramSettings, updateProgramSettings } = require("../utils/programSettings");
+const { awardStamps, removeStamps, promoteCarriedStamps, normalizeBillNumber, normalizeOutlet } = require("../utils/stamping");
+const { redeemReward, fetchRedemptions } = require("../utils/redemptions");
+const { recordEvent, rebuildAccount } = require("../utils/loyaltyEvents");
+const { runExpiryJob, fetchExpiryReport } = require("../utils/stampExpiry");
+const { fetchUpcomingBirthdays, redeemBirthdayTreat } = require("../utils/birthdays");
+const { settingsForMember, refreshMemberTier, recomputeAllTiers, fetchTierChanges } = require("../utils/tiers");
+const { listRewards, createReward, updateReward, retireReward, redeemableReward } = require("../utils/rewardCatalog");
+const { expireStaleVouchers, redeemVoucher } = require("../utils/vouchers");
+const { listCampaigns, createCampaign, updateCampaign, retireCampaign } = require("../utils/campaigns");
+const { rewardReferral, revokeReferral, fetchReferralReport } = require("../utils/referrals");
+const { listHolidays, createHoliday, updateHoliday, deleteHoliday, assertOpenFor } = require("../utils/holidays");
+const { debitWallet, fetchWallet } = require("../utils/wallet");
+const { enforceStampRules, recordBlockedStamp, listStampFlags, reviewStampFlag } = require("../utils/stampRules");
+const { revokeAllSessions } = require("../utils/customerSessions");
+const { REQUEST_STATUSES, listDeletionRequests, reviewDeletionRequest } = require("../utils/memberData");
+const { permissionsFor } = require("../utils/adminRoles");
+const { listAdminUsers, createAdminUser, updateAdminUser } = require("../utils/adminUsers");
 
 const JWT_SECRET = process.env.JWT_SECRET || "please-set-a-secure-secret";
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "7d";
-const MIN_STAMP_AMOUNT = 500;
-const REDEEM_STAMP_TARGET = 11;
 
 // --- ADMIN LOGIN ---
 exports.login = async (req, res) => {
@@ -15,7 +33,7 @@ exports.login = async (req, res) => {
       return res.status(400).json({ message: "username and password required" });
 
     const q =
-      "SELECT id, username, password_hash, role FROM admin_users WHERE username = $1 LIMIT 1";
+      "SELECT id, username, password_hash, role FROM admin_users WHERE username = $1 AND disabled_at IS NULL LIMIT 1";
     const r = await db.query(q, [username]);
     if (!r.rows.length) return res.status(401).json({ message: "Invalid credentials" });
 
@@ -29,13 +47,62 @@ exports.login = async (req, res) => {
       { expiresIn: JWT_EXPIRES_IN }
     );
 
-    return res.json({ message: "Login successful", token, username: admin.username });
+    return res.json({
+      message: "Login successful",
+      token,
+      username: admin.username,
+      role: admin.role,
+      permissions: permissionsFor(admin.role),
+    });
   } catch (err) {
     console.error("Admin login error:", err);
     return res.status(500).json({ message: "Server error" });
   }
 };
 
+// The signed-in user's current role and permissions (the dashboard hides what they can't use)
+exports.me = async (req, res) => {
+  return res.json({ username: req.admin.username, role: req.admin.role, permissions: permissionsFor(req.admin.role) });
+};
+
+// --- DASHBOARD USERS (OWNER ONLY) ---
+exports.getAdminUsers = async (req, res) => {
+  try {
+    const users = await listAdminUsers(db);
+    return res.json({ users });
+  } catch (err) {
+    console.error("getAdminUsers error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+exports.createAdminUser = async (req, res) => {
+  try {
+    const { username, password, role, actionPassword } = req.body;
+    const user = await db.withClient((client) => createAdminUser(client, { username, password, role, actionPassword }));
+    return res.status(201).json({ message: `${user.username} added as ${user.role}`, user });
+  } catch (err) {
+    console.error("createAdminUser error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+exports.updateAdminUser = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id, 10);
+    if (!userId) return res.status(400).json({ message: "Invalid user id" });
+    const { role, password, actionPassword, disabled } = req.body;
+
+    const user = await db.withClient((client) => updateAdminUser(client, userId, { role, password, actionPassword, disabled }));
+    return res.json({ message: `${user.username} updated`, user });
+  } catch (err) {
+    console.error("updateAdminUser error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
 // --- GET CUSTOMERS ---
 exports.getCustomers = async (req, res) => {
   try {
@@ -43,18 +110,21 @@ exports.getCustomers = async (req, res) => {
       SELECT u.id, u.member_code, u.name, u.phone, u.dob,
              COALESCE(l.current_stamps,0) as current_stamps,
              COALESCE(l.total_rewards,0) as total_rewards,
+             COALESCE(l.wallet_balance,0)::float as wallet_balance,
+             l.tier,
              l.updated_at,
              (
                SELECT json_agg(json_build_object('index', x.stamp_index, 'date', x.max_date))
                FROM (
                  SELECT stamp_index, MAX(created_at) as max_date
                  FROM stamps_history
-                 WHERE user_id = u.id
+                 WHERE user_id = u.id AND carried = FALSE AND redemption_id IS NULL AND expired_at IS NULL
                  GROUP BY stamp_index
                ) x
              ) as stamp_history
       FROM users u
       LEFT JOIN loyalty_accounts l ON l.user_id = u.id
+      WHERE u.deleted_at IS NULL
       ORDER BY CAST(SUBSTRING(u.member_code FROM 3) AS INTEGER) ASC
     `;
     const r = await db.query(q);
@@ -75,9 +145,11 @@ exports.searchCustomer = async (req, res) => {
   const result = await db.query(
     `SELECT u.id, u.member_code, u.name, u.phone, u.dob, 
             COALESCE(l.current_stamps, 0) as current_stamps, 
-            COALESCE(l.total_rewards, 0) as total_rewards
+            COALESCE(l.total_rewards, 0) as total_rewards,
+            l.tier
      FROM users u
      LEFT JOIN loyalty_accounts l ON l.user_id = u.id
+     WHERE u.deleted_at IS NULL
      ORDER BY CAST(SUBSTRING(u.member_code FROM 3) AS INTEGER) ASC
      LIMIT 1000`
   );
@@ -88,10 +160,11 @@ exports.searchCustomer = async (req, res) => {
     const result = await db.query(
       `SELECT u.id, u.member_code, u.name, u.phone, u.dob, 
               COALESCE(l.current_stamps, 0) as current_stamps, 
-              COALESCE(l.total_rewards, 0) as total_rewards
+              COALESCE(l.total_rewards, 0) as total_rewards,
+              l.tier
        FROM users u
        LEFT JOIN loyalty_accounts l ON l.user_id = u.id
-       WHERE u.member_code ILIKE $1 OR u.phone ILIKE $1 OR u.name ILIKE $1
+       WHERE u.deleted_at IS NULL AND (u.member_code ILIKE $1 OR u.phone ILIKE $1 OR u.name ILIKE $1)
        LIMIT 20`,
       [`%${query.trim()}%`]
     );
@@ -109,13 +182,20 @@ exports.addStamp = async (req, res) => {
     const numAmount = Number(amount) || 0;
 
     if (!userId) return res.status(400).json({ message: "User ID required" });
+    const billNumber = normalizeBillNumber(req.body.billNumber);
+    const outlet = normalizeOutlet(req.body.outlet);
 
     const result = await db.withClient(async (client) => {
+      // 0) No stamps on a holiday that blocks them
+      await assertOpenFor(client, "stamps");
+
       // 1) Get User Info
-      const userQ = `SELECT member_code, name FROM users WHERE id = $1`;
+      const userQ = `SELECT id, member_code, name FROM users WHERE id = $1`;
       const userRes = await client.query(userQ, [userId]);
       if (userRes.rows.length === 0) throw { status: 404, message: "User not found" };
       const user = userRes.rows[0];
+      const programSettings = await getProgramSettings(client);
+      if (programSettings.billNumberRequired && !billNumber) throw { status: 400, message: "Bill number required" };
 
       // 2) Lock Loyalty Account
       const laRes = await client.query(
@@ -137,62 +217,87 @@ exports.addStamp = async (req, res) => {
         rewards = Number(laRes.rows[0].total_rewards || 0);
       }
 
-      let stampAdded = false;
-      let message = "No stamp added.";
-
-      // 3) Logic: Add stamp ONLY if Amount >= threshold AND Stamps < redeem target
-      if (numAmount >= MIN_STAMP_AMOUNT && current < REDEEM_STAMP_TARGET) {
-        current += 1;
-        stampAdded = true;
-        message = "Amount verified. Stamp added!";
-
-        // Update Account
-        await client.query(
-          `UPDATE loyalty_accounts SET current_stamps = $1, updated_at = NOW() WHERE user_id = $2`,
-          [current, userId]
-        );
-
-        // Manage History (Overwrite old date for this stamp slot)
-        await client.query(
-          `DELETE FROM stamps_history WHERE user_id = $1 AND stamp_index = $2`,
-          [userId, current]
-        );
-        await client.query(
-          `INSERT INTO stamps_history (user_id, stamp_index, amount, created_at) VALUES ($1, $2, $3, NOW())`,
-          [userId, current, numAmount]
-        );
-
-        // ✅ 4) STRICT RECORD IN TRANSACTIONS TABLE
-        // We ONLY record the transaction if a stamp was actually added.
-        await client.query(
-            `INSERT INTO transactions (user_id, member_code, customer_name, amount, payment_method, stamp_added, created_at)
-             VALUES ($1, $2, $3, $4, 'manual', $5, NOW())`,
-            [userId, user.member_code, user.name, numAmount, stampAdded]
-        );
+      // Tier perks (own stamp threshold, bonus stamps) apply to this member's bills
+      const settings = await settingsForMember(client, userId, programSettings);
+
+      // 3) Logic: Stamps ONLY if Amount >= threshold; they stop at the redeem target (rest carried or dropped)
+      // ✅ 4) STRICT RECORD IN TRANSACTIONS TABLE - only written when stamps are added or carried
+      const award = await awardStamps(client, {
+        user,
+        amount: numAmount,
+        paymentMethod: "manual",
+        currentStamps: current,
+        settings,
+        adminId: req.admin && req.admin.uid,
+        billNumber,
+        outlet,
+      });
+      current = award.currentStamps;
+
+      // Velocity rules: a broken rule either flags these stamps for review or blocks them (rolls back)
+      const flag = await enforceStampRules(client, {
+        userId,
+        admin: req.admin,
+        transactionId: award.transactionId,
+        amount: numAmount,
+        stamps: award.stampsAdded + award.stampsCarried,
+        settings: programSettings,
+      });
+
+      // First stamped bill of a referred member rewards both members
+      const referral = await rewardReferral(client, { userId, transactionId: award.transactionId, settings: programSettings });
+      if (referral) current = referral.currentStamps;
 
+      let message = "No stamp added.";
+      if (award.stampsAdded > 0) {
+        message = award.stampsAdded === 1 ? "Amount verified. Stamp added!" : `Amount verified. ${award.stampsAdded} stamps added!`;
+        if (award.stampsCarried > 0) message += ` ${award.stampsCarried} carried to the next card.`;
+        if (award.stampsDropped > 0) message += ` Limit reached - ${award.stampsDropped} not added. Please redeem.`;
+        if (award.campaign) message += ` ${award.campaign.name}: +${award.campaign.extraStamps} bonus.`;
+      } else if (numAmount < settings.minStampAmount) {
+        message = `Amount < ${settings.minStampAmount}. No stamp added, transaction NOT recorded.`;
+      } else if (award.stampsCarried > 0) {
+        message = `Limit reached (${settings.redeemStampTarget} stamps). ${award.stampsCarried} carried to the next card. Please redeem.`;
       } else {
-        if (numAmount < MIN_STAMP_AMOUNT) message = `Amount < ${MIN_STAMP_AMOUNT}. No stamp added, transaction NOT recorded.`;
-        else if (current >= REDEEM_STAMP_TARGET) message = `Limit reached (${REDEEM_STAMP_TARGET} stamps). Please redeem.`;
+        message = `Limit reached (${settings.redeemStampTarget} stamps). Please redeem.`;
       }
 
+      if (referral && referral.refereeStamps > 0) message += ` Referral bonus: +${referral.refereeStamps}.`;
+      if (flag) message += " ⚠️ Flagged for review.";
+
+      const tier = await refreshMemberTier(client, userId, programSettings);
+      if (tier.changed && tier.from) message += ` Now ${tier.tier.name}!`;
+
       // Fetch Updated Data
       const updatedRes = await client.query("SELECT current_stamps, total_rewards FROM loyalty_accounts WHERE user_id = $1", [userId]);
 
       return {
         success: true,
         message,
+        stampAdded: award.stampsAdded > 0,
+        stampsAdded: award.stampsAdded,
+        stampsCarried: award.stampsCarried,
+        campaign: award.campaign,
+        referral,
+        flag,
         data: updatedRes.rows[0],
         card: { 
           memberCode: user.member_code,
           name: user.name,
           currentStamps: current,
-          totalRewards: rewards
+          totalRewards: rewards,
+          tier: tier.tier.name
         }
       };
     });
 
     return res.json(result);
   } catch (err) {
+    if (err && err.blocked) {
+      await recordBlockedStamp(db, err.blocked).catch((e) => console.error("recordBlockedStamp error:", e));
+      return res.status(err.status).json({ message: err.message, blocked: true });
+    }
+    if (err && err.original) return res.status(err.status).json({ message: err.message, original: err.original });
     console.error("addStamp error:", err);
     if (err && err.status) return res.status(err.status).json({ message: err.message });
     return res.status(500).json({ message: "Server error adding stamp", error: (err && err.message) || err });
@@ -200,36 +305,377 @@ exports.addStamp = async (req, res) => {
 };
 
 // --- RESET STAMPS (Redeem) ---
+// Without rewardId this redeems the full-card reward; with one it redeems a catalog
+// reward and takes only its stamp cost off the card.
 exports.resetStamps = async (req, res) => {
   try {
-    const { userId } = req.body;
+    const { userId, rewardId, toWallet } = req.body;
     if (!userId) return res.status(400).json({ message: "User ID required" });
 
     const result = await db.withClient(async (client) => {
-      const lRes = await client.query("SELECT current_stamps, total_rewards FROM loyalty_accounts WHERE user_id = $1 FOR UPDATE", [userId]);
-      if (lRes.rows.length === 0) throw { status: 404, message: "Account not found" };
-      
-      const currentStamps = Number(lRes.rows[0].current_stamps);
-      if (currentStamps < REDEEM_STAMP_TARGET) throw { status: 400, message: "Not enough stamps to redeem" };
-
-      const newRewards = Number(lRes.rows[0].total_rewards) + 1;
-      
-      await client.query("UPDATE loyalty_accounts SET current_stamps = 0, total_rewards = $1, updated_at = NOW() WHERE user_id = $2", [newRewards, userId]);
-      await client.query("DELETE FROM stamps_history WHERE user_id = $1", [userId]);
+      const settings = await getProgramSettings(client);
+      const reward = rewardId ? await redeemableReward(client, rewardId) : null;
+      const redeemed = await redeemReward(client, { userId, reward, admin: req.admin, settings, toWallet: Boolean(toWallet) });
 
       return { 
           success: true, 
-          message: "Reward redeemed! Stamps reset.", 
-          data: { current_stamps: 0, total_rewards: newRewards } 
+          message: redeemed.message, 
+          data: {
+            current_stamps: redeemed.currentStamps,
+            total_rewards: redeemed.totalRewards,
+            redemption: redeemed.redemption,
+            wallet_balance: redeemed.walletBalance,
+          } 
       };
     });
     return res.status(200).json(result);
   } catch (err) {
     console.error("resetStamps error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
     return res.status(500).json({ message: err.message || "Server error" });
   }
 };
 
+// --- REWARD CATALOG (OWNER ONLY) ---
+exports.getRewardCatalog = async (req, res) => {
+  try {
+    const rewards = await listRewards(db);
+    return res.json({ rewards });
+  } catch (err) {
+    console.error("getRewardCatalog error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+exports.createCatalogReward = async (req, res) => {
+  try {
+    const reward = await db.withClient(async (client) =>
+      createReward(client, req.body, await getProgramSettings(client), req.admin.uid)
+    );
+    return res.status(201).json({ success: true, message: `${reward.name} added to the catalog`, reward });
+  } catch (err) {
+    console.error("createCatalogReward error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+exports.updateCatalogReward = async (req, res) => {
+  try {
+    const rewardId = parseInt(req.params.id, 10);
+    if (!rewardId) return res.status(400).json({ message: "Invalid reward id" });
+
+    const reward = await db.withClient(async (client) =>
+      updateReward(client, rewardId, req.body, await getProgramSettings(client))
+    );
+    return res.json({ success: true, message: `${reward.name} updated`, reward });
+  } catch (err) {
+    console.error("updateCatalogReward error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Retired rewards stay in the table for past redemptions but can't be redeemed.
+exports.retireCatalogReward = async (req, res) => {
+  try {
+    const rewardId = parseInt(req.params.id, 10);
+    if (!rewardId) return res.status(400).json({ message: "Invalid reward id" });
+
+    const reward = await db.withClient((client) => retireReward(client, rewardId));
+    return res.json({ success: true, message: `${reward.name} retired`, reward });
+  } catch (err) {
+    console.error("retireCatalogReward error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// --- CAMPAIGNS (OWNER ONLY) ---
+exports.getCampaigns = async (req, res) => {
+  try {
+    const campaigns = await listCampaigns(db);
+    return res.json({ campaigns });
+  } catch (err) {
+    console.error("getCampaigns error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+exports.createCampaign = async (req, res) => {
+  try {
+    const campaign = await db.withClient((client) => createCampaign(client, req.body, req.admin.uid));
+    return res.status(201).json({ success: true, message: `Campaign "${campaign.name}" created`, campaign });
+  } catch (err) {
+    console.error("createCampaign error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+exports.updateCampaign = async (req, res) => {
+  try {
+    const campaignId = parseInt(req.params.id, 10);
+    if (!campaignId) return res.status(400).json({ message: "Invalid campaign id" });
+
+    const campaign = await db.withClient((client) => updateCampaign(client, campaignId, req.body));
+    return res.json({ success: true, message: `Campaign "${campaign.name}" updated`, campaign });
+  } catch (err) {
+    console.error("updateCampaign error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+exports.endCampaign = async (req, res) => {
+  try {
+    const campaignId = parseInt(req.params.id, 10);
+    if (!campaignId) return res.status(400).json({ message: "Invalid campaign id" });
+
+    const campaign = await db.withClient((client) => retireCampaign(client, campaignId));
+    return res.json({ success: true, message: `Campaign "${campaign.name}" ended`, campaign });
+  } catch (err) {
+    console.error("endCampaign error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// --- REFERRAL REPORT (OWNER ONLY) ---
+exports.getReferralReport = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const report = await fetchReferralReport(db, { limit });
+    return res.json(report);
+  } catch (err) {
+    console.error("getReferralReport error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// --- HOLIDAY CALENDAR (OWNER ONLY) ---
+exports.getHolidays = async (req, res) => {
+  try {
+    const holidays = await listHolidays(db);
+    return res.json({ holidays });
+  } catch (err) {
+    console.error("getHolidays error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+exports.createHoliday = async (req, res) => {
+  try {
+    const holiday = await db.withClient((client) => createHoliday(client, req.body, req.admin.uid));
+    return res.status(201).json({ success: true, message: `Holiday "${holiday.title}" added`, holiday });
+  } catch (err) {
+    console.error("createHoliday error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+exports.updateHoliday = async (req, res) => {
+  try {
+    const holidayId = parseInt(req.params.id, 10);
+    if (!holidayId) return res.status(400).json({ message: "Invalid holiday id" });
+
+    const holiday = await db.withClient((client) => updateHoliday(client, holidayId, req.body));
+    return res.json({ success: true, message: `Holiday "${holiday.title}" updated`, holiday });
+  } catch (err) {
+    console.error("updateHoliday error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+exports.deleteHoliday = async (req, res) => {
+  try {
+    const holidayId = parseInt(req.params.id, 10);
+    if (!holidayId) return res.status(400).json({ message: "Invalid holiday id" });
+
+    const holiday = await db.withClient((client) => deleteHoliday(client, holidayId));
+    return res.json({ success: true, message: `Holiday "${holiday.title}" removed` });
+  } catch (err) {
+    console.error("deleteHoliday error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// --- REDEEM VOUCHER (code shown on the customer's card page) ---
+exports.redeemVoucher = async (req, res) => {
+  try {
+    const code = String(req.body.code || "").trim();
+    if (!code) return res.status(400).json({ message: "Voucher code required" });
+
+    await expireStaleVouchers(db);
+    const result = await db.withClient(async (client) =>
+      redeemVoucher(client, { code, admin: req.admin, settings: await getProgramSettings(client), toWallet: Boolean(req.body.toWallet) })
+    );
+    return res.json({
+      success: true,
+      message: result.message,
+      voucher: result.voucher,
+      data: {
+        user_id: result.voucher.user_id,
+        current_stamps: result.currentStamps,
+        total_rewards: result.totalRewards,
+        redemption: result.redemption,
+        wallet_balance: result.walletBalance,
+      },
+    });
+  } catch (err) {
+    console.error("redeemVoucher error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// --- STAMP FLAGS (velocity rule review queue, OWNER ONLY) ---
+exports.getStampFlags = async (req, res) => {
+  try {
+    const status = ["open", "ok", "fraud", "all"].includes(req.query.status) ? req.query.status : "open";
+    const data = await listStampFlags(db, { status });
+    return res.json(data);
+  } catch (err) {
+    console.error("getStampFlags error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+exports.reviewStampFlag = async (req, res) => {
+  try {
+    const flag = await db.withClient((client) =>
+      reviewStampFlag(client, Number(req.params.id), { decision: req.body.decision, note: req.body.note }, req.admin)
+    );
+    return res.json({ message: flag.status === "fraud" ? "Marked as fraud" : "Marked as OK", flag });
+  } catch (err) {
+    console.error("reviewStampFlag error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// --- WALLET (store credit from rewards) ---
+exports.getWallet = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId, 10);
+    if (!userId) return res.status(400).json({ message: "Invalid user id" });
+
+    const wallet = await fetchWallet(db, userId, { limit: 50 });
+    return res.json(wallet);
+  } catch (err) {
+    console.error("getWallet error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+exports.debitWallet = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId, 10);
+    if (!userId) return res.status(400).json({ message: "Invalid user id" });
+    const { amount, billAmount, note } = req.body;
+
+    const result = await db.withClient((client) => debitWallet(client, { userId, amount, billAmount, note, admin: req.admin }));
+    return res.json({
+      success: true,
+      message: `₹${result.transaction.amount} taken from the wallet. Balance ₹${result.balance}.`,
+      balance: result.balance,
+      transaction: result.transaction,
+    });
+  } catch (err) {
+    console.error("debitWallet error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// --- CUSTOMER SESSIONS (log a member out of every device, e.g. a lost phone) ---
+exports.revokeCustomerSessions = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId, 10);
+    if (!userId) return res.status(400).json({ message: "Invalid user id" });
+
+    const count = await revokeAllSessions(db, userId, "admin");
+    return res.json({ success: true, message: `Logged out of ${count} device${count === 1 ? "" : "s"}.`, count });
+  } catch (err) {
+    console.error("revokeCustomerSessions error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// --- DELETION REQUESTS (members asking to erase their data, OWNER ONLY) ---
+exports.getDeletionRequests = async (req, res) => {
+  try {
+    const status = [...REQUEST_STATUSES, "all"].includes(req.query.status) ? req.query.status : "pending";
+    const data = await listDeletionRequests(db, { status });
+    return res.json(data);
+  } catch (err) {
+    console.error("getDeletionRequests error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+exports.reviewDeletionRequest = async (req, res) => {
+  try {
+    const request = await db.withClient((client) =>
+      reviewDeletionRequest(client, Number(req.params.id), { decision: req.body.decision, note: req.body.note }, req.admin)
+    );
+    return res.json({ message: request.status === "completed" ? "Member data erased" : "Request rejected", request });
+  } catch (err) {
+    console.error("reviewDeletionRequest error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// --- REWARD HISTORY (Redemption ledger for one member) ---
+exports.getRewardHistoryFor = async (req, res) => {
+  try {
+    const { memberCode } = req.params;
+    const uRes = await db.query(
+      `SELECT u.id, u.member_code, u.name, COALESCE(l.total_rewards, 0) AS total_rewards
+       FROM users u LEFT JOIN loyalty_accounts l ON l.user_id = u.id
+       WHERE u.member_code = $1`,
+      [memberCode]
+    );
+    if (!uRes.rows.length) return res.status(404).json({ message: "Member not found" });
+    const user = uRes.rows[0];
+
+    const redemptions = await fetchRedemptions(db, user.id, { limit: 100, includeAdmin: true });
+    return res.json({
+      memberCode: user.member_code,
+      name: user.name,
+      totalRewards: Number(user.total_rewards),
+      redemptions,
+    });
+  } catch (err) {
+    console.error("getRewardHistoryFor error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// --- TIER HISTORY (one member) ---
+exports.getTierHistory = async (req, res) => {
+  try {
+    const uRes = await db.query(
+      `SELECT u.id, u.member_code, u.name, l.tier
+       FROM users u LEFT JOIN loyalty_accounts l ON l.user_id = u.id
+       WHERE u.member_code = $1`,
+      [req.params.memberCode]
+    );
+    if (!uRes.rows.length) return res.status(404).json({ message: "Member not found" });
+    const user = uRes.rows[0];
+
+    const changes = await fetchTierChanges(db, user.id);
+    return res.json({ memberCode: user.member_code, name: user.name, tier: user.tier, changes });
+  } catch (err) {
+    console.error("getTierHistory error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
 // --- REMOVE STAMP (Legacy) ---
 exports.removeStamp = async (req, res) => {
   try {
@@ -253,20 +699,32 @@ exports.removeStamp = async (req, res) => {
         rewards = Number(laRes.rows[0].total_rewards);
       }
 
+      const before = { current, rewards };
       if (current > 0) {
-        await client.query(`DELETE FROM stamps_history WHERE user_id = $1 AND stamp_index = $2`, [user.id, current]);
+        await client.query(`DELETE FROM stamps_history WHERE user_id = $1 AND stamp_index = $2 AND carried = FALSE AND redemption_id IS NULL AND expired_at IS NULL`, [user.id, current]);
         current -= 1;
       } else if (rewards > 0) {
+        const { redeemStampTarget } = await getProgramSettings(client);
         rewards -= 1;
-        current = 11; 
+        current = redeemStampTarget;
       } else {
         return { card: { ...user, currentStamps: 0, totalRewards: 0 } };
       }
 
+      await recordEvent(client, {
+        userId: user.id,
+        type: rewards === before.rewards ? "stamp_revoked" : "adjustment",
+        stampsDelta: current - before.current,
+        rewardsDelta: rewards - before.rewards,
+        adminId: req.admin && req.admin.uid,
+        reason: "manual_remove",
+      });
+
       await client.query(
         `UPDATE loyalty_accounts SET current_stamps = $1, total_rewards = $2, updated_at = NOW() WHERE user_id = $3`,
         [current, rewards, user.id]
       );
+      if (rewards !== before.rewards) await refreshMemberTier(client, user.id, await getProgramSettings(client), "manual_remove");
 
       return { card: { ...user, currentStamps: current, totalRewards: rewards } };
     });
@@ -298,6 +756,10 @@ exports.undoLastStamp = async (req, res) => {
       return res.status(403).json({ message: "Admin not found" });
     }
 
+    if (!adminRes.rows[0].delete_password_hash) {
+      return res.status(403).json({ message: "Set an action password first" });
+    }
+
     const valid = await bcrypt.compare(
       password,
       adminRes.rows[0].delete_password_hash
@@ -324,9 +786,9 @@ exports.undoLastStamp = async (req, res) => {
       // Get last stamp (today only)
       const stampRes = await client.query(
         `
-        SELECT id, created_at
+        SELECT id, transaction_id, bonus_source, created_at
         FROM stamps_history
-        WHERE user_id = $1 AND stamp_index = $2
+        WHERE user_id = $1 AND stamp_index = $2 AND carried = FALSE AND redemption_id IS NULL AND expired_at IS NULL
         ORDER BY created_at DESC
         LIMIT 1
         `,
@@ -347,39 +809,76 @@ exports.undoLastStamp = async (req, res) => {
         };
       }
 
-      // Delete stamp history
-      await client.query(
-        "DELETE FROM stamps_history WHERE id = $1",
-        [stampRes.rows[0].id]
-      );
+      const { transaction_id: transactionId } = stampRes.rows[0];
+      const settings = await getProgramSettings(client);
+      let removed = 1;
+
+      if (transactionId) {
+        // Undo the whole bill: the referral it qualified (both bonuses), every stamp it earned
+        // (on this card or carried) and its transaction
+        await revokeReferral(client, { transactionId, settings, adminId, reason: "undo" });
+        const billStamps = await client.query(
+          "SELECT id, stamp_index, carried FROM stamps_history WHERE user_id = $1 AND transaction_id = $2 AND redemption_id IS NULL AND expired_at IS NULL",
+          [userId, transactionId]
+        );
+        const taken = await removeStamps(client, { userId, stamps: billStamps.rows, settings, transactionId, adminId, reason: "undo" });
+        removed = taken.onCard;
+        await client.query("DELETE FROM transactions WHERE id = $1", [transactionId]);
+      } else {
+        if (stampRes.rows[0].bonus_source) {
+          // Bonus stamp (birthday etc.): no bill behind it
+          await client.query("DELETE FROM stamps_history WHERE id = $1", [stampRes.rows[0].id]);
+        } else {
+          // Delete stamp history
+          await client.query(
+            "DELETE FROM stamps_history WHERE id = $1",
+            [stampRes.rows[0].id]
+          );
+
+          // Delete latest transaction for this user today
+          await client.query(
+            `
+            DELETE FROM transactions
+            WHERE id = (
+              SELECT id FROM transactions
+              WHERE user_id = $1
+                AND stamp_added = true
+                AND DATE(created_at) = CURRENT_DATE
+              ORDER BY created_at DESC
+              LIMIT 1
+            )
+            `,
+            [userId]
+          );
+        }
 
-      // Delete latest transaction for this user today
-      await client.query(
-        `
-        DELETE FROM transactions
-        WHERE id = (
-          SELECT id FROM transactions
-          WHERE user_id = $1
-            AND stamp_added = true
-            AND DATE(created_at) = CURRENT_DATE
-          ORDER BY created_at DESC
-          LIMIT 1
-        )
-        `,
-        [userId]
-      );
+        // Update loyalty account
+        await client.query(
+          "UPDATE loyalty_accounts SET current_stamps = $1, updated_at = NOW() WHERE user_id = $2",
+          [current - removed, userId]
+        );
+        await recordEvent(client, {
+          userId,
+          type: "stamp_revoked",
+          stampsDelta: -removed,
+          adminId,
+          reason: "undo",
+        });
+
+        // Move carried stamps onto the freed slot
+        await promoteCarriedStamps(client, userId, settings);
+      }
 
-      // Update loyalty account
-      await client.query(
-        "UPDATE loyalty_accounts SET current_stamps = $1, updated_at = NOW() WHERE user_id = $2",
-        [current - 1, userId]
-      );
+      const newStamps = (await client.query("SELECT current_stamps FROM loyalty_accounts WHERE user_id = $1", [userId])).rows[0].current_stamps;
+      await refreshMemberTier(client, userId, settings, "undo");
 
-      return { success: true, current_stamps: current - 1 };
+      return { success: true, current_stamps: newStamps, stamps_removed: removed };
     });
 
     return res.json({
-      message: "Last stamp undone successfully",
+      message: result.stamps_removed > 1
+        ? `Last bill undone (${result.stamps_removed} stamps removed)`
+        : "Last stamp undone successfully",
       data: result,
     });
 
@@ -392,12 +891,280 @@ exports.undoLastStamp = async (req, res) => {
 };
 
 
+// --- REFUND ONLINE TRANSACTION (ADMIN ONLY, PASSWORD PROTECTED) ---
+exports.refundTransaction = async (req, res) => {
+  try {
+    const transactionId = Number(req.params.id);
+    const { amount, password, reason, force } = req.body;
+    const adminId = req.admin.uid;
+
+    if (!transactionId || !password) {
+      return res.status(400).json({ message: "Transaction and password required" });
+    }
+
+    // 1️⃣ Verify admin delete password
+    const adminRes = await db.query(
+      "SELECT delete_password_hash FROM admin_users WHERE id = $1",
+      [adminId]
+    );
+
+    if (!adminRes.rows.length || !adminRes.rows[0].delete_password_hash) {
+      return res.status(403).json({ message: "Delete password not configured" });
+    }
+
+    const valid = await bcrypt.compare(password, adminRes.rows[0].delete_password_hash);
+    if (!valid) {
+      return res.status(401).json({ message: "Invalid admin password" });
+    }
+
+    const provider = getPaymentProvider();
+    if (!provider) {
+      return res.status(503).json({ message: "Payment gateway is not configured on this environment" });
+    }
+
+    // 2️⃣ Book the refund as pending (amount reserved, stamp taken back) and commit before the gateway call
+    const booked = await db.withClient(async (client) => {
+      const oRes = await client.query(
+        `SELECT id, amount, refunded_amount, razorpay_payment_id
+         FROM payment_orders WHERE transaction_id = $1 AND status IN ('paid', 'refunded') FOR UPDATE`,
+        [transactionId]
+      );
+      if (!oRes.rows.length || !oRes.rows[0].razorpay_payment_id) {
+        throw { status: 400, message: "Only online payments can be refunded" };
+      }
+      const order = oRes.rows[0];
+
+      const transaction = await lockTransaction(client, transactionId);
+      if (!transaction) throw { status: 404, message: "Transaction not found" };
+
+      // refunded_amount already counts refunds still waiting on the gateway
+      const refundable = Number(order.amount) - Number(order.refunded_amount || 0);
+      const refundAmount = amount === undefined || amount === null || amount === "" ? refundable : Number(amount);
+      if (!Number.isFinite(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+        throw { status: 400, message: `Refund amount must be between 1 and ${refundable}` };
+      }
+
+      // Take the stamp back first: a redeemed stamp blocks the refund unless forced
+      const { stampReversed, stampsReversed, flag } = await reverseStampForRefund(client, {
+        transaction,
+        amount: refundAmount,
+        force: Boolean(force),
+        adminId: req.admin.uid,
+      });
+
+      const row = await recordRefund(client, {
+        transaction,
+        orderId: order.id,
+        amount: refundAmount,
+        stampReversed,
+        stampsReversed,
+        flag,
+        reason,
+        adminId,
+        status: "pending",
+      });
+
+      await client.query(
+        `UPDATE payment_orders
+         SET refunded_amount = refunded_amount + $2, refunded_at = NOW(),
+             status = CASE WHEN refunded_amount + $2 >= amount THEN 'refunded' ELSE status END,
+             updated_at = NOW()
+         WHERE id = $1`,
+        [order.id, refundAmount]
+      );
+
+      return { row, paymentId: order.razorpay_payment_id };
+    });
+
+    // 3️⃣ Ask the gateway, holding no locks. A refusal undoes the booking; no answer at all
+    // leaves it pending for the refund.processed / refund.failed webhook.
+    let refund;
+    try {
+      refund = await provider.refundPayment(booked.paymentId, {
+        amount: Math.round(Number(booked.row.amount) * 100),
+        notes: {
+          transactionId: String(transactionId),
+          refundRowId: String(booked.row.id),
+          reason: reason ? String(reason).slice(0, 200) : "",
+        },
+      });
+    } catch (err) {
+      console.error("Refund gateway error:", err);
+      if (err && err.error && err.error.description) {
+        await db.withClient((client) => markRefundFailed(client, { refundRowId: booked.row.id, error: err.error.description }));
+        return res.status(502).json({ message: `Gateway refused refund: ${err.error.description}` });
+      }
+      return res.status(202).json({
+        success: true,
+        message: `Refund of ₹${Number(booked.row.amount)} sent, but the gateway did not confirm it yet. It will update when the gateway reports back.`,
+        data: { refund: booked.row },
+      });
+    }
+
+    const settled = await db.withClient((client) => recordGatewayRefund(client, { refundRowId: booked.row.id, refund }));
+    const result = { refund: settled || booked.row, razorpayRefundId: refund.id };
+
+    let message = `Refunded ₹${Number(result.refund.amount)}.`;
+    if (refund.status !== "processed") message = `Refund of ₹${Number(result.refund.amount)} is being processed by the gateway.`;
+    if (result.refund.stamps_reversed > 1) message += ` ${result.refund.stamps_reversed} stamps removed from the card.`;
+    else if (result.refund.stamp_reversed) message += " Stamp removed from the card.";
+    if (result.refund.flag) message += " Stamp was already redeemed - refund flagged.";
+
+    return res.json({ success: true, message, data: result });
+  } catch (err) {
+    console.error("Refund error:", err);
+    if (err && err.status) {
+      return res.status(err.status).json({ message: err.message, code: err.code });
+    }
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// --- PROGRAM SETTINGS (OWNER ONLY) ---
+exports.getSettings = async (req, res) => {
+  try {
+    const settings = await getProgramSettings();
+    return res.json({ settings });
+  } catch (err) {
+    console.error("getSettings error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+exports.updateSettings = async (req, res) => {
+  try {
+    const settings = await db.withClient((client) =>
+      updateProgramSettings(client, req.body, req.admin.uid)
+    );
+
+    let message = "Program settings updated";
+    if (req.body && (req.body.tiers !== undefined || req.body.tierBasis !== undefined)) {
+      const { changed } = await recomputeAllTiers(settings);
+      if (changed > 0) message += `. ${changed} member(s) changed tier.`;
+    }
+    return res.json({ success: true, message, settings });
+  } catch (err) {
+    console.error("updateSettings error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// --- LOYALTY LEDGER (OWNER ONLY) ---
+// Events for one member plus a drift check of loyalty_accounts against them.
+exports.getLedger = async (req, res) => {
+  try {
+    const { memberCode } = req.params;
+    const limit = Math.min(Number(req.query.limit) || 200, 1000);
+
+    const result = await db.withClient(async (client) => {
+      const uRes = await client.query("SELECT id, member_code, name FROM users WHERE member_code = $1", [memberCode]);
+      if (!uRes.rows.length) throw { status: 404, message: "Member not found" };
+      const user = uRes.rows[0];
+
+      const eRes = await client.query(
+        `SELECT id, event_type, stamps_delta, carried_delta, rewards_delta, transaction_id, redemption_id, admin_id, reason, meta, created_at
+         FROM loyalty_events WHERE user_id = $1
+         ORDER BY id DESC
+         LIMIT $2`,
+        [user.id, limit]
+      );
+      const check = await rebuildAccount(client, user.id);
+
+      return { memberCode: user.member_code, name: user.name, ...check, events: eRes.rows };
+    });
+
+    return res.json(result);
+  } catch (err) {
+    console.error("getLedger error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Overwrite the member's loyalty_accounts balances from the ledger and report what changed.
+exports.rebuildLedgerAccount = async (req, res) => {
+  try {
+    const { memberCode } = req.params;
+
+    const result = await db.withClient(async (client) => {
+      const uRes = await client.query("SELECT id FROM users WHERE member_code = $1", [memberCode]);
+      if (!uRes.rows.length) throw { status: 404, message: "Member not found" };
+      return rebuildAccount(client, uRes.rows[0].id, { apply: true });
+    });
+
+    let message = "No drift. Account matches the ledger.";
+    if (result.rebuilt) message = "Account rebuilt from the ledger.";
+    if (result.drift.carried !== 0) message += ` Carried stamps differ by ${result.drift.carried} and need a manual check.`;
+
+    return res.json({ success: true, message, ...result });
+  } catch (err) {
+    console.error("rebuildLedgerAccount error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// --- STAMP EXPIRY (OWNER ONLY) ---
+exports.getExpiryReport = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const report = await fetchExpiryReport(db, { days });
+    return res.json(report);
+  } catch (err) {
+    console.error("getExpiryReport error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Apply the expiry policy now instead of waiting for the scheduled job.
+exports.runStampExpiry = async (req, res) => {
+  try {
+    const summary = await runExpiryJob();
+    const message = summary.mode === "none"
+      ? "Stamp expiry is turned off."
+      : `${summary.stampsExpired + summary.carriedExpired} stamp(s) expired across ${summary.members} member(s).`;
+    return res.json({ success: true, message, summary });
+  } catch (err) {
+    console.error("runStampExpiry error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// --- BIRTHDAYS ---
+// Members with a birthday in the next `days` days (default this week), with their bonus status.
+exports.getUpcomingBirthdays = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 0), 60);
+    const birthdays = await fetchUpcomingBirthdays(db, { days });
+    return res.json({ days, birthdays });
+  } catch (err) {
+    console.error("getUpcomingBirthdays error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+exports.redeemBirthdayTreat = async (req, res) => {
+  try {
+    const bonusId = parseInt(req.params.id, 10);
+    if (!bonusId) return res.status(400).json({ message: "Invalid birthday bonus id" });
+
+    const bonus = await db.withClient((client) => redeemBirthdayTreat(client, bonusId, req.admin.uid));
+    return res.json({ success: true, message: "Birthday treat redeemed 🎂", bonus });
+  } catch (err) {
+    console.error("redeemBirthdayTreat error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
 // --- GET INSIGHTS ---
 exports.getInsights = async (req, res) => {
   try {
     const result = await db.query(`
       SELECT 
-        id, member_code, customer_name, amount, payment_method, stamp_added, created_at 
+        id, member_code, customer_name, amount, payment_method, stamp_added, created_at,
+        refunded_amount, refund_flag, bill_number
       FROM transactions 
       ORDER BY created_at DESC 
       LIMIT 500
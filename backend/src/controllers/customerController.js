@@ -1,23 +1,67 @@
 const db = require("../config/db");
-const Razorpay = require("razorpay");
-
-const MIN_STAMP_AMOUNT = 500;
-const REDEEM_STAMP_TARGET = 11;
-
-function getRazorpayClient() {
-  const keyId = process.env.RAZORPAY_KEY_ID;
-  const keySecret = process.env.RAZORPAY_KEY_SECRET;
-
-  if (!keyId || !keySecret) {
-    return null;
+const { getPaymentProvider } = require("../utils/paymentProvider");
+const { fetchPendingPayments, settleOrderPayment, markOrderFailed } = require("../utils/paymentOrders");
+const { getProgramSettings, publicProgramSettings } = require("../utils/programSettings");
+const { fetchRedemptions } = require("../utils/redemptions");
+const { expiryWarning } = require("../utils/stampExpiry");
+const { activeBirthdayBonus } = require("../utils/birthdays");
+const { tierProgress } = require("../utils/tiers");
+const { availableRewards } = require("../utils/rewardCatalog");
+const { issueVoucher, fetchVoucher, activeVoucher } = require("../utils/vouchers");
+const { activeCampaigns } = require("../utils/campaigns");
+const { ensureReferralCode, recordReferral, referralSummary } = require("../utils/referrals");
+const { holidayOn, assertOpenFor } = require("../utils/holidays");
+const { fetchWallet } = require("../utils/wallet");
+const { requestOtp, verifyOtp } = require("../utils/otp");
+const { openSession, refreshSession, revokeSession, revokeAllSessions } = require("../utils/customerSessions");
+const { fetchProfile, updateProfile, startPhoneChange, changePhone } = require("../utils/profile");
+const { exportMemberData, exportToCsv, latestDeletionRequest, requestDeletion, cancelDeletion } = require("../utils/memberData");
+
+const PAYABLE_PAYMENT_STATUSES = ["authorized", "captured"];
+
+// --- Verification Code (SMS) before login or registration ---
+// Answers the same for members and new numbers; login / register decide after the code checks out.
+exports.requestOtp = async (req, res) => {
+  try {
+    const phone = String(req.body.phone || "").trim();
+    const result = await db.withClient((client) => requestOtp(client, { phone, purpose: "sign_in" }));
+    return res.json({ message: "Code sent", ...result });
+  } catch (err) {
+    console.error("requestOtp error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
   }
+};
 
-  return new Razorpay({ key_id: keyId, key_secret: keySecret });
+// The member with this phone, logged in on a new session, or null for a new number.
+async function signInMember(client, phone, userAgent) {
+  const userRes = await client.query(
+    `SELECT u.id, u.member_code, u.name, u.phone, 
+            COALESCE(l.current_stamps, 0) as current_stamps, 
+            COALESCE(l.total_rewards, 0) as total_rewards
+     FROM users u
+     LEFT JOIN loyalty_accounts l ON l.user_id = u.id
+     WHERE TRIM(u.phone) = $1`,
+    [phone]
+  );
+  if (userRes.rows.length === 0) return null;
+  const row = userRes.rows[0];
+  const session = await openSession(client, row, { userAgent });
+  return {
+    ...session,
+    card: {
+      memberCode: row.member_code,
+      name: row.name,
+      phone: row.phone,
+      currentStamps: Number(row.current_stamps),
+      totalRewards: Number(row.total_rewards),
+    },
+  };
 }
 
 // --- Register Customer ---
 exports.registerCustomer = async (req, res) => {
-  const { name, phone, dob } = req.body;
+  const { name, phone, dob, referralCode, otp } = req.body;
   if (!name || !phone) {
     return res.status(400).json({ message: "Name and phone are required" });
   }
@@ -25,10 +69,13 @@ exports.registerCustomer = async (req, res) => {
 
   try {
     const result = await db.withClient(async (client) => {
-      // 1. Check if phone exists
-      const ex = await client.query("SELECT id FROM users WHERE TRIM(phone) = $1 LIMIT 1", [trimmedPhone]);
-      if (ex.rows.length > 0) {
-        return { status: 409, body: { message: "Phone number already exists. Please Login." } };
+      // 1. The number must be verified with the code we texted it
+      await verifyOtp(client, { phone: trimmedPhone, purpose: "sign_in", code: otp });
+
+      // Already a member: the code proved the phone, so open their card instead
+      const existing = await signInMember(client, trimmedPhone, req.headers["user-agent"]);
+      if (existing) {
+        return { status: 200, body: { message: "You already have a card. Welcome back!", ...existing } };
       }
 
       // 2. Generate CR Code
@@ -53,16 +100,27 @@ exports.registerCustomer = async (req, res) => {
         [user.id]
       );
 
+      // 5. Own referral code, and the referral that brought them here (rewarded on the first stamped bill)
+      const ownReferralCode = await ensureReferralCode(client, user.id);
+      if (referralCode && String(referralCode).trim()) {
+        await recordReferral(client, { referee: user, code: referralCode });
+      }
+
+      // 6. Log the new member in
+      const session = await openSession(client, user, { userAgent: req.headers["user-agent"] });
+
       return {
         status: 201,
         body: {
           message: "Registration successful",
+          ...session,
           card: {
             memberCode: user.member_code,
             name: user.name,
             phone: user.phone,
             currentStamps: 0,
             totalRewards: 0,
+            referralCode: ownReferralCode,
           },
         },
       };
@@ -73,6 +131,7 @@ exports.registerCustomer = async (req, res) => {
 
   } catch (err) {
     console.error("Register Error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
     return res.status(500).json({ message: "Server error", error: err.message });
   }
 };
@@ -80,84 +139,235 @@ exports.registerCustomer = async (req, res) => {
 // --- Login By Phone ---
 exports.loginByPhone = async (req, res) => {
   try {
-    const { phone } = req.body;
+    const { phone, otp } = req.body;
     if (!phone) return res.status(400).json({ message: "Phone is required" });
 
     const trimmedPhone = phone.trim();
 
-    const userRes = await db.query(
-      `SELECT u.id, u.member_code, u.name, u.phone, 
-              COALESCE(l.current_stamps, 0) as current_stamps, 
-              COALESCE(l.total_rewards, 0) as total_rewards
-       FROM users u
-       LEFT JOIN loyalty_accounts l ON l.user_id = u.id
-       WHERE TRIM(u.phone) = $1`,
-      [trimmedPhone]
-    );
+    const signedIn = await db.withClient(async (client) => {
+      await verifyOtp(client, { phone: trimmedPhone, purpose: "sign_in", code: otp });
+      const member = await signInMember(client, trimmedPhone, req.headers["user-agent"]);
+      // Rolls the code back, so it can still create the card on the register page
+      if (!member) throw { status: 404, message: "There's no card for this number yet. Please register." };
+      return member;
+    });
+
+    return res.json({ message: "Login successful", ...signedIn });
+  } catch (error) {
+    console.error("Login Error:", error);
+    if (error && error.status) return res.status(error.status).json({ message: error.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// --- Session Tokens (refresh, logout) ---
+exports.refreshToken = async (req, res) => {
+  try {
+    const result = await db.withClient((client) => refreshSession(client, req.body.refreshToken));
+    if (result.reused) return res.status(401).json({ message: "This login was used somewhere else. Please log in again." });
+    return res.json(result);
+  } catch (err) {
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    console.error("refreshToken error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
 
-    if (userRes.rows.length === 0) {
-      return res.status(404).json({ message: "No customer found with this phone number" });
+// Ends this session, or every session of the member with { everywhere: true }.
+exports.logout = async (req, res) => {
+  try {
+    if (req.body && req.body.everywhere) {
+      const count = await revokeAllSessions(db, req.customer.id);
+      return res.json({ message: `Logged out on ${count} device${count === 1 ? "" : "s"}` });
     }
+    await revokeSession(db, req.customer.sessionId);
+    return res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("logout error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
 
-    const row = userRes.rows[0];
+// --- Profile (customerAuth) ---
+exports.getProfile = async (req, res) => {
+  try {
+    const profile = await db.withClient((client) => fetchProfile(client, req.customer.id));
+    return res.json({ profile });
+  } catch (err) {
+    console.error("getProfile error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
 
-    return res.json({
-      message: "Login successful",
-      card: {
-        memberCode: row.member_code,
-        name: row.name,
-        phone: row.phone,
-        currentStamps: Number(row.current_stamps),
-        totalRewards: Number(row.total_rewards),
-      },
-    });
-  } catch (error) {
-    console.error("Login Error:", error);
+// Name, DOB and marketing preferences
+exports.updateProfile = async (req, res) => {
+  try {
+    const profile = await db.withClient((client) => updateProfile(client, req.customer.id, req.body || {}));
+    return res.json({ message: "Profile updated", profile });
+  } catch (err) {
+    console.error("updateProfile error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
     return res.status(500).json({ message: "Server error" });
   }
 };
 
-// --- Get Card ---
-exports.getCard = async (req, res) => {
+// Phone change, step 1: text a code to the current and the new number
+exports.requestPhoneChange = async (req, res) => {
   try {
-    const { memberCode } = req.params;
-    const phone = (req.query.phone || "").trim();
+    const result = await db.withClient((client) => startPhoneChange(client, req.customer.id, req.body.newPhone));
+    return res.json({ message: "Codes sent to both numbers", ...result });
+  } catch (err) {
+    console.error("requestPhoneChange error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
 
-    if (!memberCode || !phone) return res.status(400).json({ message: "Data missing" });
+// Phone change, step 2: both codes move the card (stamps, rewards, history) to the new number
+exports.confirmPhoneChange = async (req, res) => {
+  try {
+    const { newPhone, oldCode, newCode } = req.body;
+    const profile = await db.withClient((client) => changePhone(client, req.customer.id, { newPhone, oldCode, newCode }));
+    return res.json({ message: "Phone number changed", profile });
+  } catch (err) {
+    console.error("confirmPhoneChange error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
 
-    const result = await db.withClient(async (client) => {
-      // 1. Fetch User & Account
-      const cardRes = await client.query(
-        `SELECT u.id, u.member_code, u.name, u.phone, 
-                COALESCE(l.current_stamps, 0) as current_stamps, 
-                COALESCE(l.total_rewards, 0) as total_rewards
-         FROM users u
-         LEFT JOIN loyalty_accounts l ON l.user_id = u.id
-         WHERE u.member_code = $1 AND TRIM(u.phone) = $2`,
-        [memberCode, phone]
-      );
+// --- My Data (export and deletion request, customerAuth) ---
+exports.exportData = async (req, res) => {
+  try {
+    const data = await db.withClient((client) => exportMemberData(client, req.customer.id));
+    const fileName = `cakeroven-${req.customer.memberCode}-${data.exportedAt.slice(0, 10)}`;
 
-      if (cardRes.rows.length === 0) return null;
-      const row = cardRes.rows[0];
+    if (req.query.format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${fileName}.csv"`);
+      return res.send(exportToCsv(data));
+    }
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}.json"`);
+    return res.json(data);
+  } catch (err) {
+    console.error("exportData error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
 
-      // 2. Fetch History (Added Amount Column)
-      const historyRes = await client.query(
-        `SELECT stamp_index, amount, created_at 
-         FROM stamps_history 
-         WHERE user_id = $1 
-         ORDER BY stamp_index ASC`,
-        [row.id]
-      );
+exports.getDeletionRequest = async (req, res) => {
+  try {
+    const request = await latestDeletionRequest(db, req.customer.id);
+    return res.json({ request });
+  } catch (err) {
+    console.error("getDeletionRequest error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
 
-      return {
-        memberCode: row.member_code,
-        name: row.name,
-        phone: row.phone,
-        currentStamps: Number(row.current_stamps),
-        totalRewards: Number(row.total_rewards),
-        history: historyRes.rows // ✅ Send History to Frontend
-      };
-    });
+exports.requestDeletion = async (req, res) => {
+  try {
+    const request = await db.withClient((client) => requestDeletion(client, req.customer.id));
+    return res.status(201).json({ message: "Deletion requested. We'll confirm once it's done.", request });
+  } catch (err) {
+    console.error("requestDeletion error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+exports.cancelDeletion = async (req, res) => {
+  try {
+    const request = await db.withClient((client) => cancelDeletion(client, req.customer.id));
+    return res.json({ message: "Deletion request cancelled", request });
+  } catch (err) {
+    console.error("cancelDeletion error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// --- Get Card ---
+// Everything the card page shows for one member (null when there is no such member).
+async function loadCard(client, userId) {
+  // 1. Fetch User & Account
+  const cardRes = await client.query(
+    `SELECT u.id, u.member_code, u.name, u.phone, 
+            COALESCE(l.current_stamps, 0) as current_stamps, 
+            COALESCE(l.total_rewards, 0) as total_rewards
+     FROM users u
+     LEFT JOIN loyalty_accounts l ON l.user_id = u.id
+     WHERE u.id = $1`,
+    [userId]
+  );
+
+  if (cardRes.rows.length === 0) return null;
+  const row = cardRes.rows[0];
+
+  // 2. Fetch History (Added Amount Column); carried stamps wait for the next card
+  const historyRes = await client.query(
+    `SELECT h.stamp_index, h.amount, h.transaction_id, h.bonus_source, h.campaign_id, c.name AS campaign_name, h.created_at 
+     FROM stamps_history h
+     LEFT JOIN campaigns c ON c.id = h.campaign_id
+     WHERE h.user_id = $1 AND h.carried = FALSE AND h.redemption_id IS NULL AND h.expired_at IS NULL
+     ORDER BY h.stamp_index ASC`,
+    [row.id]
+  );
+  const carriedRes = await client.query(
+    "SELECT COUNT(*)::int AS n FROM stamps_history WHERE user_id = $1 AND carried = TRUE AND expired_at IS NULL",
+    [row.id]
+  );
+
+  // 3. Unpaid / failed online payments
+  const pendingPayments = await fetchPendingPayments(client, row.id);
+
+  // 4. Past completed cards
+  const pastCards = await fetchRedemptions(client, row.id, { limit: 10 });
+
+  // 5. Stamps about to expire
+  const settings = await getProgramSettings(client);
+  const expiring = await expiryWarning(client, row.id, settings);
+
+  // 6. Birthday bonus while its window is open
+  const birthdayBonus = await activeBirthdayBonus(client, row.id);
+
+  // 7. Membership tier and progress to the next one
+  const tier = await tierProgress(client, row.id, settings);
+
+  // 8. Live redemption voucher, if one was asked for
+  const voucher = await activeVoucher(client, row.id);
+
+  // 9. Referral code to share, and how it has done
+  const referral = { code: await ensureReferralCode(client, row.id), ...(await referralSummary(client, row.id)) };
+
+  // 10. Store-credit wallet balance and recent spends
+  const wallet = await fetchWallet(client, row.id, { limit: 10 });
+
+  return {
+    memberCode: row.member_code,
+    name: row.name,
+    phone: row.phone,
+    currentStamps: Number(row.current_stamps),
+    totalRewards: Number(row.total_rewards),
+    carriedStamps: carriedRes.rows[0].n,
+    history: historyRes.rows, // ✅ Send History to Frontend
+    pendingPayments,
+    pastCards,
+    expiring,
+    birthdayBonus,
+    tier,
+    voucher,
+    referral,
+    wallet
+  };
+}
+
+// The logged-in member's card (customerAuth)
+exports.getCard = async (req, res) => {
+  try {
+    const result = await db.withClient((client) => loadCard(client, req.customer.id));
 
     if (!result) return res.status(404).json({ message: "Card not found" });
     return res.json({ card: result });
@@ -168,11 +378,105 @@ exports.getCard = async (req, res) => {
   }
 };
 
-// --- Create Order (Razorpay) ---
+// --- Program Settings (public: the card page renders from these) ---
+exports.getProgram = async (req, res) => {
+  try {
+    const settings = publicProgramSettings(await getProgramSettings());
+    return res.json({ settings });
+  } catch (error) {
+    console.error("GetProgram Error:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// --- Reward catalog (what can be redeemed today) ---
+exports.getRewards = async (req, res) => {
+  try {
+    const rewards = await availableRewards(db);
+    return res.json({
+      rewards: rewards.map(({ id, name, description, image_url, stamp_cost, value, ends_on }) => ({
+        id, name, description, image_url, stamp_cost, value, ends_on,
+      })),
+    });
+  } catch (error) {
+    console.error("GetRewards Error:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// --- Campaigns running now (card page banner) ---
+exports.getActiveCampaigns = async (req, res) => {
+  try {
+    const campaigns = await activeCampaigns(db);
+    return res.json({
+      campaigns: campaigns.map(({ id, name, banner, kind, multiplier, bonus_stamps, min_amount, end_time, ends_on, first_visit_of_month }) => ({
+        id, name, banner, kind, multiplier, bonus_stamps, min_amount, end_time, ends_on, first_visit_of_month,
+      })),
+    });
+  } catch (error) {
+    console.error("GetActiveCampaigns Error:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// --- Today's holiday (card page notice; stamping/payments may be closed) ---
+exports.getHoliday = async (req, res) => {
+  try {
+    const holiday = await holidayOn(db);
+    return res.json({
+      holiday: holiday && {
+        date: holiday.holiday_date,
+        title: holiday.title,
+        message: holiday.message,
+        blockStamps: holiday.block_stamps,
+        blockPayments: holiday.block_payments,
+      },
+    });
+  } catch (error) {
+    console.error("GetHoliday Error:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// --- Redemption Vouchers (shown at the counter, redeemed by staff) ---
+exports.createVoucher = async (req, res) => {
+  try {
+    const { rewardId } = req.body;
+
+    const voucher = await db.withClient(async (client) =>
+      issueVoucher(client, { userId: req.customer.id, rewardId, settings: await getProgramSettings(client) })
+    );
+    return res.status(201).json({ message: "Show this code at the counter", voucher });
+  } catch (error) {
+    console.error("CreateVoucher Error:", error);
+    if (error && error.status) return res.status(error.status).json({ message: error.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// The card page polls this while a code is on screen; once redeemed it sends the updated card.
+exports.getVoucherStatus = async (req, res) => {
+  try {
+    const result = await db.withClient(async (client) => {
+      const voucher = await fetchVoucher(client, { code: req.params.code, userId: req.customer.id });
+      if (!voucher) throw { status: 404, message: "Voucher not found" };
+      if (voucher.status === "issued" && new Date(voucher.expires_at) <= new Date()) voucher.status = "expired";
+      const card = voucher.status === "redeemed" ? await loadCard(client, req.customer.id) : undefined;
+      return { voucher, card };
+    });
+    return res.json(result);
+  } catch (error) {
+    console.error("GetVoucherStatus Error:", error);
+    if (error && error.status) return res.status(error.status).json({ message: error.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// --- Create Order (Razorpay or fake gateway) ---
 exports.createOrder = async (req, res) => {
   try {
-    const razorpay = getRazorpayClient();
-    if (!razorpay) {
+    const provider = getPaymentProvider();
+    if (!provider) {
       return res.status(503).json({
         success: false,
         message: "Payment gateway is not configured on this environment",
@@ -180,102 +484,130 @@ exports.createOrder = async (req, res) => {
     }
 
     const { amount } = req.body;
-    
-    if (!amount) return res.status(400).json({ message: "Amount is required" });
+    const numAmount = Number(amount);
+
+    if (!amount || !Number.isFinite(numAmount) || numAmount <= 0) {
+      return res.status(400).json({ message: "Amount is required" });
+    }
+
+    const uRes = await db.query("SELECT id, member_code FROM users WHERE id = $1", [req.customer.id]);
+    if (uRes.rows.length === 0) return res.status(404).json({ success: false, message: "User not found" });
+    const user = uRes.rows[0];
+
+    // No new payments on a holiday that blocks them
+    await assertOpenFor(db, "payments");
 
     const options = {
-      amount: amount * 100, // Convert to paise
+      amount: Math.round(numAmount * 100), // Convert to paise
       currency: "INR",
-      receipt: "receipt_" + Date.now(),
+      receipt: `${user.member_code}_${Date.now()}`,
+      notes: { memberCode: user.member_code },
     };
 
-    const order = await razorpay.orders.create(options);
+    const order = await provider.createOrder(options);
+
+    // Remember the order so the stamp amount is derived from it, not from the browser
+    await db.query(
+      `INSERT INTO payment_orders (user_id, member_code, amount, currency, razorpay_order_id, status, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, 'created', NOW(), NOW())`,
+      [user.id, user.member_code, order.amount / 100, order.currency, order.id]
+    );
 
     res.json({
       success: true,
       orderId: order.id,
       amount: order.amount,
-      currency: order.currency
+      currency: order.currency,
+      provider: provider.name,
+      keyId: provider.keyId
     });
   } catch (error) {
-    console.error("Razorpay Create Order Error:", error);
+    console.error("Create Order Error:", error);
+    if (error && error.status) return res.status(error.status).json({ success: false, message: error.message });
     res.status(500).json({ success: false, message: "Order creation failed" });
   }
 };
 
+// --- Report Failed Payment (from checkout's payment.failed) ---
+exports.reportPaymentFailed = async (req, res) => {
+  try {
+    const { orderId, reason } = req.body;
+    if (!orderId) return res.status(400).json({ message: "Data missing" });
+
+    // Only an unpaid order of this member can be marked failed; Razorpay allows retrying the same order.
+    const updated = await markOrderFailed(db, { orderId, memberCode: req.customer.memberCode, reason });
+
+    return res.json({ success: true, updated });
+  } catch (error) {
+    console.error("Payment Failed Report Error:", error);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
 // --- Add Online Stamp (Updated with Strict Logic & Transactions Table) ---
 exports.addOnlineStamp = async (req, res) => {
-  const { memberCode, amount } = req.body;
+  const { paymentId, orderId, signature } = req.body;
+  const { memberCode } = req.customer;
+
+  if (!paymentId || !orderId || !signature) {
+    return res.status(400).json({ message: "Payment details missing" });
+  }
 
-  if (!memberCode || !amount || amount <= 0) {
-    return res.status(400).json({ message: "Invalid amount" });
+  const provider = getPaymentProvider();
+  if (!provider) {
+    return res.status(503).json({ message: "Payment gateway is not configured on this environment" });
   }
 
-  const numAmount = Number(amount);
+  // 1. Signature proves the gateway issued this payment for this order
+  if (!provider.verifyPaymentSignature({ orderId, paymentId, signature })) {
+    return res.status(400).json({ message: "Payment verification failed" });
+  }
 
+  let payment;
   try {
-    const result = await db.withClient(async (client) => {
-      // 1. Get User
-      const uRes = await client.query("SELECT id, member_code, name, phone FROM users WHERE member_code = $1 FOR UPDATE", [memberCode]);
-      if (uRes.rows.length === 0) throw { status: 404, message: "User not found" };
-      const user = uRes.rows[0];
-
-      // 2. Get Loyalty Info
-      const lRes = await client.query("SELECT current_stamps, total_rewards FROM loyalty_accounts WHERE user_id = $1 FOR UPDATE", [user.id]);
-      
-      let currentStamps = 0;
-      let totalRewards = 0;
-      
-      if (lRes.rows.length > 0) {
-        currentStamps = Number(lRes.rows[0].current_stamps || 0);
-        totalRewards = Number(lRes.rows[0].total_rewards || 0);
-      } else {
-        await client.query("INSERT INTO loyalty_accounts (user_id, current_stamps, total_rewards) VALUES ($1,0,0)", [user.id]);
-      }
+    payment = await provider.fetchPayment(paymentId);
+  } catch (err) {
+    console.error("Payment Verify Error:", err);
+    return res.status(502).json({ message: "Could not verify payment with gateway" });
+  }
 
-      let stampAdded = false;
-      let reason = "success";
-      let newStamps = currentStamps;
-
-      // 3. Logic Checks
-      if (numAmount < MIN_STAMP_AMOUNT) {
-        reason = "low_amount";
-        // Money collected (< threshold), but NO stamp given
-        // Per requirement: DO NOT log transaction if amount is below threshold
-      } else if (currentStamps >= REDEEM_STAMP_TARGET) {
-        reason = "limit_reached";
-        // Money collected, but NO stamp given (User needs to redeem)
-        // "For transaction which the stamp availed only should be seen" -> Only log if stamp added.
-      } else {
-        // Condition Met: Add Stamp
-        stampAdded = true;
-        newStamps = currentStamps + 1;
-        await client.query("UPDATE loyalty_accounts SET current_stamps = $1, updated_at = NOW() WHERE user_id = $2", [newStamps, user.id]);
-        
-        // Reset History for this slot (Overwrite old stamp data for this index)
-        await client.query("DELETE FROM stamps_history WHERE user_id = $1 AND stamp_index = $2", [user.id, newStamps]);
-        await client.query("INSERT INTO stamps_history (user_id, stamp_index, amount, created_at) VALUES ($1, $2, $3, NOW())", [user.id, newStamps, numAmount]);
-      }
+  if (payment.order_id !== orderId || !PAYABLE_PAYMENT_STATUSES.includes(payment.status)) {
+    return res.status(400).json({ message: "Payment does not match order" });
+  }
 
-      // 4. ✅ STRICT TRANSACTION LOGGING
-      // Only insert into 'transactions' if a stamp was actually added.
-      if (stampAdded) {
-        await client.query(
-          `INSERT INTO transactions (user_id, member_code, customer_name, amount, payment_method, stamp_added, created_at)
-           VALUES ($1, $2, $3, $4, 'online', $5, NOW())`,
-          [user.id, user.member_code, user.name, numAmount, stampAdded]
-        );
-      }
+  try {
+    const result = await db.withClient(async (client) => {
+      // 2. Settle the stored order (amount comes from it, and it stamps at most once)
+      const settled = await settleOrderPayment(client, payment, { memberCode });
+      if (!settled) throw { status: 404, message: "Order not found" };
+      const { user, stampAdded, stampsAdded, stampsCarried, reason, campaign, referral, currentStamps: newStamps, totalRewards } = settled;
 
-      // 5. Fetch Updated History for Card Response
-      const historyRes = await client.query("SELECT stamp_index, amount, created_at FROM stamps_history WHERE user_id = $1 ORDER BY stamp_index ASC", [user.id]);
+      // 3. Fetch Updated History for Card Response (carried stamps wait for the next card)
+      const historyRes = await client.query(
+        `SELECT h.stamp_index, h.amount, h.transaction_id, h.bonus_source, h.campaign_id, c.name AS campaign_name, h.created_at, h.carried
+         FROM stamps_history h LEFT JOIN campaigns c ON c.id = h.campaign_id
+         WHERE h.user_id = $1 AND h.redemption_id IS NULL AND h.expired_at IS NULL ORDER BY h.stamp_index ASC`,
+        [user.id]
+      );
+      const history = historyRes.rows.filter((h) => !h.carried);
+      const carriedStamps = historyRes.rows.length - history.length;
+      const pendingPayments = await fetchPendingPayments(client, user.id);
+
+      let message = "Payment successful";
+      if (stampsAdded > 0) message = stampsAdded === 1 ? "Stamp added!" : `${stampsAdded} stamps added!`;
+      if (campaign) message += ` ${campaign.name}: +${campaign.extraStamps} bonus.`;
+      if (referral && referral.refereeStamps > 0) message += ` Referral bonus: +${referral.refereeStamps}.`;
 
       return {
         status: 200,
         body: {
-          message: stampAdded ? "Stamp added!" : "Payment successful",
-          card: { ...user, currentStamps: newStamps, totalRewards, history: historyRes.rows },
+          message,
+          card: { ...user, currentStamps: newStamps, totalRewards, carriedStamps, history, pendingPayments },
           stampAdded: stampAdded,
+          stampsAdded,
+          stampsCarried,
+          campaign,
+          referral,
           reason: reason
         }
       };
@@ -285,6 +617,7 @@ exports.addOnlineStamp = async (req, res) => {
 
   } catch (err) {
     console.error("Online Stamp Error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
     return res.status(500).json({ message: "Server error" });
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,112 @@
+const db = require("../config/db");
+const { getPaymentProvider } = require("../utils/paymentProvider");
+const { settleOrderPayment, markOrderFailed, recordOrderRefund } = require("../utils/paymentOrders");
+const { applyGatewayRefund, markRefundFailed } = require("../utils/refunds");
+
+// --- Razorpay Webhook ---
+// Safety net for the browser callback: if the customer closes the tab after paying,
+// payment.captured still settles the order. Both paths lock the payment_orders row,
+// so whichever arrives second sees status = 'paid' and does not stamp again.
+exports.razorpayWebhook = async (req, res) => {
+  const provider = getPaymentProvider();
+  if (!provider || !provider.webhookEnabled) {
+    return res.status(503).json({ message: "Webhook is not configured on this environment" });
+  }
+
+  const signature = req.headers["x-razorpay-signature"];
+  if (!provider.verifyWebhookSignature(req.rawBody, signature)) {
+    return res.status(400).json({ message: "Invalid signature" });
+  }
+
+  const { event, payload } = req.body || {};
+  const eventId = req.headers["x-razorpay-event-id"] || null;
+  const payment = payload && payload.payment && payload.payment.entity;
+
+  try {
+    const result = await db.withClient(async (client) => {
+      // 1. Drop redeliveries of an event we have already handled
+      if (eventId) {
+        const ins = await client.query(
+          `INSERT INTO razorpay_webhook_events (event_id, event, received_at)
+           VALUES ($1, $2, NOW())
+           ON CONFLICT (event_id) DO NOTHING`,
+          [eventId, event || "unknown"]
+        );
+        if (ins.rowCount === 0) return { handled: false, reason: "duplicate" };
+      }
+
+      if (!payment || !payment.order_id) return { handled: false, reason: "no_order" };
+
+      // 2. Dispatch
+      switch (event) {
+        case "payment.captured": {
+          const settled = await settleOrderPayment(client, payment);
+          if (!settled) return { handled: false, reason: "unknown_order" };
+          return { handled: true, stampsAdded: settled.stampsAdded, stampsCarried: settled.stampsCarried, reason: settled.reason };
+        }
+
+        case "payment.failed": {
+          const updated = await markOrderFailed(client, {
+            orderId: payment.order_id,
+            reason: payment.error_description || payment.error_reason,
+          });
+          return { handled: updated, reason: updated ? "marked_failed" : "not_pending" };
+        }
+
+        case "refund.processed": {
+          const order = await recordOrderRefund(client, payment);
+          if (!order) return { handled: false, reason: "unknown_order" };
+          // Settles a pending admin-panel refund, books one issued elsewhere
+          const refund = payload.refund && payload.refund.entity;
+          await applyGatewayRefund(client, { order, refund });
+          return { handled: true, reason: "refund_recorded" };
+        }
+
+        case "refund.failed": {
+          // Only admin-panel refunds are booked before they succeed; give back the amount and stamps
+          const refund = payload.refund && payload.refund.entity;
+          const refundRowId = refund && refund.notes && Number(refund.notes.refundRowId);
+          if (!refundRowId) return { handled: false, reason: "unknown_refund" };
+          const row = await markRefundFailed(client, {
+            refundRowId,
+            error: refund.error_description || refund.error_reason || "Refund failed at the gateway",
+          });
+          return { handled: Boolean(row), reason: row ? "refund_failed" : "not_pending" };
+        }
+
+        default:
+          return { handled: false, reason: "ignored_event" };
+      }
+    });
+
+    // Always 2xx once the event is understood, otherwise Razorpay keeps retrying it.
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error("Razorpay Webhook Error:", err);
+    if (err && err.status) return res.status(200).json({ ok: false, message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// --- Fake Checkout (PAYMENT_PROVIDER=fake only) ---
+// Backs the mock checkout on the card page: the customer picks success / failure / cancel.
+exports.fakeCheckout = async (req, res) => {
+  const provider = getPaymentProvider();
+  if (!provider || provider.name !== "fake") {
+    return res.status(404).json({ message: "Not Found" });
+  }
+
+  const { orderId, outcome } = req.body;
+  if (!orderId || !["success", "failure", "cancel"].includes(outcome)) {
+    return res.status(400).json({ message: "orderId and outcome (success | failure | cancel) required" });
+  }
+
+  try {
+    const result = provider.simulateCheckout(orderId, outcome);
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("Fake Checkout Error:", err);
+    if (err && err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: "Server error" });
+  }
+};
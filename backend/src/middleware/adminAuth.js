@@ -1,21 +1,41 @@
 // src/middleware/adminAuth.js
+// adminAuth(permission) -> middleware for one /api/admin route. Checks the dashboard token, reloads
+// the user so a role change or a disabled account takes effect at once, and answers 403 when
+// the role lacks `permission` (see utils/adminRoles.js). adminAuth() with no permission lets any
+// active dashboard user through. Sets req.admin = { uid, username, role }.
 const jwt = require("jsonwebtoken");
 require("dotenv").config();
+const db = require("../config/db");
+const { PERMISSIONS, hasPermission } = require("../utils/adminRoles");
 
-module.exports = function adminAuth(req, res, next) {
-  const authHeader = req.headers.authorization || "";
-  if (!authHeader.startsWith("Bearer ")) return res.status(401).json({ message: "Token missing" });
+module.exports = function adminAuth(permission) {
+  if (permission !== undefined && !PERMISSIONS.includes(permission)) throw new Error(`Unknown admin permission: ${permission}`);
 
-  const token = authHeader.split(" ")[1];
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    // Allow only owners for admin endpoints by default. Adjust if you want manager access.
-    if (decoded.role !== "owner") return res.status(403).json({ message: "Not allowed" });
+  return async function requireAdminPermission(req, res, next) {
+    const authHeader = req.headers.authorization || "";
+    if (!authHeader.startsWith("Bearer ")) return res.status(401).json({ message: "Token missing" });
 
-    req.admin = decoded;
-    next();
-  } catch (err) {
-    console.error("Admin auth error:", err);
-    return res.status(401).json({ message: "Invalid or expired token" });
-  }
+    const token = authHeader.split(" ")[1];
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+      console.error("Admin auth error:", err);
+      return res.status(401).json({ message: "Invalid or expired token" });
+    }
+
+    try {
+      const r = await db.query("SELECT id, username, role FROM admin_users WHERE id = $1 AND disabled_at IS NULL", [decoded.uid]);
+      if (!r.rows.length) return res.status(401).json({ message: "Account disabled. Please log in again." });
+
+      const admin = r.rows[0];
+      if (permission !== undefined && !hasPermission(admin.role, permission)) return res.status(403).json({ message: "Not allowed for your role" });
+
+      req.admin = { uid: admin.id, username: admin.username, role: admin.role };
+      next();
+    } catch (err) {
+      console.error("Admin auth error:", err);
+      return res.status(500).json({ message: "Server error" });
+    }
+  };
 };
@@ -0,0 +1,24 @@
+// src/middleware/customerAuth.js
+const db = require("../config/db");
+const { verifyAccessToken, activeSession } = require("../utils/customerSessions");
+
+// Customer endpoints: a valid access token whose session is still open.
+// Sets req.customer = { id, memberCode, sessionId }.
+module.exports = async function customerAuth(req, res, next) {
+  const authHeader = req.headers.authorization || "";
+  if (!authHeader.startsWith("Bearer ")) return res.status(401).json({ message: "Token missing" });
+
+  const payload = verifyAccessToken(authHeader.split(" ")[1]);
+  if (!payload) return res.status(401).json({ message: "Invalid or expired token" });
+
+  try {
+    const session = await activeSession(db, payload.sid, Number(payload.sub));
+    if (!session) return res.status(401).json({ message: "Session ended. Please log in again." });
+
+    req.customer = { id: session.user_id, memberCode: session.member_code, sessionId: session.id };
+    next();
+  } catch (err) {
+    console.error("Customer auth error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
@@ -1,6 +1,10 @@
 const express = require("express");
 const router = express.Router();
 const customerController = require("../controllers/customerController");
+const customerAuth = require("../middleware/customerAuth");
+
+// Text a verification code (purpose "login" or "register")
+router.post("/otp", customerController.requestOtp);
 
 // Register a new user
 router.post("/register", customerController.registerCustomer);
@@ -8,13 +12,52 @@ router.post("/register", customerController.registerCustomer);
 // Login
 router.post("/login-by-phone", customerController.loginByPhone);
 
-// Get specific card details
-router.get("/card/:memberCode", customerController.getCard);
+// Swap a refresh token for a new token pair
+router.post("/token/refresh", customerController.refreshToken);
+
+// End this session (or every session with { everywhere: true })
+router.post("/logout", customerAuth, customerController.logout);
+
+// The logged-in member's card
+router.get("/card", customerAuth, customerController.getCard);
+
+// Profile: name, DOB and marketing preferences
+router.get("/profile", customerAuth, customerController.getProfile);
+router.put("/profile", customerAuth, customerController.updateProfile);
+
+// Phone number change (codes to the current and the new number, then confirm both)
+router.post("/profile/phone", customerAuth, customerController.requestPhoneChange);
+router.post("/profile/phone/confirm", customerAuth, customerController.confirmPhoneChange);
+
+// My data: download it, or ask for it to be erased
+router.get("/export", customerAuth, customerController.exportData);
+router.get("/deletion-request", customerAuth, customerController.getDeletionRequest);
+router.post("/deletion-request", customerAuth, customerController.requestDeletion);
+router.delete("/deletion-request", customerAuth, customerController.cancelDeletion);
+
+// Loyalty program rules (threshold, card size, reward value)
+router.get("/program", customerController.getProgram);
+
+// Reward catalog rewards that can be redeemed today
+router.get("/rewards", customerController.getRewards);
+
+// Campaigns running now (card banner)
+router.get("/campaigns", customerController.getActiveCampaigns);
+
+// Today's holiday notice, if any
+router.get("/holiday", customerController.getHoliday);
+
+// Redemption voucher codes (issue, then poll until staff redeem it)
+router.post("/vouchers", customerAuth, customerController.createVoucher);
+router.get("/vouchers/:code", customerAuth, customerController.getVoucherStatus);
 
 // ✅ NEW: This matches what your Frontend is calling
-router.post("/create-order", customerController.createOrder);
+router.post("/create-order", customerAuth, customerController.createOrder);
 
 // Add stamp via online payment
-router.post("/add-online-stamp", customerController.addOnlineStamp);
+router.post("/add-online-stamp", customerAuth, customerController.addOnlineStamp);
+
+// Mark an unpaid order as failed (checkout's payment.failed)
+router.post("/payment-failed", customerAuth, customerController.reportPaymentFailed);
 
 module.exports = router;
\ No newline at end of file
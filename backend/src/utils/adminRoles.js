@@ -0,0 +1,43 @@
+// src/utils/adminRoles.js
+// Dashboard roles and what each may do. Every /api/admin route names the permission it needs
+// (adminAuth("stamp") in app.js); the login response sends the role's permissions so the
+// dashboard can hide what the role can't use.
+//   staff   - look up members and stamp bills
+//   manager - also redeem rewards, spend wallet credit, undo stamps and see insights
+//   owner   - everything, including gateway refunds, deleting transactions, program settings
+//             and dashboard users
+
+const PERMISSIONS = [
+  "customers.view", // member list, search, reward / tier / wallet history, birthdays
+  "stamp", // manual stamps
+  "redeem", // reward redemption, vouchers, birthday treats, wallet debits
+  "undo", // undo last stamp, remove a stamp
+  "refund", // send an online payment back through the gateway
+  "insights.view", // transactions and daily totals
+  "transactions.delete", // delete a day's transactions
+  "settings.manage", // program settings, catalog, campaigns, holidays, review queues, ledger
+  "users.manage", // dashboard users and their roles
+];
+
+const ROLE_PERMISSIONS = {
+  staff: ["customers.view", "stamp"],
+  manager: ["customers.view", "stamp", "redeem", "undo", "insights.view"],
+  owner: PERMISSIONS,
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+function hasPermission(role, permission) {
+  return permissionsFor(role).includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  permissionsFor,
+  hasPermission,
+};
@@ -0,0 +1,98 @@
+// src/utils/adminUsers.js
+// Dashboard users (admin_users), managed by owners. Users are disabled rather than deleted so
+// stamps, redemptions and refunds keep pointing at who did them. The "action password"
+// (delete_password_hash) is the second password asked for undo, refunds and deletions.
+// There must always be at least one active owner.
+
+const bcrypt = require("bcryptjs");
+const { ROLES } = require("./adminRoles");
+
+const COLUMNS = `id, username, role, disabled_at, delete_password_hash IS NOT NULL AS has_action_password`;
+const MIN_PASSWORD = 8;
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) throw { status: 400, message: `Role must be one of ${ROLES.join(", ")}` };
+}
+
+function checkPassword(password, label) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD) {
+    throw { status: 400, message: `${label} must be at least ${MIN_PASSWORD} characters` };
+  }
+}
+
+async function listAdminUsers(client) {
+  const r = await client.query(`SELECT ${COLUMNS} FROM admin_users ORDER BY disabled_at IS NOT NULL, id`);
+  return r.rows;
+}
+
+/**
+ * Add a user: { username, password, role, actionPassword? }. Throws 400 for bad input and
+ * 409 for a taken username. Caller runs inside db.withClient.
+ */
+async function createAdminUser(client, { username, password, role, actionPassword }) {
+  const name = String(username || "").trim();
+  if (!/^[a-zA-Z0-9_.-]{3,30}$/.test(name)) {
+    throw { status: 400, message: "Username must be 3-30 letters, digits, dots, dashes or underscores" };
+  }
+  checkRole(role);
+  checkPassword(password, "Password");
+  if (actionPassword) checkPassword(actionPassword, "Action password");
+
+  const taken = await client.query("SELECT 1 FROM admin_users WHERE LOWER(username) = LOWER($1)", [name]);
+  if (taken.rows.length) throw { status: 409, message: "That username is taken" };
+
+  const r = await client.query(
+    `INSERT INTO admin_users (username, password_hash, role, delete_password_hash)
+     VALUES ($1, $2, $3, $4)
+     RETURNING ${COLUMNS}`,
+    [name, await bcrypt.hash(password, 10), role, actionPassword ? await bcrypt.hash(actionPassword, 10) : null]
+  );
+  return r.rows[0];
+}
+
+/**
+ * Change { role, password, actionPassword, disabled } of a user (missing keys stay as they are).
+ * Throws 404, and 409 when the change would leave no active owner. Caller runs inside db.withClient.
+ */
+async function updateAdminUser(client, userId, changes) {
+  // Owner changes are serialised so two owners can't demote each other at once
+  await client.query("SELECT id FROM admin_users WHERE role = 'owner' FOR UPDATE");
+  const r = await client.query("SELECT id, role, disabled_at FROM admin_users WHERE id = $1 FOR UPDATE", [userId]);
+  if (!r.rows.length) throw { status: 404, message: "User not found" };
+  const current = r.rows[0];
+
+  const sets = [];
+  const params = [userId];
+  if (changes.role !== undefined) {
+    checkRole(changes.role);
+    params.push(changes.role);
+    sets.push(`role = $${params.length}`);
+  }
+  if (changes.password) {
+    checkPassword(changes.password, "Password");
+    params.push(await bcrypt.hash(changes.password, 10));
+    sets.push(`password_hash = $${params.length}`);
+  }
+  if (changes.actionPassword) {
+    checkPassword(changes.actionPassword, "Action password");
+    params.push(await bcrypt.hash(changes.actionPassword, 10));
+    sets.push(`delete_password_hash = $${params.length}`);
+  }
+  if (changes.disabled !== undefined) sets.push(changes.disabled ? "disabled_at = COALESCE(disabled_at, NOW())" : "disabled_at = NULL");
+  if (!sets.length) throw { status: 400, message: "Nothing to change" };
+
+  const stillOwner = (changes.role === undefined || changes.role === "owner") && !(changes.disabled ?? current.disabled_at);
+  if (current.role === "owner" && !current.disabled_at && !stillOwner) {
+    const others = await client.query("SELECT COUNT(*)::int AS n FROM admin_users WHERE role = 'owner' AND disabled_at IS NULL AND id <> $1", [userId]);
+    if (others.rows[0].n === 0) throw { status: 409, message: "Keep at least one active owner" };
+  }
+
+  const u = await client.query(`UPDATE admin_users SET ${sets.join(", ")} WHERE id = $1 RETURNING ${COLUMNS}`, params);
+  return u.rows[0];
+}
+
+module.exports = {
+  listAdminUsers,
+  createAdminUser,
+  updateAdminUser,
+};
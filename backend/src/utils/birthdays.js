@@ -0,0 +1,168 @@
+// src/utils/birthdays.js
+// Birthday bonus from users.dob (program settings birthdayBonus / birthdayWindowDays).
+// A member gets one bonus per birthday, valid birthdayWindowDays before and after it:
+//   "stamp" - birthdayBonusStamps free stamps, added when the window opens
+//   "treat" - birthdayTreat shown on the card until staff mark it redeemed
+// The UNIQUE (user_id, year) row in birthday_bonuses stops a second grant for the same birthday.
+
+const db = require("../config/db");
+const { getProgramSettings } = require("./programSettings");
+const { grantBonusStamps } = require("./stamping");
+const { businessDate, addDays, daysBetween } = require("./businessDate");
+const { startIntervalJob } = require("./jobs");
+
+// "YYYY-MM-DD" birthday in a given year (29 Feb falls on 28 Feb in other years).
+function birthdayInYear(dob, year) {
+  const [, m, d] = dob.split("-").map(Number);
+  const lastDay = new Date(Date.UTC(year, m, 0)).getUTCDate();
+  return `${year}-${String(m).padStart(2, "0")}-${String(Math.min(d, lastDay)).padStart(2, "0")}`;
+}
+
+// The birthday whose window contains `today`, or null.
+function birthdayWindow(dob, today, windowDays) {
+  const year = Number(today.slice(0, 4));
+  for (const y of [year - 1, year, year + 1]) {
+    const birthday = birthdayInYear(dob, y);
+    if (Math.abs(daysBetween(birthday, today)) <= windowDays) {
+      return { year: y, birthday, validFrom: addDays(birthday, -windowDays), validUntil: addDays(birthday, windowDays) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Grant this year's bonus if the member is inside their birthday window and has not had it.
+ * Returns the new birthday_bonuses row, or null. Caller runs inside db.withClient.
+ */
+async function grantBirthdayBonus(client, user, settings, today = businessDate()) {
+  if (settings.birthdayBonus === "none" || !user.dob) return null;
+  const win = birthdayWindow(user.dob, today, settings.birthdayWindowDays);
+  if (!win) return null;
+
+  const isStamp = settings.birthdayBonus === "stamp";
+  const ins = await client.query(
+    `INSERT INTO birthday_bonuses (user_id, year, bonus_type, treat, valid_from, valid_until, granted_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW())
+     ON CONFLICT (user_id, year) DO NOTHING
+     RETURNING id, year, bonus_type, stamps_granted, treat, valid_from, valid_until, granted_at, redeemed_at`,
+    [user.id, win.year, settings.birthdayBonus, isStamp ? null : settings.birthdayTreat, win.validFrom, win.validUntil]
+  );
+  if (!ins.rows.length) return null;
+  const bonus = ins.rows[0];
+
+  if (isStamp) {
+    const granted = await grantBonusStamps(client, {
+      userId: user.id,
+      count: settings.birthdayBonusStamps,
+      source: "birthday",
+      settings,
+    });
+    bonus.stamps_granted = granted.stampsAdded + granted.stampsCarried;
+    await client.query("UPDATE birthday_bonuses SET stamps_granted = $2 WHERE id = $1", [bonus.id, bonus.stamps_granted]);
+  }
+  return bonus;
+}
+
+async function fetchMembersWithDob(client) {
+  const r = await client.query(
+    "SELECT id, member_code, name, phone, to_char(dob, 'YYYY-MM-DD') AS dob FROM users WHERE dob IS NOT NULL"
+  );
+  return r.rows;
+}
+
+// Grant bonuses to everyone inside their window. Each member gets their own transaction.
+async function runBirthdayJob({ today = businessDate() } = {}) {
+  const settings = await getProgramSettings();
+  const summary = { bonus: settings.birthdayBonus, members: 0, failed: 0 };
+  if (settings.birthdayBonus === "none") return summary;
+
+  const members = await fetchMembersWithDob(db);
+  for (const user of members) {
+    if (!birthdayWindow(user.dob, today, settings.birthdayWindowDays)) continue;
+    try {
+      const bonus = await db.withClient((client) => grantBirthdayBonus(client, user, settings, today));
+      if (bonus) summary.members += 1;
+    } catch (err) {
+      summary.failed += 1;
+      console.error(`Birthday bonus failed for user ${user.id}:`, err);
+    }
+  }
+  return summary;
+}
+
+// The bonus whose window includes today, for the card page.
+async function activeBirthdayBonus(client, userId, today = businessDate()) {
+  const r = await client.query(
+    `SELECT id, bonus_type, stamps_granted, treat, to_char(valid_from, 'YYYY-MM-DD') AS valid_from,
+            to_char(valid_until, 'YYYY-MM-DD') AS valid_until, redeemed_at
+     FROM birthday_bonuses
+     WHERE user_id = $1 AND valid_from <= $2 AND valid_until >= $2
+     ORDER BY year DESC
+     LIMIT 1`,
+    [userId, today]
+  );
+  return r.rows[0] || null;
+}
+
+// Members whose next birthday is within `days` (0 = today), soonest first, with that birthday's bonus if granted.
+async function fetchUpcomingBirthdays(client, { days = 7, today = businessDate() } = {}) {
+  const year = Number(today.slice(0, 4));
+  const upcoming = [];
+  for (const user of await fetchMembersWithDob(client)) {
+    let birthday = birthdayInYear(user.dob, year);
+    if (birthday < today) birthday = birthdayInYear(user.dob, year + 1);
+    const daysUntil = daysBetween(today, birthday);
+    if (daysUntil <= days) upcoming.push({ ...user, birthday, daysUntil, year: Number(birthday.slice(0, 4)) });
+  }
+  upcoming.sort((a, b) => a.daysUntil - b.daysUntil || a.name.localeCompare(b.name));
+  if (!upcoming.length) return upcoming;
+
+  const bRes = await client.query(
+    `SELECT id, user_id, year, bonus_type, stamps_granted, treat, redeemed_at
+     FROM birthday_bonuses WHERE user_id = ANY($1::int[])`,
+    [upcoming.map((u) => u.id)]
+  );
+  return upcoming.map((u) => ({
+    ...u,
+    bonus: bRes.rows.find((b) => b.user_id === u.id && b.year === u.year) || null,
+  }));
+}
+
+// Staff hand over a "treat" bonus.
+async function redeemBirthdayTreat(client, bonusId, adminId, today = businessDate()) {
+  const r = await client.query(
+    `SELECT id, bonus_type, redeemed_at, to_char(valid_until, 'YYYY-MM-DD') AS valid_until
+     FROM birthday_bonuses WHERE id = $1 FOR UPDATE`,
+    [bonusId]
+  );
+  if (!r.rows.length) throw { status: 404, message: "Birthday bonus not found" };
+  const bonus = r.rows[0];
+  if (bonus.bonus_type !== "treat") throw { status: 400, message: "This birthday bonus was given as stamps" };
+  if (bonus.redeemed_at) throw { status: 409, message: "Birthday treat already redeemed" };
+  if (bonus.valid_until < today) throw { status: 400, message: "Birthday treat has expired" };
+
+  const upd = await client.query(
+    "UPDATE birthday_bonuses SET redeemed_at = NOW(), redeemed_by = $2 WHERE id = $1 RETURNING id, redeemed_at",
+    [bonusId, adminId || null]
+  );
+  return upd.rows[0];
+}
+
+// Interval: BIRTHDAY_JOB_INTERVAL_MINUTES (default 60, 0 = off)
+function startBirthdayJob() {
+  return startIntervalJob({
+    name: "Birthday bonus",
+    envVar: "BIRTHDAY_JOB_INTERVAL_MINUTES",
+    defaultMinutes: 60,
+    run: () => runBirthdayJob(),
+  });
+}
+
+module.exports = {
+  grantBirthdayBonus,
+  runBirthdayJob,
+  activeBirthdayBonus,
+  fetchUpcomingBirthdays,
+  redeemBirthdayTreat,
+  startBirthdayJob,
+};
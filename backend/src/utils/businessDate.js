@@ -0,0 +1,54 @@
+// src/utils/businessDate.js
+// Calendar dates in the shop's timezone (BUSINESS_TIMEZONE, default Asia/Kolkata),
+// as "YYYY-MM-DD" strings so they compare and sort without timezone surprises.
+
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || "Asia/Kolkata";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Today's date at the shop (en-CA formats as YYYY-MM-DD).
+function businessDate(now = new Date()) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: BUSINESS_TIMEZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(now);
+}
+
+// Time of day at the shop as "HH:MM" (24h).
+function businessTime(now = new Date()) {
+  return new Intl.DateTimeFormat("en-GB", {
+    timeZone: BUSINESS_TIMEZONE,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).format(now);
+}
+
+function toUtc(dateStr) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return Date.UTC(y, m - 1, d);
+}
+
+function addDays(dateStr, days) {
+  return new Date(toUtc(dateStr) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Whole days from a to b (negative when b is earlier).
+function daysBetween(a, b) {
+  return Math.round((toUtc(b) - toUtc(a)) / DAY_MS);
+}
+
+// Day of the week for a "YYYY-MM-DD" date, 0 = Sunday.
+function weekdayOf(dateStr) {
+  return new Date(toUtc(dateStr)).getUTCDay();
+}
+
+module.exports = {
+  BUSINESS_TIMEZONE,
+  businessDate,
+  businessTime,
+  addDays,
+  daysBetween,
+  weekdayOf,
+};
@@ -0,0 +1,223 @@
+// src/utils/campaigns.js
+// Promotional campaigns ("double stamps on Tuesdays 3-6pm", "bonus stamp on first visit this month").
+// A campaign runs from starts_on to ends_on (business dates, optional, inclusive) on the listed
+// weekdays (0 = Sunday, null = every day) between start_time and end_time at the shop
+// (BUSINESS_TIMEZONE; end exclusive, may cross midnight; null = all day). On a bill that earns
+// at least one stamp and is at least min_amount it gives:
+//   "multiplier" - the bill's stamps x multiplier
+//   "bonus"      - bonus_stamps extra stamps
+// first_visit_of_month limits it to the member's first stamped bill of the calendar month.
+// When several campaigns match, the one giving the most stamps wins. The extra stamps carry
+// its campaign_id in stamps_history, and the bill's transaction records it too.
+
+const { BUSINESS_TIMEZONE, businessDate, businessTime, weekdayOf } = require("./businessDate");
+
+const COLUMNS = `id, name, banner, kind, multiplier, bonus_stamps, min_amount::float AS min_amount,
+  to_char(starts_on, 'YYYY-MM-DD') AS starts_on, to_char(ends_on, 'YYYY-MM-DD') AS ends_on,
+  weekdays, to_char(start_time, 'HH24:MI') AS start_time, to_char(end_time, 'HH24:MI') AS end_time,
+  first_visit_of_month, retired_at, created_at, updated_at`;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function optionalDate(v, field) {
+  if (v === undefined || v === null || v === "") return null;
+  if (typeof v !== "string" || !DATE_RE.test(v) || Number.isNaN(Date.parse(v))) {
+    throw { status: 400, message: `${field} must be a date (YYYY-MM-DD)` };
+  }
+  return v;
+}
+
+function optionalTime(v, field) {
+  if (v === undefined || v === null || v === "") return null;
+  if (typeof v !== "string" || !TIME_RE.test(v)) throw { status: 400, message: `${field} must be a time (HH:MM)` };
+  return v;
+}
+
+/**
+ * Check a campaign from the admin form. `existing` is the stored row when editing
+ * (missing fields keep their value).
+ */
+function validateCampaign(input, existing = null) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) throw { status: 400, message: "Campaign object required" };
+  const pick = (key, col) => (input[key] !== undefined ? input[key] : existing ? existing[col] : undefined);
+
+  const name = pick("name", "name");
+  if (typeof name !== "string" || !name.trim() || name.trim().length > 60) {
+    throw { status: 400, message: "Campaign name is required (up to 60 characters)" };
+  }
+  const banner = pick("banner", "banner");
+  if (banner != null && (typeof banner !== "string" || banner.trim().length > 140)) {
+    throw { status: 400, message: "Banner text must be up to 140 characters" };
+  }
+
+  const kind = pick("kind", "kind");
+  if (!["multiplier", "bonus"].includes(kind)) throw { status: 400, message: "Campaign kind must be multiplier or bonus" };
+  const multiplier = kind === "multiplier" ? Number(pick("multiplier", "multiplier")) : 1;
+  if (!Number.isInteger(multiplier) || multiplier < 1 || multiplier > 5 || (kind === "multiplier" && multiplier < 2)) {
+    throw { status: 400, message: "Multiplier must be a whole number from 2 to 5" };
+  }
+  const bonusStamps = kind === "bonus" ? Number(pick("bonusStamps", "bonus_stamps")) : 0;
+  if (kind === "bonus" && (!Number.isInteger(bonusStamps) || bonusStamps < 1 || bonusStamps > 5)) {
+    throw { status: 400, message: "Bonus stamps must be a whole number from 1 to 5" };
+  }
+
+  const minRaw = pick("minAmount", "min_amount");
+  const minAmount = minRaw === undefined || minRaw === null || minRaw === "" ? null : Number(minRaw);
+  if (minAmount !== null && (!Number.isFinite(minAmount) || minAmount <= 0 || minAmount > 1000000)) {
+    throw { status: 400, message: "Minimum amount must be a positive number" };
+  }
+
+  const startsOn = optionalDate(pick("startsOn", "starts_on"), "Start date");
+  const endsOn = optionalDate(pick("endsOn", "ends_on"), "End date");
+  if (startsOn && endsOn && endsOn < startsOn) throw { status: 400, message: "End date must be on or after the start date" };
+
+  const weekdaysRaw = pick("weekdays", "weekdays");
+  let weekdays = null;
+  if (Array.isArray(weekdaysRaw) && weekdaysRaw.length > 0) {
+    weekdays = [...new Set(weekdaysRaw.map(Number))].sort();
+    if (!weekdays.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      throw { status: 400, message: "Weekdays must be numbers 0 (Sunday) to 6 (Saturday)" };
+    }
+  } else if (weekdaysRaw != null && !Array.isArray(weekdaysRaw)) {
+    throw { status: 400, message: "Weekdays must be a list" };
+  }
+
+  const startTime = optionalTime(pick("startTime", "start_time"), "Start time");
+  const endTime = optionalTime(pick("endTime", "end_time"), "End time");
+  if (Boolean(startTime) !== Boolean(endTime)) throw { status: 400, message: "Give both a start and an end time, or neither" };
+  if (startTime && startTime === endTime) throw { status: 400, message: "Start and end time can't be the same" };
+
+  return {
+    name: name.trim(),
+    banner: banner ? banner.trim() || null : null,
+    kind,
+    multiplier,
+    bonusStamps,
+    minAmount,
+    startsOn,
+    endsOn,
+    weekdays,
+    startTime,
+    endTime,
+    firstVisitOfMonth: Boolean(pick("firstVisitOfMonth", "first_visit_of_month")),
+  };
+}
+
+function runsAt(campaign, date, weekday, time) {
+  if (campaign.starts_on && campaign.starts_on > date) return false;
+  if (campaign.ends_on && campaign.ends_on < date) return false;
+  if (campaign.weekdays && campaign.weekdays.length && !campaign.weekdays.includes(weekday)) return false;
+  if (campaign.start_time && campaign.end_time) {
+    const { start_time: start, end_time: end } = campaign;
+    return start < end ? time >= start && time < end : time >= start || time < end;
+  }
+  return true;
+}
+
+async function listCampaigns(client) {
+  const r = await client.query(`SELECT ${COLUMNS} FROM campaigns ORDER BY (retired_at IS NOT NULL), id DESC`);
+  return r.rows;
+}
+
+// Campaigns running right now (ignoring the per-bill conditions), for the card banner.
+async function activeCampaigns(client, now = new Date()) {
+  const date = businessDate(now);
+  const r = await client.query(
+    `SELECT ${COLUMNS} FROM campaigns
+     WHERE retired_at IS NULL AND (starts_on IS NULL OR starts_on <= $1) AND (ends_on IS NULL OR ends_on >= $1)
+     ORDER BY id`,
+    [date]
+  );
+  return r.rows.filter((c) => runsAt(c, date, weekdayOf(date), businessTime(now)));
+}
+
+async function fetchCampaign(client, campaignId, { lock = false } = {}) {
+  const r = await client.query(`SELECT ${COLUMNS} FROM campaigns WHERE id = $1${lock ? " FOR UPDATE" : ""}`, [campaignId]);
+  if (!r.rows.length) throw { status: 404, message: "Campaign not found" };
+  return r.rows[0];
+}
+
+async function createCampaign(client, input, adminId) {
+  const v = validateCampaign(input);
+  const r = await client.query(
+    `INSERT INTO campaigns (name, banner, kind, multiplier, bonus_stamps, min_amount, starts_on, ends_on, weekdays,
+                            start_time, end_time, first_visit_of_month, created_by, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW(), NOW())
+     RETURNING id`,
+    [v.name, v.banner, v.kind, v.multiplier, v.bonusStamps, v.minAmount, v.startsOn, v.endsOn, v.weekdays,
+      v.startTime, v.endTime, v.firstVisitOfMonth, adminId || null]
+  );
+  return fetchCampaign(client, r.rows[0].id);
+}
+
+async function updateCampaign(client, campaignId, input) {
+  const existing = await fetchCampaign(client, campaignId, { lock: true });
+  if (existing.retired_at) throw { status: 409, message: "Ended campaigns can't be edited" };
+  const v = validateCampaign(input, existing);
+  await client.query(
+    `UPDATE campaigns SET name = $2, banner = $3, kind = $4, multiplier = $5, bonus_stamps = $6, min_amount = $7,
+            starts_on = $8, ends_on = $9, weekdays = $10, start_time = $11, end_time = $12,
+            first_visit_of_month = $13, updated_at = NOW()
+     WHERE id = $1`,
+    [campaignId, v.name, v.banner, v.kind, v.multiplier, v.bonusStamps, v.minAmount, v.startsOn, v.endsOn,
+      v.weekdays, v.startTime, v.endTime, v.firstVisitOfMonth]
+  );
+  return fetchCampaign(client, campaignId);
+}
+
+// Ended campaigns stay for the stamps and bills that point at them.
+async function retireCampaign(client, campaignId) {
+  const existing = await fetchCampaign(client, campaignId, { lock: true });
+  if (existing.retired_at) throw { status: 409, message: "Campaign already ended" };
+  await client.query("UPDATE campaigns SET retired_at = NOW(), updated_at = NOW() WHERE id = $1", [campaignId]);
+  return fetchCampaign(client, campaignId);
+}
+
+// Extra stamps a campaign adds to a bill of `amount` that earns `baseStamps` on its own.
+function campaignExtraStamps(campaign, baseStamps, amount) {
+  if (!campaign || baseStamps <= 0) return 0;
+  if (campaign.min_amount && Number(amount) < campaign.min_amount) return 0;
+  return campaign.kind === "multiplier" ? baseStamps * (campaign.multiplier - 1) : campaign.bonus_stamps;
+}
+
+async function hasBillThisMonth(client, userId, now) {
+  const r = await client.query(
+    `SELECT 1 FROM transactions
+     WHERE user_id = $1 AND created_at >= (date_trunc('month', $2::timestamptz AT TIME ZONE $3) AT TIME ZONE $3)
+     LIMIT 1`,
+    [userId, now, BUSINESS_TIMEZONE]
+  );
+  return r.rows.length > 0;
+}
+
+/**
+ * The campaign that gives this bill the most extra stamps right now, as
+ * { campaign, extraStamps }, or null. Call before the bill's transaction is written.
+ */
+async function campaignForBill(client, { userId, amount, baseStamps, now = new Date() }) {
+  if (baseStamps <= 0) return null;
+  let best = null;
+  let firstVisit = null;
+  for (const campaign of await activeCampaigns(client, now)) {
+    const extraStamps = campaignExtraStamps(campaign, baseStamps, amount);
+    if (extraStamps <= 0 || (best && extraStamps <= best.extraStamps)) continue;
+    if (campaign.first_visit_of_month) {
+      if (firstVisit === null) firstVisit = !(await hasBillThisMonth(client, userId, now));
+      if (!firstVisit) continue;
+    }
+    best = { campaign, extraStamps };
+  }
+  return best;
+}
+
+module.exports = {
+  listCampaigns,
+  activeCampaigns,
+  fetchCampaign,
+  createCampaign,
+  updateCampaign,
+  retireCampaign,
+  campaignExtraStamps,
+  campaignForBill,
+};
@@ -0,0 +1,134 @@
+// src/utils/customerSessions.js
+// Customer login sessions. Logging in (after the SMS code) opens a customer_sessions row and
+// hands out two tokens:
+//   - access token: a short-lived JWT (CUSTOMER_ACCESS_EXPIRES_IN, default 15m) naming the
+//     member and the session, sent as "Authorization: Bearer ..." (see middleware/customerAuth.js)
+//   - refresh token: "<sessionId>.<random>", valid CUSTOMER_REFRESH_DAYS (default 30) and
+//     swapped for a new pair at /api/customer/token/refresh; only its hash is stored
+// Each refresh rotates the refresh token. Presenting the one it replaced means a copy is
+// being used elsewhere, so the whole session is revoked. Logout revokes the session too,
+// and customerAuth checks the session on every request, so revocation is immediate.
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const ACCESS_EXPIRES_IN = process.env.CUSTOMER_ACCESS_EXPIRES_IN || "15m";
+const REFRESH_DAYS = Number(process.env.CUSTOMER_REFRESH_DAYS) || 30;
+const AUDIENCE = "customer";
+
+function secret() {
+  return process.env.JWT_SECRET || "please-set-a-secure-secret";
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function sameHash(a, b) {
+  if (!a || !b) return false;
+  return crypto.timingSafeEqual(Buffer.from(a, "hex"), Buffer.from(b, "hex"));
+}
+
+async function issueTokens(client, session, user) {
+  const secretPart = crypto.randomBytes(32).toString("base64url");
+  const refreshToken = `${session.id}.${secretPart}`;
+  await client.query(
+    `UPDATE customer_sessions SET previous_refresh_hash = refresh_hash, refresh_hash = $2, last_used_at = NOW()
+     WHERE id = $1`,
+    [session.id, hashToken(refreshToken)]
+  );
+  const accessToken = jwt.sign({ sub: String(user.id), mc: user.member_code, sid: session.id }, secret(), {
+    audience: AUDIENCE,
+    expiresIn: ACCESS_EXPIRES_IN,
+  });
+  const { exp } = jwt.decode(accessToken);
+  return { accessToken, refreshToken, accessExpiresAt: new Date(exp * 1000).toISOString() };
+}
+
+/**
+ * Open a session for a member who just proved their phone. Returns
+ * { accessToken, refreshToken, accessExpiresAt }. Caller runs inside db.withClient.
+ */
+async function openSession(client, user, { userAgent } = {}) {
+  const r = await client.query(
+    `INSERT INTO customer_sessions (user_id, refresh_hash, user_agent, expires_at, created_at, last_used_at)
+     VALUES ($1, '', $2, NOW() + make_interval(days => $3), NOW(), NOW())
+     RETURNING id`,
+    [user.id, userAgent ? String(userAgent).slice(0, 200) : null, REFRESH_DAYS]
+  );
+  return issueTokens(client, r.rows[0], user);
+}
+
+/**
+ * Swap a refresh token for a new pair. Throws 401 when it is unknown, expired or revoked.
+ * A token that was already rotated revokes the session and resolves { reused: true } (so the
+ * revocation commits); the caller answers 401. Caller runs inside db.withClient.
+ */
+async function refreshSession(client, refreshToken) {
+  const [idPart] = String(refreshToken || "").split(".");
+  const sessionId = Number(idPart);
+  if (!Number.isInteger(sessionId) || sessionId <= 0) throw { status: 401, message: "Please log in again" };
+
+  const r = await client.query(
+    `SELECT s.id, s.refresh_hash, s.previous_refresh_hash, s.revoked_at, s.expires_at <= NOW() AS expired,
+            u.id AS user_id, u.member_code
+     FROM customer_sessions s JOIN users u ON u.id = s.user_id
+     WHERE s.id = $1 FOR UPDATE OF s`,
+    [sessionId]
+  );
+  const session = r.rows[0];
+  if (!session || session.revoked_at || session.expired) throw { status: 401, message: "Please log in again" };
+
+  const presented = hashToken(refreshToken);
+  if (!sameHash(presented, session.refresh_hash)) {
+    if (sameHash(presented, session.previous_refresh_hash)) {
+      await client.query("UPDATE customer_sessions SET revoked_at = NOW(), revoked_reason = 'refresh_reuse' WHERE id = $1", [session.id]);
+      return { reused: true };
+    }
+    throw { status: 401, message: "Please log in again" };
+  }
+
+  return issueTokens(client, session, { id: session.user_id, member_code: session.member_code });
+}
+
+// Access token payload { sub, mc, sid } when the signature, audience and expiry check out, else null.
+function verifyAccessToken(token) {
+  try {
+    return jwt.verify(token, secret(), { audience: AUDIENCE });
+  } catch (err) {
+    return null;
+  }
+}
+
+// Live session for an access token: { id, user_id, member_code } or null.
+async function activeSession(client, sessionId, userId) {
+  const r = await client.query(
+    `SELECT s.id, s.user_id, u.member_code
+     FROM customer_sessions s JOIN users u ON u.id = s.user_id
+     WHERE s.id = $1 AND s.user_id = $2 AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+    [sessionId, userId]
+  );
+  return r.rows[0] || null;
+}
+
+async function revokeSession(client, sessionId, reason = "logout") {
+  await client.query("UPDATE customer_sessions SET revoked_at = NOW(), revoked_reason = $2 WHERE id = $1 AND revoked_at IS NULL", [sessionId, reason]);
+}
+
+// Every open session of a member (logout everywhere, or staff locking a card). Returns how many.
+async function revokeAllSessions(client, userId, reason = "logout_all") {
+  const r = await client.query(
+    "UPDATE customer_sessions SET revoked_at = NOW(), revoked_reason = $2 WHERE user_id = $1 AND revoked_at IS NULL",
+    [userId, reason]
+  );
+  return r.rowCount;
+}
+
+module.exports = {
+  openSession,
+  refreshSession,
+  verifyAccessToken,
+  activeSession,
+  revokeSession,
+  revokeAllSessions,
+};
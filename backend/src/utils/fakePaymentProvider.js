@@ -0,0 +1,139 @@
+// src/utils/fakePaymentProvider.js
+// Offline stand-in for Razorpay (PAYMENT_PROVIDER=fake) for local demos and tests.
+// Orders, payments and refunds live in this process only. Signatures use Razorpay's
+// formats keyed with FAKE_PAYMENT_SECRET, so the normal verification paths run unchanged.
+
+const crypto = require("crypto");
+const { hmacHex, safeEqualHex } = require("./razorpay");
+
+const orders = new Map();
+const payments = new Map();
+
+function secret() {
+  return process.env.FAKE_PAYMENT_SECRET || "fake_payment_secret";
+}
+
+function fakeId(prefix) {
+  return `${prefix}_fake${crypto.randomBytes(7).toString("hex")}`;
+}
+
+// Same rejection shape as the Razorpay SDK
+function gatewayError(description) {
+  return { statusCode: 400, error: { code: "BAD_REQUEST_ERROR", description } };
+}
+
+async function createOrder({ amount, currency = "INR", receipt, notes }) {
+  const order = {
+    id: fakeId("order"),
+    entity: "order",
+    amount,
+    currency,
+    receipt,
+    notes: notes || {},
+    status: "created",
+    created_at: Math.floor(Date.now() / 1000),
+  };
+  orders.set(order.id, order);
+  return { ...order };
+}
+
+async function fetchPayment(paymentId) {
+  const payment = payments.get(paymentId);
+  if (!payment) throw gatewayError("The id provided does not exist");
+  return { ...payment };
+}
+
+async function refundPayment(paymentId, { amount, notes } = {}) {
+  const payment = payments.get(paymentId);
+  if (!payment || payment.status !== "captured") throw gatewayError("The payment has not been captured");
+
+  const remaining = payment.amount - payment.amount_refunded;
+  const refundAmount = amount || remaining;
+  if (refundAmount > remaining) {
+    throw gatewayError("The refund amount provided is greater than amount captured");
+  }
+
+  payment.amount_refunded += refundAmount;
+  payment.refund_status = payment.amount_refunded === payment.amount ? "full" : "partial";
+
+  return {
+    id: fakeId("rfnd"),
+    entity: "refund",
+    amount: refundAmount,
+    payment_id: paymentId,
+    notes: notes || {},
+    status: "processed",
+  };
+}
+
+function verifyPaymentSignature({ orderId, paymentId, signature }) {
+  if (!orderId || !paymentId || !signature) return false;
+  return safeEqualHex(hmacHex(`${orderId}|${paymentId}`, secret()), signature);
+}
+
+function verifyWebhookSignature(rawBody, signature) {
+  if (!rawBody || !signature) return false;
+  return safeEqualHex(hmacHex(rawBody, secret()), signature);
+}
+
+/**
+ * What the mock checkout does when the customer picks an outcome:
+ *  - "success": captures a payment and returns the fields Razorpay's checkout handler gets
+ *  - "failure": records a failed attempt and returns an error like payment.failed
+ *  - "cancel":  nothing happens, like closing the Razorpay modal
+ */
+function simulateCheckout(orderId, outcome) {
+  const order = orders.get(orderId);
+  if (!order) throw { status: 404, message: "Order not found" };
+  if (order.status === "paid") throw { status: 409, message: "Order already paid" };
+
+  if (outcome === "cancel") return { outcome };
+
+  const payment = {
+    id: fakeId("pay"),
+    entity: "payment",
+    order_id: order.id,
+    amount: order.amount,
+    currency: order.currency,
+    status: outcome === "success" ? "captured" : "failed",
+    method: "upi",
+    amount_refunded: 0,
+    refund_status: null,
+    created_at: Math.floor(Date.now() / 1000),
+  };
+
+  if (outcome === "failure") {
+    payment.error_code = "BAD_REQUEST_ERROR";
+    payment.error_description = "Payment declined by the fake bank";
+    payment.error_reason = "payment_failed";
+    payments.set(payment.id, payment);
+    order.attempts = (order.attempts || 0) + 1;
+    return {
+      outcome,
+      error: { code: payment.error_code, description: payment.error_description, reason: payment.error_reason },
+    };
+  }
+
+  payments.set(payment.id, payment);
+  order.status = "paid";
+  order.attempts = (order.attempts || 0) + 1;
+
+  return {
+    outcome,
+    razorpay_payment_id: payment.id,
+    razorpay_order_id: order.id,
+    razorpay_signature: hmacHex(`${order.id}|${payment.id}`, secret()),
+  };
+}
+
+module.exports = {
+  name: "fake",
+  keyId: "rzp_test_fake",
+  webhookEnabled: true,
+  createOrder,
+  fetchPayment,
+  refundPayment,
+  verifyPaymentSignature,
+  verifyWebhookSignature,
+  simulateCheckout,
+};
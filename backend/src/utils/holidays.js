@@ -0,0 +1,128 @@
+// src/utils/holidays.js
+// Holiday / blackout calendar. A holiday covers one business date (BUSINESS_TIMEZONE), or the
+// same day every year from that date on when repeats_yearly is set. It can block stamping
+// (manual stamps and stamps from online payments) and/or new online payments; the card page
+// shows its title and message. A one-off holiday wins over a yearly one on the same day.
+
+const { businessDate } = require("./businessDate");
+
+const COLUMNS = `id, to_char(holiday_date, 'YYYY-MM-DD') AS holiday_date, repeats_yearly, title, message,
+  block_stamps, block_payments, created_at, updated_at`;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check a holiday from the admin form. `existing` is the stored row when editing
+ * (missing fields keep their value).
+ */
+function validateHoliday(input, existing = null) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) throw { status: 400, message: "Holiday object required" };
+  const pick = (key, col) => (input[key] !== undefined ? input[key] : existing ? existing[col] : undefined);
+
+  const date = pick("date", "holiday_date");
+  if (typeof date !== "string" || !DATE_RE.test(date) || Number.isNaN(Date.parse(date))) {
+    throw { status: 400, message: "Date must be a date (YYYY-MM-DD)" };
+  }
+  const title = pick("title", "title");
+  if (typeof title !== "string" || !title.trim() || title.trim().length > 60) {
+    throw { status: 400, message: "Title is required (up to 60 characters)" };
+  }
+  const message = pick("message", "message");
+  if (message != null && (typeof message !== "string" || message.trim().length > 280)) {
+    throw { status: 400, message: "Message must be up to 280 characters" };
+  }
+
+  return {
+    date,
+    repeatsYearly: Boolean(pick("repeatsYearly", "repeats_yearly")),
+    title: title.trim(),
+    message: message ? message.trim() || null : null,
+    blockStamps: Boolean(pick("blockStamps", "block_stamps") ?? true),
+    blockPayments: Boolean(pick("blockPayments", "block_payments") ?? true),
+  };
+}
+
+// Unique date clashes come back from Postgres as 23505
+async function saveHoliday(client, sql, params) {
+  try {
+    return await client.query(sql, params);
+  } catch (err) {
+    if (err && err.code === "23505") throw { status: 409, message: "There is already a holiday on that date" };
+    throw err;
+  }
+}
+
+// Every holiday for the admin calendar: yearly ones first, then by date.
+async function listHolidays(client) {
+  const r = await client.query(`SELECT ${COLUMNS} FROM holidays ORDER BY repeats_yearly DESC, holiday_date`);
+  return r.rows;
+}
+
+async function fetchHoliday(client, holidayId, { lock = false } = {}) {
+  const r = await client.query(`SELECT ${COLUMNS} FROM holidays WHERE id = $1${lock ? " FOR UPDATE" : ""}`, [holidayId]);
+  if (!r.rows.length) throw { status: 404, message: "Holiday not found" };
+  return r.rows[0];
+}
+
+async function createHoliday(client, input, adminId) {
+  const v = validateHoliday(input);
+  const r = await saveHoliday(
+    client,
+    `INSERT INTO holidays (holiday_date, repeats_yearly, title, message, block_stamps, block_payments, created_by, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+     RETURNING id`,
+    [v.date, v.repeatsYearly, v.title, v.message, v.blockStamps, v.blockPayments, adminId || null]
+  );
+  return fetchHoliday(client, r.rows[0].id);
+}
+
+async function updateHoliday(client, holidayId, input) {
+  const existing = await fetchHoliday(client, holidayId, { lock: true });
+  const v = validateHoliday(input, existing);
+  await saveHoliday(
+    client,
+    `UPDATE holidays SET holiday_date = $2, repeats_yearly = $3, title = $4, message = $5, block_stamps = $6,
+            block_payments = $7, updated_at = NOW()
+     WHERE id = $1`,
+    [holidayId, v.date, v.repeatsYearly, v.title, v.message, v.blockStamps, v.blockPayments]
+  );
+  return fetchHoliday(client, holidayId);
+}
+
+// Holidays only steer what is allowed on a day, nothing points at them, so they can go.
+async function deleteHoliday(client, holidayId) {
+  const existing = await fetchHoliday(client, holidayId, { lock: true });
+  await client.query("DELETE FROM holidays WHERE id = $1", [holidayId]);
+  return existing;
+}
+
+// The holiday on a business date, or null.
+async function holidayOn(client, date = businessDate()) {
+  const r = await client.query(
+    `SELECT ${COLUMNS} FROM holidays
+     WHERE holiday_date = $1
+        OR (repeats_yearly AND holiday_date <= $1 AND to_char(holiday_date, 'MM-DD') = to_char($1::date, 'MM-DD'))
+     ORDER BY repeats_yearly
+     LIMIT 1`,
+    [date]
+  );
+  return r.rows[0] || null;
+}
+
+// Throws 403 with the holiday's message when today's holiday blocks `what` ("stamps" | "payments").
+async function assertOpenFor(client, what) {
+  const holiday = await holidayOn(client);
+  if (!holiday) return;
+  if ((what === "stamps" && holiday.block_stamps) || (what === "payments" && holiday.block_payments)) {
+    throw { status: 403, message: holiday.message || `${holiday.title}: ${what === "stamps" ? "stamping" : "payments"} unavailable today` };
+  }
+}
+
+module.exports = {
+  listHolidays,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+  holidayOn,
+  assertOpenFor,
+};
@@ -0,0 +1,32 @@
+// src/utils/jobs.js
+// In-process background jobs. Each job runs once shortly after boot, then on an
+// interval taken from its env var (minutes; 0 turns the job off, e.g. when a
+// separate worker runs it). A run is skipped while the previous one is still going.
+
+function startIntervalJob({ name, envVar, defaultMinutes, run }) {
+  const minutes = process.env[envVar] === undefined ? defaultMinutes : Number(process.env[envVar]);
+  if (!Number.isFinite(minutes) || minutes <= 0) return null;
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await run();
+      if (summary && (summary.members > 0 || summary.failed > 0)) console.log(`${name}:`, summary);
+    } catch (err) {
+      console.error(`${name} job error:`, err);
+    } finally {
+      running = false;
+    }
+  };
+
+  setTimeout(tick, 5000).unref();
+  const timer = setInterval(tick, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  startIntervalJob,
+};
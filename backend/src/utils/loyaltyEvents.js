@@ -0,0 +1,118 @@
+// src/utils/loyaltyEvents.js
+// Append-only loyalty ledger. Every change to a member's stamps or rewards writes one
+// event in the same transaction as the loyalty_accounts update; the account row is a
+// cache that can be rebuilt from the events (see rebuildAccount).
+//
+// Deltas per event:
+//   stamps_delta  - stamps on the live card (loyalty_accounts.current_stamps)
+//   carried_delta - stamps waiting for the next card (stamps_history.carried)
+//   rewards_delta - redeemed rewards (loyalty_accounts.total_rewards)
+
+const EVENT_TYPES = ["stamp_granted", "stamp_revoked", "reward_redeemed", "adjustment", "expiry"];
+
+async function recordEvent(
+  client,
+  { userId, type, stampsDelta = 0, carriedDelta = 0, rewardsDelta = 0, transactionId, redemptionId, adminId, reason, meta }
+) {
+  if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown loyalty event type: ${type}`);
+  if (!stampsDelta && !carriedDelta && !rewardsDelta) return null;
+
+  const r = await client.query(
+    `INSERT INTO loyalty_events
+       (user_id, event_type, stamps_delta, carried_delta, rewards_delta, transaction_id, redemption_id, admin_id, reason, meta, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+     RETURNING id`,
+    [
+      userId,
+      type,
+      stampsDelta,
+      carriedDelta,
+      rewardsDelta,
+      transactionId || null,
+      redemptionId || null,
+      adminId || null,
+      reason || null,
+      meta ? JSON.stringify(meta) : null,
+    ]
+  );
+  return r.rows[0].id;
+}
+
+// Balances as the ledger sees them.
+async function ledgerBalance(client, userId) {
+  const r = await client.query(
+    `SELECT COALESCE(SUM(stamps_delta), 0)::int AS stamps,
+            COALESCE(SUM(carried_delta), 0)::int AS carried,
+            COALESCE(SUM(rewards_delta), 0)::int AS rewards,
+            COUNT(*)::int AS events
+     FROM loyalty_events WHERE user_id = $1`,
+    [userId]
+  );
+  return r.rows[0];
+}
+
+/**
+ * Compare loyalty_accounts (and the carried stamp rows) with the ledger.
+ * With `apply`, the account row is overwritten from the ledger. Carried rows are only reported,
+ * and the apply is refused (409) while the live stamp rows on the card disagree with the
+ * ledger, since the counter would then no longer match the card the member sees.
+ * Caller runs inside db.withClient.
+ */
+async function rebuildAccount(client, userId, { apply = false } = {}) {
+  const lRes = await client.query(
+    "SELECT current_stamps, total_rewards FROM loyalty_accounts WHERE user_id = $1 FOR UPDATE",
+    [userId]
+  );
+  const cRes = await client.query(
+    `SELECT COUNT(*) FILTER (WHERE carried = TRUE)::int AS carried,
+            COUNT(*) FILTER (WHERE carried = FALSE AND redemption_id IS NULL)::int AS on_card
+     FROM stamps_history WHERE user_id = $1 AND expired_at IS NULL`,
+    [userId]
+  );
+  const ledger = await ledgerBalance(client, userId);
+
+  const account = {
+    stamps: Number((lRes.rows[0] && lRes.rows[0].current_stamps) || 0),
+    carried: cRes.rows[0].carried,
+    onCard: cRes.rows[0].on_card,
+    rewards: Number((lRes.rows[0] && lRes.rows[0].total_rewards) || 0),
+  };
+  const drift = {
+    stamps: account.stamps - ledger.stamps,
+    carried: account.carried - ledger.carried,
+    rewards: account.rewards - ledger.rewards,
+    onCard: account.onCard - ledger.stamps,
+  };
+  const hasDrift = drift.stamps !== 0 || drift.carried !== 0 || drift.rewards !== 0 || drift.onCard !== 0;
+
+  let rebuilt = false;
+  if (apply && (drift.stamps !== 0 || drift.rewards !== 0 || lRes.rows.length === 0)) {
+    if (drift.onCard !== 0) {
+      throw {
+        status: 409,
+        message: `Card has ${account.onCard} stamps but the ledger says ${ledger.stamps}. Fix the stamp history before rebuilding.`,
+      };
+    }
+    if (lRes.rows.length === 0) {
+      await client.query(
+        "INSERT INTO loyalty_accounts (user_id, current_stamps, total_rewards, updated_at) VALUES ($1, $2, $3, NOW())",
+        [userId, ledger.stamps, ledger.rewards]
+      );
+    } else {
+      await client.query(
+        "UPDATE loyalty_accounts SET current_stamps = $2, total_rewards = $3, updated_at = NOW() WHERE user_id = $1",
+        [userId, ledger.stamps, ledger.rewards]
+      );
+    }
+    rebuilt = true;
+  }
+
+  return { ledger, account, drift, hasDrift, rebuilt };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  recordEvent,
+  ledgerBalance,
+  rebuildAccount,
+};
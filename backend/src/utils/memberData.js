@@ -0,0 +1,204 @@
+// src/utils/memberData.js
+// A member's own data (DPDP Act requests): a self-service export and account deletion.
+//
+// Export: profile, account, stamps, transactions, payments, redemptions and wallet, as JSON or
+// as one CSV with a block per section.
+//
+// Deletion: the member asks (deletion_requests, status pending), the owner reviews the queue
+// and completes or rejects it. Completing anonymises the member instead of deleting rows, so
+// transactions, redemptions and the loyalty ledger stay intact for the accounts:
+//   - users: name becomes "Deleted member", phone / DOB / referral code are cleared, deleted_at set
+//   - transactions keep their amounts but lose the customer name
+//   - profile change values, SMS codes, referral phone and session details are erased
+//   - every session is revoked, so the card can't be opened again
+// The member code stays, so past bills still add up per member.
+
+const { fetchProfile } = require("./profile");
+const { fetchWallet } = require("./wallet");
+const { revokeAllSessions } = require("./customerSessions");
+
+const DELETED_NAME = "Deleted member";
+const REQUEST_STATUSES = ["pending", "completed", "rejected", "cancelled"];
+
+const REQUEST_COLUMNS = `r.id, r.user_id, r.status, r.requested_at, r.reviewed_by, r.reviewed_at, r.review_note,
+  u.member_code, u.name AS customer_name, u.phone,
+  COALESCE(l.current_stamps, 0) AS current_stamps, COALESCE(l.wallet_balance, 0)::float AS wallet_balance`;
+
+/**
+ * Everything held about one member, grouped by section. Caller runs inside db.withClient.
+ */
+async function exportMemberData(client, userId) {
+  const profile = await fetchProfile(client, userId);
+  const account = await client.query(
+    `SELECT current_stamps, total_rewards, tier, COALESCE(wallet_balance, 0)::float AS wallet_balance
+     FROM loyalty_accounts WHERE user_id = $1`,
+    [userId]
+  );
+  const stamps = await client.query(
+    `SELECT stamp_index, amount::float AS amount, bonus_source, carried, redemption_id, expired_at, created_at
+     FROM stamps_history WHERE user_id = $1 ORDER BY created_at, id`,
+    [userId]
+  );
+  const transactions = await client.query(
+    `SELECT id, amount::float AS amount, payment_method, stamp_added, stamps_earned, bill_number, outlet,
+            refunded_amount::float AS refunded_amount, created_at
+     FROM transactions WHERE user_id = $1 ORDER BY created_at, id`,
+    [userId]
+  );
+  const payments = await client.query(
+    `SELECT razorpay_order_id AS order_id, amount::float AS amount, currency, status, failure_reason, created_at, paid_at
+     FROM payment_orders WHERE user_id = $1 ORDER BY created_at, id`,
+    [userId]
+  );
+  const redemptions = await client.query(
+    `SELECT id, reward_name, reward_value::float AS reward_value, stamps_count, wallet_credit::float AS wallet_credit, redeemed_at
+     FROM redemptions WHERE user_id = $1 ORDER BY redeemed_at, id`,
+    [userId]
+  );
+  const wallet = await fetchWallet(client, userId, { limit: 1000 });
+
+  const { changes, ...details } = profile;
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: details,
+    profileChanges: changes,
+    account: account.rows[0] || null,
+    stamps: stamps.rows,
+    transactions: transactions.rows,
+    payments: payments.rows,
+    redemptions: redemptions.rows,
+    walletTransactions: wallet.transactions,
+  };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date ? value.toISOString() : typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The export as CSV: a "# section" line, a header row and the rows, blocks split by a blank line.
+function exportToCsv(data) {
+  const blocks = [];
+  for (const [section, value] of Object.entries(data)) {
+    if (section === "exportedAt") continue;
+    const rows = Array.isArray(value) ? value : value ? [value] : [];
+    const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+    const lines = [`# ${section}`];
+    if (rows.length) {
+      lines.push(columns.map(csvCell).join(","));
+      rows.forEach((row) => lines.push(columns.map((c) => csvCell(row[c])).join(",")));
+    }
+    blocks.push(lines.join("\n"));
+  }
+  return `# CakeRoven data export ${data.exportedAt}\n\n${blocks.join("\n\n")}\n`;
+}
+
+// The member's most recent deletion request, or null.
+async function latestDeletionRequest(client, userId) {
+  const r = await client.query(
+    "SELECT id, status, requested_at, reviewed_at, review_note FROM deletion_requests WHERE user_id = $1 ORDER BY id DESC LIMIT 1",
+    [userId]
+  );
+  return r.rows[0] || null;
+}
+
+// Throws 409 while another request is pending. Caller runs inside db.withClient.
+async function requestDeletion(client, userId) {
+  await client.query("SELECT id FROM users WHERE id = $1 FOR UPDATE", [userId]);
+  const pending = await client.query("SELECT 1 FROM deletion_requests WHERE user_id = $1 AND status = 'pending'", [userId]);
+  if (pending.rows.length) throw { status: 409, message: "Your deletion request is already being reviewed" };
+
+  await client.query("INSERT INTO deletion_requests (user_id, status, requested_at) VALUES ($1, 'pending', NOW())", [userId]);
+  return latestDeletionRequest(client, userId);
+}
+
+// The member changed their mind. Throws 404 when nothing is pending.
+async function cancelDeletion(client, userId) {
+  const r = await client.query(
+    "UPDATE deletion_requests SET status = 'cancelled', reviewed_at = NOW() WHERE user_id = $1 AND status = 'pending' RETURNING id",
+    [userId]
+  );
+  if (!r.rows.length) throw { status: 404, message: "No deletion request is pending" };
+  return latestDeletionRequest(client, userId);
+}
+
+async function listDeletionRequests(client, { status = "pending", limit = 100 } = {}) {
+  const where = status === "all" ? "" : "WHERE r.status = $2";
+  const params = status === "all" ? [limit] : [limit, status];
+  const r = await client.query(
+    `SELECT ${REQUEST_COLUMNS}
+     FROM deletion_requests r
+     JOIN users u ON u.id = r.user_id
+     LEFT JOIN loyalty_accounts l ON l.user_id = r.user_id
+     ${where}
+     ORDER BY r.requested_at DESC, r.id DESC
+     LIMIT $1`,
+    params
+  );
+  const pending = await client.query("SELECT COUNT(*)::int AS n FROM deletion_requests WHERE status = 'pending'");
+  return { requests: r.rows, pendingCount: pending.rows[0].n };
+}
+
+async function anonymiseMember(client, userId) {
+  const u = await client.query("SELECT phone FROM users WHERE id = $1 FOR UPDATE", [userId]);
+  const phone = u.rows[0] && u.rows[0].phone ? String(u.rows[0].phone).trim() : null;
+
+  await client.query(
+    `UPDATE users SET name = $2, phone = NULL, dob = NULL, referral_code = NULL,
+            marketing_sms = FALSE, marketing_whatsapp = FALSE, deleted_at = NOW()
+     WHERE id = $1`,
+    [userId, DELETED_NAME]
+  );
+  await client.query("UPDATE transactions SET customer_name = $2 WHERE user_id = $1", [userId, DELETED_NAME]);
+  await client.query("UPDATE profile_changes SET old_value = NULL, new_value = NULL WHERE user_id = $1", [userId]);
+  await client.query("UPDATE referrals SET referee_phone = 'deleted-' || id WHERE referee_id = $1", [userId]);
+  if (phone) await client.query("DELETE FROM otp_codes WHERE phone = $1", [phone]);
+  await revokeAllSessions(client, userId, "deleted");
+  await client.query("UPDATE customer_sessions SET user_agent = NULL WHERE user_id = $1", [userId]);
+}
+
+/**
+ * Close a pending request: decision "complete" (anonymise the member) or "reject" (note says why).
+ * Throws 404 / 409 like the other review queues. Caller runs inside db.withClient.
+ */
+async function reviewDeletionRequest(client, requestId, { decision, note }, admin) {
+  if (!["complete", "reject"].includes(decision)) throw { status: 400, message: "Decision must be complete or reject" };
+  if (note != null && (typeof note !== "string" || note.trim().length > 280)) {
+    throw { status: 400, message: "Note must be up to 280 characters" };
+  }
+
+  const r = await client.query(
+    `UPDATE deletion_requests SET status = $2, review_note = $3, reviewed_by = $4, reviewed_at = NOW()
+     WHERE id = $1 AND status = 'pending'
+     RETURNING user_id`,
+    [requestId, decision === "complete" ? "completed" : "rejected", note ? note.trim() || null : null, admin ? admin.username : null]
+  );
+  if (!r.rows.length) {
+    const exists = await client.query("SELECT 1 FROM deletion_requests WHERE id = $1", [requestId]);
+    if (!exists.rows.length) throw { status: 404, message: "Request not found" };
+    throw { status: 409, message: "This request has already been closed" };
+  }
+  if (decision === "complete") await anonymiseMember(client, r.rows[0].user_id);
+
+  const request = await client.query(
+    `SELECT ${REQUEST_COLUMNS}
+     FROM deletion_requests r
+     JOIN users u ON u.id = r.user_id
+     LEFT JOIN loyalty_accounts l ON l.user_id = r.user_id
+     WHERE r.id = $1`,
+    [requestId]
+  );
+  return request.rows[0];
+}
+
+module.exports = {
+  REQUEST_STATUSES,
+  exportMemberData,
+  exportToCsv,
+  latestDeletionRequest,
+  requestDeletion,
+  cancelDeletion,
+  listDeletionRequests,
+  reviewDeletionRequest,
+};
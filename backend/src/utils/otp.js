@@ -0,0 +1,131 @@
+// src/utils/otp.js
+// One-time codes sent by SMS (utils/smsProvider.js). "sign_in" codes come before logging in or
+// registering; which of the two happens is decided only once the code checks out, so asking for
+// a code never tells whether a number is a member. "phone_change" codes go to both numbers when
+// a card moves to a new phone (utils/profile.js).
+// A code is 6 digits, lives CODE_TTL_MINUTES and allows MAX_ATTEMPTS tries. A phone can ask for a
+// new code of the same purpose once every RESEND_SECONDS, and for at most MAX_PER_HOUR codes an
+// hour; asking again retires the previous code. Only an HMAC of the code is stored (OTP_SECRET,
+// else JWT_SECRET).
+
+const crypto = require("crypto");
+const db = require("../config/db");
+const { getSmsProvider } = require("./smsProvider");
+
+const PURPOSES = ["sign_in", "phone_change"];
+const CODE_TTL_MINUTES = 5;
+const MAX_ATTEMPTS = 5;
+const RESEND_SECONDS = 60;
+const MAX_PER_HOUR = 5;
+
+// Advisory lock namespace: one code request per phone at a time
+const PHONE_LOCK_NS = 19021;
+
+function secret() {
+  return process.env.OTP_SECRET || process.env.JWT_SECRET || "please-set-a-secure-secret";
+}
+
+function hashCode(phone, purpose, code) {
+  return crypto.createHmac("sha256", secret()).update(`${phone}:${purpose}:${code}`).digest("hex");
+}
+
+function checkInput(phone, purpose) {
+  if (!/^\d{10}$/.test(phone || "")) throw { status: 400, message: "Please enter a valid 10-digit mobile number" };
+  if (!PURPOSES.includes(purpose)) throw { status: 400, message: "Unknown verification purpose" };
+}
+
+/**
+ * Create a code for phone + purpose and text it. Throws 429 when the phone is over its
+ * limits, 503 when no SMS provider is set up and 502 when the provider fails (the code is
+ * then rolled back with the caller's transaction). Returns { expiresAt, resendAfter }.
+ * Caller runs inside db.withClient.
+ */
+async function requestOtp(client, { phone, purpose }) {
+  checkInput(phone, purpose);
+  const provider = getSmsProvider();
+  if (!provider) throw { status: 503, message: "Verification codes can't be sent right now. Please try again later." };
+
+  await client.query("SELECT pg_advisory_xact_lock($1, hashtext($2))", [PHONE_LOCK_NS, phone]);
+  await client.query("DELETE FROM otp_codes WHERE phone = $1 AND created_at < NOW() - INTERVAL '1 day'", [phone]);
+
+  const recent = await client.query(
+    `SELECT COUNT(*)::int AS n,
+            EXTRACT(EPOCH FROM NOW() - MAX(created_at) FILTER (WHERE purpose = $2))::int AS last_seconds
+     FROM otp_codes WHERE phone = $1 AND created_at > NOW() - INTERVAL '1 hour'`,
+    [phone, purpose]
+  );
+  const { n, last_seconds: lastSeconds } = recent.rows[0];
+  if (lastSeconds !== null && lastSeconds < RESEND_SECONDS) {
+    throw { status: 429, message: `Please wait ${RESEND_SECONDS - lastSeconds} seconds before asking for another code` };
+  }
+  if (n >= MAX_PER_HOUR) throw { status: 429, message: "Too many codes asked for this number. Please try again in an hour." };
+
+  // Only the newest code works
+  await client.query(
+    "UPDATE otp_codes SET expires_at = NOW() WHERE phone = $1 AND purpose = $2 AND consumed_at IS NULL AND expires_at > NOW()",
+    [phone, purpose]
+  );
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  const ins = await client.query(
+    `INSERT INTO otp_codes (phone, purpose, code_hash, expires_at, created_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4), NOW())
+     RETURNING expires_at`,
+    [phone, purpose, hashCode(phone, purpose, code), CODE_TTL_MINUTES]
+  );
+
+  try {
+    await provider.sendSms({ to: phone, text: `${code} is your CakeRoven verification code. It expires in ${CODE_TTL_MINUTES} minutes.` });
+  } catch (err) {
+    console.error(`sendSms (${provider.name}) error:`, err);
+    throw { status: 502, message: "Could not send the code. Please try again." };
+  }
+
+  return { expiresAt: ins.rows[0].expires_at, resendAfter: RESEND_SECONDS };
+}
+
+/**
+ * Check a code and use it up. The try is counted on its own connection, so wrong codes
+ * still count when the caller's transaction rolls back; using the code up happens on
+ * `client`, so a registration that fails later leaves the code usable until it expires.
+ * Throws 400 for a wrong or expired code and 429 once the tries are used up.
+ */
+async function verifyOtp(client, { phone, purpose, code }) {
+  checkInput(phone, purpose);
+  const cleanCode = String(code || "").trim();
+  if (!/^\d{6}$/.test(cleanCode)) throw { status: 400, message: "Please enter the 6-digit code" };
+
+  const tryRes = await db.query(
+    `UPDATE otp_codes SET attempts = attempts + 1
+     WHERE id = (SELECT id FROM otp_codes
+                 WHERE phone = $1 AND purpose = $2 AND consumed_at IS NULL AND expires_at > NOW()
+                 ORDER BY id DESC LIMIT 1)
+       AND attempts < $3
+     RETURNING id, code_hash, attempts`,
+    [phone, purpose, MAX_ATTEMPTS]
+  );
+  if (!tryRes.rows.length) {
+    const open = await db.query(
+      "SELECT 1 FROM otp_codes WHERE phone = $1 AND purpose = $2 AND consumed_at IS NULL AND expires_at > NOW()",
+      [phone, purpose]
+    );
+    if (open.rows.length) throw { status: 429, message: "Too many wrong codes. Please ask for a new one." };
+    throw { status: 400, message: "This code has expired. Please ask for a new one." };
+  }
+
+  const attempt = tryRes.rows[0];
+  const expected = Buffer.from(attempt.code_hash, "hex");
+  const given = Buffer.from(hashCode(phone, purpose, cleanCode), "hex");
+  if (!crypto.timingSafeEqual(expected, given)) {
+    const left = MAX_ATTEMPTS - attempt.attempts;
+    throw { status: 400, message: left > 0 ? `Wrong code. ${left} ${left === 1 ? "try" : "tries"} left.` : "Wrong code. Please ask for a new one." };
+  }
+
+  const used = await client.query("UPDATE otp_codes SET consumed_at = NOW() WHERE id = $1 AND consumed_at IS NULL RETURNING id", [attempt.id]);
+  if (!used.rows.length) throw { status: 409, message: "This code was already used. Please ask for a new one." };
+}
+
+module.exports = {
+  requestOtp,
+  verifyOtp,
+};
@@ -0,0 +1,176 @@
+// src/utils/paymentOrders.js
+// Settlement of stored Razorpay orders. Shared by the browser callback
+// (add-online-stamp) and the webhook, so both must run inside db.withClient:
+// the order row is locked FOR UPDATE and a paid order never stamps twice.
+
+const { getProgramSettings } = require("./programSettings");
+const { awardStamps } = require("./stamping");
+const { settingsForMember, refreshMemberTier } = require("./tiers");
+const { rewardReferral } = require("./referrals");
+const { holidayOn } = require("./holidays");
+const { businessDate } = require("./businessDate");
+
+const ORDER_EXPIRY_MINUTES = 30;
+// Order states reached only after the money came in: such an order never stamps again.
+const SETTLED_STATUSES = ["paid", "refunded"];
+
+// Unpaid orders from the last week, after marking abandoned ones as expired.
+async function fetchPendingPayments(client, userId) {
+  await client.query(
+    `UPDATE payment_orders SET status = 'expired', updated_at = NOW()
+     WHERE user_id = $1 AND status = 'created' AND created_at < NOW() - make_interval(mins => $2)`,
+    [userId, ORDER_EXPIRY_MINUTES]
+  );
+  const r = await client.query(
+    `SELECT razorpay_order_id AS order_id, amount, status, failure_reason, created_at
+     FROM payment_orders
+     WHERE user_id = $1 AND status <> 'paid' AND created_at > NOW() - INTERVAL '7 days'
+     ORDER BY created_at DESC
+     LIMIT 5`,
+    [userId]
+  );
+  return r.rows;
+}
+
+/**
+ * Lock the stored order, grant the stamps it earns and mark the order paid.
+ * `payment` is the Razorpay payment entity (id, order_id, amount in paise, currency).
+ * Pass `memberCode` when the caller claims the order for a specific member.
+ * Returns null when the order is not one of ours.
+ */
+async function settleOrderPayment(client, payment, { memberCode } = {}) {
+  // 1. Lock the stored order: the amount comes from here, and it can stamp only once
+  const oRes = await client.query(
+    "SELECT id, user_id, member_code, amount, currency, status, created_at FROM payment_orders WHERE razorpay_order_id = $1 FOR UPDATE",
+    [payment.order_id]
+  );
+  if (oRes.rows.length === 0) return null;
+  const order = oRes.rows[0];
+
+  if (memberCode && order.member_code !== memberCode) throw { status: 400, message: "Order does not belong to this member" };
+  if (Number(payment.amount) !== Math.round(Number(order.amount) * 100) || payment.currency !== order.currency) {
+    throw { status: 400, message: "Payment amount mismatch" };
+  }
+
+  const numAmount = Number(order.amount);
+  const programSettings = await getProgramSettings(client);
+
+  // 2. Get User
+  const uRes = await client.query("SELECT id, member_code, name, phone FROM users WHERE id = $1 FOR UPDATE", [order.user_id]);
+  if (uRes.rows.length === 0) throw { status: 404, message: "User not found" };
+  const user = uRes.rows[0];
+
+  // 3. Get Loyalty Info
+  const lRes = await client.query("SELECT current_stamps, total_rewards FROM loyalty_accounts WHERE user_id = $1 FOR UPDATE", [user.id]);
+
+  let currentStamps = 0;
+  let totalRewards = 0;
+
+  if (lRes.rows.length > 0) {
+    currentStamps = Number(lRes.rows[0].current_stamps || 0);
+    totalRewards = Number(lRes.rows[0].total_rewards || 0);
+  } else {
+    await client.query("INSERT INTO loyalty_accounts (user_id, current_stamps, total_rewards) VALUES ($1,0,0)", [user.id]);
+  }
+
+  // Tier perks (own stamp threshold, bonus stamps) apply to this member's bills
+  const settings = await settingsForMember(client, user.id, programSettings);
+
+  const settled = SETTLED_STATUSES.includes(order.status);
+  let reason = "success";
+  let award = { stampsAdded: 0, stampsCarried: 0, currentStamps, transactionId: null };
+
+  // The holiday is the one on the day the order was placed: a late webhook or a payment finished
+  // after midnight must not lose the stamp to a holiday that started later
+  const holiday = settled ? null : await holidayOn(client, businessDate(order.created_at));
+
+  // 4. Logic Checks
+  if (settled) {
+    reason = "already_processed";
+    // Already settled by the other path (browser callback vs webhook) or a replay, possibly refunded
+    // since - never stamp twice and never undo the refund.
+  } else if (holiday && holiday.block_stamps) {
+    reason = "holiday";
+    // Ordered on a day with stamping closed (payments were still open): settle without a stamp
+  } else if (numAmount < settings.minStampAmount) {
+    reason = "low_amount";
+    // Money collected (< threshold), but NO stamp given
+    // Per requirement: DO NOT log transaction if amount is below threshold
+  } else {
+    // 5. ✅ STRICT TRANSACTION LOGGING (only written when stamps are added or carried)
+    award = await awardStamps(client, { user, amount: numAmount, paymentMethod: "online", currentStamps, settings });
+    if (award.stampsAdded === 0) {
+      // Card is full: stamps were carried to the next card, or dropped (user needs to redeem)
+      reason = award.stampsCarried > 0 ? "carried_over" : "limit_reached";
+    }
+  }
+  const stampAdded = award.stampsAdded > 0;
+  const referral = await rewardReferral(client, { userId: user.id, transactionId: award.transactionId, settings: programSettings });
+  if (referral) award.currentStamps = referral.currentStamps;
+  if (award.transactionId) await refreshMemberTier(client, user.id, programSettings);
+
+  // 6. Settle the order
+  if (!settled) {
+    await client.query(
+      `UPDATE payment_orders
+       SET status = 'paid', razorpay_payment_id = $2, stamp_added = $3, transaction_id = $4,
+           failure_reason = NULL, paid_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [order.id, payment.id, stampAdded, award.transactionId]
+    );
+  }
+
+  return {
+    order,
+    user,
+    stampAdded,
+    stampsAdded: award.stampsAdded,
+    stampsCarried: award.stampsCarried,
+    campaign: award.campaign || null,
+    referral,
+    reason,
+    currentStamps: award.currentStamps,
+    totalRewards,
+  };
+}
+
+// Failed attempts leave the order retryable; a paid order is never downgraded.
+async function markOrderFailed(client, { orderId, memberCode, reason }) {
+  const params = [orderId, reason ? String(reason).slice(0, 255) : null];
+  let memberFilter = "";
+  if (memberCode) {
+    params.push(memberCode);
+    memberFilter = "AND member_code = $3";
+  }
+
+  const upd = await client.query(
+    `UPDATE payment_orders
+     SET status = 'failed', failure_reason = $2, updated_at = NOW()
+     WHERE razorpay_order_id = $1 ${memberFilter} AND status IN ('created', 'expired', 'failed')
+     RETURNING id`,
+    params
+  );
+  return upd.rowCount > 0;
+}
+
+// amount_refunded on the payment entity is cumulative, so re-applying an event is harmless.
+async function recordOrderRefund(client, payment) {
+  const upd = await client.query(
+    `UPDATE payment_orders
+     SET refunded_amount = $2,
+         refunded_at = NOW(),
+         status = CASE WHEN $2 >= amount THEN 'refunded' ELSE status END,
+         updated_at = NOW()
+     WHERE razorpay_order_id = $1
+     RETURNING id, user_id, transaction_id, status`,
+    [payment.order_id, Number(payment.amount_refunded || 0) / 100]
+  );
+  return upd.rows[0] || null;
+}
+
+module.exports = {
+  fetchPendingPayments,
+  settleOrderPayment,
+  markOrderFailed,
+  recordOrderRefund,
+};
@@ -0,0 +1,32 @@
+// src/utils/paymentProvider.js
+// Selects the payment gateway from PAYMENT_PROVIDER: "razorpay" (default) or "fake".
+//
+// Every provider exposes the same shape (amounts in paise, entities shaped like Razorpay's):
+//   name, keyId, webhookEnabled
+//   createOrder({ amount, currency, receipt, notes })      -> { id, amount, currency }
+//   fetchPayment(paymentId)                                -> { id, order_id, amount, currency, status }
+//   refundPayment(paymentId, { amount, notes })            -> { id, amount }
+//   verifyPaymentSignature({ orderId, paymentId, signature }) -> boolean
+//   verifyWebhookSignature(rawBody, signature)             -> boolean
+
+const { createRazorpayProvider } = require("./razorpay");
+const fakePaymentProvider = require("./fakePaymentProvider");
+
+// Returns null when the selected provider is not usable on this environment.
+function getPaymentProvider() {
+  const name = (process.env.PAYMENT_PROVIDER || "razorpay").trim().toLowerCase();
+
+  if (name === "fake") {
+    if (process.env.NODE_ENV === "production") {
+      console.error("PAYMENT_PROVIDER=fake is ignored in production");
+      return null;
+    }
+    return fakePaymentProvider;
+  }
+
+  return createRazorpayProvider();
+}
+
+module.exports = {
+  getPaymentProvider,
+};
@@ -0,0 +1,163 @@
+// src/utils/profile.js
+// Member self-service profile: name, date of birth, marketing preferences and the phone number.
+// Every change writes a profile_changes row (old and new value, who changed it).
+//
+// The card belongs to the users row, not to the phone number, so a phone change keeps the
+// member code, stamps, rewards, wallet and history as they are. It needs a code texted to the
+// current number and one texted to the new number (utils/otp.js, purpose "phone_change").
+// A DOB can't be changed by the member within a year of a birthday bonus, so the bonus can't
+// be claimed twice by moving the birthday.
+
+const { requestOtp, verifyOtp } = require("./otp");
+const { businessDate } = require("./businessDate");
+
+const NAME_MAX = 60;
+// Advisory lock namespace: one phone change onto a number at a time
+const PHONE_CHANGE_LOCK_NS = 19023;
+
+function cleanPhone(phone) {
+  const p = String(phone || "").trim();
+  if (!/^\d{10}$/.test(p)) throw { status: 400, message: "Please enter a valid 10-digit mobile number" };
+  return p;
+}
+
+function cleanName(name) {
+  const n = String(name || "").trim().replace(/\s+/g, " ");
+  if (!n) throw { status: 400, message: "Name is required" };
+  if (n.length > NAME_MAX) throw { status: 400, message: `Name can be at most ${NAME_MAX} characters` };
+  return n;
+}
+
+// "YYYY-MM-DD" in the past, or null to clear it.
+function cleanDob(dob) {
+  if (dob === null || dob === "") return null;
+  const d = String(dob).trim();
+  const parsed = new Date(`${d}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(d) || Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== d) {
+    throw { status: 400, message: "Date of birth must be a valid date (YYYY-MM-DD)" };
+  }
+  if (d < "1900-01-01" || d >= businessDate()) throw { status: 400, message: "Date of birth must be in the past" };
+  return d;
+}
+
+async function loadUser(client, userId, { lock = false } = {}) {
+  const r = await client.query(
+    `SELECT id, member_code, name, phone, to_char(dob, 'YYYY-MM-DD') AS dob, marketing_sms, marketing_whatsapp
+     FROM users WHERE id = $1${lock ? " FOR UPDATE" : ""}`,
+    [userId]
+  );
+  if (!r.rows.length) throw { status: 404, message: "Card not found" };
+  return r.rows[0];
+}
+
+async function recordChange(client, userId, field, oldValue, newValue, changedBy) {
+  const text = (v) => (v === null || v === undefined ? null : String(v));
+  await client.query(
+    `INSERT INTO profile_changes (user_id, field, old_value, new_value, changed_by, changed_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())`,
+    [userId, field, text(oldValue), text(newValue), changedBy]
+  );
+}
+
+/**
+ * The member's profile and their recent profile changes:
+ * { memberCode, name, phone, dob, marketingSms, marketingWhatsapp, changes: [...] }
+ */
+async function fetchProfile(client, userId) {
+  const user = await loadUser(client, userId);
+  const changes = await client.query(
+    `SELECT id, field, old_value, new_value, changed_by, changed_at
+     FROM profile_changes WHERE user_id = $1 ORDER BY changed_at DESC, id DESC LIMIT 20`,
+    [userId]
+  );
+  return {
+    memberCode: user.member_code,
+    name: user.name,
+    phone: user.phone,
+    dob: user.dob,
+    marketingSms: user.marketing_sms,
+    marketingWhatsapp: user.marketing_whatsapp,
+    changes: changes.rows,
+  };
+}
+
+/**
+ * Update any of { name, dob, marketingSms, marketingWhatsapp } (missing keys stay as they are).
+ * Throws 400 for bad values and 409 for a DOB change too soon after a birthday bonus.
+ * Returns the fresh profile. Caller runs inside db.withClient.
+ */
+async function updateProfile(client, userId, body, { changedBy = "customer" } = {}) {
+  const user = await loadUser(client, userId, { lock: true });
+  const next = {};
+  if (body.name !== undefined) next.name = cleanName(body.name);
+  if (body.dob !== undefined) next.dob = cleanDob(body.dob);
+  if (body.marketingSms !== undefined) next.marketing_sms = Boolean(body.marketingSms);
+  if (body.marketingWhatsapp !== undefined) next.marketing_whatsapp = Boolean(body.marketingWhatsapp);
+
+  const changed = Object.keys(next).filter((field) => next[field] !== user[field]);
+  if (!changed.length) return fetchProfile(client, userId);
+
+  if (changed.includes("dob") && changedBy === "customer") {
+    const bonus = await client.query(
+      "SELECT 1 FROM birthday_bonuses WHERE user_id = $1 AND granted_at > NOW() - INTERVAL '1 year' LIMIT 1",
+      [userId]
+    );
+    if (bonus.rows.length) {
+      throw { status: 409, message: "Your birthday bonus was given in the last year, so please ask at the counter to change your date of birth." };
+    }
+  }
+
+  const sets = changed.map((field, i) => `${field} = $${i + 2}`);
+  await client.query(`UPDATE users SET ${sets.join(", ")} WHERE id = $1`, [userId, ...changed.map((field) => next[field])]);
+  for (const field of changed) {
+    await recordChange(client, userId, field, user[field], next[field], changedBy);
+  }
+  return fetchProfile(client, userId);
+}
+
+async function assertPhoneFree(client, userId, newPhone) {
+  const taken = await client.query("SELECT id FROM users WHERE TRIM(phone) = $1 AND id <> $2 LIMIT 1", [newPhone, userId]);
+  if (taken.rows.length) throw { status: 409, message: "This number already has a CakeRoven card. Please ask at the counter." };
+}
+
+/**
+ * First step of a phone change: text a code to the current number and to `newPhone`.
+ * Returns { expiresAt, resendAfter }. Caller runs inside db.withClient.
+ */
+async function startPhoneChange(client, userId, newPhone) {
+  const user = await loadUser(client, userId);
+  const phone = cleanPhone(newPhone);
+  if (phone === String(user.phone).trim()) throw { status: 400, message: "That is already your number" };
+  await assertPhoneFree(client, userId, phone);
+
+  await requestOtp(client, { phone: String(user.phone).trim(), purpose: "phone_change" });
+  return requestOtp(client, { phone, purpose: "phone_change" });
+}
+
+/**
+ * Second step: check both codes and move the card to `newPhone`. Throws 400/429 for a bad
+ * code (see verifyOtp) and 409 when the number was taken meanwhile. Returns the fresh profile.
+ * Caller runs inside db.withClient.
+ */
+async function changePhone(client, userId, { newPhone, oldCode, newCode }) {
+  const phone = cleanPhone(newPhone);
+  await client.query("SELECT pg_advisory_xact_lock($1, hashtext($2))", [PHONE_CHANGE_LOCK_NS, phone]);
+  const user = await loadUser(client, userId, { lock: true });
+  const oldPhone = String(user.phone).trim();
+  if (phone === oldPhone) throw { status: 400, message: "That is already your number" };
+
+  await verifyOtp(client, { phone: oldPhone, purpose: "phone_change", code: oldCode });
+  await verifyOtp(client, { phone, purpose: "phone_change", code: newCode });
+  await assertPhoneFree(client, userId, phone);
+
+  await client.query("UPDATE users SET phone = $2 WHERE id = $1", [userId, phone]);
+  await recordChange(client, userId, "phone", oldPhone, phone, "customer");
+  return fetchProfile(client, userId);
+}
+
+module.exports = {
+  fetchProfile,
+  updateProfile,
+  startPhoneChange,
+  changePhone,
+};
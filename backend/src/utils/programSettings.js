@@ -0,0 +1,220 @@
+// src/utils/programSettings.js
+// Loyalty program rules, stored one JSONB value per key in program_settings.
+// Keys missing from the table fall back to DEFAULT_SETTINGS (the original hard-coded program).
+
+const db = require("../config/db");
+
+const DEFAULT_SETTINGS = {
+  minStampAmount: 500, // bill amount (₹) that earns one stamp
+  cardSize: 12, // boxes on the card; the last box is the gifted reward
+  rewardValue: 1000, // ₹ of free food shown on the card
+  stampMode: "per_bill", // "per_bill": one stamp per qualifying bill | "per_amount": one stamp per minStampAmount spent
+  maxStampsPerBill: 3, // cap for "per_amount" mode
+  overflowMode: "drop", // stamps past the redeem target: "drop" | "carry_over" to the next card
+  expiryMode: "none", // "none" | "stamp_age": each stamp expires | "card_inactivity": whole card expires (see utils/stampExpiry.js)
+  expiryDays: 365, // days until a stamp (or an inactive card) expires
+  expiryWarningDays: 14, // warn on the card page this many days ahead (0 = no warning)
+  birthdayBonus: "treat", // "none" | "stamp": bonus stamps | "treat": a treat shown on the card (see utils/birthdays.js)
+  birthdayBonusStamps: 1, // stamps for "stamp"
+  birthdayTreat: "Free slice of cake", // what the "treat" is
+  birthdayWindowDays: 7, // bonus is valid this many days before and after the birthday
+  referralReferrerStamps: 1, // stamps for the member who referred, once the new member's first bill is stamped
+  referralRefereeStamps: 1, // stamps for the new member on that same bill (see utils/referrals.js)
+  referralMonthlyCap: 10, // referrer rewards per member per month (0 = no cap)
+  billNumberRequired: false, // manual stamps must carry the bill / receipt number
+  velocityCustomerDailyStamps: 5, // manual stamping rules (see utils/stampRules.js), 0 = off: bill stamps per member per day
+  velocityMinMinutes: 2, // minutes between two stamped bills of a member
+  velocityAdminDailyStamps: 0, // stamps one admin can give per day
+  velocityAction: "flag", // what a broken rule does: "flag" for review | "block" the stamp
+  tierBasis: "spend", // "spend": lifetime ₹ spent | "rewards": rewards redeemed (see utils/tiers.js)
+  // Lowest first; threshold is in tierBasis units. Perks: minStampAmount (null = program's), bonusStamps per bill.
+  tiers: [
+    { name: "Silver", threshold: 0, minStampAmount: null, bonusStamps: 0 },
+    { name: "Gold", threshold: 10000, minStampAmount: null, bonusStamps: 0 },
+    { name: "Platinum", threshold: 25000, minStampAmount: null, bonusStamps: 0 },
+  ],
+};
+
+// Each validator returns the cleaned value, or undefined when the input is invalid.
+const VALIDATORS = {
+  minStampAmount: (v) => {
+    const n = Number(v);
+    return Number.isFinite(n) && n > 0 && n <= 1000000 ? n : undefined;
+  },
+  cardSize: (v) => {
+    const n = Number(v);
+    return Number.isInteger(n) && n >= 2 && n <= 30 ? n : undefined;
+  },
+  rewardValue: (v) => {
+    const n = Number(v);
+    return Number.isFinite(n) && n >= 0 && n <= 1000000 ? n : undefined;
+  },
+  stampMode: (v) => (["per_bill", "per_amount"].includes(v) ? v : undefined),
+  maxStampsPerBill: (v) => {
+    const n = Number(v);
+    return Number.isInteger(n) && n >= 1 && n <= 20 ? n : undefined;
+  },
+  overflowMode: (v) => (["drop", "carry_over"].includes(v) ? v : undefined),
+  expiryMode: (v) => (["none", "stamp_age", "card_inactivity"].includes(v) ? v : undefined),
+  expiryDays: (v) => {
+    const n = Number(v);
+    return Number.isInteger(n) && n >= 1 && n <= 3650 ? n : undefined;
+  },
+  expiryWarningDays: (v) => {
+    const n = Number(v);
+    return Number.isInteger(n) && n >= 0 && n <= 365 ? n : undefined;
+  },
+  birthdayBonus: (v) => (["none", "stamp", "treat"].includes(v) ? v : undefined),
+  birthdayBonusStamps: (v) => {
+    const n = Number(v);
+    return Number.isInteger(n) && n >= 1 && n <= 5 ? n : undefined;
+  },
+  birthdayTreat: (v) => {
+    const s = typeof v === "string" ? v.trim() : "";
+    return s.length >= 1 && s.length <= 80 ? s : undefined;
+  },
+  birthdayWindowDays: (v) => {
+    const n = Number(v);
+    return Number.isInteger(n) && n >= 0 && n <= 30 ? n : undefined;
+  },
+  referralReferrerStamps: (v) => {
+    const n = Number(v);
+    return Number.isInteger(n) && n >= 0 && n <= 5 ? n : undefined;
+  },
+  referralRefereeStamps: (v) => {
+    const n = Number(v);
+    return Number.isInteger(n) && n >= 0 && n <= 5 ? n : undefined;
+  },
+  referralMonthlyCap: (v) => {
+    const n = Number(v);
+    return Number.isInteger(n) && n >= 0 && n <= 100 ? n : undefined;
+  },
+  billNumberRequired: (v) => (typeof v === "boolean" ? v : undefined),
+  velocityCustomerDailyStamps: (v) => {
+    const n = Number(v);
+    return Number.isInteger(n) && n >= 0 && n <= 100 ? n : undefined;
+  },
+  velocityMinMinutes: (v) => {
+    const n = Number(v);
+    return Number.isInteger(n) && n >= 0 && n <= 1440 ? n : undefined;
+  },
+  velocityAdminDailyStamps: (v) => {
+    const n = Number(v);
+    return Number.isInteger(n) && n >= 0 && n <= 10000 ? n : undefined;
+  },
+  velocityAction: (v) => (["flag", "block"].includes(v) ? v : undefined),
+  tierBasis: (v) => (["spend", "rewards"].includes(v) ? v : undefined),
+  tiers: (v) => {
+    if (!Array.isArray(v) || v.length < 1 || v.length > 5) return undefined;
+    const tiers = [];
+    for (const t of v) {
+      if (!t || typeof t !== "object") return undefined;
+      const name = typeof t.name === "string" ? t.name.trim() : "";
+      const threshold = Number(t.threshold);
+      const minStampAmount = t.minStampAmount === null || t.minStampAmount === undefined || t.minStampAmount === "" ? null : Number(t.minStampAmount);
+      const bonusStamps = Number(t.bonusStamps || 0);
+      if (!name || name.length > 20 || tiers.some((x) => x.name === name)) return undefined;
+      if (!Number.isFinite(threshold) || threshold < 0) return undefined;
+      if (tiers.length === 0 ? threshold !== 0 : threshold <= tiers[tiers.length - 1].threshold) return undefined;
+      if (minStampAmount !== null && !(Number.isFinite(minStampAmount) && minStampAmount > 0)) return undefined;
+      if (!Number.isInteger(bonusStamps) || bonusStamps < 0 || bonusStamps > 5) return undefined;
+      tiers.push({ name, threshold, minStampAmount, bonusStamps });
+    }
+    return tiers;
+  },
+};
+
+const RULES_HINT = {
+  minStampAmount: "minStampAmount must be a positive amount",
+  cardSize: "cardSize must be a whole number between 2 and 30",
+  rewardValue: "rewardValue must be zero or a positive amount",
+  stampMode: "stampMode must be per_bill or per_amount",
+  maxStampsPerBill: "maxStampsPerBill must be a whole number between 1 and 20",
+  overflowMode: "overflowMode must be drop or carry_over",
+  expiryMode: "expiryMode must be none, stamp_age or card_inactivity",
+  expiryDays: "expiryDays must be a whole number between 1 and 3650",
+  expiryWarningDays: "expiryWarningDays must be a whole number between 0 and 365",
+  birthdayBonus: "birthdayBonus must be none, stamp or treat",
+  birthdayBonusStamps: "birthdayBonusStamps must be a whole number between 1 and 5",
+  birthdayTreat: "birthdayTreat must be 1 to 80 characters",
+  birthdayWindowDays: "birthdayWindowDays must be a whole number between 0 and 30",
+  referralReferrerStamps: "referralReferrerStamps must be a whole number between 0 and 5",
+  referralRefereeStamps: "referralRefereeStamps must be a whole number between 0 and 5",
+  referralMonthlyCap: "referralMonthlyCap must be a whole number between 0 and 100",
+  billNumberRequired: "billNumberRequired must be true or false",
+  velocityCustomerDailyStamps: "velocityCustomerDailyStamps must be a whole number between 0 and 100",
+  velocityMinMinutes: "velocityMinMinutes must be a whole number between 0 and 1440",
+  velocityAdminDailyStamps: "velocityAdminDailyStamps must be a whole number between 0 and 10000",
+  velocityAction: "velocityAction must be flag or block",
+  tierBasis: "tierBasis must be spend or rewards",
+  tiers: "tiers must be 1 to 5 tiers with unique names, the first at threshold 0 and each higher than the last (bonusStamps 0-5)",
+};
+
+// Stamps needed before a reward can be redeemed (the final box is gifted).
+function withDerived(settings) {
+  return { ...settings, redeemStampTarget: settings.cardSize - 1 };
+}
+
+/**
+ * Current program rules plus redeemStampTarget.
+ * Pass the transaction client when the caller is inside db.withClient.
+ */
+async function getProgramSettings(client = db) {
+  const r = await client.query("SELECT key, value FROM program_settings");
+  const settings = { ...DEFAULT_SETTINGS };
+  r.rows.forEach((row) => {
+    if (!(row.key in DEFAULT_SETTINGS)) return;
+    const clean = VALIDATORS[row.key](row.value);
+    if (clean !== undefined) settings[row.key] = clean;
+  });
+  return withDerived(settings);
+}
+
+// Stamp velocity limits stay off the public GET /api/customer/program, so a script can't
+// tune itself to sit just under them.
+const PRIVATE_KEYS = ["velocityCustomerDailyStamps", "velocityMinMinutes", "velocityAdminDailyStamps", "velocityAction"];
+
+function publicProgramSettings(settings) {
+  const pub = { ...settings };
+  PRIVATE_KEYS.forEach((key) => delete pub[key]);
+  return pub;
+}
+
+// Validate a partial update; unknown keys and bad values are rejected with 400.
+function validateSettingsPatch(patch) {
+  if (!patch || typeof patch !== "object" || Array.isArray(patch)) {
+    throw { status: 400, message: "Settings object required" };
+  }
+
+  const clean = {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (key === "redeemStampTarget") continue; // derived from cardSize, never stored
+    if (!VALIDATORS[key]) throw { status: 400, message: `Unknown setting: ${key}` };
+    const v = VALIDATORS[key](value);
+    if (v === undefined) throw { status: 400, message: RULES_HINT[key] };
+    clean[key] = v;
+  }
+
+  if (Object.keys(clean).length === 0) throw { status: 400, message: "No settings to update" };
+  return clean;
+}
+
+async function updateProgramSettings(client, patch, adminId) {
+  const clean = validateSettingsPatch(patch);
+  for (const [key, value] of Object.entries(clean)) {
+    await client.query(
+      `INSERT INTO program_settings (key, value, updated_at, updated_by)
+       VALUES ($1, $2::jsonb, NOW(), $3)
+       ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW(), updated_by = EXCLUDED.updated_by`,
+      [key, JSON.stringify(value), adminId || null]
+    );
+  }
+  return getProgramSettings(client);
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getProgramSettings,
+  publicProgramSettings,
+  updateProgramSettings,
+};
@@ -0,0 +1,75 @@
+// src/utils/razorpay.js
+// Razorpay client, signature helpers and the "razorpay" payment provider
+// (see utils/paymentProvider.js for the provider interface).
+
+const crypto = require("crypto");
+const Razorpay = require("razorpay");
+
+function getRazorpayClient() {
+  const keyId = process.env.RAZORPAY_KEY_ID;
+  const keySecret = process.env.RAZORPAY_KEY_SECRET;
+
+  if (!keyId || !keySecret) {
+    return null;
+  }
+
+  return new Razorpay({ key_id: keyId, key_secret: keySecret });
+}
+
+function hmacHex(payload, secret) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("hex");
+}
+
+// Constant-time compare of two hex strings (false on any length mismatch).
+function safeEqualHex(expected, received) {
+  if (typeof received !== "string" || !/^[0-9a-f]+$/i.test(received)) return false;
+  const a = Buffer.from(expected, "hex");
+  const b = Buffer.from(received, "hex");
+  if (a.length !== b.length) return false;
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Checkout signature: HMAC-SHA256 of "<order_id>|<payment_id>" keyed with RAZORPAY_KEY_SECRET.
+ */
+function verifyPaymentSignature({ orderId, paymentId, signature }) {
+  const secret = process.env.RAZORPAY_KEY_SECRET;
+  if (!secret || !orderId || !paymentId || !signature) return false;
+  return safeEqualHex(hmacHex(`${orderId}|${paymentId}`, secret), signature);
+}
+
+/**
+ * Webhook signature: HMAC-SHA256 of the raw request body keyed with RAZORPAY_WEBHOOK_SECRET
+ * (configured on the Razorpay dashboard, separate from the API key secret).
+ */
+function verifyWebhookSignature(rawBody, signature) {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret || !rawBody || !signature) return false;
+  return safeEqualHex(hmacHex(rawBody, secret), signature);
+}
+
+// Provider adapter over the Razorpay SDK. null when keys are missing.
+function createRazorpayProvider() {
+  const client = getRazorpayClient();
+  if (!client) return null;
+
+  return {
+    name: "razorpay",
+    keyId: process.env.RAZORPAY_KEY_ID,
+    webhookEnabled: Boolean(process.env.RAZORPAY_WEBHOOK_SECRET),
+    createOrder: (options) => client.orders.create(options),
+    fetchPayment: (paymentId) => client.payments.fetch(paymentId),
+    refundPayment: (paymentId, options) => client.payments.refund(paymentId, options),
+    verifyPaymentSignature,
+    verifyWebhookSignature,
+  };
+}
+
+module.exports = {
+  getRazorpayClient,
+  createRazorpayProvider,
+  verifyPaymentSignature,
+  verifyWebhookSignature,
+  hmacHex,
+  safeEqualHex,
+};
@@ -0,0 +1,144 @@
+// src/utils/redemptions.js
+// Reward redemption ledger. Redeeming archives the live card's stamps under a
+// redemptions row instead of deleting them, so completed cards stay visible.
+// Catalog rewards (utils/rewardCatalog.js) archive only the stamps they cost.
+
+const { promoteCarriedStamps } = require("./stamping");
+const { recordEvent } = require("./loyaltyEvents");
+const { refreshMemberTier } = require("./tiers");
+const { creditWallet } = require("./wallet");
+
+/**
+ * Redeem stamps off the live card: write the redemption and tag the first `stampsCount`
+ * stamps with its id. The full-card reward takes every stamp; a catalog `reward` takes its
+ * stamp cost and the stamps left over move down to slot 1.
+ * Carried stamps are left alone (they start the next card).
+ * Caller holds the loyalty_accounts row lock.
+ */
+async function archiveCard(client, { user, admin, settings, stampsCount, reward = null }) {
+  const startRes = await client.query(
+    `SELECT MIN(created_at) AS started_at FROM stamps_history
+     WHERE user_id = $1 AND carried = FALSE AND redemption_id IS NULL AND expired_at IS NULL AND stamp_index <= $2`,
+    [user.id, stampsCount]
+  );
+
+  const ins = await client.query(
+    `INSERT INTO redemptions (user_id, member_code, admin_id, admin_username, reward_value, stamps_count, card_started_at, reward_id, reward_name, redeemed_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+     RETURNING id, reward_id, reward_name, reward_value, stamps_count, card_started_at, redeemed_at`,
+    [
+      user.id,
+      user.member_code,
+      admin ? admin.uid : null,
+      admin ? admin.username : null,
+      reward ? reward.value : settings.rewardValue,
+      stampsCount,
+      startRes.rows[0].started_at,
+      reward ? reward.id : null,
+      reward ? reward.name : null,
+    ]
+  );
+  const redemption = ins.rows[0];
+
+  await client.query(
+    `UPDATE stamps_history SET redemption_id = $2
+     WHERE user_id = $1 AND carried = FALSE AND redemption_id IS NULL AND expired_at IS NULL AND stamp_index <= $3`,
+    [user.id, redemption.id, stampsCount]
+  );
+  await client.query(
+    `UPDATE stamps_history SET stamp_index = stamp_index - $2
+     WHERE user_id = $1 AND carried = FALSE AND redemption_id IS NULL AND expired_at IS NULL`,
+    [user.id, stampsCount]
+  );
+
+  return redemption;
+}
+
+/**
+ * Redeem a reward for a member: the full-card reward when `reward` is null, else a catalog
+ * reward (only its stamp cost comes off the card). Archives the stamps, bumps total_rewards,
+ * writes the ledger event, moves carried stamps onto freed slots and refreshes the tier.
+ * With toWallet the reward's ₹ value goes into the member's wallet (utils/wallet.js) instead
+ * of being served now. Caller runs inside db.withClient.
+ */
+async function redeemReward(client, { userId, reward = null, admin, settings, toWallet = false }) {
+  const lRes = await client.query("SELECT current_stamps, total_rewards FROM loyalty_accounts WHERE user_id = $1 FOR UPDATE", [userId]);
+  if (lRes.rows.length === 0) throw { status: 404, message: "Account not found" };
+
+  const currentStamps = Number(lRes.rows[0].current_stamps);
+  const stampCost = reward ? reward.stamp_cost : settings.redeemStampTarget;
+  if (currentStamps < stampCost) throw { status: 400, message: "Not enough stamps to redeem" };
+  const stampsTaken = reward ? stampCost : currentStamps;
+
+  const totalRewards = Number(lRes.rows[0].total_rewards) + 1;
+  const uRes = await client.query("SELECT id, member_code FROM users WHERE id = $1", [userId]);
+
+  // Archive the redeemed stamps in the redemption ledger (stamps are kept, not deleted)
+  const redemption = await archiveCard(client, {
+    user: uRes.rows[0],
+    admin,
+    settings,
+    stampsCount: stampsTaken,
+    reward,
+  });
+  await client.query("UPDATE loyalty_accounts SET current_stamps = $1, total_rewards = $2, updated_at = NOW() WHERE user_id = $3", [
+    currentStamps - stampsTaken,
+    totalRewards,
+    userId,
+  ]);
+  await recordEvent(client, {
+    userId,
+    type: "reward_redeemed",
+    stampsDelta: -stampsTaken,
+    rewardsDelta: 1,
+    redemptionId: redemption.id,
+    adminId: admin && admin.uid,
+    reason: reward ? "catalog" : "full_card",
+    meta: reward ? { rewardId: reward.id, rewardName: reward.name } : null,
+  });
+
+  let wallet = null;
+  if (toWallet) {
+    const value = Number(redemption.reward_value);
+    if (!(value > 0)) throw { status: 400, message: "This reward has no ₹ value to put in the wallet" };
+    wallet = await creditWallet(client, { userId, amount: value, reason: "reward", redemptionId: redemption.id, admin });
+    await client.query("UPDATE redemptions SET wallet_credit = $2 WHERE id = $1", [redemption.id, value]);
+    redemption.wallet_credit = value;
+  }
+
+  // Stamps carried over from bills on the full card move onto the freed slots
+  const newStamps = await promoteCarriedStamps(client, userId, settings);
+  await refreshMemberTier(client, userId, settings);
+
+  const carriedMoved = newStamps - (currentStamps - stampsTaken);
+  let message = reward ? `${reward.name} redeemed! ${newStamps} stamp(s) left on the card.` : "Reward redeemed! Stamps reset.";
+  if (carriedMoved > 0) message += ` ${carriedMoved} carried stamp(s) moved onto the card.`;
+  if (wallet) message += ` ₹${redemption.wallet_credit} added to the wallet (balance ₹${wallet.balance}).`;
+
+  return { message, currentStamps: newStamps, totalRewards, redemption, walletBalance: wallet ? wallet.balance : undefined };
+}
+
+// Completed cards, newest first, each with its archived stamps.
+async function fetchRedemptions(client, userId, { limit = 20, includeAdmin = false } = {}) {
+  const r = await client.query(
+    `SELECT r.id, r.reward_id, r.reward_name, r.reward_value, r.wallet_credit::float AS wallet_credit, r.stamps_count, r.card_started_at, r.redeemed_at,
+            ${includeAdmin ? "r.admin_id, r.admin_username," : ""}
+            COALESCE((
+              SELECT json_agg(json_build_object('index', h.stamp_index, 'amount', h.amount, 'date', h.created_at) ORDER BY h.stamp_index)
+              FROM stamps_history h
+              WHERE h.redemption_id = r.id
+            ), '[]'::json) AS stamps
+     FROM redemptions r
+     WHERE r.user_id = $1
+     ORDER BY r.redeemed_at DESC
+     LIMIT $2`,
+    [userId, limit]
+  );
+  return r.rows;
+}
+
+module.exports = {
+  archiveCard,
+  redeemReward,
+  fetchRedemptions,
+};
@@ -0,0 +1,216 @@
+// src/utils/referrals.js
+// Member referrals. Every member has a referral_code (given out lazily, the first time their
+// card loads); a new member can enter one when registering. When the new member's first bill
+// is stamped, both get bonus stamps (program settings referralReferrerStamps /
+// referralRefereeStamps). Abuse guards:
+//   - a member can't use their own code (same phone)
+//   - a phone can be referred only once, ever (referrals.referee_phone is UNIQUE)
+//   - a referrer earns at most referralMonthlyCap rewards per calendar month; past that the
+//     referral is stored as 'capped' and only the new member gets stamps
+// Both bonuses carry the qualifying bill's transaction id: undoing the bill, or refunding it below
+// the stamp threshold, takes them back and puts the referral back to 'pending'.
+
+const crypto = require("crypto");
+const { grantBonusStamps, removeStamps } = require("./stamping");
+const { BUSINESS_TIMEZONE } = require("./businessDate");
+
+// Same unambiguous alphabet as voucher codes
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 8;
+
+function generateCode() {
+  let code = "";
+  for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  return code;
+}
+
+function normalizeCode(code) {
+  return String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+// The member's referral code, created on first use. Caller runs inside db.withClient.
+async function ensureReferralCode(client, userId) {
+  const r = await client.query("SELECT referral_code FROM users WHERE id = $1", [userId]);
+  if (!r.rows.length) return null;
+  if (r.rows[0].referral_code) return r.rows[0].referral_code;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = generateCode();
+    const taken = await client.query("SELECT 1 FROM users WHERE referral_code = $1", [code]);
+    if (taken.rows.length) continue;
+    await client.query("UPDATE users SET referral_code = $2 WHERE id = $1 AND referral_code IS NULL", [userId, code]);
+    const again = await client.query("SELECT referral_code FROM users WHERE id = $1", [userId]);
+    return again.rows[0].referral_code;
+  }
+  throw { status: 503, message: "Could not create a referral code, please try again" };
+}
+
+/**
+ * Link a newly registered member to the member whose code they entered.
+ * Throws 400 for an unknown or own code, 409 when the phone was referred before.
+ * Caller runs inside db.withClient, right after inserting the new user.
+ */
+async function recordReferral(client, { referee, code }) {
+  const cleanCode = normalizeCode(code);
+  const rRes = await client.query("SELECT id, phone FROM users WHERE referral_code = $1", [cleanCode]);
+  if (!rRes.rows.length) throw { status: 400, message: "Referral code not found" };
+  const referrer = rRes.rows[0];
+  const refereePhone = String(referee.phone).trim();
+  if (referrer.id === referee.id || String(referrer.phone).trim() === refereePhone) {
+    throw { status: 400, message: "You can't use your own referral code" };
+  }
+
+  const ins = await client.query(
+    `INSERT INTO referrals (referrer_id, referee_id, referee_phone, code, status, created_at)
+     VALUES ($1, $2, $3, $4, 'pending', NOW())
+     ON CONFLICT DO NOTHING
+     RETURNING id`,
+    [referrer.id, referee.id, refereePhone, cleanCode]
+  );
+  if (!ins.rows.length) throw { status: 409, message: "This phone number has already been referred" };
+  return ins.rows[0];
+}
+
+async function rewardsThisMonth(client, referrerId) {
+  const r = await client.query(
+    `SELECT COUNT(*)::int AS n FROM referrals
+     WHERE referrer_id = $1 AND status = 'rewarded'
+       AND qualified_at >= (date_trunc('month', NOW() AT TIME ZONE $2) AT TIME ZONE $2)`,
+    [referrerId, BUSINESS_TIMEZONE]
+  );
+  return r.rows[0].n;
+}
+
+/**
+ * Reward a pending referral once the new member's first bill has been stamped.
+ * Call after awardStamps wrote a transaction. Returns null when there is nothing to reward,
+ * otherwise { status, refereeStamps, referrerStamps, currentStamps } where currentStamps is
+ * the new member's card after their bonus. Caller runs inside db.withClient.
+ */
+async function rewardReferral(client, { userId, transactionId, settings }) {
+  if (!transactionId) return null;
+  const rRes = await client.query("SELECT id, referrer_id FROM referrals WHERE referee_id = $1 AND status = 'pending' FOR UPDATE", [userId]);
+  if (!rRes.rows.length) return null;
+  const referral = rRes.rows[0];
+
+  const referee = await grantBonusStamps(client, { userId, count: settings.referralRefereeStamps, source: "referral", settings, transactionId });
+  const refereeStamps = referee.stampsAdded + referee.stampsCarried;
+
+  const capped = settings.referralMonthlyCap > 0 && (await rewardsThisMonth(client, referral.referrer_id)) >= settings.referralMonthlyCap;
+  let referrerStamps = 0;
+  if (!capped) {
+    const referrer = await grantBonusStamps(client, {
+      userId: referral.referrer_id,
+      count: settings.referralReferrerStamps,
+      source: "referral",
+      settings,
+      transactionId,
+    });
+    referrerStamps = referrer.stampsAdded + referrer.stampsCarried;
+  }
+
+  const status = capped ? "capped" : "rewarded";
+  await client.query(
+    `UPDATE referrals SET status = $2, referrer_stamps = $3, referee_stamps = $4, transaction_id = $5, qualified_at = NOW()
+     WHERE id = $1`,
+    [referral.id, status, referrerStamps, refereeStamps, transactionId]
+  );
+  return { status, refereeStamps, referrerStamps, currentStamps: referee.currentStamps };
+}
+
+/**
+ * The bill that qualified a referral was undone or refunded: take back both members' bonus stamps
+ * (those not redeemed or expired yet) and make the referral 'pending' again, so the new member's
+ * next bill qualifies it. Returns the referral id, or null when the bill qualified none.
+ * Caller runs inside db.withClient and has locked the referee's loyalty_accounts row.
+ */
+async function revokeReferral(client, { transactionId, settings, adminId, reason }) {
+  const rRes = await client.query(
+    "SELECT id, referrer_id, referee_id FROM referrals WHERE transaction_id = $1 AND status IN ('rewarded', 'capped') FOR UPDATE",
+    [transactionId]
+  );
+  if (!rRes.rows.length) return null;
+  const referral = rRes.rows[0];
+
+  for (const userId of [referral.referee_id, referral.referrer_id]) {
+    if (userId !== referral.referee_id) {
+      await client.query("SELECT current_stamps FROM loyalty_accounts WHERE user_id = $1 FOR UPDATE", [userId]);
+    }
+    const stamps = await client.query(
+      `SELECT id, stamp_index, carried FROM stamps_history
+       WHERE user_id = $1 AND transaction_id = $2 AND bonus_source = 'referral' AND redemption_id IS NULL AND expired_at IS NULL`,
+      [userId, transactionId]
+    );
+    await removeStamps(client, {
+      userId,
+      stamps: stamps.rows,
+      settings,
+      adminId,
+      reason,
+      meta: { referralId: referral.id, transactionId },
+    });
+  }
+
+  await client.query(
+    `UPDATE referrals SET status = 'pending', referrer_stamps = 0, referee_stamps = 0, transaction_id = NULL, qualified_at = NULL
+     WHERE id = $1`,
+    [referral.id]
+  );
+  return referral.id;
+}
+
+// Referral counts for the member's card page.
+async function referralSummary(client, userId) {
+  const r = await client.query(
+    `SELECT COUNT(*)::int AS joined,
+            COUNT(*) FILTER (WHERE status <> 'pending')::int AS qualified,
+            COALESCE(SUM(referrer_stamps), 0)::int AS stamps_earned
+     FROM referrals WHERE referrer_id = $1`,
+    [userId]
+  );
+  return r.rows[0];
+}
+
+// Admin referral report: totals, top referrers and the latest referrals.
+async function fetchReferralReport(client, { limit = 100 } = {}) {
+  const totals = await client.query(
+    `SELECT COUNT(*)::int AS total,
+            COUNT(*) FILTER (WHERE status = 'pending')::int AS pending,
+            COUNT(*) FILTER (WHERE status = 'rewarded')::int AS rewarded,
+            COUNT(*) FILTER (WHERE status = 'capped')::int AS capped,
+            COALESCE(SUM(referrer_stamps + referee_stamps), 0)::int AS stamps_given
+     FROM referrals`
+  );
+  const top = await client.query(
+    `SELECT u.id, u.member_code, u.name, u.referral_code,
+            COUNT(*)::int AS referrals,
+            COUNT(*) FILTER (WHERE r.status <> 'pending')::int AS qualified,
+            COALESCE(SUM(r.referrer_stamps), 0)::int AS stamps_earned
+     FROM referrals r
+     JOIN users u ON u.id = r.referrer_id
+     GROUP BY u.id
+     ORDER BY qualified DESC, referrals DESC
+     LIMIT 10`
+  );
+  const recent = await client.query(
+    `SELECT r.id, r.code, r.status, r.referrer_stamps, r.referee_stamps, r.created_at, r.qualified_at,
+            ru.member_code AS referrer_code, ru.name AS referrer_name,
+            eu.member_code AS referee_code, eu.name AS referee_name
+     FROM referrals r
+     JOIN users ru ON ru.id = r.referrer_id
+     JOIN users eu ON eu.id = r.referee_id
+     ORDER BY r.created_at DESC
+     LIMIT $1`,
+    [limit]
+  );
+  return { totals: totals.rows[0], topReferrers: top.rows, referrals: recent.rows };
+}
+
+module.exports = {
+  ensureReferralCode,
+  recordReferral,
+  rewardReferral,
+  revokeReferral,
+  referralSummary,
+  fetchReferralReport,
+};
@@ -0,0 +1,229 @@
+// src/utils/refunds.js
+// Refund bookkeeping for online transactions. Callers run inside db.withClient and
+// lock payment_orders -> transactions -> loyalty_accounts in that order.
+//
+// An admin-panel refund is booked first as a 'pending' row (amount reserved, stamps taken back)
+// and committed before the gateway is called, so no row lock is held across the network.
+// The gateway's answer, or its refund.processed / refund.failed webhook, then settles the row
+// to 'processed' or 'failed'; a failed refund gives back the amount and the stamps.
+
+const { getProgramSettings } = require("./programSettings");
+const { stampsForAmount, removeStamps, restoreStamps } = require("./stamping");
+const { settingsForMember, refreshMemberTier } = require("./tiers");
+const { fetchCampaign, campaignExtraStamps } = require("./campaigns");
+const { rewardReferral, revokeReferral } = require("./referrals");
+
+const REFUND_COLUMNS = "id, amount, stamp_reversed, stamps_reversed, flag, status, created_at";
+
+async function lockTransaction(client, transactionId) {
+  const r = await client.query(
+    `SELECT id, user_id, member_code, amount, payment_method, stamp_added, stamps_earned, refunded_amount, campaign_id
+     FROM transactions WHERE id = $1 FOR UPDATE`,
+    [transactionId]
+  );
+  return r.rows[0] || null;
+}
+
+/**
+ * Take back the stamps a transaction earned that the bill no longer earns after the refund
+ * (never more than it earned). Later stamps on the card shift down one slot per stamp.
+ * If a stamp is no longer on the current card (already redeemed) this throws 409,
+ * unless `force` is set - then the refund goes ahead with flag "stamp_already_redeemed".
+ * A bill refunded below the stamp threshold no longer qualifies its referral (utils/referrals.js).
+ */
+async function reverseStampForRefund(client, { transaction, amount, force, adminId }) {
+  const none = { stampReversed: false, stampsReversed: 0, flag: null };
+  if (!transaction.stamp_added) return none;
+
+  const settings = await settingsForMember(client, transaction.user_id, await getProgramSettings(client));
+  const netAfter = Number(transaction.amount) - Number(transaction.refunded_amount || 0) - Number(amount);
+  const earned = Number(transaction.stamps_earned || 1);
+  // A campaign that applied to the bill still counts for what is left of it
+  const base = stampsForAmount(netAfter, settings);
+  const campaign = transaction.campaign_id ? await fetchCampaign(client, transaction.campaign_id) : null;
+  const keep = Math.min(base + campaignExtraStamps(campaign, base, netAfter), earned);
+  if (keep === 0) {
+    await client.query("SELECT current_stamps FROM loyalty_accounts WHERE user_id = $1 FOR UPDATE", [transaction.user_id]);
+    await revokeReferral(client, { transactionId: transaction.id, settings, adminId, reason: "refund" });
+  }
+
+  // Refunds from before stamps_reversed existed count as one stamp; failed ones gave theirs back
+  const prev = await client.query(
+    `SELECT COALESCE(SUM(GREATEST(stamps_reversed, stamp_reversed::int)), 0)::int AS n
+     FROM refunds WHERE transaction_id = $1 AND status <> 'failed'`,
+    [transaction.id]
+  );
+  const toReverse = earned - prev.rows[0].n - keep;
+  if (toReverse <= 0) return none;
+
+  await client.query("SELECT current_stamps FROM loyalty_accounts WHERE user_id = $1 FOR UPDATE", [transaction.user_id]);
+  const sRes = await client.query(
+    `SELECT id, stamp_index, carried FROM stamps_history
+     WHERE user_id = $1 AND transaction_id = $2 AND bonus_source IS NULL AND redemption_id IS NULL AND expired_at IS NULL
+     ORDER BY stamp_index DESC
+     LIMIT $3`,
+    [transaction.user_id, transaction.id, toReverse]
+  );
+
+  let flag = null;
+  if (sRes.rows.length < toReverse) {
+    if (!force) {
+      throw {
+        status: 409,
+        code: "stamp_redeemed",
+        message: "The stamp from this payment has already been redeemed. Confirm to refund anyway.",
+      };
+    }
+    flag = "stamp_already_redeemed";
+  }
+  if (sRes.rows.length === 0) return { ...none, flag };
+
+  await removeStamps(client, {
+    userId: transaction.user_id,
+    stamps: sRes.rows,
+    settings,
+    transactionId: transaction.id,
+    adminId,
+    reason: "refund",
+    meta: { amount: Number(amount) },
+  });
+
+  return { stampReversed: true, stampsReversed: sRes.rows.length, flag };
+}
+
+// Write the refund row and roll the total onto the transaction.
+async function recordRefund(client, { transaction, orderId, refundId, amount, stampReversed, stampsReversed, flag, reason, adminId, status = "processed" }) {
+  const ins = await client.query(
+    `INSERT INTO refunds (transaction_id, payment_order_id, user_id, razorpay_refund_id, amount, stamp_reversed, stamps_reversed, flag, reason, admin_id, status, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
+     RETURNING ${REFUND_COLUMNS}`,
+    [transaction.id, orderId || null, transaction.user_id, refundId || null, amount, stampReversed, stampsReversed || 0, flag, reason || null, adminId || null, status]
+  );
+
+  await client.query(
+    `UPDATE transactions
+     SET refunded_amount = refunded_amount + $2, refunded_at = NOW(), refund_flag = COALESCE($3, refund_flag)
+     WHERE id = $1`,
+    [transaction.id, amount, flag]
+  );
+
+  // Lower lifetime spend can drop the member a tier
+  await refreshMemberTier(client, transaction.user_id, await getProgramSettings(client), "refund");
+
+  return ins.rows[0];
+}
+
+// The gateway took a pending refund. Razorpay can still answer 'pending' and finish it later
+// (refund.processed / refund.failed), so only a processed refund settles the row. Returns the row,
+// or null when it was already settled (the admin request and the webhook can both get here).
+async function recordGatewayRefund(client, { refundRowId, refund }) {
+  const r = await client.query(
+    `UPDATE refunds
+     SET razorpay_refund_id = $2, status = CASE WHEN $3 = 'processed' THEN 'processed' ELSE status END
+     WHERE id = $1 AND status = 'pending'
+     RETURNING ${REFUND_COLUMNS}`,
+    [refundRowId, refund.id, refund.status || null]
+  );
+  return r.rows[0] || null;
+}
+
+/**
+ * The gateway refused a pending refund: mark it failed and undo its booking - the amount on the
+ * order and the transaction, and the stamps it took back (placed again at the end of the card;
+ * a referral the refund revoked qualifies again). Returns the row, or null when it was already settled.
+ */
+async function markRefundFailed(client, { refundRowId, error }) {
+  const fRes = await client.query("SELECT payment_order_id, transaction_id FROM refunds WHERE id = $1", [refundRowId]);
+  if (!fRes.rows.length) return null;
+  const { payment_order_id: orderId, transaction_id: transactionId } = fRes.rows[0];
+
+  if (orderId) await client.query("SELECT id FROM payment_orders WHERE id = $1 FOR UPDATE", [orderId]);
+  const transaction = await lockTransaction(client, transactionId);
+
+  const upd = await client.query(
+    `UPDATE refunds SET status = 'failed', gateway_error = $2
+     WHERE id = $1 AND status = 'pending'
+     RETURNING ${REFUND_COLUMNS}, user_id`,
+    [refundRowId, error || null]
+  );
+  if (!upd.rows.length) return null;
+  const row = upd.rows[0];
+
+  if (orderId) {
+    await client.query(
+      `UPDATE payment_orders
+       SET refunded_amount = GREATEST(refunded_amount - $2, 0),
+           status = CASE WHEN status = 'refunded' THEN 'paid' ELSE status END,
+           updated_at = NOW()
+       WHERE id = $1`,
+      [orderId, row.amount]
+    );
+  }
+
+  const settings = await getProgramSettings(client);
+  if (transaction) {
+    await client.query(
+      `UPDATE transactions
+       SET refunded_amount = GREATEST(refunded_amount - $2, 0),
+           refund_flag = (SELECT flag FROM refunds WHERE transaction_id = $1 AND status <> 'failed' AND flag IS NOT NULL ORDER BY id DESC LIMIT 1)
+       WHERE id = $1`,
+      [transaction.id, row.amount]
+    );
+
+    if (row.stamps_reversed > 0) {
+      await client.query("SELECT current_stamps FROM loyalty_accounts WHERE user_id = $1 FOR UPDATE", [transaction.user_id]);
+      await restoreStamps(client, {
+        userId: transaction.user_id,
+        count: row.stamps_reversed,
+        settings: await settingsForMember(client, transaction.user_id, settings),
+        transactionId: transaction.id,
+        amount: transaction.amount,
+        reason: "refund_failed",
+      });
+      await rewardReferral(client, { userId: transaction.user_id, transactionId: transaction.id, settings });
+    }
+  }
+
+  await refreshMemberTier(client, row.user_id, settings, "refund");
+  return row;
+}
+
+/**
+ * refund.processed: settles a pending admin-panel refund (its row id rides in the refund notes),
+ * otherwise books a refund we did not start (e.g. issued from the Razorpay dashboard).
+ * The money has already gone back, so a redeemed stamp only flags the refund.
+ */
+async function applyGatewayRefund(client, { order, refund }) {
+  if (!order.transaction_id || !refund || !refund.id) return null;
+
+  const refundRowId = refund.notes && Number(refund.notes.refundRowId);
+  if (refundRowId) return recordGatewayRefund(client, { refundRowId, refund: { ...refund, status: "processed" } });
+
+  const transaction = await lockTransaction(client, order.transaction_id);
+  if (!transaction) return null;
+
+  const seen = await client.query("SELECT id FROM refunds WHERE razorpay_refund_id = $1", [refund.id]);
+  if (seen.rows.length > 0) return null;
+
+  const amount = Number(refund.amount) / 100;
+  const { stampReversed, stampsReversed, flag } = await reverseStampForRefund(client, { transaction, amount, force: true });
+  return recordRefund(client, {
+    transaction,
+    orderId: order.id,
+    refundId: refund.id,
+    amount,
+    stampReversed,
+    stampsReversed,
+    flag,
+    reason: "Refund issued outside the admin panel",
+  });
+}
+
+module.exports = {
+  lockTransaction,
+  reverseStampForRefund,
+  recordRefund,
+  recordGatewayRefund,
+  markRefundFailed,
+  applyGatewayRefund,
+};
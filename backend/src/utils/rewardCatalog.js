@@ -0,0 +1,141 @@
+// src/utils/rewardCatalog.js
+// Reward catalog. Besides the full-card reward (program settings rewardValue), the owner can
+// list rewards that cost a number of stamps. A reward is available from starts_on to ends_on
+// (business dates, both optional and inclusive) until it is retired.
+
+const { businessDate } = require("./businessDate");
+
+const COLUMNS = `id, name, description, image_url, stamp_cost, value::float AS value,
+  to_char(starts_on, 'YYYY-MM-DD') AS starts_on, to_char(ends_on, 'YYYY-MM-DD') AS ends_on,
+  retired_at, created_at, updated_at`;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function optionalText(v, max, field) {
+  if (v === undefined || v === null || v === "") return null;
+  if (typeof v !== "string" || v.trim().length > max) throw { status: 400, message: `${field} must be text up to ${max} characters` };
+  return v.trim() || null;
+}
+
+function optionalDate(v, field) {
+  if (v === undefined || v === null || v === "") return null;
+  if (typeof v !== "string" || !DATE_RE.test(v) || Number.isNaN(Date.parse(v))) {
+    throw { status: 400, message: `${field} must be a date (YYYY-MM-DD)` };
+  }
+  return v;
+}
+
+/**
+ * Check a reward from the admin form. `existing` is the stored row when editing
+ * (missing fields keep their value). A stamp cost can't exceed what fits on one card.
+ */
+function validateReward(input, settings, existing = null) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) throw { status: 400, message: "Reward object required" };
+  const pick = (key, col) => (input[key] !== undefined ? input[key] : existing ? existing[col] : undefined);
+
+  const name = pick("name", "name");
+  if (typeof name !== "string" || !name.trim() || name.trim().length > 60) {
+    throw { status: 400, message: "Reward name is required (up to 60 characters)" };
+  }
+
+  const stampCost = Number(pick("stampCost", "stamp_cost"));
+  if (!Number.isInteger(stampCost) || stampCost < 1 || stampCost > settings.redeemStampTarget) {
+    throw { status: 400, message: `Stamp cost must be a whole number from 1 to ${settings.redeemStampTarget}` };
+  }
+
+  const value = Number(pick("value", "value") ?? 0);
+  if (!Number.isFinite(value) || value < 0 || value > 1000000) throw { status: 400, message: "Reward value must be between 0 and 1000000" };
+
+  const imageUrl = optionalText(pick("imageUrl", "image_url"), 500, "Image URL");
+  if (imageUrl && !/^(https?:\/\/|\/)/.test(imageUrl)) throw { status: 400, message: "Image URL must start with http(s):// or /" };
+
+  const startsOn = optionalDate(pick("startsOn", "starts_on"), "Start date");
+  const endsOn = optionalDate(pick("endsOn", "ends_on"), "End date");
+  if (startsOn && endsOn && endsOn < startsOn) throw { status: 400, message: "End date must be on or after the start date" };
+
+  return {
+    name: name.trim(),
+    description: optionalText(pick("description", "description"), 500, "Description"),
+    imageUrl,
+    stampCost,
+    value,
+    startsOn,
+    endsOn,
+  };
+}
+
+// Every reward for the admin catalog, retired ones last.
+async function listRewards(client) {
+  const r = await client.query(
+    `SELECT ${COLUMNS} FROM rewards ORDER BY (retired_at IS NOT NULL), stamp_cost, name`
+  );
+  return r.rows;
+}
+
+// Rewards customers can redeem today, cheapest first.
+async function availableRewards(client, today = businessDate()) {
+  const r = await client.query(
+    `SELECT ${COLUMNS} FROM rewards
+     WHERE retired_at IS NULL
+       AND (starts_on IS NULL OR starts_on <= $1)
+       AND (ends_on IS NULL OR ends_on >= $1)
+     ORDER BY stamp_cost, name`,
+    [today]
+  );
+  return r.rows;
+}
+
+async function fetchReward(client, rewardId, { lock = false } = {}) {
+  const r = await client.query(`SELECT ${COLUMNS} FROM rewards WHERE id = $1${lock ? " FOR UPDATE" : ""}`, [rewardId]);
+  if (!r.rows.length) throw { status: 404, message: "Reward not found" };
+  return r.rows[0];
+}
+
+async function createReward(client, input, settings, adminId) {
+  const v = validateReward(input, settings);
+  const r = await client.query(
+    `INSERT INTO rewards (name, description, image_url, stamp_cost, value, starts_on, ends_on, created_by, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+     RETURNING id`,
+    [v.name, v.description, v.imageUrl, v.stampCost, v.value, v.startsOn, v.endsOn, adminId || null]
+  );
+  return fetchReward(client, r.rows[0].id);
+}
+
+async function updateReward(client, rewardId, input, settings) {
+  const existing = await fetchReward(client, rewardId, { lock: true });
+  if (existing.retired_at) throw { status: 409, message: "Retired rewards can't be edited" };
+  const v = validateReward(input, settings, existing);
+  await client.query(
+    `UPDATE rewards SET name = $2, description = $3, image_url = $4, stamp_cost = $5, value = $6,
+            starts_on = $7, ends_on = $8, updated_at = NOW()
+     WHERE id = $1`,
+    [rewardId, v.name, v.description, v.imageUrl, v.stampCost, v.value, v.startsOn, v.endsOn]
+  );
+  return fetchReward(client, rewardId);
+}
+
+async function retireReward(client, rewardId) {
+  const existing = await fetchReward(client, rewardId, { lock: true });
+  if (existing.retired_at) throw { status: 409, message: "Reward already retired" };
+  await client.query("UPDATE rewards SET retired_at = NOW(), updated_at = NOW() WHERE id = $1", [rewardId]);
+  return fetchReward(client, rewardId);
+}
+
+// A reward the member can take today, or an error saying why not.
+async function redeemableReward(client, rewardId, today = businessDate()) {
+  const reward = await fetchReward(client, rewardId);
+  if (reward.retired_at) throw { status: 400, message: "This reward has been retired" };
+  if (reward.starts_on && reward.starts_on > today) throw { status: 400, message: `This reward is available from ${reward.starts_on}` };
+  if (reward.ends_on && reward.ends_on < today) throw { status: 400, message: "This reward is no longer available" };
+  return reward;
+}
+
+module.exports = {
+  listRewards,
+  availableRewards,
+  createReward,
+  updateReward,
+  retireReward,
+  redeemableReward,
+};
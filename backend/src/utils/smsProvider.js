@@ -0,0 +1,68 @@
+// src/utils/smsProvider.js
+// Selects how text messages go out from SMS_PROVIDER:
+//   "webhook"  POST { to, text } as JSON to SMS_WEBHOOK_URL (Bearer SMS_WEBHOOK_TOKEN), for any
+//              gateway fronted by a small relay (MSG91, Twilio, ...)
+//   "console"  print the message in the server log (local dev, the default outside production)
+//   "file"     append it as a JSON line to SMS_OUTBOX_FILE (default ./sms-outbox.log) for tests
+//
+// Every provider exposes the same shape:
+//   name
+//   sendSms({ to, text }) -> resolves when the gateway accepted the message, throws otherwise
+
+const fs = require("fs");
+const path = require("path");
+
+const consoleProvider = {
+  name: "console",
+  async sendSms({ to, text }) {
+    console.log(`[sms] to ${to}: ${text}`);
+  },
+};
+
+const fileProvider = {
+  name: "file",
+  async sendSms({ to, text }) {
+    const file = process.env.SMS_OUTBOX_FILE || path.join(process.cwd(), "sms-outbox.log");
+    await fs.promises.appendFile(file, JSON.stringify({ to, text, at: new Date().toISOString() }) + "\n");
+  },
+};
+
+function createWebhookProvider() {
+  const url = process.env.SMS_WEBHOOK_URL;
+  if (!url) {
+    console.error("SMS_PROVIDER=webhook needs SMS_WEBHOOK_URL");
+    return null;
+  }
+  return {
+    name: "webhook",
+    async sendSms({ to, text }) {
+      const headers = { "Content-Type": "application/json" };
+      if (process.env.SMS_WEBHOOK_TOKEN) headers.Authorization = `Bearer ${process.env.SMS_WEBHOOK_TOKEN}`;
+      const res = await fetch(url, { method: "POST", headers, body: JSON.stringify({ to, text }) });
+      if (!res.ok) throw new Error(`SMS webhook answered ${res.status}`);
+    },
+  };
+}
+
+// Returns null when the selected provider is not usable on this environment.
+function getSmsProvider() {
+  const isProduction = process.env.NODE_ENV === "production";
+  const name = (process.env.SMS_PROVIDER || (isProduction ? "webhook" : "console")).trim().toLowerCase();
+
+  if (name === "console" || name === "file") {
+    if (isProduction) {
+      console.error(`SMS_PROVIDER=${name} is ignored in production`);
+      return null;
+    }
+    return name === "file" ? fileProvider : consoleProvider;
+  }
+
+  if (name === "webhook") return createWebhookProvider();
+
+  console.error(`Unknown SMS_PROVIDER: ${name}`);
+  return null;
+}
+
+module.exports = {
+  getSmsProvider,
+};
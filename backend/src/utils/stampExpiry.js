@@ -0,0 +1,222 @@
+// src/utils/stampExpiry.js
+// Stamp expiry (program settings expiryMode / expiryDays).
+//   "stamp_age"       - each stamp expires expiryDays after it was earned
+//   "card_inactivity" - every stamp expires when the card has had no new stamp for expiryDays
+// Expired stamps stay in stamps_history with expired_at set, so the live card is
+// rows with redemption_id IS NULL AND expired_at IS NULL. Each expiry writes an
+// "expiry" event to the loyalty ledger.
+
+const db = require("../config/db");
+const { getProgramSettings } = require("./programSettings");
+const { promoteCarriedStamps } = require("./stamping");
+const { recordEvent } = require("./loyaltyEvents");
+const { startIntervalJob } = require("./jobs");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function expiryCutoff(settings, now) {
+  return new Date(now.getTime() - settings.expiryDays * DAY_MS);
+}
+
+// Last time the live card changed: newest live stamp, else the account row (older cards without history).
+async function lastCardActivity(client, userId) {
+  const r = await client.query(
+    `SELECT COALESCE(
+       (SELECT MAX(created_at) FROM stamps_history WHERE user_id = $1 AND redemption_id IS NULL AND expired_at IS NULL),
+       (SELECT updated_at FROM loyalty_accounts WHERE user_id = $1)
+     ) AS last_activity`,
+    [userId]
+  );
+  return r.rows[0].last_activity;
+}
+
+// Members that have something to expire at `now`.
+async function findExpiringUsers(client, settings, now) {
+  const cutoff = expiryCutoff(settings, now);
+  if (settings.expiryMode === "stamp_age") {
+    const r = await client.query(
+      `SELECT DISTINCT user_id FROM stamps_history
+       WHERE redemption_id IS NULL AND expired_at IS NULL AND created_at < $1`,
+      [cutoff]
+    );
+    return r.rows.map((row) => row.user_id);
+  }
+  if (settings.expiryMode === "card_inactivity") {
+    const r = await client.query(
+      `SELECT la.user_id
+       FROM loyalty_accounts la
+       LEFT JOIN (
+         SELECT user_id, MAX(created_at) AS last_stamp FROM stamps_history
+         WHERE redemption_id IS NULL AND expired_at IS NULL
+         GROUP BY user_id
+       ) h ON h.user_id = la.user_id
+       WHERE (la.current_stamps > 0 OR h.user_id IS NOT NULL)
+         AND COALESCE(h.last_stamp, la.updated_at) < $1`,
+      [cutoff]
+    );
+    return r.rows.map((row) => row.user_id);
+  }
+  return [];
+}
+
+/**
+ * Expire one member's stamps under the current rules. The card is compacted
+ * (remaining stamps keep their order from slot 1) and carried stamps move onto
+ * any freed slots. Returns null when nothing expired. Caller runs inside db.withClient.
+ */
+async function expireAccount(client, userId, settings, now = new Date()) {
+  const lRes = await client.query("SELECT current_stamps FROM loyalty_accounts WHERE user_id = $1 FOR UPDATE", [userId]);
+  if (!lRes.rows.length) return null;
+  const current = Number(lRes.rows[0].current_stamps || 0);
+  const cutoff = expiryCutoff(settings, now);
+
+  let expireAll = false;
+  if (settings.expiryMode === "card_inactivity") {
+    const last = await lastCardActivity(client, userId);
+    expireAll = Boolean(last) && new Date(last) < cutoff;
+    if (!expireAll) return null;
+  } else if (settings.expiryMode !== "stamp_age") {
+    return null;
+  }
+
+  const upd = await client.query(
+    `UPDATE stamps_history SET expired_at = $2
+     WHERE user_id = $1 AND redemption_id IS NULL AND expired_at IS NULL
+       AND ($3::boolean OR created_at < $4)
+     RETURNING carried`,
+    [userId, now, expireAll, cutoff]
+  );
+  const carriedExpired = upd.rows.filter((r) => r.carried).length;
+  // A whole-card expiry also clears stamps that have no history row (older data)
+  const stampsExpired = expireAll ? current : Math.min(upd.rows.length - carriedExpired, current);
+  if (stampsExpired === 0 && carriedExpired === 0) return null;
+
+  // Close the gaps left on the card
+  await client.query(
+    `WITH ranked AS (
+       SELECT id, ROW_NUMBER() OVER (ORDER BY stamp_index, id) AS rn
+       FROM stamps_history
+       WHERE user_id = $1 AND carried = FALSE AND redemption_id IS NULL AND expired_at IS NULL
+     )
+     UPDATE stamps_history s SET stamp_index = r.rn
+     FROM ranked r
+     WHERE s.id = r.id`,
+    [userId]
+  );
+  await client.query("UPDATE loyalty_accounts SET current_stamps = $1, updated_at = NOW() WHERE user_id = $2", [
+    current - stampsExpired,
+    userId,
+  ]);
+
+  await recordEvent(client, {
+    userId,
+    type: "expiry",
+    stampsDelta: -stampsExpired,
+    carriedDelta: -carriedExpired,
+    reason: settings.expiryMode,
+    meta: { expiryDays: settings.expiryDays },
+  });
+
+  const currentStamps = await promoteCarriedStamps(client, userId, settings);
+  return { userId, stampsExpired, carriedExpired, currentStamps };
+}
+
+/**
+ * Apply the expiry policy to every member. Each member is expired in its own
+ * transaction so one failure does not hold back the rest.
+ */
+async function runExpiryJob({ now = new Date() } = {}) {
+  const settings = await getProgramSettings();
+  const summary = { mode: settings.expiryMode, members: 0, stampsExpired: 0, carriedExpired: 0, failed: 0 };
+  if (settings.expiryMode === "none") return summary;
+
+  const userIds = await findExpiringUsers(db, settings, now);
+  for (const userId of userIds) {
+    try {
+      const result = await db.withClient((client) => expireAccount(client, userId, settings, now));
+      if (!result) continue;
+      summary.members += 1;
+      summary.stampsExpired += result.stampsExpired;
+      summary.carriedExpired += result.carriedExpired;
+    } catch (err) {
+      summary.failed += 1;
+      console.error(`Stamp expiry failed for user ${userId}:`, err);
+    }
+  }
+  return summary;
+}
+
+/**
+ * Stamps on a member's card that expire within expiryWarningDays, for the card page.
+ * Returns { count, expiresAt } for the earliest batch, or null.
+ */
+async function expiryWarning(client, userId, settings, now = new Date()) {
+  if (settings.expiryMode === "none" || settings.expiryWarningDays <= 0) return null;
+  const warnUntil = new Date(now.getTime() + settings.expiryWarningDays * DAY_MS);
+
+  if (settings.expiryMode === "card_inactivity") {
+    const lRes = await client.query("SELECT current_stamps FROM loyalty_accounts WHERE user_id = $1", [userId]);
+    const cRes = await client.query(
+      "SELECT COUNT(*)::int AS n FROM stamps_history WHERE user_id = $1 AND carried = TRUE AND expired_at IS NULL",
+      [userId]
+    );
+    const count = Number((lRes.rows[0] && lRes.rows[0].current_stamps) || 0) + cRes.rows[0].n;
+    const last = await lastCardActivity(client, userId);
+    if (!count || !last) return null;
+    const expiresAt = new Date(new Date(last).getTime() + settings.expiryDays * DAY_MS);
+    return expiresAt <= warnUntil ? { count, expiresAt } : null;
+  }
+
+  // stamp_age: the oldest stamps go first
+  const r = await client.query(
+    `SELECT created_at FROM stamps_history
+     WHERE user_id = $1 AND redemption_id IS NULL AND expired_at IS NULL AND created_at < $2
+     ORDER BY created_at ASC`,
+    [userId, new Date(warnUntil.getTime() - settings.expiryDays * DAY_MS)]
+  );
+  if (!r.rows.length) return null;
+  const expiresAt = new Date(new Date(r.rows[0].created_at).getTime() + settings.expiryDays * DAY_MS);
+  return { count: r.rows.length, expiresAt };
+}
+
+// Expiry events for the admin report, newest first.
+async function fetchExpiryReport(client, { days = 30, limit = 500 } = {}) {
+  const r = await client.query(
+    `SELECT e.id, e.created_at AS expired_at, e.reason AS mode,
+            -e.stamps_delta AS stamps_expired, -e.carried_delta AS carried_expired,
+            u.member_code, u.name, u.phone
+     FROM loyalty_events e
+     JOIN users u ON u.id = e.user_id
+     WHERE e.event_type = 'expiry' AND e.created_at >= NOW() - ($1::int * INTERVAL '1 day')
+     ORDER BY e.id DESC
+     LIMIT $2`,
+    [days, limit]
+  );
+  const totals = r.rows.reduce(
+    (acc, row) => ({
+      members: acc.members + 1,
+      stampsExpired: acc.stampsExpired + row.stamps_expired,
+      carriedExpired: acc.carriedExpired + row.carried_expired,
+    }),
+    { members: 0, stampsExpired: 0, carriedExpired: 0 }
+  );
+  return { days, totals, expirations: r.rows };
+}
+
+// Interval: EXPIRY_JOB_INTERVAL_MINUTES (default 60, 0 = off)
+function startExpiryJob() {
+  return startIntervalJob({
+    name: "Stamp expiry",
+    envVar: "EXPIRY_JOB_INTERVAL_MINUTES",
+    defaultMinutes: 60,
+    run: () => runExpiryJob(),
+  });
+}
+
+module.exports = {
+  expireAccount,
+  runExpiryJob,
+  expiryWarning,
+  fetchExpiryReport,
+  startExpiryJob,
+};
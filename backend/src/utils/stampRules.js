@@ -0,0 +1,185 @@
+// src/utils/stampRules.js
+// Velocity rules on manual stamping (/api/admin/stamp), checked inside the stamp transaction
+// right after the stamps are written. Limits come from program settings (0 = rule off):
+//   - velocityCustomerDailyStamps: bill stamps one member can get per business day
+//   - velocityMinMinutes: minutes that must pass between two stamped bills of a member
+//   - velocityAdminDailyStamps: stamps one admin can give per business day
+// velocityAction decides what a violation does: "flag" lets the stamps through and queues a
+// stamp_flags row for review, "block" refuses the stamp (the transaction rolls back) and the
+// attempt is queued as 'blocked'.
+
+const { BUSINESS_TIMEZONE } = require("./businessDate");
+
+const COLUMNS = `f.id, f.user_id, f.transaction_id, f.amount::float AS amount, f.stamps, f.action, f.violations,
+  f.admin_username, f.status, f.review_note, f.reviewed_by, f.reviewed_at, f.created_at,
+  u.member_code, u.name AS customer_name`;
+
+// Advisory lock namespace for "stamps given by one admin today"
+const ADMIN_LOCK_NS = 19019;
+
+// Since the start of today at the shop
+const TODAY = `g.created_at >= (date_trunc('day', NOW() AT TIME ZONE $2) AT TIME ZONE $2)`;
+
+// Stamps each bill still holds: its grant less whatever a refund took back (and gave back when
+// the gateway refused it). Undone bills are deleted from transactions, so the join drops them.
+const BILL_STAMPS = `
+  SELECT g.created_at,
+         g.stamps_delta + g.carried_delta + COALESCE((
+           SELECT SUM(r.stamps_delta + r.carried_delta) FROM loyalty_events r
+           WHERE r.event_type IN ('stamp_revoked', 'adjustment') AND r.transaction_id = g.transaction_id
+         ), 0) AS stamps
+  FROM loyalty_events g
+  JOIN transactions t ON t.id = g.transaction_id
+  WHERE g.event_type = 'stamp_granted'`;
+
+/**
+ * Rules broken by the stamps just written for transactionId. Returns a list of
+ * { rule, limit, actual, message }, empty when everything is within limits.
+ * Caller runs inside db.withClient with the member's loyalty account locked.
+ */
+async function findViolations(client, { userId, adminId, transactionId, stamps, settings }) {
+  const violations = [];
+
+  if (settings.velocityCustomerDailyStamps > 0) {
+    const r = await client.query(
+      `SELECT COALESCE(SUM(stamps), 0)::int AS n FROM (${BILL_STAMPS}
+         AND g.user_id = $1 AND g.transaction_id <> $3 AND ${TODAY}) b`,
+      [userId, BUSINESS_TIMEZONE, transactionId]
+    );
+    const actual = r.rows[0].n + stamps;
+    if (actual > settings.velocityCustomerDailyStamps) {
+      violations.push({
+        rule: "customerDailyStamps",
+        limit: settings.velocityCustomerDailyStamps,
+        actual,
+        message: `${actual} stamps today for this member (limit ${settings.velocityCustomerDailyStamps})`,
+      });
+    }
+  }
+
+  if (settings.velocityMinMinutes > 0) {
+    const r = await client.query(
+      `SELECT FLOOR(EXTRACT(EPOCH FROM NOW() - MAX(created_at)) / 60)::int AS minutes FROM (${BILL_STAMPS}
+         AND g.user_id = $1 AND g.transaction_id <> $2) b
+       WHERE stamps > 0`,
+      [userId, transactionId]
+    );
+    const minutes = r.rows[0].minutes;
+    if (minutes !== null && minutes < settings.velocityMinMinutes) {
+      violations.push({
+        rule: "minMinutes",
+        limit: settings.velocityMinMinutes,
+        actual: minutes,
+        message: `Last stamp was ${minutes} min ago (minimum ${settings.velocityMinMinutes})`,
+      });
+    }
+  }
+
+  if (settings.velocityAdminDailyStamps > 0 && adminId) {
+    // Serialise stamping by this admin so two tills can't both slip under the cap
+    await client.query("SELECT pg_advisory_xact_lock($1, $2)", [ADMIN_LOCK_NS, adminId]);
+    const r = await client.query(
+      `SELECT COALESCE(SUM(stamps), 0)::int AS n FROM (${BILL_STAMPS}
+         AND g.admin_id = $1 AND g.transaction_id <> $3 AND ${TODAY}) b`,
+      [adminId, BUSINESS_TIMEZONE, transactionId]
+    );
+    const actual = r.rows[0].n + stamps;
+    if (actual > settings.velocityAdminDailyStamps) {
+      violations.push({
+        rule: "adminDailyStamps",
+        limit: settings.velocityAdminDailyStamps,
+        actual,
+        message: `${actual} stamps given by this admin today (limit ${settings.velocityAdminDailyStamps})`,
+      });
+    }
+  }
+
+  return violations;
+}
+
+async function insertFlag(client, { userId, transactionId, amount, stamps, action, violations, admin }) {
+  const r = await client.query(
+    `INSERT INTO stamp_flags (user_id, transaction_id, amount, stamps, action, violations, admin_id, admin_username, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7, $8, NOW())
+     RETURNING id`,
+    [userId, transactionId || null, amount, stamps, action, JSON.stringify(violations), admin ? admin.uid : null, admin ? admin.username : null]
+  );
+  return r.rows[0];
+}
+
+/**
+ * Apply the velocity rules to a manual stamp that was just written.
+ * Returns null when no rule is broken, or { id, violations } for a flagged stamp.
+ * With velocityAction "block" this throws 429 instead; err.blocked carries what
+ * recordBlockedStamp needs once the transaction has rolled back.
+ */
+async function enforceStampRules(client, { userId, admin, transactionId, amount, stamps, settings }) {
+  if (!transactionId || stamps <= 0) return null;
+  const violations = await findViolations(client, { userId, adminId: admin && admin.uid, transactionId, stamps, settings });
+  if (!violations.length) return null;
+
+  if (settings.velocityAction === "block") {
+    throw {
+      status: 429,
+      message: `Stamp blocked: ${violations.map((v) => v.message).join("; ")}`,
+      blocked: { userId, amount, stamps, violations, admin },
+    };
+  }
+
+  const flag = await insertFlag(client, { userId, transactionId, amount, stamps, action: "flagged", violations, admin });
+  return { id: flag.id, violations };
+}
+
+// Queue a refused stamp for review. Runs outside the rolled-back stamp transaction.
+async function recordBlockedStamp(client, blocked) {
+  return insertFlag(client, { ...blocked, transactionId: null, action: "blocked" });
+}
+
+// Review queue, newest first. status: "open" (default) | "ok" | "fraud" | "all".
+async function listStampFlags(client, { status = "open", limit = 100 } = {}) {
+  const where = status === "all" ? "" : "WHERE f.status = $2";
+  const params = status === "all" ? [limit] : [limit, status];
+  const r = await client.query(
+    `SELECT ${COLUMNS}
+     FROM stamp_flags f
+     JOIN users u ON u.id = f.user_id
+     ${where}
+     ORDER BY f.created_at DESC, f.id DESC
+     LIMIT $1`,
+    params
+  );
+  const open = await client.query("SELECT COUNT(*)::int AS n FROM stamp_flags WHERE status = 'open'");
+  return { flags: r.rows, openCount: open.rows[0].n };
+}
+
+/**
+ * Close a flag: decision "ok" (nothing wrong) or "fraud" (confirmed abuse).
+ * Reviewing only records the outcome; stamps are taken back with undo or a refund.
+ */
+async function reviewStampFlag(client, flagId, { decision, note }, admin) {
+  if (!["ok", "fraud"].includes(decision)) throw { status: 400, message: "Decision must be ok or fraud" };
+  if (note != null && (typeof note !== "string" || note.trim().length > 280)) {
+    throw { status: 400, message: "Note must be up to 280 characters" };
+  }
+
+  const r = await client.query(
+    `UPDATE stamp_flags SET status = $2, review_note = $3, reviewed_by = $4, reviewed_at = NOW()
+     WHERE id = $1 AND status = 'open'
+     RETURNING id`,
+    [flagId, decision, note ? note.trim() || null : null, admin ? admin.username : null]
+  );
+  if (!r.rows.length) {
+    const exists = await client.query("SELECT 1 FROM stamp_flags WHERE id = $1", [flagId]);
+    if (!exists.rows.length) throw { status: 404, message: "Flag not found" };
+    throw { status: 409, message: "This flag has already been reviewed" };
+  }
+  const flag = await client.query(`SELECT ${COLUMNS} FROM stamp_flags f JOIN users u ON u.id = f.user_id WHERE f.id = $1`, [flagId]);
+  return flag.rows[0];
+}
+
+module.exports = {
+  enforceStampRules,
+  recordBlockedStamp,
+  listStampFlags,
+  reviewStampFlag,
+};
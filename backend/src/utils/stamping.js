@@ -0,0 +1,320 @@
+// src/utils/stamping.js
+// Turning a bill into stamps, shared by the manual admin stamp and online settlement.
+// Callers run inside db.withClient with the user's loyalty_accounts row locked FOR UPDATE.
+//
+// Card layout in stamps_history: rows 1..current_stamps are on the card (carried = FALSE);
+// stamps earned past the redeem target in "carry_over" mode follow them with carried = TRUE
+// and move onto the next card when it has room (see promoteCarriedStamps).
+// Rows of redeemed cards keep their redemption_id, expired rows their expired_at; neither is touched here.
+// Every balance change is also written to the loyalty ledger (utils/loyaltyEvents.js).
+// Running campaigns (utils/campaigns.js) add stamps to bills on top of all of this.
+
+const { recordEvent } = require("./loyaltyEvents");
+const { campaignForBill } = require("./campaigns");
+const { businessDate, businessTime } = require("./businessDate");
+
+// Outlet a bill belongs to when the till doesn't say; bill numbers are unique per outlet and day.
+const DEFAULT_OUTLET = process.env.OUTLET_CODE || "main";
+
+// "  inv-0042 " -> "INV-0042". Returns null for an empty bill number; throws 400 when it is too long.
+function normalizeBillNumber(billNumber) {
+  if (billNumber === undefined || billNumber === null) return null;
+  const clean = String(billNumber).trim().replace(/\s+/g, " ").toUpperCase();
+  if (!clean) return null;
+  if (clean.length > 40) throw { status: 400, message: "Bill number must be up to 40 characters" };
+  return clean;
+}
+
+function normalizeOutlet(outlet) {
+  const clean = typeof outlet === "string" ? outlet.trim().toLowerCase() : "";
+  if (!clean) return DEFAULT_OUTLET;
+  if (!/^[a-z0-9_-]{1,20}$/.test(clean)) throw { status: 400, message: "Outlet must be up to 20 letters, digits, - or _" };
+  return clean;
+}
+
+// The transaction that already used this bill number at the outlet on that day, or null.
+async function findBill(client, { outlet, day, billNumber }) {
+  const r = await client.query(
+    `SELECT id, member_code, customer_name, amount::float AS amount, stamps_earned, created_at
+     FROM transactions WHERE outlet = $1 AND business_date = $2 AND bill_number = $3`,
+    [outlet, day, billNumber]
+  );
+  return r.rows[0] || null;
+}
+
+function duplicateBillError(billNumber, original) {
+  if (!original) return { status: 409, message: `Bill ${billNumber} was already stamped today` };
+  return {
+    status: 409,
+    message: `Bill ${billNumber} was already stamped at ${businessTime(new Date(original.created_at))} for ${original.member_code} (${original.customer_name}), ₹${original.amount}`,
+    original,
+  };
+}
+
+// How many stamps a bill earns before the card limit is applied.
+// Tier bonus stamps (settings.bonusStampsPerBill, see utils/tiers.js) come on top of the cap.
+function stampsForAmount(amount, settings) {
+  const numAmount = Number(amount) || 0;
+  if (numAmount < settings.minStampAmount) return 0;
+  const base = settings.stampMode !== "per_amount" ? 1 : Math.min(Math.floor(numAmount / settings.minStampAmount), settings.maxStampsPerBill);
+  return base + (settings.bonusStampsPerBill || 0);
+}
+
+// Split earned stamps into added to the card / carried / dropped.
+function splitStamps(earned, currentStamps, settings) {
+  const room = Math.max(settings.redeemStampTarget - currentStamps, 0);
+  const stampsAdded = Math.min(earned, room);
+  const stampsCarried = settings.overflowMode === "carry_over" ? earned - stampsAdded : 0;
+  return { stampsAdded, stampsCarried, stampsDropped: earned - stampsAdded - stampsCarried };
+}
+
+// Write the stamps_history rows (card slots after currentStamps, carried ones after the card) and bump current_stamps.
+// The last `campaignStamps` rows are the campaign's extra stamps and get its campaignId.
+async function placeStamps(client, { userId, currentStamps, stampsAdded, stampsCarried, amount, transactionId, bonusSource, campaignId, campaignStamps = 0 }) {
+  const newStamps = currentStamps + stampsAdded;
+  if (stampsAdded > 0) {
+    await client.query("UPDATE loyalty_accounts SET current_stamps = $1, updated_at = NOW() WHERE user_id = $2", [newStamps, userId]);
+
+    // Overwrite old stamp data for these slots
+    await client.query(
+      "DELETE FROM stamps_history WHERE user_id = $1 AND carried = FALSE AND redemption_id IS NULL AND expired_at IS NULL AND stamp_index > $2 AND stamp_index <= $3",
+      [userId, currentStamps, newStamps]
+    );
+  }
+
+  let carriedBefore = 0;
+  if (stampsCarried > 0) {
+    const cRes = await client.query("SELECT COUNT(*)::int AS n FROM stamps_history WHERE user_id = $1 AND carried = TRUE AND expired_at IS NULL", [userId]);
+    carriedBefore = cRes.rows[0].n;
+  }
+
+  const total = stampsAdded + stampsCarried;
+  for (let i = 1; i <= total; i++) {
+    const carried = i > stampsAdded;
+    const stampIndex = carried ? newStamps + carriedBefore + (i - stampsAdded) : currentStamps + i;
+    const fromCampaign = campaignId && i > total - campaignStamps;
+    await client.query(
+      "INSERT INTO stamps_history (user_id, stamp_index, amount, transaction_id, carried, bonus_source, campaign_id, created_at) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())",
+      [userId, stampIndex, amount, transactionId || null, carried, bonusSource || null, fromCampaign ? campaignId : null]
+    );
+  }
+  return newStamps;
+}
+
+/**
+ * Record the bill and write one stamps_history row per stamp earned.
+ * Stamps stop at the redeem target; the rest are carried over or dropped per overflowMode.
+ * Nothing is written (not even the transaction) when no stamp is earned or kept.
+ * result.campaign is { id, name, extraStamps } when a campaign added stamps.
+ * billNumber (manual stamps) must be new for the outlet and business day, else this throws 409
+ * with err.original set to the transaction that already used it.
+ */
+async function awardStamps(client, { user, amount, paymentMethod, currentStamps, settings, adminId, billNumber, outlet }) {
+  const numAmount = Number(amount) || 0;
+  const day = businessDate();
+  const billOutlet = outlet || DEFAULT_OUTLET;
+  if (billNumber) {
+    const original = await findBill(client, { outlet: billOutlet, day, billNumber });
+    if (original) throw duplicateBillError(billNumber, original);
+  }
+
+  const base = stampsForAmount(numAmount, settings);
+  const promo = await campaignForBill(client, { userId: user.id, amount: numAmount, baseStamps: base });
+  const earned = base + (promo ? promo.extraStamps : 0);
+  const { stampsAdded, stampsCarried, stampsDropped } = splitStamps(earned, currentStamps, settings);
+
+  const result = { earned, stampsAdded, stampsCarried, stampsDropped, currentStamps, transactionId: null, campaign: null };
+  if (stampsAdded + stampsCarried === 0) return result;
+  if (promo) result.campaign = { id: promo.campaign.id, name: promo.campaign.name, extraStamps: promo.extraStamps };
+
+  // Two tills racing on one bill number: the second waits for the first, then conflicts here
+  const txRes = await client.query(
+    `INSERT INTO transactions (user_id, member_code, customer_name, amount, payment_method, stamp_added, stamps_earned, campaign_id,
+                               bill_number, outlet, business_date, created_at)
+     VALUES ($1, $2, $3, $4, $5, TRUE, $6, $7, $8, $9, $10, NOW())
+     ON CONFLICT (outlet, business_date, bill_number) WHERE bill_number IS NOT NULL DO NOTHING
+     RETURNING id`,
+    [user.id, user.member_code, user.name, numAmount, paymentMethod, stampsAdded + stampsCarried, promo ? promo.campaign.id : null,
+      billNumber || null, billOutlet, day]
+  );
+  if (!txRes.rows.length) throw duplicateBillError(billNumber, await findBill(client, { outlet: billOutlet, day, billNumber }));
+  result.transactionId = txRes.rows[0].id;
+
+  result.currentStamps = await placeStamps(client, {
+    userId: user.id,
+    currentStamps,
+    stampsAdded,
+    stampsCarried,
+    amount: numAmount,
+    transactionId: result.transactionId,
+    campaignId: promo && promo.campaign.id,
+    campaignStamps: promo ? promo.extraStamps : 0,
+  });
+
+  await recordEvent(client, {
+    userId: user.id,
+    type: "stamp_granted",
+    stampsDelta: stampsAdded,
+    carriedDelta: stampsCarried,
+    transactionId: result.transactionId,
+    adminId,
+    reason: paymentMethod,
+    meta: { amount: numAmount, stampsDropped, ...(promo && { campaignId: promo.campaign.id, campaignStamps: promo.extraStamps }) },
+  });
+
+  return result;
+}
+
+/**
+ * Free stamps that do not come from a bill (birthday, campaigns...). Placed like bill
+ * stamps (card first, then carried or dropped per overflowMode); bonus_source names where they
+ * came from. A bonus earned by a bill (referrals) passes that bill's transactionId, so undoing or
+ * refunding the bill can find it. Returns { stampsAdded, stampsCarried, currentStamps }.
+ */
+async function grantBonusStamps(client, { userId, count, source, settings, adminId, transactionId }) {
+  const lRes = await client.query("SELECT current_stamps FROM loyalty_accounts WHERE user_id = $1 FOR UPDATE", [userId]);
+  if (!lRes.rows.length) {
+    await client.query("INSERT INTO loyalty_accounts (user_id, current_stamps, total_rewards, updated_at) VALUES ($1, 0, 0, NOW())", [userId]);
+  }
+  const currentStamps = Number((lRes.rows[0] && lRes.rows[0].current_stamps) || 0);
+  const { stampsAdded, stampsCarried } = splitStamps(count, currentStamps, settings);
+  const result = { stampsAdded, stampsCarried, currentStamps };
+  if (stampsAdded + stampsCarried === 0) return result;
+
+  result.currentStamps = await placeStamps(client, {
+    userId,
+    currentStamps,
+    stampsAdded,
+    stampsCarried,
+    amount: 0,
+    transactionId,
+    bonusSource: source,
+  });
+
+  // The ledger's transaction_id stays for bills; the bill behind a bonus goes in meta
+  await recordEvent(client, {
+    userId,
+    type: "stamp_granted",
+    stampsDelta: stampsAdded,
+    carriedDelta: stampsCarried,
+    adminId,
+    reason: source,
+    meta: transactionId ? { transactionId } : undefined,
+  });
+
+  return result;
+}
+
+/**
+ * Take stamps_history rows ({ id, stamp_index, carried }) off a member's card: later stamps shift
+ * down one slot per removed stamp, current_stamps drops by the ones that were on the card and
+ * carried stamps move up into the freed slots. Writes one stamp_revoked event.
+ * Caller holds the member's loyalty_accounts row lock.
+ */
+async function removeStamps(client, { userId, stamps, settings, transactionId, adminId, reason, meta }) {
+  if (!stamps.length) return { onCard: 0, carried: 0 };
+
+  // Highest slot first, so each shift leaves the remaining slots untouched
+  const ordered = [...stamps].sort((a, b) => b.stamp_index - a.stamp_index);
+  for (const stamp of ordered) {
+    await client.query("DELETE FROM stamps_history WHERE id = $1", [stamp.id]);
+    await client.query(
+      "UPDATE stamps_history SET stamp_index = stamp_index - 1 WHERE user_id = $1 AND redemption_id IS NULL AND expired_at IS NULL AND stamp_index > $2",
+      [userId, stamp.stamp_index]
+    );
+  }
+
+  const onCard = stamps.filter((stamp) => !stamp.carried).length;
+  await recordEvent(client, {
+    userId,
+    type: "stamp_revoked",
+    stampsDelta: -onCard,
+    carriedDelta: -(stamps.length - onCard),
+    transactionId,
+    adminId,
+    reason,
+    meta,
+  });
+  if (onCard > 0) {
+    await client.query(
+      "UPDATE loyalty_accounts SET current_stamps = GREATEST(current_stamps - $2, 0), updated_at = NOW() WHERE user_id = $1",
+      [userId, onCard]
+    );
+    await promoteCarriedStamps(client, userId, settings);
+  }
+  return { onCard, carried: stamps.length - onCard };
+}
+
+/**
+ * Give a bill back `count` stamps that removeStamps took (a refund the gateway refused). They go
+ * at the end of the card like new stamps; the ledger records an adjustment on the bill.
+ * Caller holds the member's loyalty_accounts row lock. Returns { stampsAdded, stampsCarried }.
+ */
+async function restoreStamps(client, { userId, count, settings, transactionId, amount, adminId, reason }) {
+  const lRes = await client.query("SELECT current_stamps FROM loyalty_accounts WHERE user_id = $1", [userId]);
+  const currentStamps = Number((lRes.rows[0] && lRes.rows[0].current_stamps) || 0);
+  const { stampsAdded, stampsCarried } = splitStamps(count, currentStamps, settings);
+  if (stampsAdded + stampsCarried === 0) return { stampsAdded, stampsCarried };
+
+  await placeStamps(client, { userId, currentStamps, stampsAdded, stampsCarried, amount, transactionId });
+  await recordEvent(client, {
+    userId,
+    type: "adjustment",
+    stampsDelta: stampsAdded,
+    carriedDelta: stampsCarried,
+    transactionId,
+    adminId,
+    reason,
+  });
+  return { stampsAdded, stampsCarried };
+}
+
+/**
+ * Move carried stamps onto the card while it has room, and renumber the rest after it.
+ * Call after anything that frees card slots (redemption, undo, refund). Returns the new current_stamps.
+ */
+async function promoteCarriedStamps(client, userId, settings) {
+  const lRes = await client.query("SELECT current_stamps FROM loyalty_accounts WHERE user_id = $1", [userId]);
+  const current = Number((lRes.rows[0] && lRes.rows[0].current_stamps) || 0);
+  const room = Math.max(settings.redeemStampTarget - current, 0);
+
+  const upd = await client.query(
+    `WITH ranked AS (
+       SELECT id, ROW_NUMBER() OVER (ORDER BY stamp_index, id) AS rn
+       FROM stamps_history WHERE user_id = $1 AND carried = TRUE AND expired_at IS NULL
+     )
+     UPDATE stamps_history s
+     SET carried = (r.rn > $3), stamp_index = $2 + r.rn
+     FROM ranked r
+     WHERE s.id = r.id
+     RETURNING s.carried`,
+    [userId, current, room]
+  );
+
+  const promoted = upd.rows.filter((r) => !r.carried).length;
+  if (promoted === 0) return current;
+
+  await client.query("UPDATE loyalty_accounts SET current_stamps = $1, updated_at = NOW() WHERE user_id = $2", [
+    current + promoted,
+    userId,
+  ]);
+  await recordEvent(client, {
+    userId,
+    type: "adjustment",
+    stampsDelta: promoted,
+    carriedDelta: -promoted,
+    reason: "carry_over",
+  });
+  return current + promoted;
+}
+
+module.exports = {
+  stampsForAmount,
+  normalizeBillNumber,
+  normalizeOutlet,
+  awardStamps,
+  grantBonusStamps,
+  removeStamps,
+  restoreStamps,
+  promoteCarriedStamps,
+};
@@ -0,0 +1,127 @@
+// src/utils/tiers.js
+// Membership tiers (program settings `tiers` / `tierBasis`).
+// A member's tier comes from lifetime spend (bills minus refunds) or completed rewards,
+// whichever tierBasis says; the highest tier whose threshold they reach wins.
+// The current tier is cached on loyalty_accounts.tier and every change is written to tier_changes.
+//
+// Perks per tier: minStampAmount (overrides the program's, null = keep it) and
+// bonusStamps (extra stamps on every bill that earns at least one). Every tier shares the
+// program's card size, so a reward always takes the same number of stamps.
+
+const db = require("../config/db");
+
+function tierFor(value, settings) {
+  let tier = settings.tiers[0];
+  for (const t of settings.tiers) {
+    if (value >= t.threshold) tier = t;
+  }
+  return tier;
+}
+
+// Program settings with the tier's perks applied (what stamping should use for this member).
+function applyTierPerks(settings, tierName) {
+  const tier = settings.tiers.find((t) => t.name === tierName);
+  if (!tier) return settings;
+  return {
+    ...settings,
+    minStampAmount: tier.minStampAmount || settings.minStampAmount,
+    bonusStampsPerBill: tier.bonusStamps || 0,
+  };
+}
+
+// Settings for one member's bills, from their cached tier.
+async function settingsForMember(client, userId, settings) {
+  const r = await client.query("SELECT tier FROM loyalty_accounts WHERE user_id = $1", [userId]);
+  return applyTierPerks(settings, r.rows[0] && r.rows[0].tier);
+}
+
+async function tierValue(client, userId, settings) {
+  if (settings.tierBasis === "rewards") {
+    const r = await client.query("SELECT COALESCE(total_rewards, 0)::int AS v FROM loyalty_accounts WHERE user_id = $1", [userId]);
+    return r.rows.length ? r.rows[0].v : 0;
+  }
+  const r = await client.query(
+    "SELECT COALESCE(SUM(amount - COALESCE(refunded_amount, 0)), 0)::float AS v FROM transactions WHERE user_id = $1",
+    [userId]
+  );
+  return r.rows[0].v;
+}
+
+async function setTier(client, userId, fromTier, tier, value, settings, reason) {
+  await client.query("UPDATE loyalty_accounts SET tier = $2 WHERE user_id = $1", [userId, tier.name]);
+  await client.query(
+    `INSERT INTO tier_changes (user_id, from_tier, to_tier, basis, basis_value, reason, changed_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+    [userId, fromTier, tier.name, settings.tierBasis, value, fromTier ? reason : "initial"]
+  );
+}
+
+/**
+ * Recompute one member's tier and record a change. Call after anything that moves
+ * spend or rewards (bills, refunds, redemptions). Returns { tier, changed, from }.
+ */
+async function refreshMemberTier(client, userId, settings, reason = "activity") {
+  const lRes = await client.query("SELECT tier FROM loyalty_accounts WHERE user_id = $1", [userId]);
+  if (!lRes.rows.length) return { tier: settings.tiers[0], changed: false, from: null };
+  const from = lRes.rows[0].tier;
+
+  const value = await tierValue(client, userId, settings);
+  const tier = tierFor(value, settings);
+  if (tier.name === from) return { tier, changed: false, from };
+
+  await setTier(client, userId, from, tier, value, settings, reason);
+  return { tier, changed: true, from };
+}
+
+// Re-tier every member after the tier rules change, or with { onlyMissing: true } just those
+// without a tier yet (the boot-time backfill). Each member is locked and re-read in their own
+// transaction, so a bill or refund landing meanwhile is never overwritten.
+async function recomputeAllTiers(settings, reason = "settings_change", { onlyMissing = false } = {}) {
+  const r = await db.query(
+    `SELECT user_id FROM loyalty_accounts ${onlyMissing ? "WHERE tier IS NULL" : ""} ORDER BY user_id`
+  );
+
+  let changed = 0;
+  for (const { user_id: userId } of r.rows) {
+    const result = await db.withClient(async (client) => {
+      await client.query("SELECT 1 FROM loyalty_accounts WHERE user_id = $1 FOR UPDATE", [userId]);
+      return refreshMemberTier(client, userId, settings, reason);
+    });
+    if (result.changed) changed += 1;
+  }
+  return { members: r.rows.length, changed };
+}
+
+// Where a member stands: current tier, the next one and what is left to reach it.
+async function tierProgress(client, userId, settings) {
+  const value = await tierValue(client, userId, settings);
+  const tier = tierFor(value, settings);
+  const next = settings.tiers.find((t) => t.threshold > value) || null;
+  return {
+    name: tier.name,
+    basis: settings.tierBasis,
+    value,
+    perks: { minStampAmount: tier.minStampAmount || settings.minStampAmount, bonusStamps: tier.bonusStamps || 0 },
+    next: next ? { name: next.name, remaining: next.threshold - value } : null,
+  };
+}
+
+async function fetchTierChanges(client, userId, { limit = 50 } = {}) {
+  const r = await client.query(
+    `SELECT from_tier, to_tier, basis, basis_value, reason, changed_at
+     FROM tier_changes WHERE user_id = $1
+     ORDER BY changed_at DESC, id DESC
+     LIMIT $2`,
+    [userId, limit]
+  );
+  return r.rows;
+}
+
+module.exports = {
+  applyTierPerks,
+  settingsForMember,
+  refreshMemberTier,
+  recomputeAllTiers,
+  tierProgress,
+  fetchTierChanges,
+};
@@ -0,0 +1,124 @@
+// src/utils/vouchers.js
+// Redemption vouchers. The customer asks for a short-lived code on the card page; staff type
+// or scan it at the counter and the reward is redeemed against it, so a redemption needs the
+// customer's phone in hand. A member has at most one live voucher: asking again cancels the old one.
+// Lifecycle (vouchers.status): issued -> redeemed | cancelled | expired.
+
+const crypto = require("crypto");
+const { redeemReward } = require("./redemptions");
+const { redeemableReward } = require("./rewardCatalog");
+
+const VOUCHER_TTL_MINUTES = Number(process.env.VOUCHER_TTL_MINUTES) || 10;
+// No 0/O or 1/I so codes read cleanly over the counter
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 6;
+
+const COLUMNS = `v.id, v.code, v.user_id, v.reward_id, v.stamp_cost, v.status, v.issued_at, v.expires_at,
+  v.redeemed_at, v.redemption_id, COALESCE(r.name, 'Full card reward') AS reward_name`;
+
+function generateCode() {
+  let code = "";
+  for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  return code;
+}
+
+// Typed codes may carry spaces, dashes or lower case
+function normalizeCode(code) {
+  return String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+// Store the expiry of issued vouchers whose time ran out. Runs on its own (not in the
+// caller's transaction) so a rejected redeem still records it.
+async function expireStaleVouchers(client) {
+  await client.query(
+    "UPDATE vouchers SET status = 'expired', closed_at = expires_at WHERE status = 'issued' AND expires_at <= NOW()"
+  );
+}
+
+/**
+ * Issue a voucher for the full-card reward (rewardId null) or a catalog reward.
+ * The member must already have the stamps; they are only taken when staff redeem it.
+ * Caller runs inside db.withClient.
+ */
+async function issueVoucher(client, { userId, rewardId, settings }) {
+  const lRes = await client.query("SELECT current_stamps FROM loyalty_accounts WHERE user_id = $1 FOR UPDATE", [userId]);
+  const currentStamps = lRes.rows.length ? Number(lRes.rows[0].current_stamps) : 0;
+  const reward = rewardId ? await redeemableReward(client, rewardId) : null;
+  const stampCost = reward ? reward.stamp_cost : settings.redeemStampTarget;
+  if (currentStamps < stampCost) throw { status: 400, message: "Not enough stamps for this reward yet" };
+
+  await client.query(
+    "UPDATE vouchers SET status = 'cancelled', closed_at = NOW() WHERE user_id = $1 AND status = 'issued'",
+    [userId]
+  );
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const ins = await client.query(
+      `INSERT INTO vouchers (code, user_id, reward_id, stamp_cost, status, issued_at, expires_at)
+       VALUES ($1, $2, $3, $4, 'issued', NOW(), NOW() + ($5::int * INTERVAL '1 minute'))
+       ON CONFLICT (code) DO NOTHING
+       RETURNING id`,
+      [generateCode(), userId, reward ? reward.id : null, stampCost, VOUCHER_TTL_MINUTES]
+    );
+    if (ins.rows.length) return fetchVoucher(client, { id: ins.rows[0].id });
+  }
+  throw { status: 503, message: "Could not issue a voucher, please try again" };
+}
+
+async function fetchVoucher(client, { id, code, userId, lock = false }) {
+  const where = id ? "v.id = $1" : "v.code = $1";
+  const params = [id || normalizeCode(code)];
+  let sql = `SELECT ${COLUMNS} FROM vouchers v LEFT JOIN rewards r ON r.id = v.reward_id WHERE ${where}`;
+  if (userId) {
+    params.push(userId);
+    sql += " AND v.user_id = $2";
+  }
+  if (lock) sql += " FOR UPDATE OF v";
+  const r = await client.query(sql, params);
+  return r.rows[0] || null;
+}
+
+// The member's live voucher, for the card page.
+async function activeVoucher(client, userId) {
+  const r = await client.query(
+    `SELECT ${COLUMNS} FROM vouchers v LEFT JOIN rewards r ON r.id = v.reward_id
+     WHERE v.user_id = $1 AND v.status = 'issued' AND v.expires_at > NOW()
+     ORDER BY v.issued_at DESC
+     LIMIT 1`,
+    [userId]
+  );
+  return r.rows[0] || null;
+}
+
+/**
+ * Staff redeem a voucher code. Locks the voucher so the same code can't be redeemed twice,
+ * then redeems the reward it was issued for. Caller runs inside db.withClient
+ * (after expireStaleVouchers).
+ */
+async function redeemVoucher(client, { code, admin, settings, toWallet = false }) {
+  const voucher = await fetchVoucher(client, { code, lock: true });
+  if (!voucher) throw { status: 404, message: "Voucher code not found" };
+  if (voucher.status === "redeemed") throw { status: 409, message: "Voucher has already been used" };
+  if (voucher.status === "cancelled") throw { status: 409, message: "Voucher was replaced by a newer code" };
+  if (voucher.status === "expired" || new Date(voucher.expires_at) <= new Date()) {
+    throw { status: 410, message: "Voucher has expired. Ask the customer for a new code." };
+  }
+
+  const reward = voucher.reward_id ? await redeemableReward(client, voucher.reward_id) : null;
+  const redeemed = await redeemReward(client, { userId: voucher.user_id, reward, admin, settings, toWallet });
+
+  await client.query(
+    `UPDATE vouchers SET status = 'redeemed', redeemed_at = NOW(), redeemed_by = $2, redemption_id = $3, closed_at = NOW()
+     WHERE id = $1`,
+    [voucher.id, admin ? admin.uid : null, redeemed.redemption.id]
+  );
+  return { voucher: await fetchVoucher(client, { id: voucher.id }), ...redeemed };
+}
+
+module.exports = {
+  expireStaleVouchers,
+  issueVoucher,
+  fetchVoucher,
+  activeVoucher,
+  redeemVoucher,
+};
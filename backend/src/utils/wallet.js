@@ -0,0 +1,107 @@
+// src/utils/wallet.js
+// Store-credit wallet on the loyalty account (loyalty_accounts.wallet_balance, in ₹).
+// Staff can put a reward's value into the wallet instead of serving it all at once, then
+// spend it against later bills a bit at a time. Every change writes a wallet_transactions row
+// (credit | debit) with the balance after it.
+// Debits lock the account row and only take what is there; the CHECK on wallet_balance is the
+// last line of defence, so two tills debiting at once can never push it below zero.
+
+const COLUMNS = `id, kind, amount::float AS amount, balance_after::float AS balance_after, reason, redemption_id,
+  bill_amount::float AS bill_amount, note, admin_username, created_at`;
+
+function money(v) {
+  return Math.round(Number(v) * 100) / 100;
+}
+
+function optionalNote(note) {
+  if (note === undefined || note === null || note === "") return null;
+  if (typeof note !== "string" || note.trim().length > 140) throw { status: 400, message: "Note must be up to 140 characters" };
+  return note.trim() || null;
+}
+
+async function lockAccount(client, userId) {
+  const r = await client.query("SELECT wallet_balance::float AS balance FROM loyalty_accounts WHERE user_id = $1 FOR UPDATE", [userId]);
+  if (!r.rows.length) throw { status: 404, message: "Account not found" };
+  return r.rows[0].balance;
+}
+
+async function writeTransaction(client, { userId, kind, amount, balanceAfter, reason, redemptionId, billAmount, note, admin }) {
+  const r = await client.query(
+    `INSERT INTO wallet_transactions (user_id, kind, amount, balance_after, reason, redemption_id, bill_amount, note, admin_id, admin_username, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+     RETURNING ${COLUMNS}`,
+    [userId, kind, amount, balanceAfter, reason, redemptionId || null, billAmount ?? null, note || null, admin ? admin.uid : null, admin ? admin.username : null]
+  );
+  return r.rows[0];
+}
+
+/**
+ * Add money to the wallet (reason "reward" when a redemption is paid into it).
+ * Returns { balance, transaction }. Caller runs inside db.withClient.
+ */
+async function creditWallet(client, { userId, amount, reason, redemptionId, note, admin }) {
+  const value = money(amount);
+  if (!Number.isFinite(value) || value <= 0) throw { status: 400, message: "Amount must be more than zero" };
+  await lockAccount(client, userId);
+
+  const upd = await client.query(
+    "UPDATE loyalty_accounts SET wallet_balance = wallet_balance + $2, updated_at = NOW() WHERE user_id = $1 RETURNING wallet_balance::float AS balance",
+    [userId, value]
+  );
+  const balance = upd.rows[0].balance;
+  const transaction = await writeTransaction(client, { userId, kind: "credit", amount: value, balanceAfter: balance, reason, redemptionId, note, admin });
+  return { balance, transaction };
+}
+
+/**
+ * Spend part of the wallet against a bill. The debit can't be more than the balance or,
+ * when billAmount is given, more than the bill. Returns { balance, transaction }.
+ * Caller runs inside db.withClient.
+ */
+async function debitWallet(client, { userId, amount, billAmount, note, admin }) {
+  const value = money(amount);
+  if (!Number.isFinite(value) || value <= 0) throw { status: 400, message: "Amount must be more than zero" };
+  const bill = billAmount === undefined || billAmount === null || billAmount === "" ? null : money(billAmount);
+  if (bill !== null && (!Number.isFinite(bill) || bill <= 0)) throw { status: 400, message: "Bill amount must be more than zero" };
+  if (bill !== null && value > bill) throw { status: 400, message: "Can't take more than the bill from the wallet" };
+  const cleanNote = optionalNote(note);
+
+  const balance = await lockAccount(client, userId);
+  if (value > balance) throw { status: 409, message: `Wallet balance is only ₹${balance}` };
+
+  const upd = await client.query(
+    `UPDATE loyalty_accounts SET wallet_balance = wallet_balance - $2, updated_at = NOW()
+     WHERE user_id = $1 AND wallet_balance >= $2
+     RETURNING wallet_balance::float AS balance`,
+    [userId, value]
+  );
+  if (!upd.rows.length) throw { status: 409, message: "Wallet balance changed, please try again" };
+  const after = upd.rows[0].balance;
+  const transaction = await writeTransaction(client, {
+    userId,
+    kind: "debit",
+    amount: value,
+    balanceAfter: after,
+    reason: "bill",
+    billAmount: bill,
+    note: cleanNote,
+    admin,
+  });
+  return { balance: after, transaction };
+}
+
+// Balance and latest wallet transactions, newest first.
+async function fetchWallet(client, userId, { limit = 20 } = {}) {
+  const bRes = await client.query("SELECT wallet_balance::float AS balance FROM loyalty_accounts WHERE user_id = $1", [userId]);
+  const tRes = await client.query(
+    `SELECT ${COLUMNS} FROM wallet_transactions WHERE user_id = $1 ORDER BY id DESC LIMIT $2`,
+    [userId, limit]
+  );
+  return { balance: bRes.rows.length ? bRes.rows[0].balance : 0, transactions: tRes.rows };
+}
+
+module.exports = {
+  creditWallet,
+  debitWallet,
+  fetchWallet,
+};
@@ -5,6 +5,7 @@ import Start from "./pages/Start";
 import Register from "./pages/Register";
 import ExistingUser from "./pages/ExistingUser";
 import Card from "./pages/Card";
+import Profile from "./pages/Profile";
 
 const AdminLogin = lazy(() => import("./pages/AdminLogin"));
 const AdminDashboard = lazy(() => import("./pages/AdminDashboard"));
@@ -24,6 +25,7 @@ function App() {
         <Route path="/register" element={<Register />} />
         <Route path="/existing" element={<ExistingUser />} />
         <Route path="/card" element={<Card />} />
+        <Route path="/profile" element={<Profile />} />
 
         {/* Admin / static pages */}
         <Route path="/admin" element={<AdminLogin />} />
@@ -0,0 +1,93 @@
+// frontend/src/OtpStep.jsx
+// Verification screen shared by login and registration: the 6-digit code texted to `phone`,
+// with resend (after the backend's cooldown) and a way back to change the number.
+import { useEffect, useState } from "react";
+import { requestOtpCode } from "./otp";
+
+export default function OtpStep({ phone, resendAfter = 60, onVerify, onBack, verifyLabel = "Verify" }) {
+  const [code, setCode] = useState("");
+  const [verifying, setVerifying] = useState(false);
+  const [secondsLeft, setSecondsLeft] = useState(resendAfter);
+  const [resending, setResending] = useState(false);
+
+  useEffect(() => {
+    if (secondsLeft <= 0) return undefined;
+    const t = setTimeout(() => setSecondsLeft((s) => s - 1), 1000);
+    return () => clearTimeout(t);
+  }, [secondsLeft]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!/^\d{6}$/.test(code)) {
+      alert("Please enter the 6-digit code.");
+      return;
+    }
+    setVerifying(true);
+    try {
+      await onVerify(code);
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const handleResend = async () => {
+    setResending(true);
+    try {
+      const { ok, data } = await requestOtpCode(phone);
+      if (!ok) {
+        alert(data.message || "Could not send the code");
+        return;
+      }
+      setCode("");
+      setSecondsLeft(data.resendAfter || resendAfter);
+    } catch (err) {
+      console.error(err);
+      alert("Server error. Please try again.");
+    } finally {
+      setResending(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <p className="text-xs text-[#f5e6c8]/80">
+        We sent a 6-digit code to <span className="font-semibold text-[#f5e6c8]">{phone}</span>.
+      </p>
+      <div>
+        <label className="text-xs font-semibold">Verification Code</label>
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          autoFocus
+          maxLength={6}
+          required
+          value={code}
+          onChange={(e) => setCode(e.target.value.replace(/\D/g, ""))}
+          placeholder="••••••"
+          className="w-full h-11 mt-1 rounded-2xl bg-[#f5e6c8] text-[#501914] px-3 outline-none text-center font-mono text-lg tracking-[0.5em]"
+        />
+      </div>
+
+      <button
+        disabled={verifying || code.length !== 6}
+        className="w-full h-11 rounded-2xl bg-[#f5e6c8] text-[#501914] font-semibold shadow-lg transition active:scale-[0.98] disabled:opacity-70"
+      >
+        {verifying ? "Checking..." : verifyLabel}
+      </button>
+
+      <div className="flex items-center justify-between text-xs text-[#f5e6c8]/85">
+        <button type="button" onClick={onBack} className="underline">
+          Change number
+        </button>
+        {secondsLeft > 0 ? (
+          <span>Resend code in {secondsLeft}s</span>
+        ) : (
+          <button type="button" onClick={handleResend} disabled={resending} className="underline font-semibold disabled:opacity-60">
+            {resending ? "Sending..." : "Resend code"}
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
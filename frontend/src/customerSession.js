@@ -0,0 +1,82 @@
+// frontend/src/customerSession.js
+// The logged-in member's tokens. The access token is short-lived and goes out as a Bearer
+// header; when the backend answers 401 it is swapped once for a new pair with the refresh
+// token, and the request is retried. A refused refresh ends the session on this device.
+import { API_BASE } from "./apiConfig";
+
+const ACCESS_KEY = "cr_access";
+const REFRESH_KEY = "cr_refresh";
+
+// Sessions from before token login only stored the member code and phone number
+localStorage.removeItem("cr_memberCode");
+localStorage.removeItem("cr_phone");
+
+export function saveSession({ accessToken, refreshToken }) {
+  localStorage.setItem(ACCESS_KEY, accessToken);
+  localStorage.setItem(REFRESH_KEY, refreshToken);
+}
+
+export function clearSession() {
+  localStorage.removeItem(ACCESS_KEY);
+  localStorage.removeItem(REFRESH_KEY);
+}
+
+export function hasSession() {
+  return Boolean(localStorage.getItem(REFRESH_KEY));
+}
+
+// Requests that hit an expired token at the same time share one refresh
+let refreshing = null;
+
+function refreshTokens() {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const refreshToken = localStorage.getItem(REFRESH_KEY);
+      if (!refreshToken) return false;
+      const res = await fetch(`${API_BASE}/api/customer/token/refresh`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken }),
+      });
+      if (!res.ok) {
+        if (res.status === 401) clearSession();
+        return false;
+      }
+      saveSession(await res.json());
+      return true;
+    })().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+}
+
+// fetch() for member endpoints: `path` is relative to API_BASE ("/api/customer/card")
+export async function customerFetch(path, options = {}) {
+  const send = () =>
+    fetch(`${API_BASE}${path}`, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${localStorage.getItem(ACCESS_KEY) || ""}` },
+    });
+
+  const res = await send();
+  if (res.status !== 401 || !(await refreshTokens())) return res;
+  return send();
+}
+
+// End the session on the server (every device with everywhere: true), then forget it here
+export async function logout({ everywhere = false } = {}) {
+  try {
+    if (hasSession()) {
+      await customerFetch("/api/customer/logout", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ everywhere }),
+      });
+    }
+  } catch (err) {
+    console.error("logout error:", err);
+  } finally {
+    clearSession();
+  }
+}
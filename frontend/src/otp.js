@@ -0,0 +1,15 @@
+// frontend/src/otp.js
+import { API_BASE } from "./apiConfig";
+
+// Ask the backend to text a verification code. The same code logs in or registers: the backend
+// only tells which once the code is checked. Resolves to { ok, data } where data has message,
+// expiresAt and resendAfter (seconds).
+export async function requestOtpCode(phone) {
+  const res = await fetch(`${API_BASE}/api/customer/otp`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ phone }),
+  });
+  const data = await res.json();
+  return { ok: res.ok, data };
+}
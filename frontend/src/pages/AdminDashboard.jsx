@@ -16,12 +16,13 @@ import {
   CartesianGrid,
 } from "recharts";
 import { API_BASE } from "../apiConfig";
+import { useProgramSettings } from "../programSettings";
 
 /**
  * AdminDashboard.jsx
  * - Modernized, responsive dashboard using Tailwind CSS + Framer Motion
  * - Includes:
- * - Customers table with compact 12-stamp row and per-stamp date tooltip
+ * - Customers table with compact stamp row (card size from program settings) and per-stamp date tooltip
  * - Add/Remove stamp actions (calls backend endpoints)
  * - Auto-poll for customers (20s)
  * - Celebration toast that auto-dismisses in 2s
@@ -34,8 +35,7 @@ import { API_BASE } from "../apiConfig";
 
 const POLL_INTERVAL = 20_000;
 const CELEBRATION_TTL_MS = 2000;
-const MIN_STAMP_AMOUNT = 500;
-const REDEEM_STAMP_TARGET = 11;
+const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
 
 // Helper to format date for the insights table
 function formatDateTime(isoString) {
@@ -53,12 +53,23 @@ export default function AdminDashboard() {
   const token = localStorage.getItem("cr_adminToken");
   const adminName = localStorage.getItem("cr_adminUsername") || "Owner";
 
+  // What this role may do (from login, refreshed from /api/admin/me). The server checks the same
+  // list on every route; here it only hides controls that would be refused.
+  const [permissions, setPermissions] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem("cr_adminPermissions")) || [];
+    } catch {
+      return [];
+    }
+  });
+  const can = useCallback((permission) => permissions.includes(permission), [permissions]);
+
   const [customers, setCustomers] = useState([]);
   const [search, setSearch] = useState("");
   const [loading, setLoading] = useState(true);
   const [addingFor, setAddingFor] = useState(null); // Used for loading state of actions
   const [removingFor, setRemovingFor] = useState(null);
-  const [activeTab, setActiveTab] = useState("dashboard"); // 'dashboard' | 'insights'
+  const [activeTab, setActiveTab] = useState("dashboard"); // 'dashboard' | 'insights' | 'settings'
   const [celebration, setCelebration] = useState(null); // { memberCode, name, rewards }
   
   // Insights Data
@@ -69,8 +80,58 @@ export default function AdminDashboard() {
   const [transactions, setTransactions] = useState([]); // Store raw transactions
   const [insightsLoading, setInsightsLoading] = useState(false);
 
+  // Program Settings (threshold, card size, reward value)
+  const [program, setProgram] = useProgramSettings();
+  const { cardSize, redeemStampTarget } = program;
+  const [settingsForm, setSettingsForm] = useState(null); // editable copy of the program settings
+  const [savingSettings, setSavingSettings] = useState(false);
+  const [expiryReport, setExpiryReport] = useState(null); // GET /api/admin/expiry-report (last 30 days)
+  const [runningExpiry, setRunningExpiry] = useState(false);
+
+  // Birthdays this week (GET /api/admin/birthdays/upcoming)
+  const [birthdays, setBirthdays] = useState([]);
+
+  // Reward catalog (GET /api/admin/reward-catalog) and the add/edit form
+  const [catalog, setCatalog] = useState([]);
+  const [catalogForm, setCatalogForm] = useState(null); // { id?, name, description, imageUrl, stampCost, value, startsOn, endsOn }
+  const [savingReward, setSavingReward] = useState(false);
+  // Campaigns (GET /api/admin/campaigns) and the add/edit form
+  const [campaigns, setCampaigns] = useState([]);
+  const [campaignForm, setCampaignForm] = useState(null);
+  const [savingCampaign, setSavingCampaign] = useState(false);
+  // Holiday calendar (GET /api/admin/holidays) and the add/edit form
+  const [holidays, setHolidays] = useState([]);
+  const [holidayForm, setHolidayForm] = useState(null); // { id?, date, title, message, repeatsYearly, blockStamps, blockPayments }
+  const [savingHoliday, setSavingHoliday] = useState(false);
+  // Referral report (GET /api/admin/referrals): { totals, topReferrers, referrals }
+  const [referralReport, setReferralReport] = useState(null);
+  // Stamp review queue (GET /api/admin/stamp-flags): stamps that broke a velocity rule
+  const [stampFlags, setStampFlags] = useState(null); // { flags, openCount }
+  const [stampFlagFilter, setStampFlagFilter] = useState("open");
+  const [deletionRequests, setDeletionRequests] = useState(null); // { requests, pendingCount }
+  const [deletionFilter, setDeletionFilter] = useState("pending");
+  const [adminUsers, setAdminUsers] = useState([]); // dashboard logins (owner only)
+  const [adminUserForm, setAdminUserForm] = useState(null); // { username, password, role, actionPassword }
+  const [savingAdminUser, setSavingAdminUser] = useState(false);
+
+  // Redeem picker: customer choosing between the full-card reward and catalog rewards
+  const [redeemFor, setRedeemFor] = useState(null);
+  const [redeemToWallet, setRedeemToWallet] = useState(false); // pay the reward's value into the wallet
+  // Voucher code typed or scanned at the counter
+  const [voucherInput, setVoucherInput] = useState("");
+  const [voucherToWallet, setVoucherToWallet] = useState(false);
+  const [redeemingVoucher, setRedeemingVoucher] = useState(false);
+
+  // Reward history modal: { customer, loading, redemptions }
+  const [rewardHistory, setRewardHistory] = useState(null);
+  // Wallet modal: { customer, loading, balance, transactions } and the debit form
+  const [walletFor, setWalletFor] = useState(null);
+  const [walletDebit, setWalletDebit] = useState({ amount: "", billAmount: "", note: "" });
+  const [debitingWallet, setDebitingWallet] = useState(false);
+
   // Manual Amount Inputs
   const [manualAmounts, setManualAmounts] = useState({}); // { userId: amount }
+  const [manualBills, setManualBills] = useState({}); // { userId: bill / receipt number }
 
   const pollRef = useRef(null);
   const rewardAudioRef = useRef(null);
@@ -85,31 +146,22 @@ export default function AdminDashboard() {
     let totalUsers = customers.length;
     let totalStamps = 0;
     let totalRewards = 0;
-    const birthdaysToday = [];
-    const almostThere = []; // 9 to 11 stamps
-
-    const now = new Date();
-    const d = now.getDate();
-    const m = now.getMonth();
+    const almostThere = []; // within 2 stamps of the redeem target
 
     customers.forEach((c) => {
       const s = Number(c.current_stamps || 0);
       totalStamps += s;
       totalRewards += Number(c.total_rewards || 0);
-      if (c.dob) {
-        const dob = new Date(c.dob);
-        if (!Number.isNaN(dob.getTime()) && dob.getDate() === d && dob.getMonth() === m) {
-          birthdaysToday.push(c);
-        }
-      }
       // Populate "Almost at Reward"
-      if (s >= 9 && s < 12) {
+      if (s >= redeemStampTarget - 2 && s < cardSize) {
         almostThere.push(c);
       }
     });
 
+    const birthdaysToday = birthdays.filter((b) => b.daysUntil === 0);
+
     return { totalUsers, totalStamps, totalRewards, birthdaysToday, almostThere };
-  }, [customers]);
+  }, [customers, birthdays, redeemStampTarget, cardSize]);
 
   // Date formatter strictly for IST (Indian Standard Time)
   const fmtDate = useCallback((iso) => {
@@ -184,6 +236,8 @@ export default function AdminDashboard() {
             alert("Session expired. Please login again.");
             localStorage.removeItem("cr_adminToken");
             localStorage.removeItem("cr_adminUsername");
+            localStorage.removeItem("cr_adminRole");
+            localStorage.removeItem("cr_adminPermissions");
             navigate("/admin");
             return;
           }
@@ -201,6 +255,7 @@ export default function AdminDashboard() {
           dob: c.dob ?? null,
           current_stamps: Number(c.current_stamps ?? c.currentStamps ?? 0),
           total_rewards: Number(c.total_rewards ?? c.totalRewards ?? 0),
+          tier: c.tier ?? null,
           // stamp_history can be either array or object depending on backend; keep it as-is
           stamp_history: c.stamp_history ?? c.stampHistory ?? null,
           reward_history: c.reward_history ?? c.rewardHistory ?? null,
@@ -259,6 +314,31 @@ export default function AdminDashboard() {
     }
   }, [token]);
 
+  // The role may have changed since login
+  useEffect(() => {
+    if (!token) return;
+    (async () => {
+      try {
+        const res = await fetch(`${API_BASE}/api/admin/me`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        const data = await res.json();
+        if (!res.ok) return;
+        setPermissions(data.permissions);
+        localStorage.setItem("cr_adminRole", data.role);
+        localStorage.setItem("cr_adminPermissions", JSON.stringify(data.permissions));
+      } catch (err) {
+        console.error("fetchMe error:", err);
+      }
+    })();
+  }, [token]);
+
+  useEffect(() => {
+    if ((activeTab === "insights" && !can("insights.view")) || (activeTab === "settings" && !can("settings.manage"))) {
+      setActiveTab("dashboard");
+    }
+  }, [activeTab, can]);
+
   // Polling (only while dashboard tab is active to reduce unnecessary load)
   useEffect(() => {
     fetchCustomers({ silence: activeTab !== "dashboard" });
@@ -275,6 +355,435 @@ export default function AdminDashboard() {
     };
   }, [fetchCustomers, activeTab]);
 
+  const fetchBirthdays = useCallback(async () => {
+    if (!token) return;
+    try {
+      const res = await fetch(`${API_BASE}/api/admin/birthdays/upcoming?days=7`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      if (res.ok) setBirthdays(data.birthdays || []);
+    } catch (err) {
+      console.error("fetchBirthdays error:", err);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    if (activeTab === "dashboard") fetchBirthdays();
+  }, [activeTab, fetchBirthdays]);
+
+  // Staff hand over a birthday treat
+  const handleRedeemBirthdayTreat = async (b) => {
+    if (!b.bonus || !window.confirm(`Give ${b.name} their birthday treat (${b.bonus.treat})?`)) return;
+    try {
+      const res = await fetch(`${API_BASE}/api/admin/birthdays/${b.bonus.id}/redeem`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      alert(data.message || (res.ok ? "Done" : "Failed to redeem treat"));
+      if (res.ok) fetchBirthdays();
+    } catch (err) {
+      console.error("redeemBirthdayTreat error:", err);
+      alert("Server error");
+    }
+  };
+
+  // Reward catalog, used by the redeem picker and the settings tab
+  const fetchCatalog = useCallback(async () => {
+    if (!token) return;
+    try {
+      const res = await fetch(`${API_BASE}/api/admin/reward-catalog`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      if (res.ok) setCatalog(data.rewards || []);
+    } catch (err) {
+      console.error("fetchCatalog error:", err);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    if (activeTab === "dashboard" || activeTab === "settings") fetchCatalog();
+  }, [activeTab, fetchCatalog]);
+
+  // Catalog rewards that can be redeemed today (the server checks again on redeem)
+  const availableCatalog = useMemo(() => {
+    const today = new Date().toLocaleDateString("en-CA");
+    return catalog.filter(
+      (rw) => !rw.retired_at && (!rw.starts_on || rw.starts_on <= today) && (!rw.ends_on || rw.ends_on >= today)
+    );
+  }, [catalog]);
+
+  const handleSaveReward = async (e) => {
+    e.preventDefault();
+    if (!catalogForm) return;
+    setSavingReward(true);
+    try {
+      const isEdit = Boolean(catalogForm.id);
+      const res = await fetch(`${API_BASE}/api/admin/reward-catalog${isEdit ? `/${catalogForm.id}` : ""}`, {
+        method: isEdit ? "PUT" : "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({
+          name: catalogForm.name,
+          description: catalogForm.description,
+          imageUrl: catalogForm.imageUrl,
+          stampCost: Number(catalogForm.stampCost),
+          value: Number(catalogForm.value || 0),
+          startsOn: catalogForm.startsOn,
+          endsOn: catalogForm.endsOn,
+        }),
+      });
+      const data = await res.json();
+      alert(data.message || (res.ok ? "Saved" : "Failed to save reward"));
+      if (res.ok) {
+        setCatalogForm(null);
+        fetchCatalog();
+      }
+    } catch (err) {
+      console.error("saveReward error:", err);
+      alert("Server error");
+    } finally {
+      setSavingReward(false);
+    }
+  };
+
+  const handleRetireReward = async (rw) => {
+    if (!window.confirm(`Retire "${rw.name}"? Customers will no longer be able to redeem it.`)) return;
+    try {
+      const res = await fetch(`${API_BASE}/api/admin/reward-catalog/${rw.id}/retire`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      alert(data.message || (res.ok ? "Retired" : "Failed to retire reward"));
+      if (res.ok) fetchCatalog();
+    } catch (err) {
+      console.error("retireReward error:", err);
+      alert("Server error");
+    }
+  };
+
+  // Promotions that add stamps to bills
+  const fetchCampaigns = useCallback(async () => {
+    if (!token) return;
+    try {
+      const res = await fetch(`${API_BASE}/api/admin/campaigns`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      if (res.ok) setCampaigns(data.campaigns || []);
+    } catch (err) {
+      console.error("fetchCampaigns error:", err);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    if (activeTab === "settings") fetchCampaigns();
+  }, [activeTab, fetchCampaigns]);
+
+  // Days the shop closes stamping and/or online payments
+  const fetchHolidays = useCallback(async () => {
+    if (!token) return;
+    try {
+      const res = await fetch(`${API_BASE}/api/admin/holidays`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      if (res.ok) setHolidays(data.holidays || []);
+    } catch (err) {
+      console.error("fetchHolidays error:", err);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    if (activeTab === "settings") fetchHolidays();
+  }, [activeTab, fetchHolidays]);
+
+  const handleSaveHoliday = async (e) => {
+    e.preventDefault();
+    if (!holidayForm) return;
+    setSavingHoliday(true);
+    try {
+      const isEdit = Boolean(holidayForm.id);
+      const res = await fetch(`${API_BASE}/api/admin/holidays${isEdit ? `/${holidayForm.id}` : ""}`, {
+        method: isEdit ? "PUT" : "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({
+          date: holidayForm.date,
+          title: holidayForm.title,
+          message: holidayForm.message,
+          repeatsYearly: holidayForm.repeatsYearly,
+          blockStamps: holidayForm.blockStamps,
+          blockPayments: holidayForm.blockPayments,
+        }),
+      });
+      const data = await res.json();
+      alert(data.message || (res.ok ? "Saved" : "Failed to save holiday"));
+      if (res.ok) {
+        setHolidayForm(null);
+        fetchHolidays();
+      }
+    } catch (err) {
+      console.error("saveHoliday error:", err);
+      alert("Server error");
+    } finally {
+      setSavingHoliday(false);
+    }
+  };
+
+  const handleDeleteHoliday = async (h) => {
+    if (!window.confirm(`Remove "${h.title}" on ${h.holiday_date}? Stamping and payments will be open that day.`)) return;
+    try {
+      const res = await fetch(`${API_BASE}/api/admin/holidays/${h.id}`, {
+        method: "DELETE",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      alert(data.message || (res.ok ? "Removed" : "Failed to remove holiday"));
+      if (res.ok) fetchHolidays();
+    } catch (err) {
+      console.error("deleteHoliday error:", err);
+      alert("Server error");
+    }
+  };
+
+  // Who referred whom, and what it cost in stamps
+  const fetchReferralReport = useCallback(async () => {
+    if (!token) return;
+    try {
+      const res = await fetch(`${API_BASE}/api/admin/referrals`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      if (res.ok) setReferralReport(data);
+    } catch (err) {
+      console.error("fetchReferralReport error:", err);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    if (activeTab === "settings") fetchReferralReport();
+  }, [activeTab, fetchReferralReport]);
+
+  // Stamps flagged or blocked by the velocity rules
+  const fetchStampFlags = useCallback(async () => {
+    if (!token || !can("settings.manage")) return;
+    try {
+      const res = await fetch(`${API_BASE}/api/admin/stamp-flags?status=${stampFlagFilter}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      if (res.ok) setStampFlags(data);
+    } catch (err) {
+      console.error("fetchStampFlags error:", err);
+    }
+  }, [token, can, stampFlagFilter]);
+
+  // Loaded up front too, so the Settings tab can show how many wait for review
+  useEffect(() => {
+    fetchStampFlags();
+  }, [activeTab, fetchStampFlags]);
+
+  const handleReviewStampFlag = async (flag, decision) => {
+    const note = window.prompt(decision === "fraud" ? "Why is this fraud? (optional)" : "Note (optional)", "");
+    if (note === null) return;
+    try {
+      const res = await fetch(`${API_BASE}/api/admin/stamp-flags/${flag.id}/review`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ decision, note }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert(data.message || "Failed to review");
+        return;
+      }
+      fetchStampFlags();
+    } catch (err) {
+      console.error("reviewStampFlag error:", err);
+      alert("Server error");
+    }
+  };
+
+  // Members asking for their data to be erased
+  const fetchDeletionRequests = useCallback(async () => {
+    if (!token || !can("settings.manage")) return;
+    try {
+      const res = await fetch(`${API_BASE}/api/admin/deletion-requests?status=${deletionFilter}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      if (res.ok) setDeletionRequests(data);
+    } catch (err) {
+      console.error("fetchDeletionRequests error:", err);
+    }
+  }, [token, can, deletionFilter]);
+
+  useEffect(() => {
+    fetchDeletionRequests();
+  }, [activeTab, fetchDeletionRequests]);
+
+  // Settings tab badge: everything waiting for the owner
+  const reviewCount = (stampFlags?.openCount || 0) + (deletionRequests?.pendingCount || 0);
+
+  const handleReviewDeletion = async (request, decision) => {
+    if (decision === "complete" && !window.confirm(`Erase ${request.customer_name} (${request.member_code})? Their name, phone and birthday are removed for good. Bills and the ledger stay.`)) return;
+    const note = window.prompt(decision === "reject" ? "Why is it rejected? (shown to the member)" : "Note (optional)", "");
+    if (note === null) return;
+    try {
+      const res = await fetch(`${API_BASE}/api/admin/deletion-requests/${request.id}/review`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ decision, note }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert(data.message || "Failed to review");
+        return;
+      }
+      if (decision === "complete") setCustomers((prev) => prev.filter((c) => c.id !== request.user_id));
+      fetchDeletionRequests();
+    } catch (err) {
+      console.error("reviewDeletionRequest error:", err);
+      alert("Server error");
+    }
+  };
+
+  // Dashboard logins and their roles
+  const fetchAdminUsers = useCallback(async () => {
+    if (!token || !can("users.manage")) return;
+    try {
+      const res = await fetch(`${API_BASE}/api/admin/users`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      if (res.ok) setAdminUsers(data.users || []);
+    } catch (err) {
+      console.error("fetchAdminUsers error:", err);
+    }
+  }, [token, can]);
+
+  useEffect(() => {
+    if (activeTab === "settings") fetchAdminUsers();
+  }, [activeTab, fetchAdminUsers]);
+
+  const handleCreateAdminUser = async (e) => {
+    e.preventDefault();
+    if (!adminUserForm) return;
+    setSavingAdminUser(true);
+    try {
+      const res = await fetch(`${API_BASE}/api/admin/users`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify(adminUserForm),
+      });
+      const data = await res.json();
+      alert(data.message || (res.ok ? "Added" : "Failed to add user"));
+      if (res.ok) {
+        setAdminUserForm(null);
+        fetchAdminUsers();
+      }
+    } catch (err) {
+      console.error("createAdminUser error:", err);
+      alert("Server error");
+    } finally {
+      setSavingAdminUser(false);
+    }
+  };
+
+  // changes: { role } | { disabled } | { password } | { actionPassword }
+  const handleUpdateAdminUser = async (user, changes) => {
+    try {
+      const res = await fetch(`${API_BASE}/api/admin/users/${user.id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify(changes),
+      });
+      const data = await res.json();
+      if (!res.ok) alert(data.message || "Failed to update user");
+      fetchAdminUsers();
+    } catch (err) {
+      console.error("updateAdminUser error:", err);
+      alert("Server error");
+    }
+  };
+
+  const handleResetAdminPassword = (user, field) => {
+    const label = field === "password" ? "login password" : "action password (undo, refunds, deletions)";
+    const value = window.prompt(`New ${label} for ${user.username} (at least 8 characters)`, "");
+    if (!value) return;
+    handleUpdateAdminUser(user, { [field]: value });
+  };
+
+  const handleSaveCampaign = async (e) => {
+    e.preventDefault();
+    if (!campaignForm) return;
+    setSavingCampaign(true);
+    try {
+      const isEdit = Boolean(campaignForm.id);
+      const res = await fetch(`${API_BASE}/api/admin/campaigns${isEdit ? `/${campaignForm.id}` : ""}`, {
+        method: isEdit ? "PUT" : "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({
+          name: campaignForm.name,
+          banner: campaignForm.banner,
+          kind: campaignForm.kind,
+          multiplier: Number(campaignForm.multiplier),
+          bonusStamps: Number(campaignForm.bonusStamps),
+          minAmount: campaignForm.minAmount === "" ? null : Number(campaignForm.minAmount),
+          startsOn: campaignForm.startsOn,
+          endsOn: campaignForm.endsOn,
+          weekdays: campaignForm.weekdays,
+          startTime: campaignForm.startTime,
+          endTime: campaignForm.endTime,
+          firstVisitOfMonth: campaignForm.firstVisitOfMonth,
+        }),
+      });
+      const data = await res.json();
+      alert(data.message || (res.ok ? "Saved" : "Failed to save campaign"));
+      if (res.ok) {
+        setCampaignForm(null);
+        fetchCampaigns();
+      }
+    } catch (err) {
+      console.error("saveCampaign error:", err);
+      alert("Server error");
+    } finally {
+      setSavingCampaign(false);
+    }
+  };
+
+  const handleEndCampaign = async (cp) => {
+    if (!window.confirm(`End "${cp.name}"? Bills will stop getting its stamps.`)) return;
+    try {
+      const res = await fetch(`${API_BASE}/api/admin/campaigns/${cp.id}/end`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      alert(data.message || (res.ok ? "Ended" : "Failed to end campaign"));
+      if (res.ok) fetchCampaigns();
+    } catch (err) {
+      console.error("endCampaign error:", err);
+      alert("Server error");
+    }
+  };
+
+  // Stamps expired in the last 30 days
+  const fetchExpiryReport = useCallback(async () => {
+    if (!token) return;
+    try {
+      const res = await fetch(`${API_BASE}/api/admin/expiry-report?days=30`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      if (res.ok) setExpiryReport(data);
+    } catch (err) {
+      console.error("fetchExpiryReport error:", err);
+    }
+  }, [token]);
+
   // fetch insights when active tab is insights
   useEffect(() => {
     if (activeTab === "insights") {
@@ -282,41 +791,172 @@ export default function AdminDashboard() {
     }
   }, [activeTab, fetchInsights]);
 
+  // Load program settings when the settings tab opens
+  useEffect(() => {
+    if (activeTab !== "settings" || !token) return;
+    (async () => {
+      try {
+        const res = await fetch(`${API_BASE}/api/admin/settings`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        const data = await res.json();
+        if (!res.ok) {
+          alert(data.message || "Failed to load settings");
+          return;
+        }
+        setProgram(data.settings);
+        setSettingsForm({
+          minStampAmount: String(data.settings.minStampAmount),
+          cardSize: String(data.settings.cardSize),
+          rewardValue: String(data.settings.rewardValue),
+          stampMode: data.settings.stampMode,
+          maxStampsPerBill: String(data.settings.maxStampsPerBill),
+          overflowMode: data.settings.overflowMode,
+          expiryMode: data.settings.expiryMode,
+          expiryDays: String(data.settings.expiryDays),
+          expiryWarningDays: String(data.settings.expiryWarningDays),
+          birthdayBonus: data.settings.birthdayBonus,
+          birthdayBonusStamps: String(data.settings.birthdayBonusStamps),
+          birthdayTreat: data.settings.birthdayTreat,
+          birthdayWindowDays: String(data.settings.birthdayWindowDays),
+          referralReferrerStamps: String(data.settings.referralReferrerStamps),
+          referralRefereeStamps: String(data.settings.referralRefereeStamps),
+          referralMonthlyCap: String(data.settings.referralMonthlyCap),
+          billNumberRequired: Boolean(data.settings.billNumberRequired),
+          velocityCustomerDailyStamps: String(data.settings.velocityCustomerDailyStamps),
+          velocityMinMinutes: String(data.settings.velocityMinMinutes),
+          velocityAdminDailyStamps: String(data.settings.velocityAdminDailyStamps),
+          velocityAction: data.settings.velocityAction,
+          tierBasis: data.settings.tierBasis,
+          tiers: data.settings.tiers.map((t) => ({
+            name: t.name,
+            threshold: String(t.threshold),
+            minStampAmount: t.minStampAmount ? String(t.minStampAmount) : "",
+            bonusStamps: String(t.bonusStamps),
+          })),
+        });
+      } catch (err) {
+        console.error("fetchSettings error:", err);
+      }
+    })();
+    fetchExpiryReport();
+  }, [activeTab, token, setProgram, fetchExpiryReport]);
+
   // Logout
   const handleLogout = () => {
     localStorage.removeItem("cr_adminToken");
     localStorage.removeItem("cr_adminUsername");
+    localStorage.removeItem("cr_adminRole");
+    localStorage.removeItem("cr_adminPermissions");
     navigate("/admin");
   };
 
-  // Small helpers to get stamp/ reward dates
-  const getStampDateFromCustomer = (customer, index) => {
-    // server may provide stamp_history as array of { index, date } or object mapping
-    if (!customer) return null;
-    const sh = customer.stamp_history;
-    if (!sh) {
-      const sess = sessionHistoryRef.current[customer.member_code];
-      return sess?.stamp_history?.[index] ?? null;
-    }
-    if (Array.isArray(sh)) {
-      const f = sh.find((s) => Number(s.index) === Number(index));
-      return f?.date ?? null;
+  // Small helpers to get stamp/ reward dates
+  const getStampDateFromCustomer = (customer, index) => {
+    // server may provide stamp_history as array of { index, date } or object mapping
+    if (!customer) return null;
+    const sh = customer.stamp_history;
+    if (!sh) {
+      const sess = sessionHistoryRef.current[customer.member_code];
+      return sess?.stamp_history?.[index] ?? null;
+    }
+    if (Array.isArray(sh)) {
+      const f = sh.find((s) => Number(s.index) === Number(index));
+      return f?.date ?? null;
+    }
+    // object mapping or array-like
+    return sh[index] ?? null;
+  };
+
+  // Redemption ledger for one member (GET /api/admin/rewards/:memberCode)
+  const openRewardHistory = async (customer) => {
+    setRewardHistory({ customer, loading: true, redemptions: [] });
+    try {
+      const res = await fetch(`${API_BASE}/api/admin/rewards/${encodeURIComponent(customer.member_code)}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert(data.message || "Failed to load reward history");
+        setRewardHistory(null);
+        return;
+      }
+      setRewardHistory({ customer, loading: false, redemptions: data.redemptions || [] });
+    } catch (err) {
+      console.error("openRewardHistory error:", err);
+      alert("Server error");
+      setRewardHistory(null);
+    }
+  };
+
+  // Store-credit wallet for one member (GET /api/admin/wallet/:userId)
+  const openWallet = async (customer) => {
+    setWalletFor({ customer, loading: true, balance: Number(customer.wallet_balance || 0), transactions: [] });
+    setWalletDebit({ amount: "", billAmount: "", note: "" });
+    try {
+      const res = await fetch(`${API_BASE}/api/admin/wallet/${customer.id}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert(data.message || "Failed to load wallet");
+        setWalletFor(null);
+        return;
+      }
+      setWalletFor({ customer, loading: false, balance: data.balance, transactions: data.transactions || [] });
+    } catch (err) {
+      console.error("openWallet error:", err);
+      alert("Server error");
+      setWalletFor(null);
+    }
+  };
+
+  // Lost or shared phone: end every card session of this member (they log in again with an SMS code)
+  const handleRevokeSessions = async (customer) => {
+    if (!window.confirm(`Log ${customer.name} out of their card on every device?`)) return;
+    try {
+      const res = await fetch(`${API_BASE}/api/admin/customers/${customer.id}/revoke-sessions`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      alert(data.message || (res.ok ? "Logged out" : "Failed to log out"));
+    } catch (err) {
+      console.error("revokeSessions error:", err);
+      alert("Server error");
     }
-    // object mapping or array-like
-    return sh[index] ?? null;
   };
 
-  const getRewardHistoryFor = (memberCode) => {
-    const c = customers.find((x) => x.member_code === memberCode);
-    if (!c) return [];
-    const rh = c.reward_history;
-    if (!rh) {
-      const sess = sessionHistoryRef.current[memberCode];
-      return sess?.reward_history ?? [];
+  // Spend part of the wallet against a bill
+  const handleDebitWallet = async (e) => {
+    e.preventDefault();
+    if (!walletFor || !walletDebit.amount) return;
+    const { customer } = walletFor;
+    if (!window.confirm(`Take ₹${walletDebit.amount} from ${customer.name}'s wallet?`)) return;
+    setDebitingWallet(true);
+    try {
+      const res = await fetch(`${API_BASE}/api/admin/wallet/${customer.id}/debit`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({
+          amount: Number(walletDebit.amount),
+          billAmount: walletDebit.billAmount === "" ? null : Number(walletDebit.billAmount),
+          note: walletDebit.note,
+        }),
+      });
+      const data = await res.json();
+      alert(data.message || (res.ok ? "Wallet debited" : "Failed to debit wallet"));
+      if (res.ok) {
+        setCustomers((prev) => prev.map((c) => (c.id === customer.id ? { ...c, wallet_balance: data.balance } : c)));
+        setWalletFor((w) => w && { ...w, balance: data.balance, transactions: [data.transaction, ...w.transactions] });
+        setWalletDebit({ amount: "", billAmount: "", note: "" });
+      }
+    } catch (err) {
+      console.error("debitWallet error:", err);
+      alert("Server error");
+    } finally {
+      setDebitingWallet(false);
     }
-    if (Array.isArray(rh)) return rh;
-    // object mapping
-    return Object.values(rh);
   };
 
   // ✅ Handle Amount Change for Manual Entry
@@ -324,19 +964,29 @@ export default function AdminDashboard() {
     setManualAmounts(prev => ({ ...prev, [userId]: value }));
   };
 
+  const handleBillChange = (userId, value) => {
+    setManualBills(prev => ({ ...prev, [userId]: value }));
+  };
+
   // ✅ Add Manual Stamp with Amount
   const handleAddStampWithAmount = async (customer) => {
     if (!token) return;
     const userId = customer.id;
     const amount = manualAmounts[userId];
+    const billNumber = (manualBills[userId] || "").trim();
 
     if (!amount || Number(amount) <= 0) {
         alert("Please enter a valid amount.");
         return;
     }
 
-    if (Number(customer.current_stamps) >= REDEEM_STAMP_TARGET) {
-      alert(`Customer has ${REDEEM_STAMP_TARGET} stamps. Please Redeem & Reset.`);
+    if (program.billNumberRequired && !billNumber) {
+      alert("Please enter the bill number.");
+      return;
+    }
+
+    if (Number(customer.current_stamps) >= redeemStampTarget) {
+      alert(`Customer has ${redeemStampTarget} stamps. Please Redeem & Reset.`);
         return;
     }
 
@@ -345,7 +995,7 @@ export default function AdminDashboard() {
       const res = await fetch(`${API_BASE}/api/admin/stamp`, { // Calls the new amount-aware endpoint
         method: "POST",
         headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
-        body: JSON.stringify({ userId, amount: Number(amount) }),
+        body: JSON.stringify({ userId, amount: Number(amount), billNumber: billNumber || undefined }),
       });
       const data = await res.json();
       
@@ -363,9 +1013,12 @@ export default function AdminDashboard() {
         
         // Clear Input
         setManualAmounts(prev => ({ ...prev, [userId]: "" }));
+        setManualBills(prev => ({ ...prev, [userId]: "" }));
+
+        if (data.flag) fetchStampFlags();
 
         // Play Sound if stamp was actually added
-        if (data.message.includes("Stamp added")) {
+        if (data.stampsAdded > 0) {
              if (stampAudioRef.current) {
                 stampAudioRef.current.currentTime = 0;
                 stampAudioRef.current.play().catch(() => {});
@@ -373,6 +1026,7 @@ export default function AdminDashboard() {
         }
       } else {
         alert(data.message || "Failed to add transaction");
+        if (data.blocked) fetchStampFlags();
       }
     } catch (err) {
       console.error("Manual stamp error:", err);
@@ -384,10 +1038,21 @@ export default function AdminDashboard() {
     }
   };
 
-  // Reset/Redeem
-  const handleReset = async (userId) => {
+  // Open the redeem picker (full card or a catalog reward, served now or paid into the wallet)
+  const openRedeem = (customer) => {
+    setRedeemToWallet(false);
+    setRedeemFor(customer);
+  };
+
+  // Reset/Redeem (reward = catalog reward, or none for the full-card reward)
+  const handleReset = async (userId, reward = null, toWallet = false) => {
     if (!token) return;
-    if (!window.confirm("Confirm Reward Redemption & Reset?")) return;
+    let prompt = reward
+      ? `Redeem "${reward.name}" for ${reward.stamp_cost} stamp(s)?`
+      : "Confirm Reward Redemption & Reset?";
+    if (toWallet) prompt += ` Its ₹${reward ? reward.value : program.rewardValue} value goes into the wallet.`;
+    if (!window.confirm(prompt)) return;
+    setRedeemFor(null);
     
     // Find customer member code for loading state
     const c = customers.find(cust => cust.id === userId);
@@ -397,7 +1062,7 @@ export default function AdminDashboard() {
       const res = await fetch(`${API_BASE}/api/admin/reset`, {
         method: "POST",
         headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
-        body: JSON.stringify({ userId }),
+        body: JSON.stringify({ userId, rewardId: reward ? reward.id : undefined, toWallet }),
       });
       const data = await res.json();
       if (res.ok) {
@@ -405,8 +1070,9 @@ export default function AdminDashboard() {
         setCustomers((prev) =>
             prev.map((c) => c.id === userId ? { 
                 ...c, 
-                current_stamps: 0,
-                total_rewards: Number(data.data?.total_rewards ?? c.total_rewards + 1)
+                current_stamps: Number(data.data?.current_stamps ?? 0),
+                total_rewards: Number(data.data?.total_rewards ?? c.total_rewards + 1),
+                wallet_balance: data.data?.wallet_balance ?? c.wallet_balance
             } : c)
         );
         // Celebration sound
@@ -423,6 +1089,42 @@ export default function AdminDashboard() {
     }
   };
 
+  // Redeem the one-time code from the customer's card page
+  const handleRedeemVoucher = async (e) => {
+    e.preventDefault();
+    const code = voucherInput.trim();
+    if (!token || !code) return;
+    setRedeemingVoucher(true);
+    try {
+      const res = await fetch(`${API_BASE}/api/admin/vouchers/redeem`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ code, toWallet: voucherToWallet }),
+      });
+      const data = await res.json();
+      alert(data.message || (res.ok ? "Voucher redeemed" : "Voucher rejected"));
+      if (res.ok) {
+        setVoucherInput("");
+        setVoucherToWallet(false);
+        setCustomers((prev) =>
+          prev.map((c) => c.id === data.data.user_id ? {
+              ...c,
+              current_stamps: Number(data.data.current_stamps),
+              total_rewards: Number(data.data.total_rewards),
+              wallet_balance: data.data.wallet_balance ?? c.wallet_balance,
+          } : c)
+        );
+        rewardAudioRef.current?.play().catch(() => {});
+      }
+    } catch (err) {
+      console.error("redeemVoucher error:", err);
+      alert("Server error");
+    } finally {
+      fetchCustomers({ silence: true });
+      setRedeemingVoucher(false);
+    }
+  };
+
   // Auto-dismiss celebration after CELEBRATION_TTL_MS
   useEffect(() => {
     if (!celebration) return;
@@ -580,6 +1282,133 @@ const handleUndoStamp = async (customer) => {
   }
 };
 
+const handleRefund = async (tx, force = false) => {
+  const remaining = Number(tx.amount) - Number(tx.refunded_amount || 0);
+  const amountInput = force
+    ? String(tx.pendingRefundAmount)
+    : window.prompt(`Refund amount for ${tx.member_code} (max ₹${remaining})`, String(remaining));
+  if (!amountInput) return;
+
+  const password = force
+    ? tx.pendingRefundPassword
+    : window.prompt(`Enter admin password to REFUND ₹${amountInput} to ${tx.member_code}`);
+  if (!password) return;
+
+  try {
+    const res = await fetch(`${API_BASE}/api/admin/transactions/${tx.id}/refund`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ amount: Number(amountInput), password, force }),
+    });
+
+    const data = await res.json();
+
+    if (res.ok) {
+      alert(data.message);
+      fetchInsights();
+      fetchCustomers({ silence: true });
+    } else if (res.status === 409 && data.code === "stamp_redeemed" && !force) {
+      if (window.confirm(`${data.message}\n\nRefund anyway and flag it?`)) {
+        handleRefund({ ...tx, pendingRefundAmount: amountInput, pendingRefundPassword: password }, true);
+      }
+    } else {
+      alert(data.message || "Refund failed");
+    }
+  } catch (err) {
+    console.error("Refund error:", err);
+    alert("Server error");
+  }
+};
+
+  // Save program settings (owner only)
+  const handleSaveSettings = async (e) => {
+    e.preventDefault();
+    if (!settingsForm) return;
+    if (!window.confirm("Update the loyalty program rules? Customers see the change immediately.")) return;
+
+    setSavingSettings(true);
+    try {
+      const res = await fetch(`${API_BASE}/api/admin/settings`, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({
+          minStampAmount: Number(settingsForm.minStampAmount),
+          cardSize: Number(settingsForm.cardSize),
+          rewardValue: Number(settingsForm.rewardValue),
+          stampMode: settingsForm.stampMode,
+          maxStampsPerBill: Number(settingsForm.maxStampsPerBill),
+          overflowMode: settingsForm.overflowMode,
+          expiryMode: settingsForm.expiryMode,
+          expiryDays: Number(settingsForm.expiryDays),
+          expiryWarningDays: Number(settingsForm.expiryWarningDays),
+          birthdayBonus: settingsForm.birthdayBonus,
+          birthdayBonusStamps: Number(settingsForm.birthdayBonusStamps),
+          birthdayTreat: settingsForm.birthdayTreat,
+          birthdayWindowDays: Number(settingsForm.birthdayWindowDays),
+          referralReferrerStamps: Number(settingsForm.referralReferrerStamps),
+          referralRefereeStamps: Number(settingsForm.referralRefereeStamps),
+          referralMonthlyCap: Number(settingsForm.referralMonthlyCap),
+          billNumberRequired: settingsForm.billNumberRequired,
+          velocityCustomerDailyStamps: Number(settingsForm.velocityCustomerDailyStamps),
+          velocityMinMinutes: Number(settingsForm.velocityMinMinutes),
+          velocityAdminDailyStamps: Number(settingsForm.velocityAdminDailyStamps),
+          velocityAction: settingsForm.velocityAction,
+          tierBasis: settingsForm.tierBasis,
+          tiers: settingsForm.tiers.map((t) => ({
+            name: t.name,
+            threshold: Number(t.threshold),
+            minStampAmount: t.minStampAmount === "" ? null : Number(t.minStampAmount),
+            bonusStamps: Number(t.bonusStamps || 0),
+          })),
+        }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setProgram(data.settings);
+        alert(data.message);
+      } else {
+        alert(data.message || "Failed to update settings");
+      }
+    } catch (err) {
+      console.error("saveSettings error:", err);
+      alert("Server error");
+    } finally {
+      setSavingSettings(false);
+    }
+  };
+
+  // Apply the expiry policy now (the server also runs it on a timer)
+  const handleRunExpiry = async () => {
+    if (!window.confirm("Expire stamps now under the current expiry rules?")) return;
+    setRunningExpiry(true);
+    try {
+      const res = await fetch(`${API_BASE}/api/admin/expiry/run`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      alert(data.message || (res.ok ? "Done" : "Failed to run expiry"));
+      if (res.ok) {
+        fetchExpiryReport();
+        fetchCustomers({ silence: true });
+      }
+    } catch (err) {
+      console.error("runExpiry error:", err);
+      alert("Server error");
+    } finally {
+      setRunningExpiry(false);
+    }
+  };
+
+  // Tier rows in the settings form
+  const updateTierField = (idx, field, value) =>
+    setSettingsForm((f) => ({ ...f, tiers: f.tiers.map((t, i) => (i === idx ? { ...t, [field]: value } : t)) }));
 
   // CSV export
   const exportCSV = (rows, filename = "cakeroven_customers.csv") => {
@@ -587,7 +1416,7 @@ const handleUndoStamp = async (customer) => {
       alert("No data to export");
       return;
     }
-    const header = ["S.No", "Member ID", "Name", "Phone", "DOB", "Current Stamps", "Total Rewards"];
+    const header = ["S.No", "Member ID", "Name", "Phone", "DOB", "Tier", "Current Stamps", "Total Rewards"];
     const lines = [header.join(",")];
     rows.forEach((r, idx) => {
       const row = [
@@ -596,6 +1425,7 @@ const handleUndoStamp = async (customer) => {
         `"${String(r.name || "")}"`,
         `"${String(r.phone || "")}"`,
         `"${r.dob ? new Date(r.dob).toLocaleDateString("en-GB") : ""}"`,
+        `"${String(r.tier || "")}"`,
         r.current_stamps ?? 0,
         r.total_rewards ?? 0,
       ];
@@ -615,8 +1445,8 @@ const handleUndoStamp = async (customer) => {
     const groups = {};
     transactions.forEach(tx => {
         const amount = Number(tx.amount);
-        // STRICT FILTER: Only show transactions >= threshold and where stamp was added.
-        if (amount >= MIN_STAMP_AMOUNT && tx.stamp_added) {
+        // STRICT FILTER: Only show transactions where a stamp was added (they met the threshold at the time).
+        if (tx.stamp_added) {
             const dateKey = new Date(tx.created_at).toLocaleDateString("en-IN", { day: 'numeric', month: 'short', year: 'numeric' });
             if (!groups[dateKey]) groups[dateKey] = { date: dateKey, items: [], total: 0 };
             groups[dateKey].items.push(tx);
@@ -629,10 +1459,10 @@ const handleUndoStamp = async (customer) => {
     return Object.values(groups);
   }, [transactions]);
 
-  // Compact 12 stamps row renderer (Visual only now, actions moved to manual column)
+  // Compact stamps row renderer (Visual only now, actions moved to manual column)
   const renderStampRowCompact = (memberCode, current) => {
     const boxes = [];
-    for (let i = 1; i <= 12; i++) {
+    for (let i = 1; i <= cardSize; i++) {
       const filled = i <= current;
       // ✅ FIX: Only get date if the stamp is actually filled.
       // This immediately hides "ghost dates" under empty circles.
@@ -696,12 +1526,27 @@ const handleUndoStamp = async (customer) => {
               >
                 Dashboard
               </button>
+              {can("insights.view") && (
               <button
                 onClick={() => setActiveTab("insights")}
                 className={`px-4 py-1.5 rounded-full text-sm font-medium transition ${activeTab === "insights" ? "bg-[#501914] text-[#f5e6c8] shadow-sm" : "text-[#3b1512] hover:bg-white/50"}`}
               >
                 Insights
               </button>
+              )}
+              {can("settings.manage") && (
+              <button
+                onClick={() => setActiveTab("settings")}
+                className={`px-4 py-1.5 rounded-full text-sm font-medium transition ${activeTab === "settings" ? "bg-[#501914] text-[#f5e6c8] shadow-sm" : "text-[#3b1512] hover:bg-white/50"}`}
+              >
+                Settings
+                {reviewCount > 0 && (
+                  <span className="ml-1.5 px-1.5 rounded-full bg-red-600 text-white text-[10px] font-bold" title="Stamps and deletion requests waiting for review">
+                    {reviewCount}
+                  </span>
+                )}
+              </button>
+              )}
             </nav>
 
             <button onClick={handleLogout} className="text-[#3b1512] hover:text-red-700 transition" title="Logout">
@@ -758,6 +1603,35 @@ const handleUndoStamp = async (customer) => {
               </div>
             </div>
 
+            {/* Voucher redemption (code from the customer's card page) */}
+            {can("redeem") && (
+            <form onSubmit={handleRedeemVoucher} className="mb-6 flex flex-col sm:flex-row sm:items-center gap-3 rounded-2xl bg-white shadow-md border border-[#f3dfb1] px-5 py-4">
+                <div className="flex items-center gap-2 text-[#3b1512]">
+                    <FiGift className="text-amber-600" />
+                    <span className="text-sm font-bold">Redeem voucher</span>
+                </div>
+                <input
+                    value={voucherInput}
+                    onChange={(e) => setVoucherInput(e.target.value.toUpperCase())}
+                    placeholder="Type or scan code"
+                    maxLength={12}
+                    autoComplete="off"
+                    className="flex-1 sm:max-w-xs px-4 py-2 rounded-xl border border-[#ecdaba] bg-white font-mono tracking-widest text-sm outline-none focus:ring-2 focus:ring-[#f1cf8f]/50"
+                />
+                <label className="flex items-center gap-2 text-xs text-[#6b3a35]" title="Put the reward's value into the customer's wallet instead of serving it now">
+                    <input type="checkbox" checked={voucherToWallet} onChange={(e) => setVoucherToWallet(e.target.checked)} />
+                    Into wallet
+                </label>
+                <button
+                    type="submit"
+                    disabled={redeemingVoucher || !voucherInput.trim()}
+                    className="px-4 py-2 rounded-xl bg-green-600 text-white text-sm font-bold hover:bg-green-700 disabled:opacity-50"
+                >
+                    {redeemingVoucher ? "Checking..." : "Redeem"}
+                </button>
+            </form>
+            )}
+
             <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
                 {/* Customers Table (3 cols) */}
                 <div className="lg:col-span-3 rounded-3xl bg-white shadow-xl border border-[#f3dfb1] overflow-hidden">
@@ -807,7 +1681,7 @@ const handleUndoStamp = async (customer) => {
                         customers
                             .filter((c) => [c.name, c.phone, String(c.member_code)].join(" ").toLowerCase().includes(search.trim().toLowerCase()))
                             .map((c, idx) => {
-                                const isRedeemReady = c.current_stamps >= REDEEM_STAMP_TARGET;
+                                const isRedeemReady = c.current_stamps >= redeemStampTarget;
                                 const amountVal = manualAmounts[c.id] || "";
                                 const isBusy = addingFor === c.member_code || removingFor === c.member_code;
 
@@ -817,6 +1691,7 @@ const handleUndoStamp = async (customer) => {
                                     <td className="px-4 py-4">
                                         <div className="font-bold text-[#3b1512]">{c.name}</div>
                                         <div className="font-mono text-xs text-[#6b3a35] bg-[#f0dcb4]/30 px-1.5 py-0.5 rounded inline-block mt-1">{c.member_code}</div>
+                                        {c.tier && <div className="text-[10px] font-bold uppercase tracking-wide text-amber-700 mt-1">{c.tier}</div>}
                                     </td>
                                     <td className="px-4 py-4 text-gray-600">
                                         <div>{c.phone}</div>
@@ -833,6 +1708,16 @@ const handleUndoStamp = async (customer) => {
                                     <td className="px-4 py-4">
                                         {!isRedeemReady ? (
                                             <div className="flex gap-2 items-center">
+                                                <input
+                                                    type="text"
+                                                    placeholder={program.billNumberRequired ? "Bill #" : "Bill # (opt.)"}
+                                                    value={manualBills[c.id] || ""}
+                                                    onChange={(e) => handleBillChange(c.id, e.target.value)}
+                                                    disabled={isBusy}
+                                                    maxLength={40}
+                                                    title="Bill / receipt number - each can be stamped once a day"
+                                                    className="w-24 px-2 py-1.5 rounded-lg border border-gray-300 text-sm font-mono focus:border-amber-500 outline-none"
+                                                />
                                                 <div className="relative w-24">
                                                     <span className="absolute left-2 top-1/2 -translate-y-1/2 text-gray-400 text-xs">₹</span>
                                                     <input 
@@ -853,7 +1738,18 @@ const handleUndoStamp = async (customer) => {
     Add
   </button>
 
-  {c.current_stamps > 0 && (
+  {can("redeem") && availableCatalog.some((rw) => rw.stamp_cost <= Number(c.current_stamps || 0)) && (
+    <button
+      onClick={() => openRedeem(c)}
+      disabled={isBusy}
+      className="bg-green-600 text-white px-2 py-1.5 rounded-lg text-[10px] font-bold uppercase hover:bg-green-700"
+      title="Redeem a catalog reward"
+    >
+      Reward
+    </button>
+  )}
+
+  {can("undo") && c.current_stamps > 0 && (
     <button
       onClick={() => handleUndoStamp(c)}
       className="bg-red-600 text-white px-2 py-1.5 rounded-lg text-[10px] font-bold uppercase hover:bg-red-700"
@@ -865,21 +1761,43 @@ const handleUndoStamp = async (customer) => {
 </div>
 
                                             </div>
-                                        ) : (
+                                        ) : can("redeem") ? (
                                             <button 
-                                                onClick={() => handleReset(c.id)}
+                                                onClick={() => openRedeem(c)}
                                                 disabled={isBusy}
                                                 className="w-full py-1.5 rounded-lg bg-green-600 text-white text-xs font-bold uppercase shadow-sm hover:bg-green-700 animate-pulse"
                                             >
                                                 Redeem & Reset
                                             </button>
+                                        ) : (
+                                            <span className="text-xs font-bold text-green-700">Card full · ask a manager to redeem</span>
                                         )}
                                     </td>
 
                                     <td className="px-4 py-4 text-center">
-                                        <div className="inline-flex items-center gap-1 px-3 py-1 rounded-full bg-[#fff4d8] border border-[#f1cf8f] text-sm font-bold text-amber-800">
+                                        <button
+                                            onClick={() => openRewardHistory(c)}
+                                            className="inline-flex items-center gap-1 px-3 py-1 rounded-full bg-[#fff4d8] border border-[#f1cf8f] text-sm font-bold text-amber-800 hover:bg-[#fde9b8] transition"
+                                            title="View redeemed cards"
+                                        >
                                             <span>🎁</span> {c.total_rewards}
-                                        </div>
+                                        </button>
+                                        <button
+                                            onClick={() => openWallet(c)}
+                                            className={`mt-1.5 block mx-auto px-2 py-0.5 rounded-full border text-[11px] font-semibold transition ${Number(c.wallet_balance) > 0 ? "bg-green-50 border-green-300 text-green-800 hover:bg-green-100" : "border-gray-200 text-gray-400 hover:bg-gray-50"}`}
+                                            title="Wallet balance and history"
+                                        >
+                                            💳 ₹{Number(c.wallet_balance || 0)}
+                                        </button>
+                                        {can("settings.manage") && (
+                                        <button
+                                            onClick={() => handleRevokeSessions(c)}
+                                            className="mt-1 block mx-auto text-[10px] text-gray-400 underline hover:text-red-600"
+                                            title="Log this member out of their card on every device"
+                                        >
+                                            Log out devices
+                                        </button>
+                                        )}
                                     </td>
                                 </tr>
                                 );
@@ -894,7 +1812,7 @@ const handleUndoStamp = async (customer) => {
                 <div className="space-y-6">
                     <div className="bg-white p-4 rounded-xl shadow-sm border border-amber-200">
                         <h4 className="font-bold mb-3 flex items-center gap-2 text-amber-900">🎁 Almost at Reward</h4>
-                        <p className="text-xs text-gray-500 mb-2">Members with 9-11 stamps</p>
+                        <p className="text-xs text-gray-500 mb-2">Members with {redeemStampTarget - 2}-{redeemStampTarget} stamps</p>
                         {stats.almostThere.length === 0 ? <p className="text-xs text-gray-400 italic">No members currently close.</p> : (
                             <ul className="space-y-2 max-h-60 overflow-y-auto custom-scrollbar pr-1">
                                 {stats.almostThere.map(m => (
@@ -904,7 +1822,7 @@ const handleUndoStamp = async (customer) => {
                                             <div className="text-xs font-bold text-amber-900">{m.member_code}</div>
                                             <div className="text-[10px] text-gray-500">{m.name}</div>
                                         </div>
-                                        <span className="text-xs font-bold bg-white px-2 py-0.5 rounded border border-amber-200">{m.current_stamps}/12</span>
+                                        <span className="text-xs font-bold bg-white px-2 py-0.5 rounded border border-amber-200">{m.current_stamps}/{cardSize}</span>
                                     </li>
                                 ))}
                             </ul>
@@ -912,13 +1830,22 @@ const handleUndoStamp = async (customer) => {
                     </div>
                     
                     <div className="bg-white p-4 rounded-xl shadow-sm border border-amber-200">
-                        <h4 className="font-bold mb-3 text-amber-900">🎂 Birthdays Today</h4>
-                         {stats.birthdaysToday.length === 0 ? <p className="text-xs text-gray-400 italic">No birthdays today.</p> : (
+                        <h4 className="font-bold mb-3 text-amber-900">🎂 Birthdays This Week</h4>
+                         {birthdays.length === 0 ? <p className="text-xs text-gray-400 italic">No birthdays this week.</p> : (
                              <ul className="text-sm space-y-2">
-                                 {stats.birthdaysToday.map(b => (
-                                     <li key={b.id} className="flex justify-between border-b border-gray-100 pb-1">
-                                         <span>{b.name}</span>
-                                         <span className="font-mono text-xs text-gray-500">{b.member_code}</span>
+                                 {birthdays.map(b => (
+                                     <li key={b.id} className="flex justify-between items-center gap-2 border-b border-gray-100 pb-1">
+                                         <div>
+                                             <div>{b.name}</div>
+                                             <div className="font-mono text-[10px] text-gray-500">
+                                                 {b.member_code} · {b.daysUntil === 0 ? "Today" : new Date(`${b.birthday}T00:00:00`).toLocaleDateString("en-GB", { day: "numeric", month: "short" })}
+                                             </div>
+                                         </div>
+                                         {can("redeem") && b.bonus?.bonus_type === "treat" && !b.bonus.redeemed_at && (
+                                             <button onClick={() => handleRedeemBirthdayTreat(b)} className="text-[10px] font-bold px-2 py-1 rounded bg-pink-100 text-pink-700 border border-pink-200 hover:bg-pink-200">Give treat</button>
+                                         )}
+                                         {b.bonus?.redeemed_at && <span className="text-[10px] text-green-700">Treat given</span>}
+                                         {b.bonus?.bonus_type === "stamp" && <span className="text-[10px] text-green-700">+{b.bonus.stamps_granted} stamp</span>}
                                      </li>
                                  ))}
                              </ul>
@@ -993,6 +1920,7 @@ const handleUndoStamp = async (customer) => {
       Total: ₹{group.total.toFixed(2)}
     </span>
 
+    {can("transactions.delete") && (
     <button
       onClick={() => handleDeleteDay(group.date)}
       className="text-red-600 hover:text-red-800"
@@ -1000,6 +1928,7 @@ const handleUndoStamp = async (customer) => {
     >
       <FiTrash2 size={18} />
     </button>
+    )}
   </div>
 </div>
 
@@ -1013,7 +1942,24 @@ const handleUndoStamp = async (customer) => {
                                             {/* Amount */}
                                             <div className="text-sm font-bold text-green-700">₹{Number(tx.amount)}</div>
                                             {/* Method */}
-                                            <div className="text-[9px] text-gray-400 uppercase font-bold tracking-wider">{tx.payment_method}</div>
+                                            <div className="text-[9px] text-gray-400 uppercase font-bold tracking-wider">
+                                                {tx.payment_method}{tx.bill_number ? ` · #${tx.bill_number}` : ""}
+                                            </div>
+                                            {/* Refund */}
+                                            {Number(tx.refunded_amount) > 0 && (
+                                                <div className={`text-[9px] font-bold uppercase ${tx.refund_flag ? "text-red-600" : "text-gray-500"}`} title={tx.refund_flag || ""}>
+                                                    Refunded ₹{Number(tx.refunded_amount)}{tx.refund_flag ? " ⚑" : ""}
+                                                </div>
+                                            )}
+                                            {can("refund") && tx.payment_method === "online" && Number(tx.refunded_amount || 0) < Number(tx.amount) && (
+                                                <button
+                                                    onClick={() => handleRefund(tx)}
+                                                    className="text-[9px] font-bold uppercase text-red-600 hover:text-red-800"
+                                                    title="Refund this online payment"
+                                                >
+                                                    Refund
+                                                </button>
+                                            )}
                                         </div>
                                     ))}
                                 </div>
@@ -1022,7 +1968,7 @@ const handleUndoStamp = async (customer) => {
 
                         {groupedTransactions.length === 0 && (
                             <div className="text-center py-10 text-gray-400">
-                                No qualifying transactions found (Amount {'>'}= {MIN_STAMP_AMOUNT}).
+                                No qualifying transactions found (stamped bills only).
                             </div>
                         )}
                     </div>
@@ -1032,8 +1978,1472 @@ const handleUndoStamp = async (customer) => {
           </motion.div>
         )}
 
+        {/* ===================== SETTINGS TAB ===================== */}
+        {activeTab === "settings" && (
+          <motion.div {...fadeInUp} className="max-w-xl">
+            <div className="rounded-2xl bg-white shadow-md p-6 border border-[#f3dfb1]">
+              <h3 className="text-lg font-bold text-[#3b1512] mb-1">Loyalty Program</h3>
+              <p className="text-xs text-gray-500 mb-5">Changes apply to new stamps right away. Existing stamps are not touched.</p>
+
+              {!settingsForm ? (
+                <div className="text-center py-8 text-gray-400">Loading settings...</div>
+              ) : (
+                <form onSubmit={handleSaveSettings} className="space-y-4">
+                  <label className="block">
+                    <span className="text-xs font-bold uppercase text-[#6b3a35]">Minimum bill for a stamp (₹)</span>
+                    <input
+                      type="number"
+                      min="1"
+                      value={settingsForm.minStampAmount}
+                      onChange={(e) => setSettingsForm((f) => ({ ...f, minStampAmount: e.target.value }))}
+                      className="mt-1 w-full px-3 py-2 rounded-lg border border-[#f0d7b0] focus:outline-none focus:ring-2 focus:ring-amber-300"
+                    />
+                  </label>
+                  <label className="block">
+                    <span className="text-xs font-bold uppercase text-[#6b3a35]">Card size (stamps incl. gifted reward)</span>
+                    <input
+                      type="number"
+                      min="2"
+                      max="30"
+                      value={settingsForm.cardSize}
+                      onChange={(e) => setSettingsForm((f) => ({ ...f, cardSize: e.target.value }))}
+                      className="mt-1 w-full px-3 py-2 rounded-lg border border-[#f0d7b0] focus:outline-none focus:ring-2 focus:ring-amber-300"
+                    />
+                    <span className="text-[11px] text-gray-500">
+                      Redeem after {Math.max(Number(settingsForm.cardSize) - 1, 0) || "-"} stamps; the last box is gifted.
+                    </span>
+                  </label>
+                  <label className="block">
+                    <span className="text-xs font-bold uppercase text-[#6b3a35]">Reward value (₹ of free food)</span>
+                    <input
+                      type="number"
+                      min="0"
+                      value={settingsForm.rewardValue}
+                      onChange={(e) => setSettingsForm((f) => ({ ...f, rewardValue: e.target.value }))}
+                      className="mt-1 w-full px-3 py-2 rounded-lg border border-[#f0d7b0] focus:outline-none focus:ring-2 focus:ring-amber-300"
+                    />
+                  </label>
+
+                  <label className="block">
+                    <span className="text-xs font-bold uppercase text-[#6b3a35]">Stamps per bill</span>
+                    <select
+                      value={settingsForm.stampMode}
+                      onChange={(e) => setSettingsForm((f) => ({ ...f, stampMode: e.target.value }))}
+                      className="mt-1 w-full px-3 py-2 rounded-lg border border-[#f0d7b0] bg-white focus:outline-none focus:ring-2 focus:ring-amber-300"
+                    >
+                      <option value="per_bill">One stamp per qualifying bill</option>
+                      <option value="per_amount">One stamp per ₹{settingsForm.minStampAmount || "N"} spent</option>
+                    </select>
+                  </label>
+                  {settingsForm.stampMode === "per_amount" && (
+                    <label className="block">
+                      <span className="text-xs font-bold uppercase text-[#6b3a35]">Max stamps per bill</span>
+                      <input
+                        type="number"
+                        min="1"
+                        max="20"
+                        value={settingsForm.maxStampsPerBill}
+                        onChange={(e) => setSettingsForm((f) => ({ ...f, maxStampsPerBill: e.target.value }))}
+                        className="mt-1 w-full px-3 py-2 rounded-lg border border-[#f0d7b0] focus:outline-none focus:ring-2 focus:ring-amber-300"
+                      />
+                    </label>
+                  )}
+                  <label className="block">
+                    <span className="text-xs font-bold uppercase text-[#6b3a35]">Stamps past the redeem target</span>
+                    <select
+                      value={settingsForm.overflowMode}
+                      onChange={(e) => setSettingsForm((f) => ({ ...f, overflowMode: e.target.value }))}
+                      className="mt-1 w-full px-3 py-2 rounded-lg border border-[#f0d7b0] bg-white focus:outline-none focus:ring-2 focus:ring-amber-300"
+                    >
+                      <option value="drop">Drop them</option>
+                      <option value="carry_over">Carry over to the next card</option>
+                    </select>
+                  </label>
+
+                  <label className="block">
+                    <span className="text-xs font-bold uppercase text-[#6b3a35]">Stamp expiry</span>
+                    <select
+                      value={settingsForm.expiryMode}
+                      onChange={(e) => setSettingsForm((f) => ({ ...f, expiryMode: e.target.value }))}
+                      className="mt-1 w-full px-3 py-2 rounded-lg border border-[#f0d7b0] bg-white focus:outline-none focus:ring-2 focus:ring-amber-300"
+                    >
+                      <option value="none">Stamps never expire</option>
+                      <option value="stamp_age">Each stamp expires after N days</option>
+                      <option value="card_inactivity">Whole card expires after N days without a stamp</option>
+                    </select>
+                  </label>
+                  {settingsForm.expiryMode !== "none" && (
+                    <div className="grid grid-cols-2 gap-3">
+                      <label className="block">
+                        <span className="text-xs font-bold uppercase text-[#6b3a35]">Expire after (days)</span>
+                        <input
+                          type="number"
+                          min="1"
+                          max="3650"
+                          value={settingsForm.expiryDays}
+                          onChange={(e) => setSettingsForm((f) => ({ ...f, expiryDays: e.target.value }))}
+                          className="mt-1 w-full px-3 py-2 rounded-lg border border-[#f0d7b0] focus:outline-none focus:ring-2 focus:ring-amber-300"
+                        />
+                      </label>
+                      <label className="block">
+                        <span className="text-xs font-bold uppercase text-[#6b3a35]">Warn customers (days before)</span>
+                        <input
+                          type="number"
+                          min="0"
+                          max="365"
+                          value={settingsForm.expiryWarningDays}
+                          onChange={(e) => setSettingsForm((f) => ({ ...f, expiryWarningDays: e.target.value }))}
+                          className="mt-1 w-full px-3 py-2 rounded-lg border border-[#f0d7b0] focus:outline-none focus:ring-2 focus:ring-amber-300"
+                        />
+                      </label>
+                    </div>
+                  )}
+
+                  <label className="block">
+                    <span className="text-xs font-bold uppercase text-[#6b3a35]">Birthday bonus</span>
+                    <select
+                      value={settingsForm.birthdayBonus}
+                      onChange={(e) => setSettingsForm((f) => ({ ...f, birthdayBonus: e.target.value }))}
+                      className="mt-1 w-full px-3 py-2 rounded-lg border border-[#f0d7b0] bg-white focus:outline-none focus:ring-2 focus:ring-amber-300"
+                    >
+                      <option value="none">No birthday bonus</option>
+                      <option value="stamp">Bonus stamps</option>
+                      <option value="treat">A birthday treat</option>
+                    </select>
+                  </label>
+                  {settingsForm.birthdayBonus !== "none" && (
+                    <div className="grid grid-cols-2 gap-3">
+                      {settingsForm.birthdayBonus === "stamp" ? (
+                        <label className="block">
+                          <span className="text-xs font-bold uppercase text-[#6b3a35]">Bonus stamps</span>
+                          <input
+                            type="number"
+                            min="1"
+                            max="5"
+                            value={settingsForm.birthdayBonusStamps}
+                            onChange={(e) => setSettingsForm((f) => ({ ...f, birthdayBonusStamps: e.target.value }))}
+                            className="mt-1 w-full px-3 py-2 rounded-lg border border-[#f0d7b0] focus:outline-none focus:ring-2 focus:ring-amber-300"
+                          />
+                        </label>
+                      ) : (
+                        <label className="block">
+                          <span className="text-xs font-bold uppercase text-[#6b3a35]">Treat</span>
+                          <input
+                            type="text"
+                            maxLength={80}
+                            value={settingsForm.birthdayTreat}
+                            onChange={(e) => setSettingsForm((f) => ({ ...f, birthdayTreat: e.target.value }))}
+                            className="mt-1 w-full px-3 py-2 rounded-lg border border-[#f0d7b0] focus:outline-none focus:ring-2 focus:ring-amber-300"
+                          />
+                        </label>
+                      )}
+                      <label className="block">
+                        <span className="text-xs font-bold uppercase text-[#6b3a35]">Valid ± days</span>
+                        <input
+                          type="number"
+                          min="0"
+                          max="30"
+                          value={settingsForm.birthdayWindowDays}
+                          onChange={(e) => setSettingsForm((f) => ({ ...f, birthdayWindowDays: e.target.value }))}
+                          className="mt-1 w-full px-3 py-2 rounded-lg border border-[#f0d7b0] focus:outline-none focus:ring-2 focus:ring-amber-300"
+                        />
+                      </label>
+                    </div>
+                  )}
+
+                  <div className="grid grid-cols-3 gap-3">
+                    <label className="block">
+                      <span className="text-xs font-bold uppercase text-[#6b3a35]">Referrer stamps</span>
+                      <input
+                        type="number"
+                        min="0"
+                        max="5"
+                        value={settingsForm.referralReferrerStamps}
+                        onChange={(e) => setSettingsForm((f) => ({ ...f, referralReferrerStamps: e.target.value }))}
+                        className="mt-1 w-full px-3 py-2 rounded-lg border border-[#f0d7b0] focus:outline-none focus:ring-2 focus:ring-amber-300"
+                      />
+                    </label>
+                    <label className="block">
+                      <span className="text-xs font-bold uppercase text-[#6b3a35]">New member stamps</span>
+                      <input
+                        type="number"
+                        min="0"
+                        max="5"
+                        value={settingsForm.referralRefereeStamps}
+                        onChange={(e) => setSettingsForm((f) => ({ ...f, referralRefereeStamps: e.target.value }))}
+                        className="mt-1 w-full px-3 py-2 rounded-lg border border-[#f0d7b0] focus:outline-none focus:ring-2 focus:ring-amber-300"
+                      />
+                    </label>
+                    <label className="block">
+                      <span className="text-xs font-bold uppercase text-[#6b3a35]" title="0 = no cap">Referrals / month</span>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={settingsForm.referralMonthlyCap}
+                        onChange={(e) => setSettingsForm((f) => ({ ...f, referralMonthlyCap: e.target.value }))}
+                        className="mt-1 w-full px-3 py-2 rounded-lg border border-[#f0d7b0] focus:outline-none focus:ring-2 focus:ring-amber-300"
+                      />
+                    </label>
+                    <p className="col-span-3 text-[11px] text-gray-500">Referral stamps go to both members on the new member's first stamped bill. Past the monthly cap only the new member gets them (0 = no cap).</p>
+                  </div>
+
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={settingsForm.billNumberRequired}
+                      onChange={(e) => setSettingsForm((f) => ({ ...f, billNumberRequired: e.target.checked }))}
+                    />
+                    <span className="text-xs font-bold uppercase text-[#6b3a35]">Bill number required on manual stamps</span>
+                  </label>
+
+                  <div className="grid grid-cols-3 gap-3">
+                    <label className="block">
+                      <span className="text-xs font-bold uppercase text-[#6b3a35]" title="0 = no limit">Stamps / member / day</span>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={settingsForm.velocityCustomerDailyStamps}
+                        onChange={(e) => setSettingsForm((f) => ({ ...f, velocityCustomerDailyStamps: e.target.value }))}
+                        className="mt-1 w-full px-3 py-2 rounded-lg border border-[#f0d7b0] focus:outline-none focus:ring-2 focus:ring-amber-300"
+                      />
+                    </label>
+                    <label className="block">
+                      <span className="text-xs font-bold uppercase text-[#6b3a35]" title="0 = no limit">Minutes between stamps</span>
+                      <input
+                        type="number"
+                        min="0"
+                        max="1440"
+                        value={settingsForm.velocityMinMinutes}
+                        onChange={(e) => setSettingsForm((f) => ({ ...f, velocityMinMinutes: e.target.value }))}
+                        className="mt-1 w-full px-3 py-2 rounded-lg border border-[#f0d7b0] focus:outline-none focus:ring-2 focus:ring-amber-300"
+                      />
+                    </label>
+                    <label className="block">
+                      <span className="text-xs font-bold uppercase text-[#6b3a35]" title="0 = no limit">Stamps / admin / day</span>
+                      <input
+                        type="number"
+                        min="0"
+                        max="10000"
+                        value={settingsForm.velocityAdminDailyStamps}
+                        onChange={(e) => setSettingsForm((f) => ({ ...f, velocityAdminDailyStamps: e.target.value }))}
+                        className="mt-1 w-full px-3 py-2 rounded-lg border border-[#f0d7b0] focus:outline-none focus:ring-2 focus:ring-amber-300"
+                      />
+                    </label>
+                    <label className="block col-span-3">
+                      <span className="text-xs font-bold uppercase text-[#6b3a35]">When a stamping rule is broken</span>
+                      <select
+                        value={settingsForm.velocityAction}
+                        onChange={(e) => setSettingsForm((f) => ({ ...f, velocityAction: e.target.value }))}
+                        className="mt-1 w-full px-3 py-2 rounded-lg border border-[#f0d7b0] bg-white focus:outline-none focus:ring-2 focus:ring-amber-300"
+                      >
+                        <option value="flag">Give the stamp, flag it for review</option>
+                        <option value="block">Refuse the stamp (logged for review)</option>
+                      </select>
+                    </label>
+                    <p className="col-span-3 text-[11px] text-gray-500">Checked on every manual stamp (0 = rule off). Flagged and refused stamps appear under Stamp review below.</p>
+                  </div>
+
+                  <div>
+                    <div className="flex items-center justify-between">
+                      <span className="text-xs font-bold uppercase text-[#6b3a35]">Membership tiers</span>
+                      <select
+                        value={settingsForm.tierBasis}
+                        onChange={(e) => setSettingsForm((f) => ({ ...f, tierBasis: e.target.value }))}
+                        className="px-2 py-1 rounded-lg border border-[#f0d7b0] bg-white text-xs focus:outline-none focus:ring-2 focus:ring-amber-300"
+                      >
+                        <option value="spend">By lifetime spend (₹)</option>
+                        <option value="rewards">By rewards redeemed</option>
+                      </select>
+                    </div>
+                    <table className="mt-2 w-full text-xs">
+                      <thead>
+                        <tr className="text-left text-gray-500">
+                          <th className="font-medium pb-1">Name</th>
+                          <th className="font-medium pb-1">From {settingsForm.tierBasis === "spend" ? "(₹)" : "(rewards)"}</th>
+                          <th className="font-medium pb-1" title="Minimum bill for a stamp; blank = program default">Min bill ₹</th>
+                          <th className="font-medium pb-1">Bonus stamps</th>
+                          <th />
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {settingsForm.tiers.map((t, idx) => (
+                          <tr key={idx}>
+                            <td className="pr-1 py-1">
+                              <input value={t.name} maxLength={20} onChange={(e) => updateTierField(idx, "name", e.target.value)} className="w-full px-2 py-1 rounded border border-[#f0d7b0]" />
+                            </td>
+                            <td className="pr-1 py-1">
+                              <input type="number" min="0" value={t.threshold} disabled={idx === 0} onChange={(e) => updateTierField(idx, "threshold", e.target.value)} className="w-full px-2 py-1 rounded border border-[#f0d7b0] disabled:bg-gray-50" />
+                            </td>
+                            <td className="pr-1 py-1">
+                              <input type="number" min="1" value={t.minStampAmount} placeholder={String(settingsForm.minStampAmount)} onChange={(e) => updateTierField(idx, "minStampAmount", e.target.value)} className="w-full px-2 py-1 rounded border border-[#f0d7b0]" />
+                            </td>
+                            <td className="pr-1 py-1">
+                              <input type="number" min="0" max="5" value={t.bonusStamps} onChange={(e) => updateTierField(idx, "bonusStamps", e.target.value)} className="w-full px-2 py-1 rounded border border-[#f0d7b0]" />
+                            </td>
+                            <td className="py-1 text-right">
+                              {idx > 0 && (
+                                <button type="button" onClick={() => setSettingsForm((f) => ({ ...f, tiers: f.tiers.filter((_, i) => i !== idx) }))} className="text-red-600 hover:text-red-800 px-1" title="Remove tier">
+                                  <FiTrash2 />
+                                </button>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    {settingsForm.tiers.length < 5 && (
+                      <button
+                        type="button"
+                        onClick={() => setSettingsForm((f) => ({ ...f, tiers: [...f.tiers, { name: "", threshold: "", minStampAmount: "", bonusStamps: "0" }] }))}
+                        className="mt-1 text-xs font-semibold text-[#501914] hover:underline"
+                      >
+                        + Add tier
+                      </button>
+                    )}
+                  </div>
+
+                  <button
+                    type="submit"
+                    disabled={savingSettings}
+                    className="px-5 py-2 rounded-lg bg-[#501914] text-[#f5e6c8] text-sm font-semibold shadow-sm hover:bg-[#3b1512] disabled:opacity-60"
+                  >
+                    {savingSettings ? "Saving..." : "Save Settings"}
+                  </button>
+                </form>
+              )}
+            </div>
+
+            <div className="mt-6 rounded-2xl bg-white shadow-md p-6 border border-[#f3dfb1]">
+              <div className="flex items-start justify-between gap-3 mb-4">
+                <div>
+                  <h3 className="text-lg font-bold text-[#3b1512]">Expired Stamps</h3>
+                  <p className="text-xs text-gray-500">Last 30 days. Expiry runs automatically every hour.</p>
+                </div>
+                <button
+                  type="button"
+                  onClick={handleRunExpiry}
+                  disabled={runningExpiry || program.expiryMode === "none"}
+                  className="px-3 py-1.5 rounded-lg border border-[#501914] text-[#501914] text-xs font-semibold hover:bg-[#501914] hover:text-[#f5e6c8] disabled:opacity-50"
+                >
+                  {runningExpiry ? "Running..." : "Run now"}
+                </button>
+              </div>
+
+              {!expiryReport ? (
+                <div className="text-center py-6 text-gray-400 text-sm">Loading...</div>
+              ) : expiryReport.expirations.length === 0 ? (
+                <div className="text-center py-6 text-gray-400 text-sm">No stamps expired.</div>
+              ) : (
+                <>
+                  <div className="text-sm text-[#3b1512] mb-3">
+                    <b>{expiryReport.totals.stampsExpired + expiryReport.totals.carriedExpired}</b> stamp(s) expired across{" "}
+                    <b>{expiryReport.totals.members}</b> card(s)
+                  </div>
+                  <ul className="divide-y divide-[#f3dfb1] max-h-72 overflow-y-auto">
+                    {expiryReport.expirations.map((e) => (
+                      <li key={e.id} className="py-2 flex items-center justify-between text-sm">
+                        <div>
+                          <div className="font-medium text-[#3b1512]">{e.name}</div>
+                          <div className="text-[11px] text-gray-500 font-mono">{e.member_code} · {e.phone}</div>
+                        </div>
+                        <div className="text-right">
+                          <div className="font-semibold text-red-700">-{e.stamps_expired + e.carried_expired}</div>
+                          <div className="text-[11px] text-gray-500">{new Date(e.expired_at).toLocaleDateString()}</div>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </div>
+
+            <div className="mt-6 rounded-2xl bg-white shadow-md p-6 border border-[#f3dfb1]">
+              <div className="flex items-start justify-between gap-3 mb-4">
+                <div>
+                  <h3 className="text-lg font-bold text-[#3b1512]">Reward Catalog</h3>
+                  <p className="text-xs text-gray-500">
+                    Rewards customers can take before the card is full. Each costs up to {redeemStampTarget} stamps.
+                  </p>
+                </div>
+                {!catalogForm && (
+                  <button
+                    type="button"
+                    onClick={() => setCatalogForm({ name: "", description: "", imageUrl: "", stampCost: "", value: "", startsOn: "", endsOn: "" })}
+                    className="px-3 py-1.5 rounded-lg border border-[#501914] text-[#501914] text-xs font-semibold hover:bg-[#501914] hover:text-[#f5e6c8]"
+                  >
+                    + Add reward
+                  </button>
+                )}
+              </div>
+
+              {catalogForm && (
+                <form onSubmit={handleSaveReward} className="mb-5 grid grid-cols-1 sm:grid-cols-2 gap-3 rounded-xl bg-amber-50/60 border border-amber-100 p-4 text-sm">
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold text-[#3b1512]">Name</span>
+                    <input
+                      value={catalogForm.name}
+                      onChange={(e) => setCatalogForm((f) => ({ ...f, name: e.target.value }))}
+                      maxLength={60}
+                      required
+                      className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold text-[#3b1512]">Image URL</span>
+                    <input
+                      value={catalogForm.imageUrl}
+                      onChange={(e) => setCatalogForm((f) => ({ ...f, imageUrl: e.target.value }))}
+                      placeholder="https://..."
+                      className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1 sm:col-span-2">
+                    <span className="text-xs font-semibold text-[#3b1512]">Description</span>
+                    <input
+                      value={catalogForm.description}
+                      onChange={(e) => setCatalogForm((f) => ({ ...f, description: e.target.value }))}
+                      maxLength={500}
+                      className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold text-[#3b1512]">Stamp cost</span>
+                    <input
+                      type="number"
+                      min="1"
+                      max={redeemStampTarget}
+                      value={catalogForm.stampCost}
+                      onChange={(e) => setCatalogForm((f) => ({ ...f, stampCost: e.target.value }))}
+                      required
+                      className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold text-[#3b1512]">Value (₹, for reports)</span>
+                    <input
+                      type="number"
+                      min="0"
+                      value={catalogForm.value}
+                      onChange={(e) => setCatalogForm((f) => ({ ...f, value: e.target.value }))}
+                      className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold text-[#3b1512]">Available from</span>
+                    <input
+                      type="date"
+                      value={catalogForm.startsOn}
+                      onChange={(e) => setCatalogForm((f) => ({ ...f, startsOn: e.target.value }))}
+                      className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold text-[#3b1512]">Available until</span>
+                    <input
+                      type="date"
+                      value={catalogForm.endsOn}
+                      onChange={(e) => setCatalogForm((f) => ({ ...f, endsOn: e.target.value }))}
+                      className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                    />
+                  </label>
+                  <div className="sm:col-span-2 flex gap-2">
+                    <button
+                      type="submit"
+                      disabled={savingReward}
+                      className="px-4 py-2 rounded-lg bg-[#501914] text-[#f5e6c8] text-sm font-semibold hover:bg-[#3b1512] disabled:opacity-60"
+                    >
+                      {savingReward ? "Saving..." : catalogForm.id ? "Save Reward" : "Add Reward"}
+                    </button>
+                    <button type="button" onClick={() => setCatalogForm(null)} className="px-4 py-2 rounded-lg border border-gray-300 text-sm">
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              )}
+
+              {catalog.length === 0 ? (
+                <div className="text-center py-6 text-gray-400 text-sm">No catalog rewards yet. Only the full-card reward is offered.</div>
+              ) : (
+                <ul className="divide-y divide-[#f3dfb1]">
+                  {catalog.map((rw) => (
+                    <li key={rw.id} className={`py-2 flex items-center justify-between gap-3 text-sm ${rw.retired_at ? "opacity-50" : ""}`}>
+                      <div className="min-w-0">
+                        <div className="font-medium text-[#3b1512]">
+                          {rw.name} <span className="text-xs text-amber-700 font-semibold">· {rw.stamp_cost} stamps</span>
+                          {Number(rw.value) > 0 && <span className="text-xs text-gray-500"> · ₹{Number(rw.value)}</span>}
+                        </div>
+                        <div className="text-[11px] text-gray-500 truncate">
+                          {rw.retired_at
+                            ? `Retired ${new Date(rw.retired_at).toLocaleDateString()}`
+                            : `${rw.starts_on ? `From ${rw.starts_on}` : "Available now"}${rw.ends_on ? ` until ${rw.ends_on}` : ""}`}
+                          {rw.description ? ` · ${rw.description}` : ""}
+                        </div>
+                      </div>
+                      {!rw.retired_at && (
+                        <div className="flex gap-2 shrink-0">
+                          <button
+                            type="button"
+                            onClick={() =>
+                              setCatalogForm({
+                                id: rw.id,
+                                name: rw.name,
+                                description: rw.description || "",
+                                imageUrl: rw.image_url || "",
+                                stampCost: String(rw.stamp_cost),
+                                value: String(rw.value),
+                                startsOn: rw.starts_on || "",
+                                endsOn: rw.ends_on || "",
+                              })
+                            }
+                            className="px-2 py-1 rounded border border-gray-300 text-xs hover:bg-gray-50"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => handleRetireReward(rw)}
+                            className="px-2 py-1 rounded border border-red-200 text-red-700 text-xs hover:bg-red-50"
+                          >
+                            Retire
+                          </button>
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div className="mt-6 rounded-2xl bg-white shadow-md p-6 border border-[#f3dfb1]">
+              <div className="flex items-start justify-between gap-3 mb-4">
+                <div>
+                  <h3 className="text-lg font-bold text-[#3b1512]">Campaigns</h3>
+                  <p className="text-xs text-gray-500">Double-stamp days, happy hours and visit bonuses. Times are shop time (IST).</p>
+                </div>
+                {!campaignForm && (
+                  <button
+                    type="button"
+                    onClick={() =>
+                      setCampaignForm({
+                        name: "", banner: "", kind: "multiplier", multiplier: "2", bonusStamps: "1", minAmount: "",
+                        startsOn: "", endsOn: "", weekdays: [], startTime: "", endTime: "", firstVisitOfMonth: false,
+                      })
+                    }
+                    className="px-3 py-1.5 rounded-lg border border-[#501914] text-[#501914] text-xs font-semibold hover:bg-[#501914] hover:text-[#f5e6c8]"
+                  >
+                    + Add campaign
+                  </button>
+                )}
+              </div>
+
+              {campaignForm && (
+                <form onSubmit={handleSaveCampaign} className="mb-5 grid grid-cols-1 sm:grid-cols-2 gap-3 rounded-xl bg-amber-50/60 border border-amber-100 p-4 text-sm">
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold text-[#3b1512]">Name</span>
+                    <input
+                      value={campaignForm.name}
+                      onChange={(e) => setCampaignForm((f) => ({ ...f, name: e.target.value }))}
+                      maxLength={60}
+                      required
+                      className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold text-[#3b1512]">Banner text (card page)</span>
+                    <input
+                      value={campaignForm.banner}
+                      onChange={(e) => setCampaignForm((f) => ({ ...f, banner: e.target.value }))}
+                      maxLength={140}
+                      className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold text-[#3b1512]">Gives</span>
+                    <select
+                      value={campaignForm.kind}
+                      onChange={(e) => setCampaignForm((f) => ({ ...f, kind: e.target.value }))}
+                      className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none bg-white"
+                    >
+                      <option value="multiplier">Stamp multiplier</option>
+                      <option value="bonus">Bonus stamps</option>
+                    </select>
+                  </label>
+                  {campaignForm.kind === "multiplier" ? (
+                    <label className="flex flex-col gap-1">
+                      <span className="text-xs font-semibold text-[#3b1512]">Multiplier (×)</span>
+                      <input
+                        type="number"
+                        min="2"
+                        max="5"
+                        value={campaignForm.multiplier}
+                        onChange={(e) => setCampaignForm((f) => ({ ...f, multiplier: e.target.value }))}
+                        className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                      />
+                    </label>
+                  ) : (
+                    <label className="flex flex-col gap-1">
+                      <span className="text-xs font-semibold text-[#3b1512]">Bonus stamps per bill</span>
+                      <input
+                        type="number"
+                        min="1"
+                        max="5"
+                        value={campaignForm.bonusStamps}
+                        onChange={(e) => setCampaignForm((f) => ({ ...f, bonusStamps: e.target.value }))}
+                        className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                      />
+                    </label>
+                  )}
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold text-[#3b1512]">Minimum bill (₹, optional)</span>
+                    <input
+                      type="number"
+                      min="1"
+                      value={campaignForm.minAmount}
+                      onChange={(e) => setCampaignForm((f) => ({ ...f, minAmount: e.target.value }))}
+                      className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                    />
+                  </label>
+                  <label className="flex items-center gap-2 self-end pb-2">
+                    <input
+                      type="checkbox"
+                      checked={campaignForm.firstVisitOfMonth}
+                      onChange={(e) => setCampaignForm((f) => ({ ...f, firstVisitOfMonth: e.target.checked }))}
+                    />
+                    <span className="text-xs font-semibold text-[#3b1512]">Only the first visit of the month</span>
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold text-[#3b1512]">From date</span>
+                    <input
+                      type="date"
+                      value={campaignForm.startsOn}
+                      onChange={(e) => setCampaignForm((f) => ({ ...f, startsOn: e.target.value }))}
+                      className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold text-[#3b1512]">Until date</span>
+                    <input
+                      type="date"
+                      value={campaignForm.endsOn}
+                      onChange={(e) => setCampaignForm((f) => ({ ...f, endsOn: e.target.value }))}
+                      className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold text-[#3b1512]">From time (blank = all day)</span>
+                    <input
+                      type="time"
+                      value={campaignForm.startTime}
+                      onChange={(e) => setCampaignForm((f) => ({ ...f, startTime: e.target.value }))}
+                      className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold text-[#3b1512]">Until time</span>
+                    <input
+                      type="time"
+                      value={campaignForm.endTime}
+                      onChange={(e) => setCampaignForm((f) => ({ ...f, endTime: e.target.value }))}
+                      className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                    />
+                  </label>
+                  <div className="sm:col-span-2 flex flex-wrap items-center gap-2">
+                    <span className="text-xs font-semibold text-[#3b1512] mr-1">Days (none = every day)</span>
+                    {WEEKDAY_LABELS.map((label, day) => {
+                      const on = campaignForm.weekdays.includes(day);
+                      return (
+                        <button
+                          key={label}
+                          type="button"
+                          onClick={() =>
+                            setCampaignForm((f) => ({
+                              ...f,
+                              weekdays: on ? f.weekdays.filter((d) => d !== day) : [...f.weekdays, day].sort(),
+                            }))
+                          }
+                          className={`px-2 py-1 rounded-full text-xs border ${on ? "bg-[#501914] text-[#f5e6c8] border-[#501914]" : "border-gray-300 text-gray-600"}`}
+                        >
+                          {label}
+                        </button>
+                      );
+                    })}
+                  </div>
+                  <div className="sm:col-span-2 flex gap-2">
+                    <button
+                      type="submit"
+                      disabled={savingCampaign}
+                      className="px-4 py-2 rounded-lg bg-[#501914] text-[#f5e6c8] text-sm font-semibold hover:bg-[#3b1512] disabled:opacity-60"
+                    >
+                      {savingCampaign ? "Saving..." : campaignForm.id ? "Save Campaign" : "Add Campaign"}
+                    </button>
+                    <button type="button" onClick={() => setCampaignForm(null)} className="px-4 py-2 rounded-lg border border-gray-300 text-sm">
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              )}
+
+              {campaigns.length === 0 ? (
+                <div className="text-center py-6 text-gray-400 text-sm">No campaigns yet.</div>
+              ) : (
+                <ul className="divide-y divide-[#f3dfb1]">
+                  {campaigns.map((cp) => (
+                    <li key={cp.id} className={`py-2 flex items-center justify-between gap-3 text-sm ${cp.retired_at ? "opacity-50" : ""}`}>
+                      <div className="min-w-0">
+                        <div className="font-medium text-[#3b1512]">
+                          {cp.name}{" "}
+                          <span className="text-xs text-amber-700 font-semibold">
+                            · {cp.kind === "multiplier" ? `${cp.multiplier}× stamps` : `+${cp.bonus_stamps} stamp(s)`}
+                          </span>
+                        </div>
+                        <div className="text-[11px] text-gray-500 truncate">
+                          {cp.retired_at
+                            ? `Ended ${new Date(cp.retired_at).toLocaleDateString()}`
+                            : [
+                                cp.weekdays && cp.weekdays.length ? cp.weekdays.map((d) => WEEKDAY_LABELS[d]).join(", ") : "Every day",
+                                cp.start_time ? `${cp.start_time}–${cp.end_time}` : "all day",
+                                cp.starts_on || cp.ends_on ? `${cp.starts_on || "now"} to ${cp.ends_on || "open"}` : null,
+                                cp.min_amount ? `bills ₹${cp.min_amount}+` : null,
+                                cp.first_visit_of_month ? "first visit of month" : null,
+                              ].filter(Boolean).join(" · ")}
+                        </div>
+                      </div>
+                      {!cp.retired_at && (
+                        <div className="flex gap-2 shrink-0">
+                          <button
+                            type="button"
+                            onClick={() =>
+                              setCampaignForm({
+                                id: cp.id,
+                                name: cp.name,
+                                banner: cp.banner || "",
+                                kind: cp.kind,
+                                multiplier: String(cp.kind === "multiplier" ? cp.multiplier : 2),
+                                bonusStamps: String(cp.kind === "bonus" ? cp.bonus_stamps : 1),
+                                minAmount: cp.min_amount ? String(cp.min_amount) : "",
+                                startsOn: cp.starts_on || "",
+                                endsOn: cp.ends_on || "",
+                                weekdays: cp.weekdays || [],
+                                startTime: cp.start_time || "",
+                                endTime: cp.end_time || "",
+                                firstVisitOfMonth: cp.first_visit_of_month,
+                              })
+                            }
+                            className="px-2 py-1 rounded border border-gray-300 text-xs hover:bg-gray-50"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => handleEndCampaign(cp)}
+                            className="px-2 py-1 rounded border border-red-200 text-red-700 text-xs hover:bg-red-50"
+                          >
+                            End
+                          </button>
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div className="mt-6 rounded-2xl bg-white shadow-md p-6 border border-[#f3dfb1]">
+              <div className="flex items-start justify-between gap-3 mb-4">
+                <div>
+                  <h3 className="text-lg font-bold text-[#3b1512]">Holidays</h3>
+                  <p className="text-xs text-gray-500">Days stamping and/or online payments are closed. The card page shows the message. Dates are shop dates (IST).</p>
+                </div>
+                {!holidayForm && (
+                  <button
+                    type="button"
+                    onClick={() => setHolidayForm({ date: "", title: "", message: "", repeatsYearly: false, blockStamps: true, blockPayments: true })}
+                    className="px-3 py-1.5 rounded-lg border border-[#501914] text-[#501914] text-xs font-semibold hover:bg-[#501914] hover:text-[#f5e6c8]"
+                  >
+                    + Add holiday
+                  </button>
+                )}
+              </div>
+
+              {holidayForm && (
+                <form onSubmit={handleSaveHoliday} className="mb-5 grid grid-cols-1 sm:grid-cols-2 gap-3 rounded-xl bg-amber-50/60 border border-amber-100 p-4 text-sm">
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold text-[#3b1512]">Date</span>
+                    <input
+                      type="date"
+                      value={holidayForm.date}
+                      onChange={(e) => setHolidayForm((f) => ({ ...f, date: e.target.value }))}
+                      required
+                      className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold text-[#3b1512]">Title</span>
+                    <input
+                      value={holidayForm.title}
+                      onChange={(e) => setHolidayForm((f) => ({ ...f, title: e.target.value }))}
+                      maxLength={60}
+                      required
+                      className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1 sm:col-span-2">
+                    <span className="text-xs font-semibold text-[#3b1512]">Message (card page)</span>
+                    <input
+                      value={holidayForm.message}
+                      onChange={(e) => setHolidayForm((f) => ({ ...f, message: e.target.value }))}
+                      maxLength={280}
+                      className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                    />
+                  </label>
+                  <div className="sm:col-span-2 flex flex-wrap gap-4">
+                    {[
+                      ["repeatsYearly", "Every year on this day"],
+                      ["blockStamps", "Block stamping"],
+                      ["blockPayments", "Block online payments"],
+                    ].map(([key, label]) => (
+                      <label key={key} className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          checked={holidayForm[key]}
+                          onChange={(e) => setHolidayForm((f) => ({ ...f, [key]: e.target.checked }))}
+                        />
+                        <span className="text-xs font-semibold text-[#3b1512]">{label}</span>
+                      </label>
+                    ))}
+                  </div>
+                  <div className="sm:col-span-2 flex gap-2">
+                    <button
+                      type="submit"
+                      disabled={savingHoliday}
+                      className="px-4 py-2 rounded-lg bg-[#501914] text-[#f5e6c8] text-sm font-semibold hover:bg-[#3b1512] disabled:opacity-60"
+                    >
+                      {savingHoliday ? "Saving..." : holidayForm.id ? "Save Holiday" : "Add Holiday"}
+                    </button>
+                    <button type="button" onClick={() => setHolidayForm(null)} className="px-4 py-2 rounded-lg border border-gray-300 text-sm">
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              )}
+
+              {holidays.length === 0 ? (
+                <div className="text-center py-6 text-gray-400 text-sm">No holidays set.</div>
+              ) : (
+                <ul className="divide-y divide-[#f3dfb1]">
+                  {holidays.map((h) => (
+                    <li key={h.id} className="py-2 flex items-center justify-between gap-3 text-sm">
+                      <div className="min-w-0">
+                        <div className="font-medium text-[#3b1512]">
+                          {h.title}{" "}
+                          <span className="text-xs text-amber-700 font-semibold">
+                            · {h.repeats_yearly ? `every ${new Date(`${h.holiday_date}T00:00:00`).toLocaleDateString("en-IN", { day: "numeric", month: "short" })}` : h.holiday_date}
+                          </span>
+                        </div>
+                        <div className="text-[11px] text-gray-500 truncate">
+                          {[h.block_stamps ? "no stamps" : null, h.block_payments ? "no online payments" : null].filter(Boolean).join(" · ") || "notice only"}
+                          {h.message ? ` · ${h.message}` : ""}
+                        </div>
+                      </div>
+                      <div className="flex gap-2 shrink-0">
+                        <button
+                          type="button"
+                          onClick={() =>
+                            setHolidayForm({
+                              id: h.id,
+                              date: h.holiday_date,
+                              title: h.title,
+                              message: h.message || "",
+                              repeatsYearly: h.repeats_yearly,
+                              blockStamps: h.block_stamps,
+                              blockPayments: h.block_payments,
+                            })
+                          }
+                          className="px-2 py-1 rounded border border-gray-300 text-xs hover:bg-gray-50"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleDeleteHoliday(h)}
+                          className="px-2 py-1 rounded border border-red-200 text-red-700 text-xs hover:bg-red-50"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div className="mt-6 rounded-2xl bg-white shadow-md p-6 border border-[#f3dfb1]">
+              <div className="mb-4">
+                <h3 className="text-lg font-bold text-[#3b1512]">Referrals</h3>
+                <p className="text-xs text-gray-500">Members who joined with a friend's code. Pending ones are rewarded on their first stamped bill.</p>
+              </div>
+              {!referralReport || referralReport.totals.total === 0 ? (
+                <div className="text-center py-6 text-gray-400 text-sm">No referrals yet.</div>
+              ) : (
+                <>
+                  <div className="grid grid-cols-2 sm:grid-cols-5 gap-2 mb-4 text-center">
+                    {[
+                      ["Referred", referralReport.totals.total],
+                      ["Pending", referralReport.totals.pending],
+                      ["Rewarded", referralReport.totals.rewarded],
+                      ["Over cap", referralReport.totals.capped],
+                      ["Stamps given", referralReport.totals.stamps_given],
+                    ].map(([label, value]) => (
+                      <div key={label} className="rounded-xl bg-[#fffaf0] border border-[#f3dfb1] py-2">
+                        <div className="text-lg font-bold text-[#3b1512]">{value}</div>
+                        <div className="text-[10px] uppercase text-gray-500">{label}</div>
+                      </div>
+                    ))}
+                  </div>
+
+                  <h4 className="text-xs font-bold uppercase text-[#6b3a35] mb-1">Top referrers</h4>
+                  <ul className="divide-y divide-[#f3dfb1] mb-4">
+                    {referralReport.topReferrers.map((r) => (
+                      <li key={r.id} className="py-1.5 flex items-center justify-between text-sm">
+                        <span className="text-[#3b1512]">
+                          {r.name} <span className="text-xs text-gray-500 font-mono">{r.member_code} · {r.referral_code}</span>
+                        </span>
+                        <span className="text-xs text-gray-600">
+                          {r.qualified}/{r.referrals} qualified · {r.stamps_earned} stamp(s)
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+
+                  <h4 className="text-xs font-bold uppercase text-[#6b3a35] mb-1">Latest</h4>
+                  <div className="max-h-64 overflow-y-auto">
+                    <table className="w-full text-xs">
+                      <thead>
+                        <tr className="text-left text-gray-500">
+                          <th className="font-medium pb-1">Joined</th>
+                          <th className="font-medium pb-1">New member</th>
+                          <th className="font-medium pb-1">Referred by</th>
+                          <th className="font-medium pb-1">Status</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {referralReport.referrals.map((r) => (
+                          <tr key={r.id} className="border-t border-[#f3dfb1]">
+                            <td className="py-1 pr-2">{new Date(r.created_at).toLocaleDateString()}</td>
+                            <td className="py-1 pr-2">{r.referee_name} <span className="text-gray-400 font-mono">{r.referee_code}</span></td>
+                            <td className="py-1 pr-2">{r.referrer_name} <span className="text-gray-400 font-mono">{r.referrer_code}</span></td>
+                            <td className="py-1">
+                              {r.status === "pending" ? (
+                                <span className="text-gray-500">Pending</span>
+                              ) : r.status === "capped" ? (
+                                <span className="text-amber-700" title="Referrer was over the monthly cap">Over cap · +{r.referee_stamps}</span>
+                              ) : (
+                                <span className="text-green-700">Rewarded · +{r.referrer_stamps}/+{r.referee_stamps}</span>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </>
+              )}
+            </div>
+
+            <div className="mt-6 rounded-2xl bg-white shadow-md p-6 border border-[#f3dfb1]">
+              <div className="flex items-start justify-between gap-3 mb-4">
+                <div>
+                  <h3 className="text-lg font-bold text-[#3b1512]">Stamp review</h3>
+                  <p className="text-xs text-gray-500">Manual stamps that broke a stamping rule. To take stamps back use Undo or a refund, then mark the flag.</p>
+                </div>
+                <select
+                  value={stampFlagFilter}
+                  onChange={(e) => setStampFlagFilter(e.target.value)}
+                  className="px-2 py-1 rounded-lg border border-[#f0d7b0] bg-white text-xs focus:outline-none focus:ring-2 focus:ring-amber-300"
+                >
+                  <option value="open">To review</option>
+                  <option value="ok">Marked OK</option>
+                  <option value="fraud">Marked fraud</option>
+                  <option value="all">All</option>
+                </select>
+              </div>
+              {!stampFlags || stampFlags.flags.length === 0 ? (
+                <div className="text-center py-6 text-gray-400 text-sm">Nothing here.</div>
+              ) : (
+                <ul className="divide-y divide-[#f3dfb1] max-h-96 overflow-y-auto">
+                  {stampFlags.flags.map((f) => (
+                    <li key={f.id} className="py-2 flex items-start justify-between gap-3 text-sm">
+                      <div className="min-w-0">
+                        <div className="text-[#3b1512]">
+                          <span className={`mr-1.5 px-1.5 py-0.5 rounded text-[10px] font-bold uppercase ${f.action === "blocked" ? "bg-red-100 text-red-700" : "bg-amber-100 text-amber-800"}`}>
+                            {f.action}
+                          </span>
+                          {f.customer_name} <span className="text-xs text-gray-500 font-mono">{f.member_code}</span>
+                          <span className="text-xs text-gray-500"> · ₹{Number(f.amount || 0)} · {f.stamps} stamp(s)</span>
+                        </div>
+                        <div className="text-xs text-red-700">{f.violations.map((v) => v.message).join("; ")}</div>
+                        <div className="text-[11px] text-gray-500">
+                          {formatDateTime(f.created_at).dateStr} · {formatDateTime(f.created_at).timeStr}
+                          {f.admin_username ? ` · by ${f.admin_username}` : ""}
+                          {f.status !== "open" && ` · marked ${f.status === "ok" ? "OK" : "fraud"} by ${f.reviewed_by || "admin"}${f.review_note ? `: ${f.review_note}` : ""}`}
+                        </div>
+                      </div>
+                      {f.status === "open" && (
+                        <div className="flex gap-1.5 shrink-0">
+                          <button
+                            onClick={() => handleReviewStampFlag(f, "ok")}
+                            className="px-2 py-1 rounded-lg border border-green-300 text-green-800 text-xs font-semibold hover:bg-green-50"
+                          >
+                            OK
+                          </button>
+                          <button
+                            onClick={() => handleReviewStampFlag(f, "fraud")}
+                            className="px-2 py-1 rounded-lg border border-red-300 text-red-700 text-xs font-semibold hover:bg-red-50"
+                          >
+                            Fraud
+                          </button>
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div className="mt-6 rounded-2xl bg-white shadow-md p-6 border border-[#f3dfb1]">
+              <div className="flex items-start justify-between gap-3 mb-4">
+                <div>
+                  <h3 className="text-lg font-bold text-[#3b1512]">Data deletion requests</h3>
+                  <p className="text-xs text-gray-500">Members asking for their personal data to be erased. Settle any wallet balance or open payment first; completing keeps bills and the ledger under the member code.</p>
+                </div>
+                <select
+                  value={deletionFilter}
+                  onChange={(e) => setDeletionFilter(e.target.value)}
+                  className="px-2 py-1 rounded-lg border border-[#f0d7b0] bg-white text-xs focus:outline-none focus:ring-2 focus:ring-amber-300"
+                >
+                  <option value="pending">To review</option>
+                  <option value="completed">Completed</option>
+                  <option value="rejected">Rejected</option>
+                  <option value="cancelled">Cancelled</option>
+                  <option value="all">All</option>
+                </select>
+              </div>
+              {!deletionRequests || deletionRequests.requests.length === 0 ? (
+                <div className="text-center py-6 text-gray-400 text-sm">Nothing here.</div>
+              ) : (
+                <ul className="divide-y divide-[#f3dfb1] max-h-96 overflow-y-auto">
+                  {deletionRequests.requests.map((r) => (
+                    <li key={r.id} className="py-2 flex items-start justify-between gap-3 text-sm">
+                      <div className="min-w-0">
+                        <div className="text-[#3b1512]">
+                          {r.customer_name} <span className="text-xs text-gray-500 font-mono">{r.member_code}</span>
+                          {r.phone && <span className="text-xs text-gray-500"> · {r.phone}</span>}
+                        </div>
+                        <div className="text-xs text-gray-600">
+                          {r.current_stamps} stamp(s) · wallet ₹{Number(r.wallet_balance || 0)}
+                        </div>
+                        <div className="text-[11px] text-gray-500">
+                          Asked {formatDateTime(r.requested_at).dateStr} · {formatDateTime(r.requested_at).timeStr}
+                          {r.status !== "pending" && ` · ${r.status}${r.reviewed_by ? ` by ${r.reviewed_by}` : ""}${r.review_note ? `: ${r.review_note}` : ""}`}
+                        </div>
+                      </div>
+                      {r.status === "pending" && (
+                        <div className="flex gap-1.5 shrink-0">
+                          <button
+                            onClick={() => handleReviewDeletion(r, "complete")}
+                            className="px-2 py-1 rounded-lg border border-red-300 text-red-700 text-xs font-semibold hover:bg-red-50"
+                          >
+                            Erase
+                          </button>
+                          <button
+                            onClick={() => handleReviewDeletion(r, "reject")}
+                            className="px-2 py-1 rounded-lg border border-gray-300 text-gray-700 text-xs font-semibold hover:bg-gray-50"
+                          >
+                            Reject
+                          </button>
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {can("users.manage") && (
+            <div className="mt-6 rounded-2xl bg-white shadow-md p-6 border border-[#f3dfb1]">
+              <div className="flex items-start justify-between gap-3 mb-4">
+                <div>
+                  <h3 className="text-lg font-bold text-[#3b1512]">Team</h3>
+                  <p className="text-xs text-gray-500">Who can log in to this dashboard. Staff look up members and stamp; managers also redeem, undo stamps and see insights; owners can do everything, including refunds. Disabled logins stop working at once.</p>
+                </div>
+                {!adminUserForm && (
+                  <button
+                    type="button"
+                    onClick={() => setAdminUserForm({ username: "", password: "", role: "staff", actionPassword: "" })}
+                    className="px-3 py-1.5 rounded-lg border border-[#501914] text-[#501914] text-xs font-semibold hover:bg-[#501914] hover:text-[#f5e6c8]"
+                  >
+                    + Add user
+                  </button>
+                )}
+              </div>
+
+              {adminUserForm && (
+                <form onSubmit={handleCreateAdminUser} className="mb-5 grid grid-cols-1 sm:grid-cols-2 gap-3 rounded-xl bg-amber-50/60 border border-amber-100 p-4 text-sm">
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold text-[#3b1512]">Username</span>
+                    <input
+                      value={adminUserForm.username}
+                      onChange={(e) => setAdminUserForm((f) => ({ ...f, username: e.target.value }))}
+                      maxLength={30}
+                      autoComplete="off"
+                      required
+                      className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold text-[#3b1512]">Role</span>
+                    <select
+                      value={adminUserForm.role}
+                      onChange={(e) => setAdminUserForm((f) => ({ ...f, role: e.target.value }))}
+                      className="px-3 py-2 rounded-lg border border-gray-300 bg-white focus:border-amber-500 outline-none"
+                    >
+                      <option value="staff">Staff</option>
+                      <option value="manager">Manager</option>
+                      <option value="owner">Owner</option>
+                    </select>
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold text-[#3b1512]">Password</span>
+                    <input
+                      type="password"
+                      value={adminUserForm.password}
+                      onChange={(e) => setAdminUserForm((f) => ({ ...f, password: e.target.value }))}
+                      minLength={8}
+                      autoComplete="new-password"
+                      required
+                      className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold text-[#3b1512]">Action password (optional)</span>
+                    <input
+                      type="password"
+                      value={adminUserForm.actionPassword}
+                      onChange={(e) => setAdminUserForm((f) => ({ ...f, actionPassword: e.target.value }))}
+                      minLength={8}
+                      autoComplete="new-password"
+                      title="Asked again before undo, refunds and deletions"
+                      className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                    />
+                  </label>
+                  <div className="sm:col-span-2 flex gap-2">
+                    <button
+                      type="submit"
+                      disabled={savingAdminUser}
+                      className="px-4 py-2 rounded-lg bg-[#501914] text-[#f5e6c8] text-sm font-semibold hover:bg-[#3b1512] disabled:opacity-60"
+                    >
+                      {savingAdminUser ? "Saving..." : "Add User"}
+                    </button>
+                    <button type="button" onClick={() => setAdminUserForm(null)} className="px-4 py-2 rounded-lg border border-gray-300 text-sm">
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              )}
+
+              <ul className="divide-y divide-[#f3dfb1]">
+                {adminUsers.map((u) => (
+                  <li key={u.id} className={`py-2 flex flex-wrap items-center justify-between gap-3 text-sm ${u.disabled_at ? "opacity-60" : ""}`}>
+                    <div className="min-w-0">
+                      <div className="text-[#3b1512] font-semibold">
+                        {u.username}
+                        {u.username === adminName && <span className="ml-1 text-xs text-gray-500 font-normal">(you)</span>}
+                      </div>
+                      <div className="text-[11px] text-gray-500">
+                        {u.disabled_at ? `Disabled ${formatDateTime(u.disabled_at).dateStr}` : "Active"}
+                        {u.has_action_password ? " · action password set" : " · no action password"}
+                      </div>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-1.5 shrink-0">
+                      <select
+                        value={u.role}
+                        onChange={(e) => handleUpdateAdminUser(u, { role: e.target.value })}
+                        disabled={Boolean(u.disabled_at)}
+                        className="px-2 py-1 rounded-lg border border-[#f0d7b0] bg-white text-xs focus:outline-none focus:ring-2 focus:ring-amber-300"
+                      >
+                        <option value="staff">Staff</option>
+                        <option value="manager">Manager</option>
+                        <option value="owner">Owner</option>
+                      </select>
+                      <button
+                        onClick={() => handleResetAdminPassword(u, "password")}
+                        className="px-2 py-1 rounded-lg border border-gray-300 text-gray-700 text-xs font-semibold hover:bg-gray-50"
+                      >
+                        Password
+                      </button>
+                      <button
+                        onClick={() => handleResetAdminPassword(u, "actionPassword")}
+                        className="px-2 py-1 rounded-lg border border-gray-300 text-gray-700 text-xs font-semibold hover:bg-gray-50"
+                      >
+                        Action password
+                      </button>
+                      <button
+                        onClick={() => handleUpdateAdminUser(u, { disabled: !u.disabled_at })}
+                        className={`px-2 py-1 rounded-lg border text-xs font-semibold ${u.disabled_at ? "border-green-300 text-green-800 hover:bg-green-50" : "border-red-300 text-red-700 hover:bg-red-50"}`}
+                      >
+                        {u.disabled_at ? "Enable" : "Disable"}
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+            )}
+          </motion.div>
+        )}
+
       </main>
 
+      {/* Redeem picker modal */}
+      <AnimatePresence>
+        {redeemFor && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4"
+            onClick={() => setRedeemFor(null)}
+          >
+            <motion.div
+              initial={{ scale: 0.97, y: 8 }}
+              animate={{ scale: 1, y: 0 }}
+              exit={{ scale: 0.97, y: 8 }}
+              onClick={(e) => e.stopPropagation()}
+              className="w-full max-w-md max-h-[80vh] overflow-y-auto rounded-2xl bg-white shadow-2xl border border-[#f3dfb1] p-5"
+            >
+              <div className="flex items-start justify-between mb-4">
+                <div>
+                  <h3 className="text-lg font-bold text-[#3b1512]">Redeem a Reward</h3>
+                  <p className="text-xs text-gray-500">
+                    <span className="font-mono">{redeemFor.member_code}</span> · {redeemFor.name} · {Number(redeemFor.current_stamps || 0)} stamps
+                  </p>
+                </div>
+                <button onClick={() => setRedeemFor(null)} className="text-gray-400 hover:text-gray-700 text-xl leading-none">×</button>
+              </div>
+
+              <label className="mb-3 flex items-center gap-2 text-xs text-[#6b3a35]">
+                <input type="checkbox" checked={redeemToWallet} onChange={(e) => setRedeemToWallet(e.target.checked)} />
+                Put the reward's ₹ value into the wallet (spend it over later bills)
+              </label>
+
+              <ul className="space-y-2">
+                {Number(redeemFor.current_stamps || 0) < redeemStampTarget && !availableCatalog.some((rw) => rw.stamp_cost <= Number(redeemFor.current_stamps || 0)) && (
+                  <li className="text-center py-4 text-sm text-gray-400">Not enough stamps for a reward yet.</li>
+                )}
+                {Number(redeemFor.current_stamps || 0) >= redeemStampTarget && (
+                  <li>
+                    <button
+                      onClick={() => handleReset(redeemFor.id, null, redeemToWallet)}
+                      className="w-full flex items-center justify-between rounded-xl border border-green-200 bg-green-50 p-3 text-left hover:bg-green-100"
+                    >
+                      <span className="font-semibold text-[#3b1512]">Full card · ₹{program.rewardValue} food</span>
+                      <span className="text-xs font-bold text-green-700">{redeemStampTarget} stamps</span>
+                    </button>
+                  </li>
+                )}
+                {availableCatalog.map((rw) => {
+                  const affordable = rw.stamp_cost <= Number(redeemFor.current_stamps || 0);
+                  return (
+                    <li key={rw.id}>
+                      <button
+                        onClick={() => handleReset(redeemFor.id, rw, redeemToWallet)}
+                        disabled={!affordable || (redeemToWallet && !(rw.value > 0))}
+                        className="w-full flex items-center justify-between rounded-xl border border-amber-100 bg-amber-50/60 p-3 text-left hover:bg-amber-100 disabled:opacity-40 disabled:hover:bg-amber-50/60"
+                      >
+                        <span>
+                          <span className="block font-semibold text-[#3b1512]">{rw.name}</span>
+                          {rw.description && <span className="block text-[11px] text-gray-500">{rw.description}</span>}
+                        </span>
+                        <span className="text-xs font-bold text-amber-800 shrink-0">{rw.stamp_cost} stamps</span>
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Reward history modal */}
+      <AnimatePresence>
+        {rewardHistory && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4"
+            onClick={() => setRewardHistory(null)}
+          >
+            <motion.div
+              initial={{ scale: 0.97, y: 8 }}
+              animate={{ scale: 1, y: 0 }}
+              exit={{ scale: 0.97, y: 8 }}
+              onClick={(e) => e.stopPropagation()}
+              className="w-full max-w-lg max-h-[80vh] overflow-y-auto rounded-2xl bg-white shadow-2xl border border-[#f3dfb1] p-5"
+            >
+              <div className="flex items-start justify-between mb-4">
+                <div>
+                  <h3 className="text-lg font-bold text-[#3b1512]">🎁 Reward History</h3>
+                  <p className="text-xs text-gray-500">
+                    <span className="font-mono">{rewardHistory.customer.member_code}</span> · {rewardHistory.customer.name}
+                  </p>
+                </div>
+                <button onClick={() => setRewardHistory(null)} className="text-gray-400 hover:text-gray-700 text-xl leading-none">×</button>
+              </div>
+
+              {rewardHistory.loading ? (
+                <div className="text-center py-8 text-gray-400">Loading...</div>
+              ) : rewardHistory.redemptions.length === 0 ? (
+                <div className="text-center py-8 text-gray-400">No redemptions recorded yet.</div>
+              ) : (
+                <ul className="space-y-3">
+                  {rewardHistory.redemptions.map((r) => (
+                    <li key={r.id} className="rounded-xl border border-amber-100 bg-amber-50/60 p-3">
+                      <div className="flex justify-between text-sm">
+                        <span className="font-semibold text-[#3b1512]">{formatDateTime(r.redeemed_at).dateStr} · {formatDateTime(r.redeemed_at).timeStr}</span>
+                        <span className="font-bold text-amber-800">
+                          {r.reward_name ? `${r.reward_name} · ` : ""}₹{Number(r.reward_value)}{r.wallet_credit ? " → wallet" : ""}
+                        </span>
+                      </div>
+                      <div className="text-[11px] text-gray-500 mt-0.5">
+                        {r.stamps_count} stamps
+                        {r.card_started_at ? ` · card started ${formatDateTime(r.card_started_at).dateStr}` : ""}
+                        {r.admin_username ? ` · redeemed by ${r.admin_username}` : ""}
+                      </div>
+                      {r.stamps.length > 0 && (
+                        <div className="mt-2 flex flex-wrap gap-1">
+                          {r.stamps.map((st) => (
+                            <span key={st.index} className="px-1.5 py-0.5 rounded bg-white border border-amber-100 text-[10px] font-mono text-[#6b3a35]" title={`₹${Number(st.amount || 0)}`}>
+                              #{st.index} {fmtDate(st.date)}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Wallet modal */}
+      <AnimatePresence>
+        {walletFor && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4"
+            onClick={() => setWalletFor(null)}
+          >
+            <motion.div
+              initial={{ scale: 0.97, y: 8 }}
+              animate={{ scale: 1, y: 0 }}
+              exit={{ scale: 0.97, y: 8 }}
+              onClick={(e) => e.stopPropagation()}
+              className="w-full max-w-lg max-h-[80vh] overflow-y-auto rounded-2xl bg-white shadow-2xl border border-[#f3dfb1] p-5"
+            >
+              <div className="flex items-start justify-between mb-4">
+                <div>
+                  <h3 className="text-lg font-bold text-[#3b1512]">💳 Wallet · ₹{walletFor.balance}</h3>
+                  <p className="text-xs text-gray-500">
+                    <span className="font-mono">{walletFor.customer.member_code}</span> · {walletFor.customer.name}
+                  </p>
+                </div>
+                <button onClick={() => setWalletFor(null)} className="text-gray-400 hover:text-gray-700 text-xl leading-none">×</button>
+              </div>
+
+              {can("redeem") && walletFor.balance > 0 && (
+                <form onSubmit={handleDebitWallet} className="mb-4 grid grid-cols-2 gap-2 rounded-xl bg-amber-50/60 border border-amber-100 p-3 text-sm">
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold text-[#3b1512]">Use from wallet (₹)</span>
+                    <input
+                      type="number"
+                      min="1"
+                      max={walletFor.balance}
+                      step="0.01"
+                      required
+                      value={walletDebit.amount}
+                      onChange={(e) => setWalletDebit((d) => ({ ...d, amount: e.target.value }))}
+                      className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold text-[#3b1512]">Bill total (₹, optional)</span>
+                    <input
+                      type="number"
+                      min="1"
+                      step="0.01"
+                      value={walletDebit.billAmount}
+                      onChange={(e) => setWalletDebit((d) => ({ ...d, billAmount: e.target.value }))}
+                      className="px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                    />
+                  </label>
+                  <input
+                    placeholder="Note (optional)"
+                    maxLength={140}
+                    value={walletDebit.note}
+                    onChange={(e) => setWalletDebit((d) => ({ ...d, note: e.target.value }))}
+                    className="col-span-2 px-3 py-2 rounded-lg border border-gray-300 focus:border-amber-500 outline-none"
+                  />
+                  <button
+                    type="submit"
+                    disabled={debitingWallet || !walletDebit.amount}
+                    className="col-span-2 px-4 py-2 rounded-lg bg-[#501914] text-[#f5e6c8] text-sm font-semibold hover:bg-[#3b1512] disabled:opacity-60"
+                  >
+                    {debitingWallet ? "Saving..." : "Take from wallet"}
+                  </button>
+                </form>
+              )}
+
+              {walletFor.loading ? (
+                <div className="text-center py-8 text-gray-400">Loading...</div>
+              ) : walletFor.transactions.length === 0 ? (
+                <div className="text-center py-8 text-gray-400">No wallet activity yet. Redeem a reward into the wallet to start.</div>
+              ) : (
+                <ul className="divide-y divide-[#f3dfb1]">
+                  {walletFor.transactions.map((t) => (
+                    <li key={t.id} className="py-2 flex items-center justify-between gap-3 text-sm">
+                      <div className="min-w-0">
+                        <div className="text-[#3b1512]">
+                          {t.kind === "credit" ? (t.reason === "reward" ? "Reward paid in" : "Credit") : t.bill_amount ? `Bill of ₹${t.bill_amount}` : "Spent"}
+                          {t.note ? <span className="text-gray-500"> · {t.note}</span> : null}
+                        </div>
+                        <div className="text-[11px] text-gray-500">
+                          {formatDateTime(t.created_at).dateStr} · {formatDateTime(t.created_at).timeStr}
+                          {t.admin_username ? ` · ${t.admin_username}` : ""}
+                        </div>
+                      </div>
+                      <div className="text-right shrink-0">
+                        <div className={`font-bold ${t.kind === "credit" ? "text-green-700" : "text-red-700"}`}>
+                          {t.kind === "credit" ? "+" : "−"}₹{t.amount}
+                        </div>
+                        <div className="text-[10px] text-gray-400">bal ₹{t.balance_after}</div>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       {/* Celebration toast - auto-dismiss 2s (AnimatePresence + motion) */}
       <div className="fixed bottom-6 right-6 z-50 pointer-events-none">
         <AnimatePresence>
@@ -1050,7 +3460,7 @@ const handleUndoStamp = async (customer) => {
                   <div className="text-3xl">🎉</div>
                   <div>
                     <div className="text-xs uppercase tracking-wide text-[#f5e6c8]/80">Reward unlocked</div>
-                    <div className="font-bold text-lg mt-1">{celebration.name || celebration.memberCode} completed 12 stamps</div>
+                    <div className="font-bold text-lg mt-1">{celebration.name || celebration.memberCode} completed {cardSize} stamps</div>
                     <div className="text-sm mt-1">Member <span className="font-mono">{celebration.memberCode}</span> now has <span className="font-semibold">{celebration.rewards}</span> rewards</div>
                   </div>
                 </div>
@@ -35,6 +35,7 @@ export default function AdminLogin() {
       localStorage.setItem("cr_adminToken", data.token);
       localStorage.setItem("cr_adminUsername", data.username);
       localStorage.setItem("cr_adminRole", data.role);
+      localStorage.setItem("cr_adminPermissions", JSON.stringify(data.permissions || []));
 
       navigate("/admin-dashboard");
     } catch (err) {
@@ -3,6 +3,8 @@ import React, { useCallback, useEffect, useMemo, useRef, useState } from "react"
 import { useNavigate } from "react-router-dom";
 import { motion, AnimatePresence } from "framer-motion";
 import { API_BASE } from "../apiConfig";
+import { useProgramSettings, ordinal } from "../programSettings";
+import { customerFetch, hasSession, logout } from "../customerSession";
 
 /**
  * Card.jsx (Final Version - Full Text Restored)
@@ -12,11 +14,6 @@ import { API_BASE } from "../apiConfig";
  */
 
 // --- Helpers ---
-function getIstDate(now = new Date()) {
-  const ist = new Date(now.getTime() + 330 * 60 * 1000);
-  return ist;
-}
-
 function formatDate(isoString) {
   if (!isoString) return "-";
   const date = new Date(isoString);
@@ -29,31 +26,6 @@ function formatTime(isoString) {
   return date.toLocaleTimeString("en-IN", { hour: "2-digit", minute: "2-digit" });
 }
 
-function getHolidayInfoForIst(dateIst) {
-  const month = dateIst.getUTCMonth();
-  const day = dateIst.getUTCDate();
-
-  if (month === 11 && day === 25) {
-    return {
-      isHoliday: true,
-      key: "christmas",
-      title: "🎄 Happy Christmas",
-      message: "Sorry for the inconvenience on Christmas day. Stamp access is temporarily unavailable.",
-    };
-  }
-
-  if ((month === 11 && day === 31) || (month === 0 && day === 1)) {
-    return {
-      isHoliday: true,
-      key: "newyear",
-      title: "🎉 Happy New Year",
-      message: "We're celebrating the New Year! Stamp access is temporarily unavailable.",
-    };
-  }
-
-  return { isHoliday: false };
-}
-
 // --- Razorpay Loader ---
 const RAZORPAY_SCRIPT_ID = "razorpay-checkout-js";
 const loadRazorpayScript = () => {
@@ -83,16 +55,25 @@ export default function Card() {
 
   // ---------- Hooks ----------
   const [card, setCard] = useState(null);
+  const [program] = useProgramSettings();
+  const { cardSize, rewardValue, redeemStampTarget, stampMode, maxStampsPerBill } = program;
+  const perAmount = stampMode === "per_amount";
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [showPhone, setShowPhone] = useState(false);
   const [celebrate, setCelebrate] = useState(false);
   const [logoInlineVisible, setLogoInlineVisible] = useState(true);
-  const [holiday, setHoliday] = useState({ isHoliday: false });
+  const [holiday, setHoliday] = useState(null); // today's holiday from the shop calendar { title, message, blockStamps, blockPayments }
   
   // Payment State
   const [payAmount, setPayAmount] = useState("");
   const [isPaying, setIsPaying] = useState(false);
+  const [mockOrder, setMockOrder] = useState(null); // fake gateway checkout
+  const [openPastCard, setOpenPastCard] = useState(null); // redemption id expanded in Past Cards
+  const [catalog, setCatalog] = useState([]); // catalog rewards available today
+  const [campaigns, setCampaigns] = useState([]); // promotions running right now
+  const [requestingVoucher, setRequestingVoucher] = useState(false);
+  const [clock, setClock] = useState(() => Date.now()); // ticks while a voucher is on screen
 
   // Notification State
   const [toast, setToast] = useState(null); 
@@ -124,15 +105,25 @@ export default function Card() {
     return () => { isMountedRef.current = false; };
   }, []);
 
+  // Holiday notice from the shop calendar (re-checked every minute so it flips at midnight)
   useEffect(() => {
+    const controller = new AbortController();
     const checkHoliday = () => {
-      const ist = getIstDate();
-      const info = getHolidayInfoForIst(ist);
-      setHoliday(info);
+      fetch(`${API_BASE}/api/customer/holiday`, { signal: controller.signal })
+        .then((res) => (res.ok ? res.json() : { holiday: null }))
+        .then((data) => {
+          if (isMountedRef.current) setHoliday(data.holiday || null);
+        })
+        .catch((err) => {
+          if (err.name !== "AbortError") console.error("fetchHoliday error:", err);
+        });
     };
     checkHoliday();
     const id = setInterval(checkHoliday, 60 * 1000);
-    return () => clearInterval(id);
+    return () => {
+      clearInterval(id);
+      controller.abort();
+    };
   }, []);
 
   // Sync URL
@@ -150,10 +141,7 @@ export default function Card() {
 
   // Load Card
   useEffect(() => {
-    const memberCode = localStorage.getItem("cr_memberCode");
-    const phone = localStorage.getItem("cr_phone");
-
-    if (!memberCode || !phone) {
+    if (!hasSession()) {
       navigate("/start", { replace: true });
       return;
     }
@@ -164,16 +152,14 @@ export default function Card() {
       setLoading(true);
       setError("");
       try {
-        const url = `${API_BASE}/api/customer/card/${memberCode}?phone=${encodeURIComponent(phone)}`;
-        const res = await fetch(url, { signal: controller.signal });
+        const res = await customerFetch("/api/customer/card", { signal: controller.signal });
 
         if (!res.ok) {
           const d = await res.json().catch(() => ({}));
           const message = d.message || "Unable to load card. Please sign in again.";
           setError(message);
           setLoading(false);
-          localStorage.removeItem("cr_memberCode");
-          localStorage.removeItem("cr_phone");
+          if (res.status === 401 || res.status === 404) logout();
           return;
         }
 
@@ -196,11 +182,54 @@ export default function Card() {
     return () => controller.abort();
   }, [navigate]);
 
+  // Load Reward Catalog
+  useEffect(() => {
+    const controller = new AbortController();
+    fetch(`${API_BASE}/api/customer/rewards`, { signal: controller.signal })
+      .then((res) => (res.ok ? res.json() : { rewards: [] }))
+      .then((data) => {
+        if (isMountedRef.current) setCatalog(Array.isArray(data.rewards) ? data.rewards : []);
+      })
+      .catch((err) => {
+        if (err.name !== "AbortError") console.error("fetchRewards error:", err);
+      });
+    return () => controller.abort();
+  }, []);
+
+  // Load Running Campaigns (banner)
+  useEffect(() => {
+    const controller = new AbortController();
+    fetch(`${API_BASE}/api/customer/campaigns`, { signal: controller.signal })
+      .then((res) => (res.ok ? res.json() : { campaigns: [] }))
+      .then((data) => {
+        if (isMountedRef.current) setCampaigns(Array.isArray(data.campaigns) ? data.campaigns : []);
+      })
+      .catch((err) => {
+        if (err.name !== "AbortError") console.error("fetchCampaigns error:", err);
+      });
+    return () => controller.abort();
+  }, []);
+
   const stamps = Number(card?.currentStamps ?? card?.current_stamps ?? 0);
   const rewards = Number(card?.totalRewards ?? card?.total_rewards ?? 0);
   // Get history safely
   const history = Array.isArray(card?.history) ? card.history : [];
-  const isRewardReady = stamps >= 12;
+  const pendingPayments = Array.isArray(card?.pendingPayments) ? card.pendingPayments : [];
+  const carriedStamps = Number(card?.carriedStamps ?? 0);
+  const pastCards = Array.isArray(card?.pastCards) ? card.pastCards : [];
+  const expiring = card?.expiring || null; // { count, expiresAt } when stamps expire soon
+  const birthdayBonus = card?.birthdayBonus || null; // this year's bonus while its window is open
+  const tier = card?.tier || null; // { name, basis, value, perks, next: { name, remaining } }
+  // Tier perks can lower the bill needed for a stamp and add bonus stamps
+  const minStampAmount = tier?.perks?.minStampAmount ?? program.minStampAmount;
+  const tierBonusStamps = tier?.perks?.bonusStamps || 0;
+  const isRewardReady = stamps >= cardSize;
+  const canRedeemCard = stamps >= redeemStampTarget;
+  const voucher = card?.voucher || null; // live redemption code { code, reward_name, stamp_cost, expires_at }
+  const referral = card?.referral || null; // { code, joined, qualified, stamps_earned }
+  const wallet = card?.wallet || null; // { balance, transactions } store credit from rewards
+  const referralLink = referral?.code ? `${window.location.origin}/register?ref=${referral.code}` : "";
+  const voucherSecondsLeft = voucher ? Math.max(0, Math.floor((new Date(voucher.expires_at).getTime() - clock) / 1000)) : 0;
 
   useEffect(() => {
     if (isRewardReady) {
@@ -210,46 +239,187 @@ export default function Card() {
     }
   }, [isRewardReady]);
 
+  // While a voucher is showing: tick the countdown and poll until staff redeem it
+  const voucherCode = voucher?.code;
+  useEffect(() => {
+    if (!voucherCode) return;
+    const tick = setInterval(() => setClock(Date.now()), 1000);
+    const poll = setInterval(async () => {
+      try {
+        const res = await customerFetch(`/api/customer/vouchers/${voucherCode}`);
+        if (!res.ok || !isMountedRef.current) return;
+        const data = await res.json();
+        if (data.voucher.status === "redeemed") {
+          setCard((prev) => ({ ...prev, ...data.card, voucher: null }));
+          setToast({ message: `${data.voucher.reward_name} redeemed. Enjoy! 🎉`, type: "success" });
+        } else if (data.voucher.status !== "issued") {
+          setCard((prev) => ({ ...prev, voucher: null }));
+          setToast({ message: "Your reward code expired. Get a new one at the counter.", type: "info" });
+        }
+      } catch (err) {
+        console.error("voucher poll error:", err);
+      }
+    }, 4000);
+    return () => {
+      clearInterval(tick);
+      clearInterval(poll);
+    };
+  }, [voucherCode]);
+
   // ---------- Handlers ----------
 
-  const handleSwitchUser = () => {
-    localStorage.removeItem("cr_memberCode");
-    localStorage.removeItem("cr_phone");
+  // Share the referral link (share sheet on phones, clipboard elsewhere)
+  const handleShareReferral = async () => {
+    const text = `Join CakeRoven Loyalty with my code ${referral.code} and we both get bonus stamps!`;
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: "CakeRoven Loyalty", text, url: referralLink });
+      } else {
+        await navigator.clipboard.writeText(`${text} ${referralLink}`);
+        setToast({ message: "Referral link copied!", type: "success" });
+      }
+    } catch (err) {
+      if (err?.name !== "AbortError") setToast({ message: "Could not share the link. Your code is " + referral.code, type: "info" });
+    }
+  };
+
+  // Ask for a one-time code the counter staff redeem (rewardId null = full-card reward)
+  const handleGetVoucher = async (rewardId = null) => {
+    setRequestingVoucher(true);
+    try {
+      const res = await customerFetch("/api/customer/vouchers", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ rewardId: rewardId || undefined }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setClock(Date.now());
+        setCard((prev) => ({ ...prev, voucher: data.voucher }));
+        window.scrollTo({ top: 0, behavior: "smooth" });
+      } else {
+        setToast({ message: data.message || "Could not create a reward code.", type: "error" });
+      }
+    } catch (err) {
+      console.error("getVoucher error:", err);
+      setToast({ message: "Network error.", type: "error" });
+    } finally {
+      setRequestingVoucher(false);
+    }
+  };
+
+  const handleSwitchUser = async () => {
+    await logout();
+    navigate("/start", { replace: true });
+  };
+
+  // Lost or shared phone: end every session of this card, this one included
+  const handleLogoutEverywhere = async () => {
+    if (!window.confirm("Log out of your card on every device?")) return;
+    await logout({ everywhere: true });
     navigate("/start", { replace: true });
   };
   const handleInlineLogoError = () => setLogoInlineVisible(false);
 
-  // --- Payment Handler ---
-  const handlePayment = async () => {
-    if (!payAmount || Number(payAmount) <= 0) {
-      setToast({ message: "Please enter a valid amount.", type: "error" });
-      return;
+  // Record the failure against the stored order so it shows under "Pending Payments"
+  const reportPaymentFailed = async (orderId, reason) => {
+    try {
+      const res = await customerFetch("/api/customer/payment-failed", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ orderId, reason }),
+      });
+      if (!res.ok) return;
+      setCard((prev) => {
+        if (!prev) return prev;
+        const others = (prev.pendingPayments || []).filter((p) => p.order_id !== orderId);
+        const failed = { order_id: orderId, amount: Number(payAmount), status: "failed", failure_reason: reason || null, created_at: new Date().toISOString() };
+        return { ...prev, pendingPayments: [failed, ...others] };
+      });
+    } catch (err) {
+      console.error("reportPaymentFailed error:", err);
     }
+  };
 
-    let keyId = null;
+  // --- Verify a completed checkout (Razorpay handler or mock checkout) ---
+  const verifyPayment = async (response) => {
     try {
-        // eslint-disable-next-line
-        if (import.meta.env && import.meta.env.VITE_RAZORPAY_KEY_ID) {
-            keyId = import.meta.env.VITE_RAZORPAY_KEY_ID;
+      const verifyRes = await customerFetch("/api/customer/add-online-stamp", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          amount: Number(payAmount),
+          paymentId: response.razorpay_payment_id,
+          orderId: response.razorpay_order_id, 
+          signature: response.razorpay_signature
+        }),
+      });
+      
+      const data = await verifyRes.json();
+      
+      if (verifyRes.ok) {
+        if (data.card) setCard((prev) => ({ ...prev, ...data.card }));
+        if (data.stampAdded) {
+           const added = data.stampsAdded || 1;
+           let message = `Payment Successful! ${added} Stamp${added > 1 ? "s" : ""} Added.`;
+           if (data.stampsCarried > 0) message += ` ${data.stampsCarried} saved for your next card.`;
+           if (data.campaign) message += ` ${data.campaign.name} bonus included!`;
+           if (data.referral?.refereeStamps > 0) message += ` +${data.referral.refereeStamps} referral bonus!`;
+           setToast({ message, type: "success" });
+        } else {
+           if (data.reason === "low_amount") {
+             setToast({ message: `Payment success, but <${minStampAmount}. No stamp.`, type: "info" });
+           } else if (data.reason === "holiday") {
+             setToast({ message: "Payment success, but no stamps are given today (shop holiday).", type: "info" });
+           } else if (data.reason === "limit_reached") {
+             setToast({ message: `Payment success! ${ordinal(cardSize)} stamp is manual.`, type: "info" });
+           } else if (data.reason === "carried_over") {
+             setToast({ message: `Payment success! ${data.stampsCarried} stamp(s) saved for your next card.`, type: "success" });
+           } else if (data.reason === "already_processed") {
+             setToast({ message: "Payment already verified. Your card is up to date.", type: "success" });
+           } else {
+             setToast({ message: "Payment successful.", type: "success" });
+           }
         }
-    } catch (e) { /* Ignore */ }
 
-    if (!keyId) {
-      setToast({ message: "System Error: Payment Key Missing.", type: "error" });
-      return;
+      } else {
+         setToast({ message: data.message || "Payment failed.", type: "error" });
+      }
+    } catch (err) {
+      console.error("Backend stamp error", err);
+      setToast({ message: "Network error.", type: "error" });
+    } finally {
+      setIsPaying(false);
+      setPayAmount("");
     }
+  };
 
-    setIsPaying(true);
+  const handlePaymentFailed = (orderId, description) => {
+    setToast({ message: "Payment Failed.", type: "error" });
+    setIsPaying(false);
+    reportPaymentFailed(orderId, description);
+  };
 
-    const res = await loadRazorpayScript();
-    if (!res) {
-      setToast({ message: "Razorpay SDK failed. Check internet.", type: "error" });
-      setIsPaying(false);
+  const handlePaymentDismissed = () => {
+    setIsPaying(false);
+    setToast({ message: "Payment cancelled.", type: "error" });
+  };
+
+  // --- Payment Handler ---
+  const handlePayment = async () => {
+    if (holiday?.blockPayments) {
+      setToast({ message: holiday.message || "Online payments are closed today.", type: "info" });
       return;
     }
+    if (!payAmount || Number(payAmount) <= 0) {
+      setToast({ message: "Please enter a valid amount.", type: "error" });
+      return;
+    }
+
+    setIsPaying(true);
 
     try {
-        const orderRes = await fetch(`${API_BASE}/api/customer/create-order`, {
+        const orderRes = await customerFetch("/api/customer/create-order", {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({ amount: Number(payAmount) }),
@@ -261,6 +431,26 @@ export default function Card() {
             throw new Error(orderData.message || "Could not create order ID");
         }
 
+        // Offline fake gateway (PAYMENT_PROVIDER=fake on the backend)
+        if (orderData.provider === "fake") {
+          setMockOrder(orderData);
+          return;
+        }
+
+        const keyId = import.meta.env.VITE_RAZORPAY_KEY_ID || orderData.keyId;
+        if (!keyId) {
+          setToast({ message: "System Error: Payment Key Missing.", type: "error" });
+          setIsPaying(false);
+          return;
+        }
+
+        const res = await loadRazorpayScript();
+        if (!res) {
+          setToast({ message: "Razorpay SDK failed. Check internet.", type: "error" });
+          setIsPaying(false);
+          return;
+        }
+
         const options = {
           key: keyId, 
           amount: orderData.amount, 
@@ -269,53 +459,9 @@ export default function Card() {
           description: "Loyalty Stamp Payment",
           image: `${window.location.origin}/cakeroven-logo.png`, 
           order_id: orderData.orderId,
-          
-          handler: async function (response) {
-            try {
-              const verifyRes = await fetch(`${API_BASE}/api/customer/add-online-stamp`, {
-                method: "POST",
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({
-                  memberCode: card?.memberCode,
-                  amount: Number(payAmount),
-                  paymentId: response.razorpay_payment_id,
-                  orderId: response.razorpay_order_id, 
-                  signature: response.razorpay_signature
-                }),
-              });
-              
-              const data = await verifyRes.json();
-              
-              if (verifyRes.ok) {
-                if (data.card) setCard(data.card);
-                if (data.stampAdded) {
-                   setToast({ message: "Payment Successful! 1 Stamp Added.", type: "success" });
-                } else {
-                   if (data.reason === "low_amount") {
-                     setToast({ message: "Payment success, but <500. No stamp.", type: "info" });
-                   } else if (data.reason === "limit_reached") {
-                     setToast({ message: "Payment success! 12th stamp is manual.", type: "info" });
-                   } else {
-                     setToast({ message: "Payment successful.", type: "success" });
-                   }
-                }
-
-              } else {
-                 setToast({ message: data.message || "Payment failed.", type: "error" });
-              }
-            } catch (err) {
-              console.error("Backend stamp error", err);
-              setToast({ message: "Network error.", type: "error" });
-            } finally {
-              setIsPaying(false);
-              setPayAmount("");
-            }
-          },
+          handler: verifyPayment,
           modal: {
-            ondismiss: function() {
-              setIsPaying(false);
-              setToast({ message: "Payment cancelled.", type: "error" });
-            }
+            ondismiss: handlePaymentDismissed
           },
           prefill: {
             name: card?.name || "",
@@ -330,8 +476,7 @@ export default function Card() {
         paymentObject.open();
         
         paymentObject.on('payment.failed', function (response){
-            setToast({ message: "Payment Failed.", type: "error" });
-            setIsPaying(false);
+            handlePaymentFailed(orderData.orderId, response?.error?.description);
         });
 
     } catch (error) {
@@ -357,14 +502,14 @@ export default function Card() {
   };
 
   // --- Views ---
-  if (holiday?.isHoliday) {
+  // Stamping and payments both closed: the card has nothing to offer today
+  if (holiday?.blockStamps && holiday?.blockPayments) {
     const { title, message } = holiday;
     return (
       <main className="min-h-screen bg-gradient-to-b from-amber-50 to-amber-100 flex items-center justify-center p-6">
         <motion.section initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="w-full max-w-md mx-auto bg-white rounded-2xl shadow-2xl p-6 text-center">
-          <div className="flex items-center justify-center mb-4"><span style={{ fontSize: 28 }}>{holiday.key === "christmas" ? "🎄" : "🎉"}</span></div>
           <h2 className="text-2xl font-extrabold text-amber-900 mb-2">{title}</h2>
-          <p className="text-sm text-amber-800/90 mb-4">{message}</p>
+          {message && <p className="text-sm text-amber-800/90 mb-4">{message}</p>}
           <button onClick={() => window.location.reload()} className="px-4 py-2 bg-amber-700 text-white rounded-full">Refresh</button>
         </motion.section>
       </main>
@@ -464,6 +609,16 @@ export default function Card() {
                 <p className="text-xs text-amber-100/70">Card Holder</p>
                 <p className="text-base font-semibold truncate pr-1">{card?.name || "—"}</p>
               </div>
+              {tier && (
+                <div className="flex items-center gap-2 flex-wrap">
+                  <span className="text-[10px] font-bold uppercase tracking-wider px-2 py-0.5 rounded-full bg-amber-300/15 border border-amber-300/40 text-amber-200">{tier.name} Member</span>
+                  {tier.next && (
+                    <span className="text-[10px] text-amber-100/60">
+                      {tier.basis === "spend" ? `₹${Math.ceil(tier.next.remaining)} more` : `${tier.next.remaining} more reward${tier.next.remaining === 1 ? "" : "s"}`} to {tier.next.name}
+                    </span>
+                  )}
+                </div>
+              )}
               <div className="flex items-center gap-2 text-sm flex-wrap">
                 <span className="text-xs text-amber-100/70">Phone:</span>
                 <span className="font-mono text-sm">{showPhone ? card?.phone : maskedPhone}</span>
@@ -474,8 +629,8 @@ export default function Card() {
               <div className="relative group">
                 <div className="absolute inset-0 bg-[#fbbf24] blur opacity-20 rounded-lg group-hover:opacity-30 transition"></div>
                 <div className="relative px-2.5 py-1.5 border border-[#fbbf24]/40 bg-[#fbbf24]/10 shadow-[0_0_15px_rgba(251,191,36,0.15)] backdrop-blur-sm rounded-xl">
-                  <p className="text-[9px] uppercase text-[#fbbf24]/80 font-bold mb-0.5 text-right">Unlocks after 11</p>
-                  <p className="text-sm font-extrabold text-[#fbbf24]">₹1000 Food FREE ✨</p>
+                  <p className="text-[9px] uppercase text-[#fbbf24]/80 font-bold mb-0.5 text-right">Unlocks after {redeemStampTarget}</p>
+                  <p className="text-sm font-extrabold text-[#fbbf24]">₹{rewardValue} Food FREE ✨</p>
                 </div>
               </div>
             </motion.div>
@@ -484,19 +639,93 @@ export default function Card() {
           {/* Stamps Grid */}
           <div className="mb-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
             <div className="flex items-center gap-2">
-              <span className="inline-flex items-center justify-center px-2 py-1 rounded-full bg-amber-100/8 border border-amber-100/20 font-mono text-sm">{stamps}/12</span>
+              <span className="inline-flex items-center justify-center px-2 py-1 rounded-full bg-amber-100/8 border border-amber-100/20 font-mono text-sm">{stamps}/{cardSize}</span>
               <p className="text-xs text-amber-100/80">{isRewardReady ? "Reward unlocked! Claim below." : "stamps to your next treat."}</p>
+              {carriedStamps > 0 && <span className="text-[10px] px-1.5 py-0.5 rounded bg-amber-400/10 border border-amber-400/30 text-amber-300" title="Earned after this card filled up">+{carriedStamps} for next card</span>}
             </div>
-            <div className="text-xs px-2 py-1 rounded-full bg-amber-100/8 border border-amber-100/20 whitespace-nowrap">PAY ₹500+ = 1 STAMP</div>
+            <div className="text-xs px-2 py-1 rounded-full bg-amber-100/8 border border-amber-100/20 whitespace-nowrap">{perAmount ? `1 STAMP PER ₹${minStampAmount} (MAX ${maxStampsPerBill})` : `PAY ₹${minStampAmount}+ = 1 STAMP`}</div>
           </div>
 
+          {holiday && (
+            <div className="mb-3 flex items-start gap-2 px-3 py-2 rounded-xl bg-red-500/10 border border-red-400/30 text-xs text-red-100">
+              <span className="text-base">📅</span>
+              <span>
+                <b>{holiday.title}</b>
+                {holiday.message && <> {holiday.message}</>}
+                {holiday.blockStamps && " No stamps today."}
+                {holiday.blockPayments && " Online payments are closed today."}
+              </span>
+            </div>
+          )}
+
+          {campaigns.map((cp) => (
+            <div key={cp.id} className="mb-3 flex items-center gap-2 px-3 py-2 rounded-xl bg-purple-500/10 border border-purple-400/30 text-xs text-purple-100">
+              <span className="text-base">🎉</span>
+              <span>
+                <b>{cp.banner || cp.name}</b>{" "}
+                {cp.kind === "multiplier" ? `${cp.multiplier}× stamps` : `+${cp.bonus_stamps} bonus stamp${cp.bonus_stamps === 1 ? "" : "s"}`}
+                {cp.first_visit_of_month ? " on your first visit this month" : ""}
+                {cp.min_amount ? ` on bills of ₹${cp.min_amount}+` : ""}
+                {cp.end_time ? ` until ${cp.end_time}` : cp.ends_on ? ` until ${formatDate(cp.ends_on)}` : ""}.
+              </span>
+            </div>
+          ))}
+
+          {voucher && voucherSecondsLeft > 0 ? (
+            <div className="mb-3 px-4 py-3 rounded-xl bg-green-500/10 border border-green-400/40 text-center">
+              <p className="text-[10px] uppercase tracking-wider text-green-200/80">Show this code at the counter</p>
+              <p className="my-1 font-mono text-3xl font-extrabold tracking-[0.3em] text-green-100">{voucher.code}</p>
+              <p className="text-xs text-green-100/80">
+                {voucher.reward_name} · {voucher.stamp_cost} stamps · expires in {Math.floor(voucherSecondsLeft / 60)}:{String(voucherSecondsLeft % 60).padStart(2, "0")}
+              </p>
+            </div>
+          ) : canRedeemCard ? (
+            <button
+              onClick={() => handleGetVoucher()}
+              disabled={requestingVoucher}
+              className="mb-3 w-full py-2.5 rounded-xl bg-green-600/90 hover:bg-green-600 text-white text-sm font-bold disabled:opacity-60"
+            >
+              {requestingVoucher ? "Getting code..." : `🎁 Get code for ₹${rewardValue} food reward`}
+            </button>
+          ) : null}
+
+          {birthdayBonus && (
+            <div className="mb-3 flex items-center gap-2 px-3 py-2 rounded-xl bg-pink-500/10 border border-pink-400/30 text-xs text-pink-100">
+              <span className="text-base">🎂</span>
+              {birthdayBonus.bonus_type === "treat" ? (
+                birthdayBonus.redeemed_at ? (
+                  <span>Happy Birthday! Hope you enjoyed your {birthdayBonus.treat}.</span>
+                ) : (
+                  <span>
+                    Happy Birthday! Your treat: <b>{birthdayBonus.treat}</b>. Show this card at the counter by{" "}
+                    {new Date(`${birthdayBonus.valid_until}T00:00:00`).toLocaleDateString("en-IN", { day: "numeric", month: "short" })}.
+                  </span>
+                )
+              ) : (
+                <span>
+                  Happy Birthday! We added {birthdayBonus.stamps_granted} bonus stamp{birthdayBonus.stamps_granted === 1 ? "" : "s"} to your card.
+                </span>
+              )}
+            </div>
+          )}
+
+          {expiring && (
+            <div className="mb-3 flex items-center gap-2 px-3 py-2 rounded-xl bg-red-500/10 border border-red-400/30 text-xs text-red-200">
+              <span>⏳</span>
+              <span>
+                {expiring.count} stamp{expiring.count === 1 ? "" : "s"} expire{expiring.count === 1 ? "s" : ""} on{" "}
+                <b>{new Date(expiring.expiresAt).toLocaleDateString("en-IN", { day: "numeric", month: "short" })}</b>. Visit us before then to keep {expiring.count === 1 ? "it" : "them"}!
+              </span>
+            </div>
+          )}
+
           <div className="rounded-2xl bg-[#3d0f0b]/60 border border-amber-100/6 p-3 mb-3 relative">
             <div className="grid grid-cols-4 gap-3 justify-center">
               <AnimatePresence initial={false}>
-                {Array.from({ length: 12 }).map((_, i) => {
+                {Array.from({ length: cardSize }).map((_, i) => {
                   const index = i + 1;
                   const filled = stamps >= index;
-                  const isFinal = index === 12;
+                  const isFinal = index === cardSize;
                   const sizeClasses = isFinal ? "h-12 w-12 sm:h-14 sm:w-14" : "h-10 w-10 md:h-12 md:w-12";
                   const borderClasses = filled ? (isFinal ? "border-amber-300 shadow-[0_0_15px_rgba(251,191,36,0.5)] bg-[#501914]" : "border-amber-200 bg-amber-100 shadow-md") : (isFinal ? "border-amber-400/50 bg-amber-400/5 shadow-[0_0_10px_rgba(251,191,36,0.2)]" : "border-amber-100/20 bg-transparent hover:bg-amber-100/6");
 
@@ -537,7 +766,7 @@ export default function Card() {
   </div>
 )}
 
-              <motion.button whileTap={{ scale: 0.97 }} onClick={handlePayment} disabled={isPaying} className="relative px-6 py-2.5 rounded-xl bg-gradient-to-r from-amber-400 to-amber-600 text-[#3d0f0b] font-bold text-sm shadow-lg shadow-amber-900/40 hover:brightness-110 disabled:opacity-70 disabled:cursor-not-allowed flex items-center justify-center gap-2 min-w-[120px]">
+              <motion.button whileTap={{ scale: 0.97 }} onClick={handlePayment} disabled={isPaying || holiday?.blockPayments} className="relative px-6 py-2.5 rounded-xl bg-gradient-to-r from-amber-400 to-amber-600 text-[#3d0f0b] font-bold text-sm shadow-lg shadow-amber-900/40 hover:brightness-110 disabled:opacity-70 disabled:cursor-not-allowed flex items-center justify-center gap-2 min-w-[120px]">
                 {isPaying ? <><div className="h-4 w-4 rounded-full border-2 border-[#3d0f0b]/30 border-t-[#3d0f0b] animate-spin" /><span>Wait...</span></> : "Pay Now"}
               </motion.button>
             </div>
@@ -546,26 +775,59 @@ export default function Card() {
                 <button key={amt} onClick={() => setPayAmount(amt.toString())} className="px-3 py-1 rounded-lg border border-amber-100/10 bg-amber-100/5 text-xs text-amber-100/60 hover:bg-amber-100/10 hover:border-amber-100/30 transition">₹{amt}</button>
               ))}
             </div>
+
+            {/* Pending / Failed Payments */}
+            {pendingPayments.length > 0 && (
+              <div className="mt-3 pt-3 border-t border-amber-100/10 space-y-1.5">
+                <p className="text-[10px] uppercase tracking-wider text-amber-100/50">Pending Payments</p>
+                {pendingPayments.map((p) => (
+                  <div key={p.order_id} className="flex items-center justify-between text-xs">
+                    <span className="text-amber-100/70">{formatDate(p.created_at)} · {formatTime(p.created_at)}</span>
+                    <span className="flex items-center gap-2">
+                      <span className="font-mono text-amber-100/90">₹{Number(p.amount)}</span>
+                      <span className={`px-1.5 py-0.5 rounded text-[9px] font-bold uppercase tracking-wide border ${p.status === "failed" ? "bg-red-500/10 text-red-300 border-red-500/20" : "bg-amber-100/5 text-amber-100/60 border-amber-100/20"}`} title={p.failure_reason || ""}>
+                        {p.status === "created" ? "Pending" : p.status}
+                      </span>
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
 
           {/* ✅ RESTORED ALL TEXT ✅ */}
           <div className="text-xs text-amber-100/75 space-y-2">
             <p>
-              Cash: Show at counter, Online: Pay using the box above. <span className="font-semibold">₹500 or more</span> earns <span className="font-semibold">1 stamp</span>.
+              Cash: Show at counter, Online: Pay using the box above. {perAmount ? (
+                <>Every <span className="font-semibold">₹{minStampAmount}</span> on a bill earns <span className="font-semibold">1 stamp</span>, up to {maxStampsPerBill} per bill.</>
+              ) : (
+                <><span className="font-semibold">₹{minStampAmount} or more</span> earns <span className="font-semibold">1 stamp</span>.</>
+              )}
+              {tierBonusStamps > 0 && <> As a {tier.name} member you get <span className="font-semibold">+{tierBonusStamps} bonus stamp{tierBonusStamps === 1 ? "" : "s"}</span> on every such bill.</>}
+            </p>
+            <p>
+              On your {ordinal(cardSize)} visit, enjoy up to ₹{rewardValue} worth of food FREE. If the bill exceeds ₹{rewardValue}, only the balance amount is payable. Unused free value does not carry forward.
             </p>
             <p>
-              On your 12th visit, enjoy up to ₹1000 worth of food FREE. If the bill exceeds ₹1000, only the balance amount is payable. Unused free value does not carry forward.
+              To redeem, get a reward code here and show it at the counter. Each code works once and only for a few minutes.
             </p>
+            {catalog.length > 0 && (
+              <p>
+                Or spend stamps early on a treat from the <span className="font-semibold">Rewards Menu</span> below. Only the stamps it costs come off your card.
+              </p>
+            )}
             <p>
-              Only 1 bill = 1 stamp. No bill splitting allowed.
+              {perAmount ? "Stamps are counted per bill. No bill splitting allowed." : "Only 1 bill = 1 stamp. No bill splitting allowed."}
             </p>
 
-            <div className="flex items-center gap-2 mt-2">
+            <div className="flex flex-wrap items-center gap-2 mt-2">
               <button onClick={handleSwitchUser} className="inline-flex items-center gap-2 px-3 py-1.5 rounded-full border border-amber-100/20 text-xs hover:bg-amber-100/6 transition">Not you? Switch user</button> 
+              <button onClick={() => navigate("/profile")} className="inline-flex items-center gap-2 px-3 py-1.5 rounded-full border border-amber-100/20 text-xs hover:bg-amber-100/6 transition">Edit profile</button>
+              <button onClick={handleLogoutEverywhere} className="inline-flex items-center gap-2 px-3 py-1.5 rounded-full border border-amber-100/20 text-xs hover:bg-amber-100/6 transition">Log out everywhere</button>
               {isRewardReady && <motion.button onClick={() => { setCelebrate(true); setTimeout(() => setCelebrate(false), 1200); }} className="ml-auto px-3 py-1.5 rounded-full bg-amber-100/10 border border-amber-100/30 text-xs">🎉 Claim Reward</motion.button>}
             </div>
             <p>
-              * Conditions apply on 25th Dec & 31st Dec - 1st Jan.
+              * Stamps and online payments may be closed on shop holidays, announced on this card.
             </p> 
           </div>
 
@@ -626,11 +888,19 @@ export default function Card() {
 
                     {/* Right: Amount */}
                     <div className="text-right">
-                      <span className="block font-mono text-base font-bold text-amber-400">
-                        ₹{tx.amount || 0}
-                      </span>
+                      {tx.bonus_source === "birthday" ? (
+                        <span className="block text-sm font-bold text-pink-300">🎂 Birthday</span>
+                      ) : tx.bonus_source === "referral" ? (
+                        <span className="block text-sm font-bold text-sky-300">🤝 Referral</span>
+                      ) : tx.campaign_id ? (
+                        <span className="block text-sm font-bold text-purple-300" title={`₹${tx.amount || 0} bill`}>🎉 {tx.campaign_name || "Promo"}</span>
+                      ) : (
+                        <span className="block font-mono text-base font-bold text-amber-400">
+                          ₹{tx.amount || 0}
+                        </span>
+                      )}
                       <span className="inline-block mt-0.5 px-1.5 py-0.5 rounded text-[9px] font-bold uppercase tracking-wide bg-green-500/10 text-green-400 border border-green-500/20">
-                        Paid
+                        {tx.bonus_source || tx.campaign_id ? "Bonus" : "Paid"}
                       </span>
                     </div>
                   </motion.div>
@@ -649,14 +919,213 @@ export default function Card() {
             <div className="px-5 py-3 bg-black/30 border-t border-amber-500/10 flex justify-between items-center text-xs font-medium">
               <span className="text-amber-100/60 uppercase tracking-widest">Total Spent</span>
               <span className="font-mono text-lg font-bold text-amber-400">
-                ₹{history.reduce((acc, curr) => acc + Number(curr.amount || 0), 0)}
+                ₹{history.reduce((acc, curr, i) => {
+                  // A bill that earned several stamps is counted once
+                  const seen = curr.transaction_id && history.slice(0, i).some((h) => h.transaction_id === curr.transaction_id);
+                  return seen ? acc : acc + Number(curr.amount || 0);
+                }, 0)}
               </span>
             </div>
           )}
         </motion.section>
 
+        {/* ======================================================== */}
+        {/* CARD 3: WALLET (Store credit from rewards) */}
+        {/* ======================================================== */}
+        {wallet && (wallet.balance > 0 || wallet.transactions?.length > 0) && (
+          <motion.section
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.22 }}
+            className="relative z-10 w-full bg-gradient-to-b from-[#2a0a08]/90 to-[#1a0504]/90 rounded-3xl border border-amber-500/20 shadow-2xl backdrop-blur-md overflow-hidden"
+          >
+            <div className="px-5 py-4 border-b border-amber-500/10 bg-[#3d0f0b]/40 flex items-center justify-between">
+              <h3 className="text-sm font-bold uppercase tracking-wider text-amber-100/90 flex items-center gap-2">
+                <span className="text-amber-400 text-base">💳</span> Wallet
+              </h3>
+              <span className="font-mono text-lg font-bold text-amber-300">₹{wallet.balance}</span>
+            </div>
+            <div className="p-3 space-y-2">
+              <p className="px-1 text-[11px] text-amber-100/50">Reward value kept for later. Ask at the counter to use some of it on your bill.</p>
+              {(wallet.transactions || []).map((t) => (
+                <div key={t.id} className="flex items-center justify-between p-3 rounded-xl bg-white/5 border border-white/5">
+                  <div className="flex flex-col">
+                    <span className="text-sm font-semibold text-amber-100/90">
+                      {t.kind === "credit" ? "Reward added" : t.bill_amount ? `Used on a ₹${t.bill_amount} bill` : "Used on a bill"}
+                    </span>
+                    <span className="text-[11px] text-amber-100/50">{formatDate(t.created_at)}</span>
+                  </div>
+                  <span className={`font-mono text-sm font-bold ${t.kind === "credit" ? "text-green-300" : "text-amber-400"}`}>
+                    {t.kind === "credit" ? "+" : "−"}₹{t.amount}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </motion.section>
+        )}
+
+        {/* ======================================================== */}
+        {/* CARD 4: REWARDS MENU (Catalog rewards) */}
+        {/* ======================================================== */}
+        {catalog.length > 0 && (
+          <motion.section
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.25 }}
+            className="relative z-10 w-full bg-gradient-to-b from-[#2a0a08]/90 to-[#1a0504]/90 rounded-3xl border border-amber-500/20 shadow-2xl backdrop-blur-md overflow-hidden"
+          >
+            <div className="px-5 py-4 border-b border-amber-500/10 bg-[#3d0f0b]/40 flex items-center justify-between">
+              <h3 className="text-sm font-bold uppercase tracking-wider text-amber-100/90 flex items-center gap-2">
+                <span className="text-amber-400 text-base">🎁</span> Rewards Menu
+              </h3>
+              <span className="text-[10px] text-amber-100/40 bg-black/20 px-2 py-1 rounded-full">
+                {catalog.filter((rw) => rw.stamp_cost <= stamps).length} you can get
+              </span>
+            </div>
+
+            <div className="p-3 space-y-2">
+              {catalog.map((rw) => {
+                const affordable = rw.stamp_cost <= stamps;
+                return (
+                  <div
+                    key={rw.id}
+                    className={`flex items-center gap-3 p-3 rounded-xl border ${affordable ? "bg-amber-500/10 border-amber-400/30" : "bg-white/5 border-white/5 opacity-60"}`}
+                  >
+                    {rw.image_url ? (
+                      <img src={rw.image_url} alt="" className="h-12 w-12 rounded-lg object-cover border border-amber-500/20" />
+                    ) : (
+                      <div className="h-12 w-12 rounded-lg bg-black/30 flex items-center justify-center text-2xl">🍰</div>
+                    )}
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-semibold text-amber-100/90 truncate">{rw.name}</p>
+                      {rw.description && <p className="text-[11px] text-amber-100/50 line-clamp-2">{rw.description}</p>}
+                      {rw.ends_on && <p className="text-[10px] text-amber-100/40">Until {formatDate(rw.ends_on)}</p>}
+                    </div>
+                    <div className="text-right shrink-0">
+                      <span className="block font-mono text-sm font-bold text-amber-400">{rw.stamp_cost} ★</span>
+                      {affordable ? (
+                        <button
+                          onClick={() => handleGetVoucher(rw.id)}
+                          disabled={requestingVoucher}
+                          className="mt-0.5 px-2 py-0.5 rounded-full text-[10px] font-bold uppercase bg-green-500/15 border border-green-400/40 text-green-300 disabled:opacity-60"
+                        >
+                          Get code
+                        </button>
+                      ) : (
+                        <span className="text-[10px] font-bold uppercase text-amber-100/40">{rw.stamp_cost - stamps} more</span>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </motion.section>
+        )}
+
+        {/* ======================================================== */}
+        {/* CARD 5: INVITE FRIENDS (Referral code) */}
+        {/* ======================================================== */}
+        {referral?.code && (
+          <motion.section
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.28 }}
+            className="relative z-10 w-full bg-gradient-to-b from-[#2a0a08]/90 to-[#1a0504]/90 rounded-3xl border border-amber-500/20 shadow-2xl backdrop-blur-md overflow-hidden"
+          >
+            <div className="px-5 py-4 border-b border-amber-500/10 bg-[#3d0f0b]/40 flex items-center justify-between">
+              <h3 className="text-sm font-bold uppercase tracking-wider text-amber-100/90 flex items-center gap-2">
+                <span className="text-amber-400 text-base">🤝</span> Invite Friends
+              </h3>
+              {referral.joined > 0 && (
+                <span className="text-[10px] text-amber-100/40 bg-black/20 px-2 py-1 rounded-full">{referral.joined} joined</span>
+              )}
+            </div>
+            <div className="p-4 space-y-3">
+              <p className="text-xs text-amber-100/70">
+                {program.referralReferrerStamps > 0 || program.referralRefereeStamps > 0 ? (
+                  <>When a friend joins with your code and gets their first stamp, you get <span className="font-semibold">{program.referralReferrerStamps} stamp{program.referralReferrerStamps === 1 ? "" : "s"}</span> and they get <span className="font-semibold">{program.referralRefereeStamps}</span> extra.</>
+                ) : (
+                  <>Share your code with friends who'd love CakeRoven.</>
+                )}
+              </p>
+              <div className="flex items-center gap-2">
+                <span className="flex-1 text-center font-mono text-lg font-bold tracking-[0.25em] text-amber-300 bg-black/30 rounded-xl py-2">{referral.code}</span>
+                <button onClick={handleShareReferral} className="px-4 py-2 rounded-xl bg-amber-400 text-[#501914] text-xs font-bold uppercase">Share</button>
+              </div>
+              {referral.stamps_earned > 0 && (
+                <p className="text-[11px] text-amber-100/50">You've earned {referral.stamps_earned} stamp{referral.stamps_earned === 1 ? "" : "s"} from {referral.qualified} friend{referral.qualified === 1 ? "" : "s"}.</p>
+              )}
+            </div>
+          </motion.section>
+        )}
+
+        {/* ======================================================== */}
+        {/* CARD 6: PAST CARDS (Redeemed cycles) */}
+        {/* ======================================================== */}
+        {pastCards.length > 0 && (
+          <motion.section
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.3 }}
+            className="relative z-10 w-full bg-gradient-to-b from-[#2a0a08]/90 to-[#1a0504]/90 rounded-3xl border border-amber-500/20 shadow-2xl backdrop-blur-md overflow-hidden"
+          >
+            <div className="px-5 py-4 border-b border-amber-500/10 bg-[#3d0f0b]/40 flex items-center justify-between">
+              <h3 className="text-sm font-bold uppercase tracking-wider text-amber-100/90 flex items-center gap-2">
+                <span className="text-amber-400 text-base">🏆</span> Past Cards
+              </h3>
+              <span className="text-[10px] text-amber-100/40 bg-black/20 px-2 py-1 rounded-full">{pastCards.length} Redeemed</span>
+            </div>
+
+            <div className="p-3 space-y-2">
+              {pastCards.map((pc) => {
+                const isOpen = openPastCard === pc.id;
+                return (
+                  <div key={pc.id} className="rounded-xl bg-white/5 border border-white/5">
+                    <button onClick={() => setOpenPastCard(isOpen ? null : pc.id)} className="w-full flex items-center justify-between p-3.5 text-left">
+                      <div className="flex flex-col">
+                        <span className="text-sm font-semibold text-amber-100/90">Redeemed {formatDate(pc.redeemed_at)}</span>
+                        <span className="text-[11px] text-amber-100/50">
+                          {pc.card_started_at ? `Started ${formatDate(pc.card_started_at)} · ` : ""}{pc.stamps_count} stamps
+                        </span>
+                      </div>
+                      <div className="text-right">
+                        <span className="block font-mono text-sm font-bold text-amber-400">{pc.reward_name || `₹${Number(pc.reward_value)} reward`}</span>
+                        {pc.wallet_credit ? <span className="block text-[10px] text-green-300/80">₹{pc.wallet_credit} to wallet</span> : null}
+                        <span className="text-[10px] text-amber-100/40">{isOpen ? "Hide" : "Details"}</span>
+                      </div>
+                    </button>
+                    {isOpen && (
+                      <div className="px-3.5 pb-3 grid grid-cols-2 gap-1.5 text-[11px]">
+                        {pc.stamps.map((st) => (
+                          <div key={st.index} className="flex justify-between px-2 py-1 rounded bg-black/20 text-amber-100/70">
+                            <span className="font-mono">#{st.index} · {formatDate(st.date)}</span>
+                            <span className="font-mono text-amber-400/80">₹{Number(st.amount || 0)}</span>
+                          </div>
+                        ))}
+                        {pc.stamps.length === 0 && <p className="col-span-2 text-amber-100/40">No stamp details saved for this card.</p>}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </motion.section>
+        )}
+
       </div>
 
+      {/* Mock Checkout (fake payment provider) */}
+      <AnimatePresence>
+        {mockOrder && (
+          <MockCheckout
+            order={mockOrder}
+            onSuccess={(response) => { setMockOrder(null); verifyPayment(response); }}
+            onFailure={(error) => { setMockOrder(null); handlePaymentFailed(mockOrder.orderId, error?.description); }}
+            onCancel={() => { setMockOrder(null); handlePaymentDismissed(); }}
+          />
+        )}
+      </AnimatePresence>
+
       {/* Toast Notification */}
       <AnimatePresence>
         {toast && (
@@ -674,3 +1143,50 @@ export default function Card() {
   );
 }
 
+// --- Mock Checkout ---
+// Stands in for the Razorpay modal when the backend runs PAYMENT_PROVIDER=fake.
+function MockCheckout({ order, onSuccess, onFailure, onCancel }) {
+  const [busy, setBusy] = useState(false);
+
+  const choose = async (outcome) => {
+    setBusy(true);
+    try {
+      const res = await fetch(`${API_BASE}/api/payments/fake/checkout`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ orderId: order.orderId, outcome }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Mock checkout failed");
+
+      if (outcome === "success") onSuccess(data);
+      else if (outcome === "failure") onFailure(data.error);
+      else onCancel();
+    } catch (err) {
+      console.error("Mock checkout error:", err);
+      onFailure({ description: err.message });
+    }
+  };
+
+  return (
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4">
+      <motion.div initial={{ scale: 0.95, y: 10 }} animate={{ scale: 1, y: 0 }} exit={{ scale: 0.95, y: 10 }} className="w-full max-w-xs rounded-2xl bg-white p-5 text-[#3d0f0b] shadow-2xl">
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="text-sm font-bold">Test Checkout</h3>
+          <span className="px-1.5 py-0.5 rounded text-[9px] font-bold uppercase tracking-wide bg-amber-100 text-amber-800 border border-amber-300">Fake Gateway</span>
+        </div>
+        <p className="text-xs text-gray-500 mb-4">No real money moves. Pick how this payment should end.</p>
+        <div className="rounded-xl bg-amber-50 border border-amber-100 p-3 mb-4 text-center">
+          <p className="text-[10px] uppercase text-gray-500 tracking-wider">Amount</p>
+          <p className="text-2xl font-extrabold font-mono">₹{Number(order.amount) / 100}</p>
+          <p className="text-[10px] font-mono text-gray-400 mt-1 truncate">{order.orderId}</p>
+        </div>
+        <div className="flex flex-col gap-2">
+          <button disabled={busy} onClick={() => choose("success")} className="w-full py-2 rounded-xl bg-green-600 text-white text-sm font-bold disabled:opacity-60">Pay Successfully</button>
+          <button disabled={busy} onClick={() => choose("failure")} className="w-full py-2 rounded-xl bg-red-600 text-white text-sm font-bold disabled:opacity-60">Simulate Failure</button>
+          <button disabled={busy} onClick={() => choose("cancel")} className="w-full py-2 rounded-xl border border-gray-300 text-sm font-semibold disabled:opacity-60">Cancel</button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
@@ -2,6 +2,9 @@ import { useMemo, useState } from "react";
 import { Link, useNavigate } from "react-router-dom";
 import { motion } from "framer-motion";
 import { API_BASE } from "../apiConfig";
+import { requestOtpCode } from "../otp";
+import { saveSession } from "../customerSession";
+import OtpStep from "../OtpStep";
 
 export default function ExistingUser() {
   const navigate = useNavigate();
@@ -16,7 +19,10 @@ export default function ExistingUser() {
   );
   const [phone, setPhone] = useState("");
   const [loading, setLoading] = useState(false);
+  // Set once the code has been texted: { resendAfter }
+  const [otpSent, setOtpSent] = useState(null);
 
+  // Step 1: text a verification code to the number
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -27,30 +33,50 @@ export default function ExistingUser() {
 
     setLoading(true);
 
+    try {
+      const { ok, data } = await requestOtpCode(phone.trim());
+      if (!ok) {
+        alert(data.message || "Could not send the code");
+        return;
+      }
+      setOtpSent({ resendAfter: data.resendAfter });
+    } catch (err) {
+      console.error(err);
+      alert("Server error. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Step 2: log in with the code
+  const handleVerify = async (otp) => {
     try {
       const res = await fetch(`${API_BASE}/api/customer/login-by-phone`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ phone: phone.trim() }),
+        body: JSON.stringify({ phone: phone.trim(), otp }),
       });
 
       const data = await res.json();
 
+      // A new number: the code is still good, so carry it over to create the card
+      if (res.status === 404) {
+        alert(data.message || "There's no card for this number yet. Please register.");
+        navigate("/register", { state: { phone: phone.trim(), otp } });
+        return;
+      }
+
       if (!res.ok) {
         alert(data.message || "Login failed");
-        setLoading(false);
         return;
       }
 
-      const card = data.card || {};
-      localStorage.setItem("cr_memberCode", card.memberCode);
-      localStorage.setItem("cr_phone", card.phone);
+      saveSession(data);
 
       navigate("/card");
     } catch (err) {
       console.error(err);
       alert("Server error. Please try again.");
-      setLoading(false);
     }
   };
 
@@ -90,8 +116,17 @@ export default function ExistingUser() {
         </div>
 
         <h2 className="text-xl font-semibold mb-1">Existing User Login</h2>
-        <p className="text-xs text-[#f5e6c8]/80 mb-5">Enter your registered mobile number</p>
-
+        <p className="text-xs text-[#f5e6c8]/80 mb-5">{otpSent ? "Verify it's you" : "Enter your registered mobile number"}</p>
+
+        {otpSent ? (
+          <OtpStep
+            phone={phone.trim()}
+            resendAfter={otpSent.resendAfter}
+            onVerify={handleVerify}
+            onBack={() => setOtpSent(null)}
+            verifyLabel="Open My CakeRoven Card"
+          />
+        ) : (
         <form onSubmit={handleSubmit} className="space-y-4">
           <div>
             <label className="text-xs font-semibold">Registered Phone</label>
@@ -111,9 +146,10 @@ export default function ExistingUser() {
             disabled={loading}
             className="w-full h-11 rounded-2xl bg-[#f5e6c8] text-[#501914] font-semibold shadow-lg disabled:opacity-70"
           >
-            {loading ? "Finding your card..." : "Open My CakeRoven Card"}
+            {loading ? "Sending code..." : "Send Verification Code"}
           </motion.button>
         </form>
+        )}
 
         <p className="mt-4 text-xs text-center text-[#f5e6c8]/85">
           New here?{" "}
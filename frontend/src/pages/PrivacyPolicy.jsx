@@ -20,6 +20,12 @@ export default function PrivacyPolicy() {
           ✔ We do not sell or share your information <br />
           ✔ Used only for internal CRM purposes
         </p>
+
+        <p className="policy-text">
+          You can download your data (profile, stamps, bills and rewards) or ask
+          for your card and personal details to be erased from <b>My Profile</b> on
+          your card. Bills stay in our accounts without your name.
+        </p>
       </div>
     </div>
   );
@@ -0,0 +1,381 @@
+// src/pages/Profile.jsx
+// Member profile opened from the card: name, date of birth, marketing preferences, moving
+// the card to a new phone number (a code goes to the current number and one to the new one),
+// and the member's data: download it, or ask for it to be erased.
+import { useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { customerFetch, hasSession } from "../customerSession";
+
+const FIELD_LABELS = {
+  name: "Name",
+  dob: "Date of birth",
+  phone: "Phone number",
+  marketing_sms: "Offers by SMS",
+  marketing_whatsapp: "Offers on WhatsApp",
+};
+
+function formatValue(field, value) {
+  if (value === null || value === "") return "—";
+  if (field.startsWith("marketing_")) return value === "true" ? "On" : "Off";
+  return value;
+}
+
+const inputClass = "w-full h-11 mt-1 rounded-2xl bg-[#f5e6c8] text-[#501914] px-3 outline-none";
+const buttonClass =
+  "w-full h-11 rounded-2xl bg-[#f5e6c8] text-[#501914] font-semibold shadow-lg transition active:scale-[0.98] disabled:opacity-70";
+
+export default function Profile() {
+  const navigate = useNavigate();
+  const [profile, setProfile] = useState(null);
+  const [form, setForm] = useState({ name: "", dob: "", marketingSms: false, marketingWhatsapp: false });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  // Phone change: enter the new number, then both codes
+  const [newPhone, setNewPhone] = useState("");
+  const [codesSent, setCodesSent] = useState(false);
+  const [codes, setCodes] = useState({ oldCode: "", newCode: "" });
+  const [changingPhone, setChangingPhone] = useState(false);
+
+  // My data
+  const [downloading, setDownloading] = useState(null); // "json" | "csv" while a download runs
+  const [deletionRequest, setDeletionRequest] = useState(null); // latest request, if any
+  const [updatingDeletion, setUpdatingDeletion] = useState(false);
+
+  const applyProfile = (p) => {
+    setProfile(p);
+    setForm({ name: p.name || "", dob: p.dob || "", marketingSms: Boolean(p.marketingSms), marketingWhatsapp: Boolean(p.marketingWhatsapp) });
+  };
+
+  useEffect(() => {
+    if (!hasSession()) {
+      navigate("/start", { replace: true });
+      return;
+    }
+    customerFetch("/api/customer/profile")
+      .then(async (res) => {
+        const data = await res.json();
+        if (res.status === 401) {
+          navigate("/start", { replace: true });
+          return;
+        }
+        if (!res.ok) {
+          setError(data.message || "Could not load your profile.");
+          return;
+        }
+        applyProfile(data.profile);
+      })
+      .catch((err) => {
+        console.error("loadProfile error:", err);
+        setError("Server error while loading your profile.");
+      });
+    customerFetch("/api/customer/deletion-request")
+      .then((res) => (res.ok ? res.json() : { request: null }))
+      .then((data) => setDeletionRequest(data.request))
+      .catch((err) => console.error("loadDeletionRequest error:", err));
+  }, [navigate]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const res = await customerFetch("/api/customer/profile", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...form, dob: form.dob || null }),
+      });
+      const data = await res.json();
+      alert(data.message || (res.ok ? "Profile updated" : "Could not save your profile"));
+      if (res.ok) applyProfile(data.profile);
+    } catch (err) {
+      console.error("saveProfile error:", err);
+      alert("Server error. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSendCodes = async (e) => {
+    e?.preventDefault();
+    if (!/^\d{10}$/.test(newPhone)) {
+      alert("Please enter a valid 10-digit mobile number");
+      return;
+    }
+    setChangingPhone(true);
+    try {
+      const res = await customerFetch("/api/customer/profile/phone", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ newPhone }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert(data.message || "Could not send the codes");
+        return;
+      }
+      setCodes({ oldCode: "", newCode: "" });
+      setCodesSent(true);
+    } catch (err) {
+      console.error("requestPhoneChange error:", err);
+      alert("Server error. Please try again.");
+    } finally {
+      setChangingPhone(false);
+    }
+  };
+
+  const handleConfirmPhone = async (e) => {
+    e.preventDefault();
+    if (!/^\d{6}$/.test(codes.oldCode) || !/^\d{6}$/.test(codes.newCode)) {
+      alert("Please enter both 6-digit codes.");
+      return;
+    }
+    setChangingPhone(true);
+    try {
+      const res = await customerFetch("/api/customer/profile/phone/confirm", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ newPhone, ...codes }),
+      });
+      const data = await res.json();
+      alert(data.message || (res.ok ? "Phone number changed" : "Could not change your number"));
+      if (res.ok) {
+        applyProfile(data.profile);
+        setCodesSent(false);
+        setNewPhone("");
+      }
+    } catch (err) {
+      console.error("confirmPhoneChange error:", err);
+      alert("Server error. Please try again.");
+    } finally {
+      setChangingPhone(false);
+    }
+  };
+
+  const handleDownload = async (format) => {
+    setDownloading(format);
+    try {
+      const res = await customerFetch(`/api/customer/export?format=${format}`);
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        alert(data.message || "Could not download your data");
+        return;
+      }
+      const blob = await res.blob();
+      const link = document.createElement("a");
+      const url = URL.createObjectURL(blob);
+      link.href = url;
+      link.download = `cakeroven-${profile.memberCode}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("exportData error:", err);
+      alert("Server error. Please try again.");
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  // Ask for (or take back) erasure of the card; the shop reviews it before anything is removed
+  const handleDeletion = async (cancel) => {
+    if (
+      !cancel &&
+      !window.confirm("Erase your CakeRoven card? Your stamps, rewards and wallet balance will be lost, and your name, phone and birthday removed. The shop reviews this first.")
+    ) {
+      return;
+    }
+    setUpdatingDeletion(true);
+    try {
+      const res = await customerFetch("/api/customer/deletion-request", { method: cancel ? "DELETE" : "POST" });
+      const data = await res.json();
+      alert(data.message || (res.ok ? "Done" : "Something went wrong"));
+      if (res.ok) setDeletionRequest(data.request);
+    } catch (err) {
+      console.error("deletionRequest error:", err);
+      alert("Server error. Please try again.");
+    } finally {
+      setUpdatingDeletion(false);
+    }
+  };
+
+  const deletionPending = deletionRequest?.status === "pending";
+
+  return (
+    <div className="relative min-h-screen bg-[#f5e6c8] flex items-start justify-center px-4 py-8">
+      <div className="pointer-events-none absolute inset-0 bg-[radial-gradient(circle_at_top,_#ffffff_0,_#f5e6c8_45%,_#f5e6c8_100%)]" />
+
+      <div className="relative z-10 w-full max-w-md space-y-5">
+        <div className="bg-[#501914] text-[#f5e6c8] rounded-[28px] p-6 sm:p-8 shadow-[0_20px_45px_rgba(0,0,0,0.45)]">
+          <div className="flex items-center justify-between mb-5">
+            <div>
+              <h1 className="font-bold text-lg">My Profile</h1>
+              <p className="text-xs text-[#f5e6c8]/80">{profile ? `Member ${profile.memberCode}` : "Loading..."}</p>
+            </div>
+            <Link to="/card" className="text-xs underline">
+              Back to card
+            </Link>
+          </div>
+
+          {error && <p className="text-sm text-red-200 mb-4">{error}</p>}
+
+          {profile && (
+            <form onSubmit={handleSave} className="space-y-4">
+              <div>
+                <label className="text-xs font-semibold">Name</label>
+                <input
+                  type="text"
+                  required
+                  maxLength={60}
+                  value={form.name}
+                  onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="text-xs font-semibold">Date of Birth</label>
+                <input
+                  type="date"
+                  value={form.dob}
+                  onChange={(e) => setForm((f) => ({ ...f, dob: e.target.value }))}
+                  className={inputClass}
+                />
+                <p className="text-[11px] text-[#f5e6c8]/70 mt-1">Used for your birthday bonus.</p>
+              </div>
+              <div className="space-y-2 text-sm">
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={form.marketingSms}
+                    onChange={(e) => setForm((f) => ({ ...f, marketingSms: e.target.checked }))}
+                  />
+                  Send me offers by SMS
+                </label>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={form.marketingWhatsapp}
+                    onChange={(e) => setForm((f) => ({ ...f, marketingWhatsapp: e.target.checked }))}
+                  />
+                  Send me offers on WhatsApp
+                </label>
+              </div>
+              <button disabled={saving} className={buttonClass}>
+                {saving ? "Saving..." : "Save Profile"}
+              </button>
+            </form>
+          )}
+        </div>
+
+        {profile && (
+          <div className="bg-[#501914] text-[#f5e6c8] rounded-[28px] p-6 sm:p-8 shadow-[0_20px_45px_rgba(0,0,0,0.45)]">
+            <h2 className="font-semibold mb-1">Phone Number</h2>
+            <p className="text-xs text-[#f5e6c8]/80 mb-4">
+              Your card is on <span className="font-semibold text-[#f5e6c8]">{profile.phone}</span>. Moving it to a new number keeps all your stamps, rewards and history.
+            </p>
+
+            {!codesSent ? (
+              <form onSubmit={handleSendCodes} className="space-y-4">
+                <div>
+                  <label className="text-xs font-semibold">New Phone</label>
+                  <input
+                    type="tel"
+                    maxLength={10}
+                    value={newPhone}
+                    onChange={(e) => setNewPhone(e.target.value.replace(/\D/g, ""))}
+                    placeholder="10-digit mobile number"
+                    className={inputClass}
+                  />
+                </div>
+                <button disabled={changingPhone || newPhone.length !== 10} className={buttonClass}>
+                  {changingPhone ? "Sending codes..." : "Send Verification Codes"}
+                </button>
+              </form>
+            ) : (
+              <form onSubmit={handleConfirmPhone} className="space-y-4">
+                {[
+                  ["oldCode", `Code sent to ${profile.phone}`],
+                  ["newCode", `Code sent to ${newPhone}`],
+                ].map(([key, label]) => (
+                  <div key={key}>
+                    <label className="text-xs font-semibold">{label}</label>
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      maxLength={6}
+                      value={codes[key]}
+                      onChange={(e) => setCodes((c) => ({ ...c, [key]: e.target.value.replace(/\D/g, "") }))}
+                      placeholder="••••••"
+                      className={`${inputClass} text-center font-mono text-lg tracking-[0.5em]`}
+                    />
+                  </div>
+                ))}
+                <button disabled={changingPhone} className={buttonClass}>
+                  {changingPhone ? "Checking..." : "Change Phone Number"}
+                </button>
+                <div className="flex items-center justify-between text-xs text-[#f5e6c8]/85">
+                  <button type="button" onClick={() => setCodesSent(false)} className="underline">
+                    Change number
+                  </button>
+                  <button type="button" onClick={handleSendCodes} disabled={changingPhone} className="underline font-semibold disabled:opacity-60">
+                    Resend codes
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        )}
+
+        {profile && (
+          <div className="bg-[#501914] text-[#f5e6c8] rounded-[28px] p-6 sm:p-8 shadow-[0_20px_45px_rgba(0,0,0,0.45)]">
+            <h2 className="font-semibold mb-1">My Data</h2>
+            <p className="text-xs text-[#f5e6c8]/80 mb-4">Download everything we hold about you: profile, stamps, bills, payments and rewards.</p>
+            <div className="grid grid-cols-2 gap-3">
+              {["json", "csv"].map((format) => (
+                <button key={format} type="button" onClick={() => handleDownload(format)} disabled={Boolean(downloading)} className={buttonClass}>
+                  {downloading === format ? "Preparing..." : `Download ${format.toUpperCase()}`}
+                </button>
+              ))}
+            </div>
+
+            <div className="mt-5 pt-4 border-t border-[#f5e6c8]/15 text-xs text-[#f5e6c8]/85 space-y-2">
+              {deletionPending ? (
+                <>
+                  <p>You asked for your card to be erased on {new Date(deletionRequest.requested_at).toLocaleDateString("en-IN", { day: "numeric", month: "short" })}. The shop will confirm once it's done.</p>
+                  <button type="button" onClick={() => handleDeletion(true)} disabled={updatingDeletion} className="underline font-semibold disabled:opacity-60">
+                    Cancel my request
+                  </button>
+                </>
+              ) : (
+                <>
+                  {deletionRequest?.status === "rejected" && (
+                    <p>Your last erasure request was declined{deletionRequest.review_note ? `: ${deletionRequest.review_note}` : "."}</p>
+                  )}
+                  <button type="button" onClick={() => handleDeletion(false)} disabled={updatingDeletion} className="underline text-red-200 disabled:opacity-60">
+                    Erase my card and personal data
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+
+        {profile && profile.changes.length > 0 && (
+          <div className="bg-white/70 border border-[#501914]/10 rounded-2xl p-4 text-[#501914]">
+            <h3 className="text-sm font-semibold mb-2">Profile History</h3>
+            <ul className="space-y-1.5 text-xs">
+              {profile.changes.map((c) => (
+                <li key={c.id} className="flex justify-between gap-3">
+                  <span>
+                    {FIELD_LABELS[c.field] || c.field}: {formatValue(c.field, c.old_value)} → {formatValue(c.field, c.new_value)}
+                  </span>
+                  <span className="text-[#501914]/60 whitespace-nowrap">
+                    {new Date(c.changed_at).toLocaleDateString("en-IN", { day: "numeric", month: "short", year: "numeric" })}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
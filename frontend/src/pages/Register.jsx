@@ -1,10 +1,15 @@
 import { useMemo, useState } from "react";
-import { Link, useNavigate } from "react-router-dom";
+import { Link, useLocation, useNavigate, useSearchParams } from "react-router-dom";
 import { motion } from "framer-motion";
 import { API_BASE } from "../apiConfig";
+import { requestOtpCode } from "../otp";
+import { saveSession } from "../customerSession";
+import OtpStep from "../OtpStep";
 
 export default function Register() {
   const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
   const logoRain = useMemo(
     () =>
       Array.from({ length: 5 }, (_, i) => ({
@@ -16,10 +21,17 @@ export default function Register() {
   );
 
   const [fullName, setFullName] = useState("");
-  const [phone, setPhone] = useState("");
+  const [phone, setPhone] = useState(() => location.state?.phone || "");
   const [dob, setDob] = useState("");
+  // Shared links look like /register?ref=CODE
+  const [referralCode, setReferralCode] = useState(() => (searchParams.get("ref") || "").toUpperCase());
   const [loading, setLoading] = useState(false);
+  // Set once the code has been texted: { resendAfter }
+  const [otpSent, setOtpSent] = useState(null);
+  // Code already verified on the login page for a number without a card: { phone, otp }
+  const [carried, setCarried] = useState(() => (location.state?.otp ? location.state : null));
 
+  // Step 1: text a verification code to the number
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -30,6 +42,29 @@ export default function Register() {
 
     setLoading(true);
 
+    if (carried && carried.phone === phone.trim()) {
+      await handleVerify(carried.otp);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      const { ok, data } = await requestOtpCode(phone.trim());
+      if (!ok) {
+        alert(data.message || "Could not send the code");
+        return;
+      }
+      setOtpSent({ resendAfter: data.resendAfter });
+    } catch (err) {
+      console.error(err);
+      alert("Server error. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Step 2: create the card with the code
+  const handleVerify = async (otp) => {
     try {
       const res = await fetch(`${API_BASE}/api/customer/register`, {
         method: "POST",
@@ -38,6 +73,8 @@ export default function Register() {
           name: fullName.trim(),
           phone: phone.trim(),
           dob: dob || null,
+          referralCode: referralCode.trim() || null,
+          otp,
         }),
       });
 
@@ -45,19 +82,19 @@ export default function Register() {
 
       if (!res.ok) {
         alert(data.message || "Registration failed");
-        setLoading(false);
+        // Anything but a wrong/expired verification code is fixed on the form; the code stays valid
+        const msg = data.message || "";
+        if (!/code/i.test(msg) || /referral/i.test(msg)) setOtpSent(null);
+        else setCarried(null);
         return;
       }
 
-      const card = data.card || {};
-      localStorage.setItem("cr_memberCode", card.memberCode);
-      localStorage.setItem("cr_phone", card.phone);
+      saveSession(data);
 
       navigate("/card");
     } catch (err) {
       console.error(err);
       alert("Server error. Please try again.");
-      setLoading(false);
     }
   };
 
@@ -104,19 +141,41 @@ export default function Register() {
         <h2 className="relative z-10 text-xl font-semibold mb-1">New User Registration</h2>
         <p className="relative z-10 text-xs text-[#f5e6c8]/80 mb-5">Create your digital stamp card in seconds.</p>
 
+        {otpSent ? (
+          <div className="relative z-10 text-sm">
+            <OtpStep
+              phone={phone.trim()}
+              resendAfter={otpSent.resendAfter}
+              onVerify={handleVerify}
+              onBack={() => setOtpSent(null)}
+              verifyLabel="Create My CakeRoven Card"
+            />
+          </div>
+        ) : (
         <form onSubmit={handleSubmit} className="relative z-10 space-y-4 text-sm">
           <Field label="Full Name" value={fullName} onChange={(e) => setFullName(e.target.value)} placeholder="Eg: Ananya Sharma" />
           <Field label="Phone Number" value={phone} onChange={(e) => setPhone(e.target.value.replace(/\D/g, ""))} placeholder="10-digit mobile number" maxLength={10} />
           <Field label="Date of Birth" type="date" value={dob} onChange={(e) => setDob(e.target.value)} />
+          <Field
+            label="Referral Code (optional)"
+            value={referralCode}
+            onChange={(e) => setReferralCode(e.target.value.toUpperCase().replace(/[^A-Z0-9]/g, ""))}
+            placeholder="Code from a friend"
+            maxLength={8}
+            required={false}
+          />
 
           <motion.button
             whileTap={{ scale: 0.98 }}
             disabled={loading}
             className="mt-2 w-full h-11 rounded-2xl bg-[#f5e6c8] text-[#501914] font-semibold shadow-[0_10px_24px_rgba(0,0,0,0.4)] disabled:opacity-70"
           >
-            {loading ? "Creating your card..." : "Create My CakeRoven Card"}
+            {carried && carried.phone === phone.trim()
+              ? loading ? "Creating..." : "Create My CakeRoven Card"
+              : loading ? "Sending code..." : "Verify Phone & Continue"}
           </motion.button>
         </form>
+        )}
 
         <p className="relative z-10 mt-4 text-[11px] text-center text-[#f5e6c8]/85">
           Already a member?{" "}
@@ -129,13 +188,13 @@ export default function Register() {
   );
 }
 
-function Field({ label, type = "text", value, onChange, placeholder, maxLength }) {
+function Field({ label, type = "text", value, onChange, placeholder, maxLength, required = true }) {
   return (
     <div className="flex flex-col gap-1">
       <label className="text-xs font-semibold">{label}</label>
       <input
         type={type}
-        required
+        required={required}
         value={value}
         onChange={onChange}
         placeholder={placeholder}
@@ -1,15 +1,13 @@
 import { useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { motion } from "framer-motion";
+import { hasSession } from "../customerSession";
 
 export default function Start() {
   const navigate = useNavigate();
 
   useEffect(() => {
-    const code = localStorage.getItem("cr_memberCode");
-    const phone = localStorage.getItem("cr_phone");
-
-    navigate(code && phone ? "/card" : "/register", { replace: true });
+    navigate(hasSession() ? "/card" : "/register", { replace: true });
   }, [navigate]);
 
   return (
@@ -1,6 +1,10 @@
 import "../styles/policy.css";
+import { useProgramSettings, ordinal } from "../programSettings";
 
 export default function TermsConditions() {
+  const [{ minStampAmount, cardSize, rewardValue, redeemStampTarget, expiryMode, expiryDays, birthdayBonus, birthdayBonusStamps, birthdayTreat, birthdayWindowDays, referralMonthlyCap }] =
+    useProgramSettings();
+
   return (
     <div className="page-wrapper">
       <div className="policy-card">
@@ -8,11 +12,12 @@ export default function TermsConditions() {
 
         <div className="stamp-box">
           <ul>
-            <li>Spend ₹500 → Earn 1 Stamp</li>
-            <li>Complete 11 Stamps → We Gift You the 12th</li>
-            <li>On 12th Stamp → ₹1000 Food Reward</li>
+            <li>Spend ₹{minStampAmount} → Earn 1 Stamp</li>
+            <li>Complete {redeemStampTarget} Stamps → We Gift You the {ordinal(cardSize)}</li>
+            <li>On {ordinal(cardSize)} Stamp → ₹{rewardValue} Food Reward</li>
             <li>Scan & Collect — No App, No Login</li>
-            <li>Birthday = Bonus Treat 🎂</li>
+            {birthdayBonus === "treat" && <li>Birthday = {birthdayTreat} 🎂</li>}
+            {birthdayBonus === "stamp" && <li>Birthday = {birthdayBonusStamps} Bonus Stamp{birthdayBonusStamps === 1 ? "" : "s"} 🎂</li>}
           </ul>
         </div>
 
@@ -20,6 +25,20 @@ export default function TermsConditions() {
           <li>Stamp cards are valid only at CakeRoven outlets.</li>
           <li>Stamps cannot be transferred or exchanged.</li>
           <li>No cash or refund alternative for rewards.</li>
+          <li>Rewards are redeemed with a one-time code from the card page, shown in person at the counter. Codes expire after a few minutes.</li>
+          <li>Rewards Menu items on the card page can be redeemed before the card is full; their stamp cost is taken off the card. Items are available only while listed.</li>
+          {expiryMode === "stamp_age" && <li>Each stamp expires {expiryDays} days after it is earned.</li>}
+          {expiryMode === "card_inactivity" && <li>All stamps expire if no stamp is earned for {expiryDays} days.</li>}
+          {birthdayBonus !== "none" && (
+            <li>The birthday bonus needs a date of birth on the card and is valid {birthdayWindowDays} days either side of the birthday, once a year.</li>
+          )}
+          <li>
+            Referral stamps are given once the new member's first bill earns a stamp. A referral code can be entered only at registration, a phone number can be referred only once, and members can't refer themselves.
+            {referralMonthlyCap > 0 && ` A member earns referral stamps for up to ${referralMonthlyCap} friends a month.`}
+          </li>
+          <li>Promotional bonus stamps apply only while the promotion runs, at shop time (IST), and follow the promotion's own conditions. Only the best running promotion applies to a bill.</li>
+          <li>Stamping and online payments may be closed on shop holidays; the card page shows when.</li>
+          <li>A reward can be put into your wallet as store credit instead of being served at once, and spent over later bills. Wallet credit has no cash value and cannot be refunded.</li>
           <li>Lost or expired stamps will not be reissued.</li>
           <li>Management reserves the right to update rules anytime.</li>
         </ul>
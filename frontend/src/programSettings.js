@@ -0,0 +1,57 @@
+// frontend/src/programSettings.js
+import { useEffect, useState } from "react";
+import { API_BASE } from "./apiConfig";
+
+// Same defaults as the backend (used until the settings load, or if the request fails)
+export const DEFAULT_PROGRAM_SETTINGS = {
+  minStampAmount: 500,
+  cardSize: 12,
+  rewardValue: 1000,
+  stampMode: "per_bill",
+  maxStampsPerBill: 3,
+  overflowMode: "drop",
+  expiryMode: "none",
+  expiryDays: 365,
+  expiryWarningDays: 14,
+  birthdayBonus: "treat",
+  birthdayBonusStamps: 1,
+  birthdayTreat: "Free slice of cake",
+  birthdayWindowDays: 7,
+  referralReferrerStamps: 1,
+  referralRefereeStamps: 1,
+  referralMonthlyCap: 10,
+  billNumberRequired: false,
+  tierBasis: "spend",
+  tiers: [
+    { name: "Silver", threshold: 0, minStampAmount: null, bonusStamps: 0 },
+    { name: "Gold", threshold: 10000, minStampAmount: null, bonusStamps: 0 },
+    { name: "Platinum", threshold: 25000, minStampAmount: null, bonusStamps: 0 },
+  ],
+  redeemStampTarget: 11,
+};
+
+// 12 -> "12th" (the gifted box is described as the Nth visit/stamp)
+export function ordinal(n) {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? "th" : { 1: "st", 2: "nd", 3: "rd" }[n % 10] || "th";
+  return `${n}${suffix}`;
+}
+
+// Loyalty program rules from GET /api/customer/program
+export function useProgramSettings() {
+  const [settings, setSettings] = useState(DEFAULT_PROGRAM_SETTINGS);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${API_BASE}/api/customer/program`)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (!cancelled && data?.settings) setSettings({ ...DEFAULT_PROGRAM_SETTINGS, ...data.settings });
+      })
+      .catch((err) => console.error("Program settings error:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return [settings, setSettings];
+}